@@ -7,10 +7,16 @@
  * - Health metrics summary
  * - Consultation history
  * - Risk assessment trends
+ *
+ * Dashboard, symptom and trend handlers are also mounted on doctor routes,
+ * where requireCareConsent sets req.patientId to the consenting patient.
+ * On patient routes resolveProfile may select a dependent profile
+ * (req.profileId); doctors only ever see the patient's own profile.
  */
 
 const ChatSession = require('../models/ChatSession.model');
 const HealthProfile = require('../models/HealthProfile.model');
+const AuditService = require('../services/audit.service');
 
 /**
  * @desc    Get user health analytics dashboard
@@ -19,20 +25,21 @@ const HealthProfile = require('../models/HealthProfile.model');
  */
 exports.getDashboard = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.patientId || req.user.id;
+    const profileId = req.profileId || null;
     
     // Get health profile
-    const healthProfile = await HealthProfile.findOne({ user: userId });
+    const healthProfile = await HealthProfile.findOne(HealthProfile.scopeFilter(userId, profileId));
     
     // Get chat statistics
-    const totalConsultations = await ChatSession.countDocuments({ user: userId });
+    const totalConsultations = await ChatSession.countDocuments(ChatSession.scopeFilter(userId, profileId));
     const emergencyConsultations = await ChatSession.countDocuments({
-      user: userId,
+      ...ChatSession.scopeFilter(userId, profileId),
       'summary.emergencyFlagged': true
     });
     
     // Get recent consultations
-    const recentConsultations = await ChatSession.find({ user: userId })
+    const recentConsultations = await ChatSession.find(ChatSession.scopeFilter(userId, profileId))
       .sort({ lastMessageAt: -1 })
       .limit(5)
       .select('sessionTitle summary status startedAt lastMessageAt');
@@ -65,6 +72,13 @@ exports.getDashboard = async (req, res, next) => {
     
     healthScore = Math.max(0, Math.min(100, healthScore));
     
+    await AuditService.record(req, {
+      action: 'analytics.dashboard',
+      resourceType: 'Analytics',
+      patient: userId,
+      fields: ['healthProfile', 'chatSessions']
+    });
+    
     res.status(200).json({
       success: true,
       data: {
@@ -92,7 +106,8 @@ exports.getDashboard = async (req, res, next) => {
  */
 exports.getSymptomAnalysis = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.patientId || req.user.id;
+    const profileId = req.profileId || null;
     const { timeframe = '30d' } = req.query;
     
     // Calculate date range
@@ -102,7 +117,7 @@ exports.getSymptomAnalysis = async (req, res, next) => {
     
     // Get chat sessions in timeframe
     const sessions = await ChatSession.find({
-      user: userId,
+      ...ChatSession.scopeFilter(userId, profileId),
       createdAt: { $gte: startDate }
     });
     
@@ -136,6 +151,13 @@ exports.getSymptomAnalysis = async (req, res, next) => {
       .slice(0, 10)
       .map(([symptom, count]) => ({ symptom, count }));
     
+    await AuditService.record(req, {
+      action: 'analytics.symptoms',
+      resourceType: 'Analytics',
+      patient: userId,
+      fields: ['chatSessions.summary']
+    });
+    
     res.status(200).json({
       success: true,
       data: {
@@ -158,14 +180,15 @@ exports.getSymptomAnalysis = async (req, res, next) => {
  */
 exports.getHealthTrends = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.patientId || req.user.id;
+    const profileId = req.profileId || null;
     
     // Get all consultations grouped by month
     const sixMonthsAgo = new Date();
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
     
     const sessions = await ChatSession.find({
-      user: userId,
+      ...ChatSession.scopeFilter(userId, profileId),
       createdAt: { $gte: sixMonthsAgo }
     }).sort({ createdAt: 1 });
     
@@ -204,6 +227,13 @@ exports.getHealthTrends = async (req, res, next) => {
       emergencies: data.emergencies
     }));
     
+    await AuditService.record(req, {
+      action: 'analytics.trends',
+      resourceType: 'Analytics',
+      patient: userId,
+      fields: ['chatSessions.summary']
+    });
+    
     res.status(200).json({
       success: true,
       data: { trends }
@@ -222,9 +252,10 @@ exports.getHealthTrends = async (req, res, next) => {
 exports.getPersonalizedRecommendations = async (req, res, next) => {
   try {
     const userId = req.user.id;
+    const profileId = req.profileId || null;
     
-    const healthProfile = await HealthProfile.findOne({ user: userId });
-    const recentSessions = await ChatSession.find({ user: userId })
+    const healthProfile = await HealthProfile.findOne(HealthProfile.scopeFilter(userId, profileId));
+    const recentSessions = await ChatSession.find(ChatSession.scopeFilter(userId, profileId))
       .sort({ lastMessageAt: -1 })
       .limit(10);
     
@@ -291,6 +322,13 @@ exports.getPersonalizedRecommendations = async (req, res, next) => {
       });
     }
     
+    await AuditService.record(req, {
+      action: 'analytics.recommendations',
+      resourceType: 'Analytics',
+      patient: userId,
+      fields: ['healthProfile', 'chatSessions']
+    });
+    
     res.status(200).json({
       success: true,
       data: { recommendations }
@@ -309,9 +347,10 @@ exports.getPersonalizedRecommendations = async (req, res, next) => {
 exports.exportHealthData = async (req, res, next) => {
   try {
     const userId = req.user.id;
+    const profileId = req.profileId || null;
     
-    const healthProfile = await HealthProfile.findOne({ user: userId });
-    const sessions = await ChatSession.find({ user: userId })
+    const healthProfile = await HealthProfile.findOne(HealthProfile.scopeFilter(userId, profileId));
+    const sessions = await ChatSession.find(ChatSession.scopeFilter(userId, profileId))
       .sort({ createdAt: -1 });
     
     const exportData = {
@@ -326,6 +365,13 @@ exports.exportHealthData = async (req, res, next) => {
       }))
     };
     
+    await AuditService.record(req, {
+      action: 'analytics.export',
+      resourceType: 'Analytics',
+      patient: userId,
+      fields: ['*']
+    });
+    
     res.status(200).json({
       success: true,
       data: exportData
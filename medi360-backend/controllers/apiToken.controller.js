@@ -0,0 +1,128 @@
+/**
+ * API Token Controller
+ * Create, list and revoke personal access tokens
+ */
+
+const ApiToken = require('../models/ApiToken.model');
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_ACTIVE_TOKENS = 20;
+
+/**
+ * @desc    List the user's API tokens
+ * @route   GET /api/tokens
+ * @access  Private (session only)
+ */
+exports.getTokens = async (req, res, next) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: tokens.length,
+      data: { tokens: tokens.map(token => token.toSummary()) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create an API token (the raw token is only returned here)
+ * @route   POST /api/tokens
+ * @access  Private (session only)
+ */
+exports.createToken = async (req, res, next) => {
+  try {
+    const { name, scopes } = req.body;
+    const expiresInDays = req.body.expiresInDays === undefined
+      ? DEFAULT_EXPIRY_DAYS
+      : parseInt(req.body.expiresInDays);
+
+    if (!Array.isArray(scopes) || !scopes.every(scope => ApiToken.SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one scope from: ${ApiToken.SCOPES.join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`
+      });
+    }
+
+    const activeCount = await ApiToken.countDocuments({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (activeCount >= MAX_ACTIVE_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_TOKENS} active tokens. Revoke one first.`
+      });
+    }
+
+    const { token, tokenHash, hint } = ApiToken.generate();
+
+    const apiToken = await ApiToken.create({
+      user: req.user.id,
+      name,
+      tokenHash,
+      hint,
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now - it will not be shown again.',
+      data: {
+        token,
+        apiToken: apiToken.toSummary()
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke an API token
+ * @route   DELETE /api/tokens/:id
+ * @access  Private (session only)
+ */
+exports.revokeToken = async (req, res, next) => {
+  try {
+    const apiToken = await ApiToken.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    if (!apiToken.revokedAt) {
+      apiToken.revokedAt = new Date();
+      await apiToken.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API token revoked',
+      data: { apiToken: apiToken.toSummary() }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = exports;
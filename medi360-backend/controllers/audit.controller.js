@@ -0,0 +1,149 @@
+/**
+ * Audit Controller
+ * Patient access history and admin queries over the audit log
+ */
+
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent.model');
+
+const parsePagination = (query) => {
+  const limit = Math.min(parseInt(query.limit) || 50, 200);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { limit, page, skip: (page - 1) * limit };
+};
+
+/**
+ * Date range filter from ?from=&to= (ISO dates)
+ */
+const dateRange = (query) => {
+  const range = {};
+  if (query.from && !Number.isNaN(Date.parse(query.from))) range.$gte = new Date(query.from);
+  if (query.to && !Number.isNaN(Date.parse(query.to))) range.$lte = new Date(query.to);
+  return Object.keys(range).length ? range : null;
+};
+
+/**
+ * @desc    Who accessed my data
+ * @route   GET /api/audit/me?from=&to=&page=&limit=
+ * @access  Private
+ */
+exports.getMyAccessLog = async (req, res, next) => {
+  try {
+    const { limit, page, skip } = parsePagination(req.query);
+    const filter = { patient: req.user._id };
+
+    const createdAt = dateRange(req.query);
+    if (createdAt) filter.createdAt = createdAt;
+
+    // Hide the patient's own accesses unless asked for them
+    if (req.query.includeSelf !== 'true') {
+      filter.actor = { $ne: req.user._id };
+    }
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'fullName role')
+        .select('actor actorRole action resourceType fields createdAt'),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: {
+        events,
+        pagination: { page, limit, total }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Query the audit log
+ * @route   GET /api/audit?actor=&patient=&action=&resourceType=&requestId=&from=&to=
+ * @access  Private (admin)
+ */
+exports.getEvents = async (req, res, next) => {
+  try {
+    const { limit, page, skip } = parsePagination(req.query);
+    const filter = {};
+
+    for (const key of ['actor', 'patient']) {
+      if (req.query[key]) {
+        if (!mongoose.isValidObjectId(req.query[key])) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${key} id`
+          });
+        }
+        filter[key] = req.query[key];
+      }
+    }
+
+    // action=health-profile.* matches every action with that prefix
+    if (req.query.action) {
+      filter.action = req.query.action.endsWith('.*')
+        ? { $regex: `^${req.query.action.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` }
+        : req.query.action;
+    }
+
+    if (req.query.actorRole) filter.actorRole = req.query.actorRole;
+    if (req.query.resourceType) filter.resourceType = req.query.resourceType;
+    if (req.query.requestId) filter.requestId = req.query.requestId;
+
+    const createdAt = dateRange(req.query);
+    if (createdAt) filter.createdAt = createdAt;
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ seq: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'fullName email role')
+        .populate('patient', 'fullName email'),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: {
+        events,
+        pagination: { page, limit, total }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify the integrity of the hash chain
+ * @route   GET /api/audit/verify
+ * @access  Private (admin)
+ */
+exports.verifyChain = async (req, res, next) => {
+  try {
+    const result = await AuditEvent.verifyChain();
+
+    res.status(200).json({
+      success: true,
+      message: result.valid
+        ? `Audit chain intact (${result.checked} events)`
+        : `Audit chain broken at event ${result.brokenAt}: ${result.reason}`,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = exports;
@@ -5,6 +5,94 @@
 
 const User = require('../models/User.model');
 const HealthProfile = require('../models/HealthProfile.model');
+const RefreshToken = require('../models/RefreshToken.model');
+const LoginHistory = require('../models/LoginHistory.model');
+const Session = require('../models/Session.model');
+const TokenService = require('../services/token.service');
+const mailService = require('../services/mail.service');
+const TotpService = require('../services/totp.service');
+const LoginSecurityService = require('../services/loginSecurity.service');
+const OidcService = require('../services/oidc.service');
+const { evaluatePassword } = require('../utils/passwordPolicy');
+
+/**
+ * Issue a verification token and email it to the user
+ */
+const sendVerificationEmail = async (user, email = user.email) => {
+  const token = TokenService.generateEmailVerificationToken(user, email);
+  await mailService.sendVerificationEmail(user, token, email);
+  
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+};
+
+/**
+ * Finish a successful login: record it and issue the token pair
+ */
+const completeLogin = async (user, req, res, method = 'password') => {
+  await LoginSecurityService.registerSuccess(user, req, method);
+  
+  user.lastLogin = new Date();
+  await user.save();
+  
+  const { token, refreshToken } = await TokenService.issueTokens(user, req);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.getPublicProfile(),
+      token,
+      refreshToken,
+      twoFactorSetupRequired: user.isTwoFactorRequired() && !user.twoFactor.enabled
+    }
+  });
+};
+
+/**
+ * Reject a login attempt against a locked account
+ */
+const sendLockedResponse = (user, res) => {
+  const retryAfter = LoginSecurityService.retryAfterSeconds(user);
+  
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: `Account temporarily locked after repeated failed logins. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    data: { retryAfter }
+  });
+};
+
+/**
+ * Send the browser back to the frontend login page (OIDC redirects)
+ */
+const redirectToLogin = (res, params) => {
+  const query = new URLSearchParams(params).toString();
+  res.redirect(mailService.appUrl(`/login?${query}`));
+};
+
+/**
+ * Check a password against the policy; sends 400 with per-rule feedback when it fails
+ * @returns {boolean} Whether the password is acceptable
+ */
+const enforcePasswordPolicy = (res, password, context) => {
+  const passwordCheck = evaluatePassword(password, context);
+  
+  if (passwordCheck.valid) {
+    return true;
+  }
+  
+  const failed = passwordCheck.rules.filter(rule => !rule.passed).map(rule => rule.message);
+  
+  res.status(400).json({
+    success: false,
+    code: 'WEAK_PASSWORD',
+    message: `Password does not meet the requirements: ${failed.join('; ')}`,
+    data: { passwordCheck }
+  });
+  return false;
+};
 
 /**
  * @desc    Register new user
@@ -23,6 +111,10 @@ exports.register = async (req, res, next) => {
       });
     }
     
+    if (!enforcePasswordPolicy(res, password, { email, fullName })) {
+      return;
+    }
+    
     // Check if user exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     
@@ -41,15 +133,23 @@ exports.register = async (req, res, next) => {
       phoneNumber
     });
     
-    // Generate token
-    const token = user.generateAuthToken();
+    // Send verification email (registration succeeds even if delivery fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email failed:', mailError.message);
+    }
+    
+    // Generate tokens
+    const { token, refreshToken } = await TokenService.issueTokens(user, req);
     
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: user.getPublicProfile(),
-        token
+        token,
+        refreshToken
       }
     });
     
@@ -79,14 +179,22 @@ exports.login = async (req, res, next) => {
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
     
     if (!user) {
+      await LoginSecurityService.record(req, { email, success: false, failureReason: 'unknown-user' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
     
+    // Locked accounts are rejected before the password is even checked
+    if (user.isLocked()) {
+      await LoginSecurityService.record(req, { user, success: false, failureReason: 'locked' });
+      return sendLockedResponse(user, res);
+    }
+    
     // Check if account is active
     if (!user.isActive) {
+      await LoginSecurityService.record(req, { user, success: false, failureReason: 'deactivated' });
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated. Please contact support.'
@@ -97,25 +205,414 @@ exports.login = async (req, res, next) => {
     const isPasswordMatch = await user.comparePassword(password);
     
     if (!isPasswordMatch) {
+      const { locked } = await LoginSecurityService.registerFailure(user, req, 'invalid-password');
+      
+      if (locked) {
+        return sendLockedResponse(user, res);
+      }
+      
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
     
-    // Update last login
-    user.lastLogin = new Date();
+    // Second step required - hand out a short-lived challenge instead of tokens
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: TokenService.generateTwoFactorChallenge(user)
+        }
+      });
+    }
+    
+    await completeLogin(user, req, res);
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete login with a TOTP or backup code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+    
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the login challenge and authentication code'
+      });
+    }
+    
+    const challenge = TokenService.verifyTwoFactorChallenge(challengeToken);
+    const user = await User.findById(challenge.id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user || !user.isActive || user.tokenVersion !== challenge.tv) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is no longer valid - please login again'
+      });
+    }
+    
+    if (user.isLocked()) {
+      await LoginSecurityService.record(req, { user, success: false, failureReason: 'locked', method: 'two-factor' });
+      return sendLockedResponse(user, res);
+    }
+    
+    if (!user.verifyTwoFactorCode(code)) {
+      const { locked } = await LoginSecurityService.registerFailure(user, req, 'invalid-2fa', 'two-factor');
+      
+      if (locked) {
+        return sendLockedResponse(user, res);
+      }
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    await completeLogin(user, req, res, 'two-factor');
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List configured single sign-on providers
+ * @route   GET /api/auth/oidc/providers
+ * @access  Public
+ */
+exports.getOidcProviders = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { providers: OidcService.listProviders() }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start an OIDC login - redirects the browser to the identity provider
+ * @route   GET /api/auth/oidc/:provider/authorize?returnTo=/dashboard
+ * @access  Public
+ */
+exports.startOidcLogin = async (req, res, next) => {
+  try {
+    const provider = OidcService.getProvider(req.params.provider);
+    const url = await OidcService.createAuthorizationUrl(provider, req.query.returnTo);
+    
+    res.redirect(url);
+    
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('OIDC login failed to start:', error.message);
+    }
+    redirectToLogin(res, { oidcError: error.statusCode ? error.message : 'Single sign-on is unavailable' });
+  }
+};
+
+/**
+ * @desc    OIDC redirect target - verifies the login and hands the frontend a one-time code
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @access  Public
+ */
+exports.oidcCallback = async (req, res, next) => {
+  try {
+    const provider = OidcService.getProvider(req.params.provider);
+    
+    // Denied or failed at the identity provider
+    if (req.query.error) {
+      return redirectToLogin(res, { oidcError: req.query.error_description || 'Sign-in was cancelled' });
+    }
+    
+    const { claims, returnTo } = await OidcService.handleCallback(provider, req.query);
+    const { user, linked } = await OidcService.resolveUser(provider, claims);
+    
+    if (!user.isActive) {
+      await LoginSecurityService.record(req, { user, success: false, failureReason: 'deactivated', method: 'oidc' });
+      return redirectToLogin(res, { oidcError: 'Account is deactivated. Please contact support.' });
+    }
+    
+    if (linked) {
+      try {
+        await mailService.sendIdentityLinkedEmail(user, provider.name);
+      } catch (mailError) {
+        console.error('Identity linked email failed:', mailError.message);
+      }
+    }
+    
+    const code = await OidcService.createLoginCode(user, provider);
+    redirectToLogin(res, { oidcCode: code, returnTo });
+    
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('OIDC callback failed:', error.message);
+    }
+    redirectToLogin(res, { oidcError: error.statusCode ? error.message : 'Single sign-on failed' });
+  }
+};
+
+/**
+ * @desc    Exchange a one-time OIDC login code for tokens (or a 2FA challenge)
+ * @route   POST /api/auth/oidc/exchange
+ * @access  Public
+ */
+exports.exchangeOidcCode = async (req, res, next) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the sign-in code'
+      });
+    }
+    
+    const { userId } = await OidcService.redeemLoginCode(req.body.code);
+    const user = await User.findById(userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+    
+    // Signing in elsewhere does not lift a brute-force lockout
+    if (user.isLocked()) {
+      await LoginSecurityService.record(req, { user, success: false, failureReason: 'locked', method: 'oidc' });
+      return sendLockedResponse(user, res);
+    }
+    
+    // The identity provider replaces the password step, not the second factor
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: TokenService.generateTwoFactorChallenge(user)
+        }
+      });
+    }
+    
+    await completeLogin(user, req, res, 'oidc');
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start 2FA enrollment - generate a secret and otpauth URI
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const secret = TotpService.generateSecret();
+    const otpauthUri = TotpService.buildOtpauthUri(secret, user.email);
+    
+    user.twoFactor.pendingSecret = secret;
     await user.save();
     
-    // Generate token
-    const token = user.generateAuthToken();
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri,
+        qrPayload: otpauthUri
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm 2FA enrollment and issue backup codes
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+    
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+    
+    const step = TotpService.verifyCode(user.twoFactor.pendingSecret, code);
+    
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const { codes, hashes } = TotpService.generateBackupCodes();
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
     
     res.status(200).json({
       success: true,
-      message: 'Login successful',
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
       data: {
         user: user.getPublicProfile(),
-        token
+        backupCodes: codes
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disable 2FA (requires password and a current code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+    
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is mandatory for ${user.role} accounts`
+      });
+    }
+    
+    if (!password || !(await user.comparePassword(password)) || !user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+    
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.backupCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: { user: user.getPublicProfile() }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Regenerate 2FA backup codes (invalidates the old ones)
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  Private
+ */
+exports.regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const { codes, hashes } = TotpService.generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated',
+      data: { backupCodes: codes }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+    
+    const result = await TokenService.rotateRefreshToken(refreshToken, req);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        user: result.user.getPublicProfile(),
+        token: result.token,
+        refreshToken: result.refreshToken
       }
     });
     
@@ -124,6 +621,217 @@ exports.login = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Verify email address
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+    
+    const { id, email } = TokenService.verifyEmailVerificationToken(token);
+    const user = await User.findById(id);
+    
+    // Tokens are bound to the address they were sent to
+    if (!user || (user.email !== email && user.pendingEmail !== email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification link'
+      });
+    }
+    
+    // Confirming a requested email change
+    if (user.pendingEmail === email && user.email !== email) {
+      if (await User.exists({ email, _id: { $ne: user._id } })) {
+        return res.status(400).json({
+          success: false,
+          message: 'That email address is already in use'
+        });
+      }
+      
+      const previousEmail = user.email;
+      user.email = email;
+      user.pendingEmail = undefined;
+      user.isEmailVerified = true;
+      await user.save();
+      
+      try {
+        await mailService.sendEmailChangedNotice(user, previousEmail);
+      } catch (mailError) {
+        console.error('Email change notice failed:', mailError.message);
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Email address updated successfully',
+        data: { user: user.getPublicProfile() }
+      });
+    }
+    
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save();
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { user: user.getPublicProfile() }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend verification email
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ */
+exports.resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+    
+    // Throttle resends per account
+    const interval = (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60) * 1000;
+    const elapsed = user.emailVerificationSentAt
+      ? Date.now() - user.emailVerificationSentAt.getTime()
+      : Infinity;
+    
+    if (elapsed < interval) {
+      const retryAfter = Math.ceil((interval - elapsed) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+        data: { retryAfter }
+      });
+    }
+    
+    await sendVerificationEmail(user);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request a password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email address'
+      });
+    }
+    
+    const user = await User.findOne({ email: email.toLowerCase() });
+    
+    // Only active accounts get a reset link; the response never reveals whether one exists
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      
+      try {
+        await mailService.sendPasswordResetEmail(user, token);
+      } catch (mailError) {
+        console.error('Password reset email failed:', mailError.message);
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset password with a one-time token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reset token and a new password'
+      });
+    }
+    
+    const user = await User.findByPasswordResetToken(token);
+    
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+    
+    if (!enforcePasswordPolicy(res, password, user)) {
+      return;
+    }
+    
+    // Consume the token and set the new password (bumps tokenVersion)
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    
+    // The emailed link proves ownership of the address
+    user.isEmailVerified = true;
+    
+    await user.save();
+    await RefreshToken.revokeAllForUser(user._id, 'password-change');
+    
+    try {
+      await mailService.sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password changed email failed:', mailError.message);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please login with your new password.'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get current logged in user
  * @route   GET /api/auth/me
@@ -134,7 +842,7 @@ exports.getMe = async (req, res, next) => {
     const user = await User.findById(req.user.id);
     
     // Get health profile if exists
-    const healthProfile = await HealthProfile.findOne({ user: req.user.id });
+    const healthProfile = await HealthProfile.findOne(HealthProfile.scopeFilter(req.user.id));
     
     res.status(200).json({
       success: true,
@@ -150,14 +858,161 @@ exports.getMe = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user (client-side token removal)
+ * @desc    Get the user's recent login activity
+ * @route   GET /api/auth/security-activity
+ * @access  Private
+ */
+exports.getSecurityActivity = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    
+    const [events, total, user] = await Promise.all([
+      LoginHistory.getUserActivity(req.user.id, limit, (page - 1) * limit),
+      LoginHistory.countDocuments({ user: req.user.id }),
+      User.findById(req.user.id)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: {
+        events,
+        pagination: { page, limit, total },
+        account: {
+          lastLogin: user.lastLogin,
+          failedLoginAttempts: user.failedLoginAttempts,
+          lockedUntil: user.isLocked() ? user.lockUntil : null
+        }
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the user's active sessions (devices)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      tokenVersion: req.user.tokenVersion,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: { sessions: sessions.map(session => session.toSummary(req.sessionId)) }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sign out one session
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+    
+    if (!session || !session.isActiveFor(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    await TokenService.revokeSession(session, 'revoked');
+    
+    res.status(200).json({
+      success: true,
+      message: session._id.equals(req.sessionId) ? 'You have been signed out' : 'Session signed out'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sign out every session except the current one
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    if (!req.sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please login again to manage your other sessions'
+      });
+    }
+    
+    const others = await Session.find({
+      user: req.user.id,
+      _id: { $ne: req.sessionId },
+      revokedAt: null
+    });
+    
+    await Promise.all(others.map(session => TokenService.revokeSession(session, 'revoked')));
+    
+    res.status(200).json({
+      success: true,
+      message: `Signed out of ${others.length} other session${others.length === 1 ? '' : 's'}`,
+      data: { revoked: others.length }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check a candidate password against the policy (live strength meter)
+ * @route   POST /api/auth/password-strength
+ * @access  Public (uses the account's name/email when authenticated)
+ */
+exports.checkPasswordStrength = async (req, res, next) => {
+  try {
+    const { password, email, fullName } = req.body;
+    const context = req.user || { email, fullName };
+    
+    res.status(200).json({
+      success: true,
+      data: evaluatePassword(password, context)
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout: end the current session, or every session with { allDevices: true }
  * @route   POST /api/auth/logout
  * @access  Private
  */
 exports.logout = async (req, res, next) => {
   try {
-    // In a JWT system, logout is primarily client-side
-    // Server can optionally implement token blacklisting
+    const session = req.sessionId && await Session.findById(req.sessionId);
+    
+    // Tokens from before the session registry cannot be told apart - end them all
+    if (req.body?.allDevices || !session) {
+      await TokenService.revokeAllSessions(req.user, 'logout');
+    } else {
+      await TokenService.revokeSession(session, 'logout');
+    }
     
     res.status(200).json({
       success: true,
@@ -199,13 +1054,32 @@ exports.updatePassword = async (req, res, next) => {
       });
     }
     
-    // Update password
+    if (newPassword === currentPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+    
+    if (!enforcePasswordPolicy(res, newPassword, user)) {
+      return;
+    }
+    
+    // Update password (bumps tokenVersion, invalidating every session)
     user.password = newPassword;
     await user.save();
+    await RefreshToken.revokeAllForUser(user._id, 'password-change');
+    
+    // Keep the current client signed in with a fresh token pair
+    const { token, refreshToken } = await TokenService.issueTokens(user, req);
     
     res.status(200).json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      data: {
+        token,
+        refreshToken
+      }
     });
     
   } catch (error) {
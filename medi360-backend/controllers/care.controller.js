@@ -0,0 +1,363 @@
+/**
+ * Care Relationship Controller
+ * Doctor-patient linking with patient-granted, scoped consent
+ */
+
+const CareRelationship = require('../models/CareRelationship.model');
+const User = require('../models/User.model');
+const mailService = require('../services/mail.service');
+
+/**
+ * Validate requested scopes
+ * @returns {string[]|null} Unique scopes, or null when any scope is unknown
+ */
+const parseScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return null;
+  }
+
+  const unique = [...new Set(scopes)];
+  return unique.every(scope => CareRelationship.SCOPES.includes(scope)) ? unique : null;
+};
+
+const invalidScopesResponse = (res) => res.status(400).json({
+  success: false,
+  message: `Provide at least one scope from: ${CareRelationship.SCOPES.join(', ')}`
+});
+
+/**
+ * Load a relationship the current user is part of
+ */
+const findOwnRelationship = async (req, res) => {
+  const relationship = await CareRelationship.findById(req.params.id);
+
+  if (!relationship || !relationship.involves(req.user.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Care relationship not found'
+    });
+    return null;
+  }
+
+  return relationship;
+};
+
+/**
+ * @desc    List the current user's care relationships
+ * @route   GET /api/care/relationships
+ * @access  Private
+ */
+exports.getRelationships = async (req, res, next) => {
+  try {
+    const filter = req.user.role === 'doctor'
+      ? { doctor: req.user.id }
+      : { patient: req.user.id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const relationships = await CareRelationship.find(filter)
+      .populate('patient', 'fullName email')
+      .populate('doctor', 'fullName email')
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: relationships.length,
+      data: { relationships }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Patient invites a doctor (doctor must accept)
+ * @route   POST /api/care/invitations
+ * @access  Private (patient)
+ */
+exports.inviteDoctor = async (req, res, next) => {
+  try {
+    const { doctorEmail, message } = req.body;
+    const scopes = parseScopes(req.body.scopes);
+
+    if (!doctorEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Doctor email is required'
+      });
+    }
+
+    if (!scopes) {
+      return invalidScopesResponse(res);
+    }
+
+    const doctor = await User.findOne({ email: doctorEmail.toLowerCase(), role: 'doctor', isActive: true });
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active doctor account found for that email'
+      });
+    }
+
+    if (await CareRelationship.findOpen(doctor._id, req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pending or active relationship with this doctor already exists'
+      });
+    }
+
+    const relationship = await CareRelationship.create({
+      patient: req.user.id,
+      doctor: doctor._id,
+      initiatedBy: 'patient',
+      scopes,
+      message
+    });
+
+    try {
+      await mailService.sendCareRequestEmail(doctor, req.user, 'invitation');
+    } catch (mailError) {
+      console.error('Care invitation email failed:', mailError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent to doctor',
+      data: { relationship }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Doctor requests access to a patient (patient must approve)
+ * @route   POST /api/care/requests
+ * @access  Private (doctor)
+ */
+exports.requestPatientAccess = async (req, res, next) => {
+  try {
+    const { patientEmail, message } = req.body;
+    const scopes = parseScopes(req.body.scopes);
+
+    if (!patientEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient email is required'
+      });
+    }
+
+    if (!scopes) {
+      return invalidScopesResponse(res);
+    }
+
+    const patient = await User.findOne({ email: patientEmail.toLowerCase(), role: 'patient', isActive: true });
+
+    // Same response whether or not the patient exists, so doctors cannot probe for accounts
+    if (patient && !(await CareRelationship.findOpen(req.user.id, patient._id))) {
+      await CareRelationship.create({
+        patient: patient._id,
+        doctor: req.user.id,
+        initiatedBy: 'doctor',
+        scopes,
+        message
+      });
+
+      try {
+        await mailService.sendCareRequestEmail(patient, req.user, 'request');
+      } catch (mailError) {
+        console.error('Care request email failed:', mailError.message);
+      }
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'If a patient account exists for that email, they have been asked to approve your request'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Patient approves a doctor's request (optionally narrowing scopes)
+ * @route   PUT /api/care/relationships/:id/approve
+ * @access  Private (patient)
+ */
+exports.approveRequest = async (req, res, next) => {
+  try {
+    const relationship = await findOwnRelationship(req, res);
+    if (!relationship) return;
+
+    if (!relationship.patient.equals(req.user.id) || relationship.initiatedBy !== 'doctor' || relationship.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending doctor requests can be approved by the patient'
+      });
+    }
+
+    if (req.body.scopes !== undefined) {
+      const scopes = parseScopes(req.body.scopes);
+      if (!scopes) {
+        return invalidScopesResponse(res);
+      }
+      relationship.scopes = scopes;
+    }
+
+    relationship.status = 'active';
+    relationship.respondedAt = new Date();
+    relationship.activatedAt = new Date();
+    await relationship.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Doctor access approved',
+      data: { relationship }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Doctor accepts a patient's invitation
+ * @route   PUT /api/care/relationships/:id/accept
+ * @access  Private (doctor)
+ */
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const relationship = await findOwnRelationship(req, res);
+    if (!relationship) return;
+
+    if (!relationship.doctor.equals(req.user.id) || relationship.initiatedBy !== 'patient' || relationship.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending patient invitations can be accepted by the doctor'
+      });
+    }
+
+    relationship.status = 'active';
+    relationship.respondedAt = new Date();
+    relationship.activatedAt = new Date();
+    await relationship.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted',
+      data: { relationship }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Decline a pending invitation or request
+ * @route   PUT /api/care/relationships/:id/decline
+ * @access  Private
+ */
+exports.declineRelationship = async (req, res, next) => {
+  try {
+    const relationship = await findOwnRelationship(req, res);
+    if (!relationship) return;
+
+    // Only the party who did not start it can decline
+    const responder = relationship.initiatedBy === 'doctor' ? relationship.patient : relationship.doctor;
+
+    if (relationship.status !== 'pending' || !responder.equals(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending relationships addressed to you can be declined'
+      });
+    }
+
+    relationship.status = 'declined';
+    relationship.respondedAt = new Date();
+    await relationship.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Care relationship declined',
+      data: { relationship }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Patient changes the scopes granted to a doctor
+ * @route   PUT /api/care/relationships/:id/scopes
+ * @access  Private (patient)
+ */
+exports.updateScopes = async (req, res, next) => {
+  try {
+    const relationship = await findOwnRelationship(req, res);
+    if (!relationship) return;
+
+    if (!relationship.patient.equals(req.user.id) || !['pending', 'active'].includes(relationship.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the patient can change scopes of an open relationship'
+      });
+    }
+
+    const scopes = parseScopes(req.body.scopes);
+    if (!scopes) {
+      return invalidScopesResponse(res);
+    }
+
+    relationship.scopes = scopes;
+    await relationship.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Access scopes updated',
+      data: { relationship }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a relationship (either party, effective immediately)
+ * @route   PUT /api/care/relationships/:id/revoke
+ * @access  Private
+ */
+exports.revokeRelationship = async (req, res, next) => {
+  try {
+    const relationship = await findOwnRelationship(req, res);
+    if (!relationship) return;
+
+    if (!['pending', 'active'].includes(relationship.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Relationship is already ${relationship.status}`
+      });
+    }
+
+    await relationship.revoke(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Care relationship revoked',
+      data: { relationship }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = exports;
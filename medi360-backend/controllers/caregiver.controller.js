@@ -0,0 +1,263 @@
+/**
+ * Caregiver Controller
+ * Patients delegate access to family members or other trusted users
+ *
+ * Delegated reads and writes go through the health profile and chat
+ * handlers on caregiver routes (see routes/caregiver.routes.js); this
+ * controller only manages the grants themselves.
+ */
+
+const CaregiverGrant = require('../models/CaregiverGrant.model');
+const User = require('../models/User.model');
+const mailService = require('../services/mail.service');
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * Validate requested permissions
+ * @returns {string[]|null} Unique permissions, or null when any permission is unknown
+ */
+const parsePermissions = (permissions) => {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return null;
+  }
+
+  const unique = [...new Set(permissions)];
+  return unique.every(permission => CaregiverGrant.PERMISSIONS.includes(permission)) ? unique : null;
+};
+
+const invalidPermissionsResponse = (res) => res.status(400).json({
+  success: false,
+  message: `Provide at least one permission from: ${CaregiverGrant.PERMISSIONS.join(', ')}`
+});
+
+/**
+ * Parse expiresInDays into an expiry date
+ * @returns {Date|null} null when out of range
+ */
+const parseExpiry = (expiresInDays = DEFAULT_EXPIRY_DAYS) => {
+  const days = parseInt(expiresInDays);
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    return null;
+  }
+
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+const invalidExpiryResponse = (res) => res.status(400).json({
+  success: false,
+  message: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`
+});
+
+// API representation, from the point of view of the current user
+const toSummary = (grant) => ({
+  id: grant._id,
+  patient: grant.patient,
+  caregiver: grant.caregiver,
+  permissions: grant.permissions,
+  note: grant.note,
+  expiresAt: grant.expiresAt,
+  revokedAt: grant.revokedAt,
+  createdAt: grant.createdAt,
+  active: grant.isActive()
+});
+
+/**
+ * Load a grant the current user is part of
+ */
+const findOwnGrant = async (req, res) => {
+  const grant = await CaregiverGrant.findById(req.params.id);
+
+  if (!grant || !grant.involves(req.user._id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Caregiver grant not found'
+    });
+    return null;
+  }
+
+  return grant;
+};
+
+/**
+ * @desc    List grants the user has given (as patient) and received (as caregiver)
+ * @route   GET /api/caregivers/grants
+ * @access  Private
+ */
+exports.getGrants = async (req, res, next) => {
+  try {
+    const [given, received] = await Promise.all([
+      CaregiverGrant.find({ patient: req.user.id })
+        .populate('caregiver', 'fullName email')
+        .sort({ createdAt: -1 }),
+      CaregiverGrant.find({ caregiver: req.user.id })
+        .populate('patient', 'fullName email')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        given: given.map(toSummary),
+        received: received.map(toSummary)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Patient grants caregiver access to another user
+ * @route   POST /api/caregivers/grants
+ * @access  Private (patient)
+ */
+exports.createGrant = async (req, res, next) => {
+  try {
+    const { caregiverEmail, note } = req.body;
+    const permissions = parsePermissions(req.body.permissions);
+    const expiresAt = parseExpiry(req.body.expiresInDays);
+
+    if (!caregiverEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Caregiver email is required'
+      });
+    }
+
+    if (!permissions) {
+      return invalidPermissionsResponse(res);
+    }
+
+    if (!expiresAt) {
+      return invalidExpiryResponse(res);
+    }
+
+    const caregiver = await User.findOne({ email: caregiverEmail.toLowerCase(), isActive: true });
+
+    if (!caregiver) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active MEDI-360 account found for that email'
+      });
+    }
+
+    if (caregiver._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot make yourself your own caregiver'
+      });
+    }
+
+    if (await CaregiverGrant.findOpen(caregiver._id, req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This person already has active caregiver access. Update it instead.'
+      });
+    }
+
+    const grant = await CaregiverGrant.create({
+      patient: req.user.id,
+      caregiver: caregiver._id,
+      permissions,
+      note,
+      expiresAt
+    });
+
+    try {
+      await mailService.sendCaregiverGrantEmail(caregiver, req.user, grant);
+    } catch (mailError) {
+      console.error('Caregiver grant email failed:', mailError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${caregiver.fullName} is now your caregiver`,
+      data: { grant: toSummary(grant) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Patient changes the permissions or expiry of an active grant
+ * @route   PUT /api/caregivers/grants/:id
+ * @access  Private (patient)
+ */
+exports.updateGrant = async (req, res, next) => {
+  try {
+    const grant = await findOwnGrant(req, res);
+    if (!grant) return;
+
+    if (!grant.patient.equals(req.user._id) || !grant.isActive()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the patient can change an active grant'
+      });
+    }
+
+    if (req.body.permissions !== undefined) {
+      const permissions = parsePermissions(req.body.permissions);
+      if (!permissions) {
+        return invalidPermissionsResponse(res);
+      }
+      grant.permissions = permissions;
+    }
+
+    if (req.body.expiresInDays !== undefined) {
+      const expiresAt = parseExpiry(req.body.expiresInDays);
+      if (!expiresAt) {
+        return invalidExpiryResponse(res);
+      }
+      grant.expiresAt = expiresAt;
+    }
+
+    await grant.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Caregiver access updated',
+      data: { grant: toSummary(grant) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a grant (the patient, or the caregiver stepping down)
+ * @route   PUT /api/caregivers/grants/:id/revoke
+ * @access  Private
+ */
+exports.revokeGrant = async (req, res, next) => {
+  try {
+    const grant = await findOwnGrant(req, res);
+    if (!grant) return;
+
+    if (!grant.isActive()) {
+      return res.status(400).json({
+        success: false,
+        message: `Caregiver access has already ${grant.revokedAt ? 'been revoked' : 'expired'}`
+      });
+    }
+
+    await grant.revoke(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Caregiver access revoked',
+      data: { grant: toSummary(grant) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = exports;
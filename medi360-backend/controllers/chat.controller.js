@@ -1,38 +1,61 @@
 /**
  * MEDI-360 Chat Controller
- * ENGINE: Gemini 2.5 Flash (Proven to work)
+ * ENGINE: LLM fallback chain (services/llm.service.js - Gemini by default)
  * FORMAT: Clean Text & Emojis (No ugly hashes)
  */
 
 const ChatSession = require('../models/ChatSession.model');
 const HealthProfile = require('../models/HealthProfile.model');
+const AuditService = require('../services/audit.service');
+const llmService = require('../services/llm.service');
+const ConversationContextService = require('../services/conversationContext.service');
+const PatientContextService = require('../services/patientContext.service');
+const MedicalAIService = require('../services/medicalAI.service');
+const ReplyEnvelopeService = require('../services/replyEnvelope.service');
+const { DisplayTextStream } = ReplyEnvelopeService;
+const LLMError = require('../utils/llmError');
+const { LANGUAGES, detectLanguage, isSupportedLanguage } = require('../utils/language');
+const { chatTemplates } = require('../utils/chatTemplates');
+
+// Sessions the request acts on (a caregiver acts on the delegating patient's own sessions)
+const sessionFilter = (req) => ChatSession.scopeFilter(req.patientId || req.user.id, req.profileId);
 
 // --- 1. Create Session ---
 exports.createSession = async (req, res, next) => {
   try {
-    const { sessionType } = req.body;
+    const { sessionType, language } = req.body;
+    
+    if (language !== undefined && !isSupportedLanguage(language)) {
+      return res.status(400).json({
+        success: false,
+        message: `Language must be one of: ${Object.keys(LANGUAGES).join(', ')}`
+      });
+    }
     
     const session = await ChatSession.create({
-      user: req.user.id,
+      user: req.patientId || req.user.id,
+      profile: req.profileId,
+      startedBy: req.user.id,
       sessionType: sessionType || 'symptom-check',
-      sessionTitle: `Medical Consultation - ${new Date().toLocaleDateString()}`
+      sessionTitle: `Medical Consultation - ${new Date().toLocaleDateString()}`,
+      // Explicit choice, else the language of whoever opens the session (patient or caregiver)
+      language: language || req.user.preferences?.locale || 'en'
     });
     
     // Clean Welcome Message
-    const welcomeMessage = `Hello! 👋 I'm your MEDI-360 AI assistant.
-
-I can help you with:
-🩺 Checking Symptoms
-💊 Home Remedies
-🚑 When to see a Doctor
-
-Please describe what you're feeling in detail.`;
+    const welcomeMessage = chatTemplates(session.language).welcome;
     
     await session.addMessage('system', welcomeMessage, { 
       aiPowered: true,
       provider: 'MEDI-360 AI'
     });
     
+    await AuditService.record(req, {
+      action: 'chat-session.create',
+      resourceType: 'ChatSession',
+      resourceId: session._id
+    });
+    
     res.status(201).json({ success: true, data: { session } });
   } catch (error) { next(error); }
 };
@@ -45,50 +68,56 @@ exports.sendMessage = async (req, res, next) => {
     
     if (!message?.trim()) return res.status(400).json({ success: false, message: 'Message is required' });
     
-    const session = await ChatSession.findOne({ _id: sessionId, user: req.user.id });
+    const session = await ChatSession.findOne({ _id: sessionId, ...sessionFilter(req) });
     if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
     
-    await session.addMessage('user', message);
-    const healthProfile = await HealthProfile.findOne({ user: req.user.id });
+    const healthProfile = await HealthProfile.findOne(HealthProfile.scopeFilter(session.user, session.profile));
+    const patient = PatientContextService.build(healthProfile);
+    
+    // --- RULE-BASED TRIAGE (deterministic, before any AI) ---
+    const triage = MedicalAIService.triage(message, healthProfile);
+    const language = followLanguage(session, message);
+    await session.addMessage('user', message, { sentBy: req.user.id, symptomFindings: triage.findings, language });
     
-    // --- CALL REAL AI (Gemini 2.5) ---
+    // --- CALL REAL AI (provider chain) ---
     let aiResponse;
-    try {
-      // Trying Gemini 2.5 Flash first (It worked for you before)
-      aiResponse = await callGeminiClean(message, session, healthProfile, 'gemini-2.5-flash');
-    } catch (error) {
-      console.error("Gemini 2.5 Failed:", error.message);
+    let provider = 'MEDI-360 Local';
+    let llmAnswered = false;
+    let reply = null;
+    if (triage.emergencyDetected) {
+      // Hard emergency rules answer on their own - no waiting on (or second-guessing by) the LLM
+      aiResponse = formatEmergencyReply(triage, session.language);
+      provider = 'MEDI-360 Triage';
+    } else {
       try {
-        // Fallback to Gemini 1.5 if 2.5 hiccups
-        console.log("Retrying with Gemini 1.5...");
-        aiResponse = await callGeminiClean(message, session, healthProfile, 'gemini-1.5-flash');
-      } catch (backupError) {
-        console.log("⚠️ API Failed, switching to Local Backup...");
-        aiResponse = generateSmartLocalResponse(message);
+        const context = await ConversationContextService.build(session);
+        const generated = await llmService.generate(buildPrompt(context, patient, session.language));
+        reply = await ReplyEnvelopeService.resolve(generated.text);
+        if (!reply.text) {
+          throw new LLMError('Reply had no usable text', { code: 'bad-response', provider: generated.provider, model: generated.model });
+        }
+        aiResponse = reply.text;
+        provider = `${generated.provider}:${generated.model}`;
+        llmAnswered = true;
+      } catch (error) {
+        console.warn('LLM reply failed, answering locally:', describeLLMFailure(error));
+        aiResponse = generateSmartLocalResponse(message, triage, session.language);
+        reply = null;
       }
     }
     
-    const symptoms = extractSymptoms(message);
-    const severity = detectSeverity(aiResponse);
-    const isEmergency = detectEmergency(aiResponse);
-    
-    await session.addMessage('assistant', aiResponse, {
-      severity,
-      identifiedSymptoms: symptoms,
-      aiPowered: true,
-      provider: 'Gemini Clean'
+    const analysis = await recordReply(req, session, {
+      healthProfile,
+      profileFields: llmAnswered ? patient.fields : TRIAGE_PROFILE_FIELDS,
+      aiResponse,
+      triage,
+      envelope: reply?.envelope,
+      metadata: { aiPowered: llmAnswered, provider, ...(reply && { outputFormat: reply.outputFormat }) }
     });
     
-    if (isEmergency) session.summary.emergencyFlagged = true;
-    session.summary.overallSeverity = severity;
-    await session.save();
-    
     res.json({
       success: true,
-      data: {
-        message: aiResponse,
-        analysis: { severity, emergency: isEmergency, symptoms }
-      }
+      data: { message: aiResponse, analysis }
     });
     
   } catch (error) {
@@ -97,23 +126,238 @@ exports.sendMessage = async (req, res, next) => {
   }
 };
 
-// --- 3. The "Clean Text" Prompt Engine ---
-async function callGeminiClean(userMessage, session, healthProfile, modelName) {
-  const API_KEY = process.env.GEMINI_API_KEY;
-  if (!API_KEY) throw new Error("GEMINI_API_KEY is missing");
+// --- 3. Stream Message (Server-Sent Events) ---
+// Same flow as sendMessage, but the reply is pushed to the client as it is generated:
+//   event: token  data: { text }                  - next chunk of the reply (displayText of the JSON envelope)
+//   event: done   data: { message, analysis }     - reply complete and saved; message is authoritative
+//                                                   (it differs from the tokens when the envelope had to be repaired)
+//   event: error  data: { message, partial }      - generation failed; partial text is still saved
+// Closing the connection stops generation; whatever was produced so far is saved as incomplete.
+exports.streamMessage = async (req, res, next) => {
+  let session;
+  let healthProfile;
+  let patient;
+  let triage;
+  const { message } = req.body;
+  
+  try {
+    if (!message?.trim()) return res.status(400).json({ success: false, message: 'Message is required' });
+    
+    session = await ChatSession.findOne({ _id: req.params.sessionId, ...sessionFilter(req) });
+    if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+    
+    healthProfile = await HealthProfile.findOne(HealthProfile.scopeFilter(session.user, session.profile));
+    patient = PatientContextService.build(healthProfile);
+    triage = MedicalAIService.triage(message, healthProfile);
+    const language = followLanguage(session, message);
+    await session.addMessage('user', message, { sentBy: req.user.id, symptomFindings: triage.findings, language });
+  } catch (error) { return next(error); }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => {
+    if (!res.writableEnded && !res.destroyed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // Stop paying for tokens nobody will read
+  const upstream = new AbortController();
+  res.on('close', () => upstream.abort());
+  
+  // Comment lines keep proxies from timing out an idle stream while the model thinks
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded && !res.destroyed) res.write(': keep-alive\n\n');
+  }, STREAM_HEARTBEAT_MS);
+  
+  let aiResponse = '';
+  let complete = false;
+  let provider = 'MEDI-360 Local';
+  let llmAnswered = false;
+  let llmFailure = null;
+  let reply = null;
+  const emit = (text) => {
+    aiResponse += text;
+    send('token', { text });
+  };
+  
+  // The model streams a JSON envelope; only its displayText goes to the client
+  const display = new DisplayTextStream();
+  const emitDisplayText = (chunk) => {
+    const text = display.push(chunk);
+    if (text) emit(text);
+  };
+  
+  try {
+    if (triage.emergencyDetected) {
+      emit(formatEmergencyReply(triage, session.language));
+      provider = 'MEDI-360 Triage';
+      complete = true;
+    } else {
+      try {
+        const context = await ConversationContextService.build(session, { signal: upstream.signal });
+        const streamed = await llmService.stream(buildPrompt(context, patient, session.language), emitDisplayText, { signal: upstream.signal });
+        reply = await ReplyEnvelopeService.resolve(streamed.text, { signal: upstream.signal });
+        if (!reply.text) {
+          throw new LLMError('Reply had no usable text', { code: 'bad-response', provider: streamed.provider, model: streamed.model });
+        }
+        aiResponse = reply.text;
+        provider = `${streamed.provider}:${streamed.model}`;
+        llmAnswered = true;
+        complete = true;
+      } catch (error) {
+        if (!(error instanceof LLMError)) throw error;
+        reply = null;
+        llmFailure = error;
+        if (error.partial) {
+          provider = `${error.provider}:${error.model}`;
+          llmAnswered = true;
+        }
+      }
+    }
+    
+    if (!aiResponse && !upstream.signal.aborted) {
+      console.warn('LLM reply failed, answering locally:', describeLLMFailure(llmFailure));
+      emit(generateSmartLocalResponse(message, triage, session.language));
+      complete = true;
+    }
+    
+    if (aiResponse) {
+      const analysis = await recordReply(req, session, {
+        healthProfile,
+        profileFields: llmAnswered ? patient.fields : TRIAGE_PROFILE_FIELDS,
+        aiResponse,
+        triage,
+        envelope: reply?.envelope,
+        metadata: {
+          aiPowered: llmAnswered,
+          provider,
+          ...(reply && { outputFormat: reply.outputFormat }),
+          ...(!complete && { incomplete: true })
+        }
+      });
+      
+      if (complete) {
+        send('done', { message: aiResponse, analysis });
+      } else if (!upstream.signal.aborted) {
+        send('error', { message: 'The AI reply was interrupted. Please try again.', partial: true });
+      }
+    }
+  } catch (error) {
+    console.error('Chat Stream Error:', error);
+    send('error', { message: 'Server error processing request', partial: !!aiResponse });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+};
+
+// Profile fields the rule engine reads when no LLM was involved
+const TRIAGE_PROFILE_FIELDS = ['age', 'knownConditions', 'currentMedications'];
 
-  // INSTRUCTION: Do NOT use Markdown (hashes/asterisks)
-  const systemPrompt = `You are MEDI-360, a professional Medical AI.
+/**
+ * Save the assistant reply, update the session summary and audit the exchange
+ * Severity is the higher of the rule engine's verdict and the LLM's. The LLM
+ * verdict comes from its validated reply envelope, so it only counts when an
+ * LLM answered and its output passed (or was repaired to pass) the contract;
+ * without one, symptoms and recommendations come from the rule engine.
+ */
+async function recordReply(req, session, { healthProfile, profileFields, aiResponse, triage, envelope, metadata }) {
+  // Canonical names either way, so analytics counts "feverish" and "fever" together
+  const symptoms = envelope?.identifiedSymptoms.length
+    ? [...new Set(envelope.identifiedSymptoms.map(symptom => MedicalAIService.canonicalSymptom(symptom)))]
+    : triage.identifiedSymptoms;
+  const recommendations = envelope?.recommendations.length ? envelope.recommendations : triage.recommendations;
+  const llmSeverity = envelope?.severity || null;
+  const severity = [triage.severity, llmSeverity].reduce(higherSeverity);
+  const isEmergency = severity === 'emergency';
+  
+  await session.addMessage('assistant', aiResponse, {
+    severity,
+    identifiedSymptoms: symptoms,
+    recommendations,
+    ...(envelope && {
+      redFlags: envelope.redFlags,
+      possibleConditions: envelope.possibleConditions,
+      referralRecommended: envelope.referralRecommended
+    }),
+    triage: {
+      rules: {
+        severity: triage.severity,
+        emergency: triage.emergencyDetected,
+        symptoms: triage.identifiedSymptoms,
+        matchedRules: triage.matchedRules,
+        possibleConditions: (triage.possibleConditions || []).map(pc => pc.condition)
+      },
+      ...(llmSeverity && { llm: { severity: llmSeverity, emergency: llmSeverity === 'emergency' } }),
+      shortCircuited: triage.emergencyDetected
+    },
+    ...metadata
+  });
   
-CONTEXT:
-Patient Age: ${healthProfile?.age || 'Unknown'}
+  if (isEmergency) session.summary.emergencyFlagged = true;
+  if (envelope?.referralRecommended) session.summary.referralRecommended = true;
+  if (envelope?.recommendations.length) {
+    session.summary.keyRecommendations = mergeRecommendations(envelope.recommendations, session.summary.keyRecommendations);
+  }
+  session.summary.overallSeverity = severity;
+  await session.save();
+  
+  await AuditService.record(req, {
+    action: 'chat-session.update',
+    resourceType: 'ChatSession',
+    resourceId: session._id,
+    fields: ['messages', 'summary']
+  });
+  if (healthProfile) {
+    await AuditService.record(req, {
+      action: 'health-profile.read',
+      resourceType: 'HealthProfile',
+      resourceId: healthProfile._id,
+      fields: profileFields
+    });
+  }
+  
+  return {
+    severity,
+    emergency: isEmergency,
+    symptoms,
+    recommendations,
+    redFlags: envelope?.redFlags || [],
+    possibleConditions: envelope?.possibleConditions || [],
+    referralRecommended: envelope?.referralRecommended ?? null,
+    triage: { rules: triage.severity, llm: llmSeverity, shortCircuited: triage.emergencyDetected }
+  };
+}
+
+// --- 4. The "Clean Text" Prompt Engine ---
+const STREAM_HEARTBEAT_MS = 15000;
 
+// Provider-neutral request for the LLM layer
+// context: { summary, messages } from ConversationContextService (ends with the new user message)
+// patient: { text } from PatientContextService
+// language: session language code (utils/language)
+function buildPrompt(context, patient, language = 'en') {
+  // INSTRUCTION: Do NOT use Markdown (hashes/asterisks) in displayText
+  const systemPrompt = `You are MEDI-360, a professional Medical AI.
+  
+PATIENT PROFILE:
+${patient.text}
+${context.summary ? `\nEARLIER IN THIS CONVERSATION:\n${context.summary}\n` : ''}
 INSTRUCTIONS:
-1. Analyze the symptoms.
-2. Respond in PLAIN TEXT only. 
+1. Analyze the symptoms in light of the patient profile.
+2. Write displayText in PLAIN TEXT only.
 3. Do NOT use markdown symbols like #, *, or **.
 4. Use Emojis for sections.
 5. Use "•" for bullet points.
+6. Never suggest a medicine the patient is allergic to, or one of the same class (e.g. no ibuprofen with an NSAID allergy). Mention interactions with their current medications, and account for pregnancy or breastfeeding.
+7. This is an ongoing conversation. Read follow-ups (e.g. "it's been three days now") as updates to what the patient already described, and answer the latest message.
+8. Reply with the JSON object described under OUTPUT CONTRACT. Its severity, red flags and referral must agree with what displayText tells the patient.
+9. Write displayText in ${LANGUAGES[language] || LANGUAGES.en}, in its native script, translating the section headings and disclaimer too. Keep the JSON keys and every other field in English (e.g. identifiedSymptoms: ["fever"]).
 
 REQUIRED OUTPUT FORMAT:
 
@@ -129,108 +373,127 @@ REQUIRED OUTPUT FORMAT:
 • [Symptom to watch for]
 
 ---
-Disclaimer: I am an AI. Please consult a doctor for a professional diagnosis.`;
+Disclaimer: I am an AI. Please consult a doctor for a professional diagnosis.
 
-  // Request Body
-  const requestBody = {
-    contents: [{
-      parts: [{ text: `SYSTEM INSTRUCTIONS:\n${systemPrompt}\n\nUSER MESSAGE:\n${userMessage}\n\nAI RESPONSE:` }]
-    }]
-  };
+OUTPUT CONTRACT:
+${ReplyEnvelopeService.contract}`;
 
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${API_KEY}`;
-  
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(requestBody)
-  });
+  return {
+    system: systemPrompt,
+    messages: context.messages,
+    json: true
+  };
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Status ${response.status} - ${errorText}`);
+// --- 5. Smart Local Backup (Clean Text) ---
+// Emergencies come from the same rule-based triage as the short-circuit, in every chat language
+function generateSmartLocalResponse(message, triage, language = 'en') {
+  if (triage.emergencyDetected) {
+    return formatEmergencyReply(triage, language);
   }
   
-  const data = await response.json();
-  return data.candidates[0].content.parts[0].text;
+  return chatTemplates(language).local.general(message);
 }
 
-// --- 4. Smart Local Backup (Clean Text) ---
-function generateSmartLocalResponse(message) {
-  const msg = message.toLowerCase();
+// Clean-text rendering of MedicalAIService.generateEmergencyResponse, in the session language
+// (symptom names stay canonical English)
+function formatEmergencyReply(analysis, language = 'en') {
+  const t = chatTemplates(language).emergency;
+  const steps = t.steps || analysis.recommendations;
   
-  if (msg.includes('chest') || msg.includes('pain') && msg.includes('left')) {
-    return `🚨 MEDICAL EMERGENCY
+  return `🚨 ${t.title}
 
-Possible heart issue detected.
+${t.urgentAction || analysis.urgentAction}
+${t.reported}: ${analysis.identifiedSymptoms.join(', ')}
 
-🚑 ACTION PLAN
-• Call 108/911 immediately.
-• Do not drive yourself.
-• Sit down and rest.
+📞 ${t.number}: ${t.emergencyNumber || analysis.emergencyNumber}
 
----
-Please treat this as an emergency.`;
-  }
-  
-  return `🩺 SYMPTOM ANALYSIS
-I have noted your symptoms: "${message}".
+🚑 ${t.whatToDo}
+${steps.map(rec => `• ${rec.replace(/^🚨\s*/, '')}`).join('\n')}
 
-💊 GENERAL ADVICE
-• Rest: Allow your body to recover.
-• Hydrate: Drink plenty of water.
-• Monitor: Watch for fever or worsening pain.
+---
+${t.disclaimer || analysis.disclaimer}`;
+}
 
-⚠️ WHEN TO SEE A DOCTOR
-• If symptoms persist > 24 hours.
-• If pain becomes severe.
+// --- 6. Helpers ---
 
----
-Disclaimer: This is an AI assessment.`;
+// Answer in the language the patient writes in: a message clearly in another
+// supported language switches the session (saved with the message)
+function followLanguage(session, message) {
+  const detected = detectLanguage(message);
+  if (detected) session.language = detected;
+  return detected;
 }
 
-// --- 5. Helpers ---
-function extractSymptoms(message) {
-  const commonSymptoms = ['fever', 'headache', 'pain', 'cough', 'nausea', 'vomiting', 'dizzy', 'tired', 'chest pain', 'rash'];
-  return commonSymptoms.filter(s => message.toLowerCase().includes(s));
+// Newest first, without repeats, capped for the session summary
+const MAX_KEY_RECOMMENDATIONS = 10;
+
+function mergeRecommendations(latest, existing = []) {
+  const seen = new Set();
+  return [...latest, ...existing].filter(recommendation => {
+    const key = recommendation.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, MAX_KEY_RECOMMENDATIONS);
 }
 
-function detectSeverity(text) {
-  const lower = text.toLowerCase();
-  if (lower.includes('emergency') || lower.includes('call 911') || lower.includes('call 108')) return 'emergency';
-  if (lower.includes('seek medical') || lower.includes('consult a doctor')) return 'moderate';
-  return 'low';
+// Why the LLM gave no reply, with the per-provider outcomes of an exhausted chain
+// (LLMService logs each failed attempt in full)
+function describeLLMFailure(error) {
+  if (!error) return 'no reply';
+  const attempts = (error.attempts || []).map(attempt => `${attempt.provider}:${attempt.model} ${attempt.code}`);
+  return `${error.code || error.name} - ${error.message}${attempts.length ? ` [${attempts.join(', ')}]` : ''}`;
 }
 
-function detectEmergency(text) { return detectSeverity(text) === 'emergency'; }
+const SEVERITY_LEVELS = ['low', 'moderate', 'high', 'emergency'];
 
-// --- 6. Other Routes ---
+function higherSeverity(a, b) {
+  if (!b) return a;
+  if (!a) return b;
+  return SEVERITY_LEVELS.indexOf(b) > SEVERITY_LEVELS.indexOf(a) ? b : a;
+}
+
+// --- 7. Other Routes ---
 exports.getSession = async (req, res, next) => {
   try {
-    const session = await ChatSession.findOne({ _id: req.params.sessionId, user: req.user.id });
+    const session = await ChatSession.findOne({ _id: req.params.sessionId, ...sessionFilter(req) });
     if (!session) return res.status(404).json({ success: false, message: 'Not found' });
+    await AuditService.record(req, { action: 'chat-session.read', resourceType: 'ChatSession', resourceId: session._id });
     res.json({ success: true, data: { session } });
   } catch (error) { next(error); }
 };
 
 exports.getUserSessions = async (req, res, next) => {
   try {
-    const sessions = await ChatSession.find({ user: req.user.id }).sort({ lastMessageAt: -1 }).limit(10);
+    const sessions = await ChatSession.find(sessionFilter(req)).sort({ lastMessageAt: -1 }).limit(10);
+    await AuditService.record(req, { action: 'chat-session.list', resourceType: 'ChatSession' });
     res.json({ success: true, count: sessions.length, data: { sessions } });
   } catch (error) { next(error); }
 };
 
 exports.completeSession = async (req, res, next) => {
   try {
-    const session = await ChatSession.findOne({ _id: req.params.sessionId, user: req.user.id });
-    if (session) await session.completeSession();
+    const session = await ChatSession.findOne({ _id: req.params.sessionId, ...sessionFilter(req) });
+    if (session) {
+      await session.completeSession();
+      await AuditService.record(req, {
+        action: 'chat-session.update',
+        resourceType: 'ChatSession',
+        resourceId: session._id,
+        fields: ['status', 'summary']
+      });
+    }
     res.json({ success: true, message: 'Session completed' });
   } catch (error) { next(error); }
 };
 
 exports.deleteSession = async (req, res, next) => {
   try {
-    await ChatSession.findOneAndDelete({ _id: req.params.sessionId, user: req.user.id });
+    const session = await ChatSession.findOneAndDelete({ _id: req.params.sessionId, ...sessionFilter(req) });
+    if (session) {
+      await AuditService.record(req, { action: 'chat-session.delete', resourceType: 'ChatSession', resourceId: session._id });
+    }
     res.json({ success: true, message: 'Session deleted' });
   } catch (error) { next(error); }
 };
\ No newline at end of file
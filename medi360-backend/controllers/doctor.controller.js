@@ -0,0 +1,146 @@
+/**
+ * Doctor Controller
+ * Read-only access to patient data covered by active care consent
+ *
+ * Every patient route is guarded by requireCareConsent(scope), which
+ * sets req.patientId - handlers never trust the URL param directly.
+ * Consent covers the patient's own profile, not family members they manage.
+ * Every patient record served is written to the audit log.
+ */
+
+const CareRelationship = require('../models/CareRelationship.model');
+const HealthProfile = require('../models/HealthProfile.model');
+const ChatSession = require('../models/ChatSession.model');
+const AuditService = require('../services/audit.service');
+
+/**
+ * @desc    List patients with active consent
+ * @route   GET /api/doctor/patients
+ * @access  Private (doctor)
+ */
+exports.getPatients = async (req, res, next) => {
+  try {
+    const relationships = await CareRelationship.find({ doctor: req.user.id, status: 'active' })
+      .populate('patient', 'fullName email')
+      .sort({ activatedAt: -1 });
+
+    const patients = relationships
+      .filter(relationship => relationship.patient)
+      .map(relationship => ({
+        relationshipId: relationship._id,
+        patient: relationship.patient,
+        scopes: relationship.scopes,
+        activatedAt: relationship.activatedAt
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: patients.length,
+      data: { patients }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a patient's health profile
+ * @route   GET /api/doctor/patients/:patientId/profile
+ * @access  Private (doctor, consent scope profile:read)
+ */
+exports.getPatientProfile = async (req, res, next) => {
+  try {
+    const profile = await HealthProfile.findOne(HealthProfile.scopeFilter(req.patientId))
+      .populate('user', 'fullName email');
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient has not created a health profile'
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'health-profile.read',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        profile,
+        riskSummary: profile.getHealthRiskSummary()
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List a patient's chat sessions (without messages)
+ * @route   GET /api/doctor/patients/:patientId/chat-sessions
+ * @access  Private (doctor, consent scope chat:read)
+ */
+exports.getPatientSessions = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const sessions = await ChatSession.find(ChatSession.scopeFilter(req.patientId))
+      .sort({ lastMessageAt: -1 })
+      .limit(limit)
+      .select('sessionTitle sessionType summary status startedAt lastMessageAt');
+
+    await AuditService.record(req, {
+      action: 'chat-session.list',
+      resourceType: 'ChatSession',
+      fields: ['sessionTitle', 'sessionType', 'summary', 'status']
+    });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: { sessions }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single chat session of a patient
+ * @route   GET /api/doctor/patients/:patientId/chat-sessions/:sessionId
+ * @access  Private (doctor, consent scope chat:read)
+ */
+exports.getPatientSession = async (req, res, next) => {
+  try {
+    const session = await ChatSession.findOne({ _id: req.params.sessionId, ...ChatSession.scopeFilter(req.patientId) });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat session not found'
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'chat-session.read',
+      resourceType: 'ChatSession',
+      resourceId: session._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { session }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = exports;
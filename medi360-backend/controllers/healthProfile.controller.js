@@ -1,9 +1,25 @@
 /**
  * Health Profile Controller
  * Manages user health information and medical history
+ * Every read and write is recorded in the audit log
+ *
+ * An account owns its own ('self') profile plus dependent family profiles.
+ * Handlers act on the profile chosen by resolveProfile (req.profileId).
+ * Read and medication handlers are also mounted on caregiver routes, where
+ * requireCaregiverPermission sets req.patientId to the delegating patient.
  */
 
 const HealthProfile = require('../models/HealthProfile.model');
+const ChatSession = require('../models/ChatSession.model');
+const AuditService = require('../services/audit.service');
+
+const MAX_DEPENDENTS = 10;
+
+// Never taken from the request body on update
+const OWNERSHIP_FIELDS = ['_id', 'user', 'relationship'];
+
+// Profile the request acts on (a caregiver acts on the delegating patient's own profile)
+const profileFilter = (req) => HealthProfile.scopeFilter(req.patientId || req.user.id, req.profileId);
 
 /**
  * @desc    Create health profile
@@ -13,7 +29,7 @@ const HealthProfile = require('../models/HealthProfile.model');
 exports.createProfile = async (req, res, next) => {
   try {
     // Check if profile already exists
-    const existingProfile = await HealthProfile.findOne({ user: req.user.id });
+    const existingProfile = await HealthProfile.findOne(profileFilter(req));
     
     if (existingProfile) {
       return res.status(400).json({
@@ -24,12 +40,20 @@ exports.createProfile = async (req, res, next) => {
     
     // Create new profile
     const profileData = {
+      ...req.body,
       user: req.user.id,
-      ...req.body
+      relationship: 'self'
     };
     
     const profile = await HealthProfile.create(profileData);
     
+    await AuditService.record(req, {
+      action: 'health-profile.create',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id,
+      fields: AuditService.fieldsOf(req.body)
+    });
+    
     res.status(201).json({
       success: true,
       message: 'Health profile created successfully',
@@ -48,7 +72,7 @@ exports.createProfile = async (req, res, next) => {
  */
 exports.getProfile = async (req, res, next) => {
   try {
-    const profile = await HealthProfile.findOne({ user: req.user.id })
+    const profile = await HealthProfile.findOne(profileFilter(req))
       .populate('user', 'fullName email');
     
     if (!profile) {
@@ -58,6 +82,12 @@ exports.getProfile = async (req, res, next) => {
       });
     }
     
+    await AuditService.record(req, {
+      action: 'health-profile.read',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id
+    });
+    
     res.status(200).json({
       success: true,
       data: { profile }
@@ -75,7 +105,7 @@ exports.getProfile = async (req, res, next) => {
  */
 exports.updateProfile = async (req, res, next) => {
   try {
-    let profile = await HealthProfile.findOne({ user: req.user.id });
+    let profile = await HealthProfile.findOne(profileFilter(req));
     
     if (!profile) {
       return res.status(404).json({
@@ -86,16 +116,28 @@ exports.updateProfile = async (req, res, next) => {
     
     // Update fields
     Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
+      if (req.body[key] !== undefined && !OWNERSHIP_FIELDS.includes(key)) {
         profile[key] = req.body[key];
       }
     });
     
+    // A dependent can be re-labelled, but never turned into the account holder
+    if (req.profileId && req.body.relationship && req.body.relationship !== 'self') {
+      profile.relationship = req.body.relationship;
+    }
+    
     profile.lastReviewedBy = req.user.id;
     profile.lastReviewedAt = new Date();
     
     await profile.save();
     
+    await AuditService.record(req, {
+      action: 'health-profile.update',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id,
+      fields: AuditService.fieldsOf(req.body)
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Health profile updated successfully',
@@ -114,7 +156,7 @@ exports.updateProfile = async (req, res, next) => {
  */
 exports.getRiskSummary = async (req, res, next) => {
   try {
-    const profile = await HealthProfile.findOne({ user: req.user.id });
+    const profile = await HealthProfile.findOne(profileFilter(req));
     
     if (!profile) {
       return res.status(404).json({
@@ -123,6 +165,13 @@ exports.getRiskSummary = async (req, res, next) => {
       });
     }
     
+    await AuditService.record(req, {
+      action: 'health-profile.read',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id,
+      fields: ['bmi', 'lifestyle', 'knownConditions']
+    });
+    
     const riskSummary = profile.getHealthRiskSummary();
     
     res.status(200).json({
@@ -151,7 +200,7 @@ exports.addCondition = async (req, res, next) => {
       });
     }
     
-    const profile = await HealthProfile.findOne({ user: req.user.id });
+    const profile = await HealthProfile.findOne(profileFilter(req));
     
     if (!profile) {
       return res.status(404).json({
@@ -169,6 +218,13 @@ exports.addCondition = async (req, res, next) => {
     
     await profile.save();
     
+    await AuditService.record(req, {
+      action: 'health-profile.update',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id,
+      fields: ['knownConditions']
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Condition added successfully',
@@ -196,7 +252,7 @@ exports.addAllergy = async (req, res, next) => {
       });
     }
     
-    const profile = await HealthProfile.findOne({ user: req.user.id });
+    const profile = await HealthProfile.findOne(profileFilter(req));
     
     if (!profile) {
       return res.status(404).json({
@@ -213,6 +269,13 @@ exports.addAllergy = async (req, res, next) => {
     
     await profile.save();
     
+    await AuditService.record(req, {
+      action: 'health-profile.update',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id,
+      fields: ['allergies']
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Allergy added successfully',
@@ -240,7 +303,7 @@ exports.addMedication = async (req, res, next) => {
       });
     }
     
-    const profile = await HealthProfile.findOne({ user: req.user.id });
+    const profile = await HealthProfile.findOne(profileFilter(req));
     
     if (!profile) {
       return res.status(404).json({
@@ -255,11 +318,23 @@ exports.addMedication = async (req, res, next) => {
       frequency,
       startDate,
       prescribedBy,
-      notes
+      notes,
+      addedBy: req.user.id
     });
     
+    // Attribute the change to whoever made it (the patient or their caregiver)
+    profile.lastReviewedBy = req.user.id;
+    profile.lastReviewedAt = new Date();
+    
     await profile.save();
     
+    await AuditService.record(req, {
+      action: 'health-profile.update',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id,
+      fields: ['currentMedications']
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Medication added successfully',
@@ -271,6 +346,47 @@ exports.addMedication = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Remove a medication
+ * @route   DELETE /api/health-profile/medication/:medicationId
+ * @access  Private
+ */
+exports.removeMedication = async (req, res, next) => {
+  try {
+    const profile = await HealthProfile.findOne(profileFilter(req));
+    const medication = profile && profile.currentMedications.id(req.params.medicationId);
+    
+    if (!medication) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medication not found'
+      });
+    }
+    
+    medication.deleteOne();
+    profile.lastReviewedBy = req.user.id;
+    profile.lastReviewedAt = new Date();
+    
+    await profile.save();
+    
+    await AuditService.record(req, {
+      action: 'health-profile.update',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id,
+      fields: ['currentMedications']
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Medication removed successfully',
+      data: { profile }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Check medication compatibility
  * @route   POST /api/health-profile/check-medication
@@ -287,7 +403,7 @@ exports.checkMedicationCompatibility = async (req, res, next) => {
       });
     }
     
-    const profile = await HealthProfile.findOne({ user: req.user.id });
+    const profile = await HealthProfile.findOne(profileFilter(req));
     
     if (!profile) {
       return res.status(404).json({
@@ -296,6 +412,13 @@ exports.checkMedicationCompatibility = async (req, res, next) => {
       });
     }
     
+    await AuditService.record(req, {
+      action: 'health-profile.read',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id,
+      fields: ['currentMedications', 'allergies']
+    });
+    
     const compatibility = profile.checkMedicationCompatibility(medicationName);
     
     res.status(200).json({
@@ -309,13 +432,97 @@ exports.checkMedicationCompatibility = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete health profile
+ * @desc    List the account's health profiles (own profile first, then dependents)
+ * @route   GET /api/health-profile/profiles
+ * @access  Private
+ */
+exports.getProfiles = async (req, res, next) => {
+  try {
+    const profiles = await HealthProfile.find({ user: req.user.id })
+      .select('relationship displayName age gender createdAt')
+      .sort({ createdAt: 1 });
+    
+    const summaries = profiles.map(profile => ({
+      id: profile._id,
+      relationship: profile.relationship || 'self',
+      displayName: profile.displayName || req.user.fullName,
+      age: profile.age,
+      gender: profile.gender
+    }));
+    summaries.sort((a, b) => (b.relationship === 'self') - (a.relationship === 'self'));
+    
+    res.status(200).json({
+      success: true,
+      count: summaries.length,
+      data: { profiles: summaries }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a dependent (family member) health profile
+ * @route   POST /api/health-profile/dependents
+ * @access  Private
+ */
+exports.createDependent = async (req, res, next) => {
+  try {
+    const { displayName, relationship } = req.body;
+    
+    if (!displayName || !relationship || relationship === 'self' ||
+        !HealthProfile.RELATIONSHIPS.includes(relationship)) {
+      return res.status(400).json({
+        success: false,
+        message: `Name and relationship (${HealthProfile.RELATIONSHIPS.filter(r => r !== 'self').join(', ')}) are required`
+      });
+    }
+    
+    const dependentCount = await HealthProfile.countDocuments({
+      user: req.user.id,
+      relationship: { $nin: ['self', null] }
+    });
+    
+    if (dependentCount >= MAX_DEPENDENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can manage at most ${MAX_DEPENDENTS} family members`
+      });
+    }
+    
+    const profile = await HealthProfile.create({
+      ...req.body,
+      user: req.user.id,
+      relationship
+    });
+    
+    await AuditService.record(req, {
+      action: 'health-profile.create',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id,
+      fields: AuditService.fieldsOf(req.body)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Family member added successfully',
+      data: { profile }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete health profile (removing a dependent also deletes its chat sessions)
  * @route   DELETE /api/health-profile
  * @access  Private
  */
 exports.deleteProfile = async (req, res, next) => {
   try {
-    const profile = await HealthProfile.findOneAndDelete({ user: req.user.id });
+    const profile = await HealthProfile.findOneAndDelete(profileFilter(req));
     
     if (!profile) {
       return res.status(404).json({
@@ -324,9 +531,20 @@ exports.deleteProfile = async (req, res, next) => {
       });
     }
     
+    // A dependent's consultations go with its profile
+    if (req.profileId) {
+      await ChatSession.deleteMany(ChatSession.scopeFilter(req.user.id, profile._id));
+    }
+    
+    await AuditService.record(req, {
+      action: 'health-profile.delete',
+      resourceType: 'HealthProfile',
+      resourceId: profile._id
+    });
+    
     res.status(200).json({
       success: true,
-      message: 'Health profile deleted successfully'
+      message: req.profileId ? 'Family member removed successfully' : 'Health profile deleted successfully'
     });
     
   } catch (error) {
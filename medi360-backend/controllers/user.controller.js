@@ -0,0 +1,569 @@
+/**
+ * User Controller
+ * Self-service profile and admin user management
+ *
+ * Features:
+ * - Profile and preference editing
+ * - Email change with re-verification of the new address
+ * - Account deletion (re-authentication + grace period)
+ * - Search and paginate users
+ * - Activate / deactivate accounts (revokes all sessions)
+ * - Role changes
+ * - Force logout and admin-triggered password resets
+ */
+
+const User = require('../models/User.model');
+const LoginHistory = require('../models/LoginHistory.model');
+const TokenService = require('../services/token.service');
+const mailService = require('../services/mail.service');
+const AccountDeletionService = require('../services/accountDeletion.service');
+
+const ROLES = User.schema.path('role').enumValues;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load the target user, or send 404
+ */
+const findTargetUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Block admins from locking themselves out or removing the last active admin
+ */
+const guardAdminChange = async (req, res, target) => {
+  if (target._id.equals(req.user._id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Admins cannot change their own status or role'
+    });
+    return false;
+  }
+
+  if (target.role === 'admin' && target.isActive) {
+    const activeAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+
+    if (activeAdmins <= 1) {
+      res.status(400).json({
+        success: false,
+        message: 'At least one active admin account is required'
+      });
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * @desc    Get the current user's profile
+ * @route   GET /api/users/profile
+ * @access  Private
+ */
+exports.getProfile = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { user: req.user.getPublicProfile() }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update name and phone number
+ * @route   PUT /api/users/profile
+ * @access  Private
+ */
+exports.updateProfile = async (req, res, next) => {
+  try {
+    const { fullName, phoneNumber } = req.body;
+
+    if (fullName === undefined && phoneNumber === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide fullName and/or phoneNumber to update'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (fullName !== undefined) {
+      user.fullName = fullName;
+    }
+
+    if (phoneNumber !== undefined) {
+      // Empty string clears the number
+      user.phoneNumber = phoneNumber || undefined;
+
+      if (!user.phoneNumber && user.preferences.notificationChannels.includes('sms')) {
+        user.preferences.notificationChannels = user.preferences.notificationChannels.filter(c => c !== 'sms');
+      }
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated',
+      data: { user: user.getPublicProfile() }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update locale, timezone, units and notification channels
+ * @route   PUT /api/users/profile/preferences
+ * @access  Private
+ */
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const { locale, timezone, units, notificationChannels } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (notificationChannels !== undefined) {
+      if (!Array.isArray(notificationChannels)) {
+        return res.status(400).json({
+          success: false,
+          message: 'notificationChannels must be an array'
+        });
+      }
+
+      if (notificationChannels.includes('sms') && !user.phoneNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'Add a phone number before enabling SMS notifications'
+        });
+      }
+
+      user.preferences.notificationChannels = [...new Set(notificationChannels)];
+    }
+
+    if (locale !== undefined) user.preferences.locale = locale;
+    if (timezone !== undefined) user.preferences.timezone = timezone;
+    if (units !== undefined) user.preferences.units = units;
+
+    // Enum / time zone checks run in the schema validators
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Preferences updated',
+      data: { preferences: user.preferences }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request an email change (confirmed via link sent to the new address)
+ * @route   POST /api/users/profile/email
+ * @access  Private
+ */
+exports.requestEmailChange = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the new email and your current password'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const newEmail = email.toLowerCase().trim();
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'That is already your email address'
+      });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({
+        success: false,
+        message: 'That email address is already in use'
+      });
+    }
+
+    user.pendingEmail = newEmail;
+    await user.save();
+
+    const token = TokenService.generateEmailVerificationToken(user, newEmail);
+    await mailService.sendEmailChangeVerification(user, token, newEmail);
+
+    res.status(200).json({
+      success: true,
+      message: `Confirmation link sent to ${newEmail}. Your email stays unchanged until you confirm.`,
+      data: { user: user.getPublicProfile() }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a pending email change
+ * @route   DELETE /api/users/profile/email
+ * @access  Private
+ */
+exports.cancelEmailChange = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    user.pendingEmail = undefined;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Pending email change cancelled',
+      data: { user: user.getPublicProfile() }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request account deletion (re-authentication required)
+ * @route   DELETE /api/users/account
+ * @access  Private
+ */
+exports.requestAccountDeletion = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      if (!user.verifyTwoFactorCode(code)) {
+        return res.status(401).json({
+          success: false,
+          code: 'TWO_FACTOR_REQUIRED',
+          message: 'A valid authentication code is required'
+        });
+      }
+      await user.save();
+    }
+
+    if (user.role === 'admin' && (await User.countDocuments({ role: 'admin', isActive: true })) <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'The last active admin account cannot be deleted'
+      });
+    }
+
+    const request = await AccountDeletionService.schedule(user);
+    const completed = request.status === 'completed';
+
+    res.status(completed ? 200 : 202).json({
+      success: true,
+      message: completed
+        ? 'Your account and all associated data have been deleted'
+        : `Your account will be deleted on ${request.scheduledFor.toISOString()}. Sign in before then to cancel.`,
+      data: { receipt: request.toReceipt() }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the pending deletion request
+ * @route   GET /api/users/account/deletion
+ * @access  Private
+ */
+exports.getAccountDeletion = async (req, res, next) => {
+  try {
+    const request = await AccountDeletionService.findScheduled(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { receipt: request ? request.toReceipt() : null }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a scheduled account deletion
+ * @route   POST /api/users/account/restore
+ * @access  Private
+ */
+exports.cancelAccountDeletion = async (req, res, next) => {
+  try {
+    const request = await AccountDeletionService.cancel(req.user);
+
+    if (!request) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled',
+      data: { receipt: request.toReceipt() }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List / search users
+ * @route   GET /api/users?search=&role=&isActive=&page=&limit=
+ * @access  Private (admin)
+ */
+exports.getUsers = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const filter = {};
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      filter.$or = [{ email: pattern }, { fullName: pattern }, { phoneNumber: pattern }];
+    }
+
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    if (req.query.isActive === 'true' || req.query.isActive === 'false') {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: {
+        users: users.map(user => user.getAccountStatus()),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a user's account status and recent logins
+ * @route   GET /api/users/:id
+ * @access  Private (admin)
+ */
+exports.getUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const recentLogins = await LoginHistory.getUserActivity(user._id, 10, 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: user.getAccountStatus(),
+        recentLogins
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Activate or deactivate an account
+ * @route   PUT /api/users/:id/status
+ * @access  Private (admin)
+ */
+exports.updateUserStatus = async (req, res, next) => {
+  try {
+    const { isActive, reason } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be true or false'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!isActive && !(await guardAdminChange(req, res, user))) return;
+
+    user.isActive = isActive;
+
+    if (isActive) {
+      user.deactivatedAt = undefined;
+      user.deactivatedBy = undefined;
+      user.deactivationReason = undefined;
+    } else {
+      user.deactivatedAt = new Date();
+      user.deactivatedBy = req.user._id;
+      user.deactivationReason = reason;
+    }
+
+    await user.save();
+
+    if (!isActive) {
+      await TokenService.revokeAllSessions(user, 'deactivated');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: isActive ? 'Account activated' : 'Account deactivated and signed out everywhere',
+      data: { user: user.getAccountStatus() }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PUT /api/users/:id/role
+ * @access  Private (admin)
+ */
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role !== role) {
+      if (!(await guardAdminChange(req, res, user))) return;
+
+      // protect() reloads the user on every request, so the new role applies immediately
+      user.role = role;
+      await user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Role set to ${role}`,
+      data: { user: user.getAccountStatus() }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sign a user out of every session
+ * @route   POST /api/users/:id/logout
+ * @access  Private (admin)
+ */
+exports.forceLogout = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    await TokenService.revokeAllSessions(user, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'All sessions revoked'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Email the user a password reset link
+ * @route   POST /api/users/:id/password-reset
+ * @access  Private (admin)
+ */
+exports.triggerPasswordReset = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot send a password reset to a deactivated account'
+      });
+    }
+
+    const token = user.createPasswordResetToken();
+    await user.save();
+
+    await mailService.sendPasswordResetEmail(user, token);
+
+    res.status(200).json({
+      success: true,
+      message: `Password reset link sent to ${user.email}`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = exports;
@@ -4,15 +4,70 @@
  * 
  * Security Features:
  * - Token validation
+ * - Token revocation (User.tokenVersion)
+ * - Per-session revocation (Session, via the token's sid claim)
+ * - Scoped personal access tokens (API tokens)
  * - User verification
  * - Role-based access control
+ * - Patient consent checks for doctor access
+ * - Caregiver delegation checks
+ * - Dependent (family) profile selection
  */
 
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User.model');
+const ApiToken = require('../models/ApiToken.model');
+const Session = require('../models/Session.model');
+const CareRelationship = require('../models/CareRelationship.model');
+const CaregiverGrant = require('../models/CaregiverGrant.model');
+const HealthProfile = require('../models/HealthProfile.model');
+
+// Only refresh lastUsedAt / lastSeenAt once a minute per token or session
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * The session an access token belongs to, unless it was signed out
+ * @returns {Promise<object|null>}
+ */
+const findActiveSession = async (sessionId) => {
+  const session = await Session.findById(sessionId).select('revokedAt lastSeenAt');
+  return session && !session.revokedAt ? session : null;
+};
 
 /**
- * Protect routes - verify JWT token
+ * Authenticate a personal access token; sets req.user and req.apiToken
+ */
+const authenticateApiToken = async (token, req, res, next) => {
+  const apiToken = await ApiToken.findByToken(token);
+  
+  if (!apiToken || !apiToken.isUsable()) {
+    return res.status(401).json({
+      success: false,
+      message: apiToken ? 'API token has expired or been revoked' : 'Not authorized - invalid token'
+    });
+  }
+  
+  req.user = await User.findById(apiToken.user).select('-password');
+  
+  if (!req.user || !req.user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'User account is deactivated'
+    });
+  }
+  
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > API_TOKEN_TOUCH_INTERVAL_MS) {
+    await ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } });
+  }
+  
+  req.apiToken = apiToken;
+  next();
+};
+
+/**
+ * Protect routes - verify JWT token or personal access token
  */
 const protect = async (req, res, next) => {
   let token;
@@ -23,9 +78,18 @@ const protect = async (req, res, next) => {
       // Extract token
       token = req.headers.authorization.split(' ')[1];
       
+      if (ApiToken.isApiToken(token)) {
+        return await authenticateApiToken(token, req, res, next);
+      }
+      
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
+      // Purpose-bound tokens (email verification etc.) are not access tokens
+      if (decoded.purpose) {
+        throw new jwt.JsonWebTokenError('Not an access token');
+      }
+      
       // Get user from token
       req.user = await User.findById(decoded.id).select('-password');
       
@@ -43,6 +107,33 @@ const protect = async (req, res, next) => {
         });
       }
       
+      // Reject tokens issued before logout / password change / deactivation
+      if (decoded.tv !== req.user.tokenVersion) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked - please login again'
+        });
+      }
+      
+      // Reject tokens of a session that was signed out from another device
+      if (decoded.sid) {
+        const session = await findActiveSession(decoded.sid);
+        
+        if (!session) {
+          return res.status(401).json({
+            success: false,
+            code: 'SESSION_REVOKED',
+            message: 'This session has been signed out - please login again'
+          });
+        }
+        
+        if (Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+          await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(), lastSeenIp: req.ip } });
+        }
+        
+        req.sessionId = session._id;
+      }
+      
       next();
       
     } catch (error) {
@@ -94,6 +185,167 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Require an API token scope for this route
+ * Interactive (JWT) sessions have full access and always pass
+ * @param {string} scope - e.g. 'chat:write'
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!req.apiToken || req.apiToken.hasScope(scope)) {
+      return next();
+    }
+    
+    return res.status(403).json({
+      success: false,
+      code: 'INSUFFICIENT_SCOPE',
+      message: `API token lacks the '${scope}' scope`
+    });
+  };
+};
+
+/**
+ * Reject API tokens - for account, security and consent management,
+ * which only the signed-in user may perform
+ */
+const sessionOnly = (req, res, next) => {
+  if (!req.apiToken) {
+    return next();
+  }
+  
+  return res.status(403).json({
+    success: false,
+    code: 'SESSION_REQUIRED',
+    message: 'This endpoint cannot be used with an API token'
+  });
+};
+
+/**
+ * Require a verified email address
+ * Enforced only when REQUIRE_EMAIL_VERIFICATION=true; guards routes serving health data
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || req.user.isEmailVerified) {
+    return next();
+  }
+  
+  return res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address to access health data'
+  });
+};
+
+/**
+ * Require two-factor enrollment for roles where it is mandatory
+ * (TWO_FACTOR_REQUIRED_ROLES, e.g. "doctor,admin")
+ */
+const requireTwoFactorEnrollment = (req, res, next) => {
+  if (!req.user.isTwoFactorRequired() || req.user.twoFactor?.enabled) {
+    return next();
+  }
+  
+  return res.status(403).json({
+    success: false,
+    code: 'TWO_FACTOR_SETUP_REQUIRED',
+    message: `Two-factor authentication is mandatory for ${req.user.role} accounts. Please enable it to continue.`
+  });
+};
+
+/**
+ * Require active patient consent covering a scope
+ * Used on doctor routes with a :patientId param; sets req.patientId and req.careRelationship
+ * @param {string} scope - e.g. 'profile:read'
+ */
+const requireCareConsent = (scope) => {
+  return async (req, res, next) => {
+    try {
+      const relationship = await CareRelationship.findActiveConsent(req.user.id, req.params.patientId, scope);
+      
+      if (!relationship) {
+        return res.status(403).json({
+          success: false,
+          code: 'CARE_CONSENT_REQUIRED',
+          message: `No active patient consent for '${scope}'`
+        });
+      }
+      
+      req.patientId = relationship.patient;
+      req.careRelationship = relationship;
+      next();
+      
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Require an active caregiver grant covering a permission
+ * Used on caregiver routes with a :patientId param; sets req.patientId and req.caregiverGrant
+ * @param {string} permission - e.g. 'medications:manage'
+ */
+const requireCaregiverPermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const grant = mongoose.isValidObjectId(req.params.patientId)
+        ? await CaregiverGrant.findActiveGrant(req.user.id, req.params.patientId, permission)
+        : null;
+      
+      if (!grant) {
+        return res.status(403).json({
+          success: false,
+          code: 'CAREGIVER_PERMISSION_REQUIRED',
+          message: `No active caregiver grant for '${permission}'`
+        });
+      }
+      
+      req.patientId = grant.patient;
+      req.caregiverGrant = grant;
+      next();
+      
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Select which of the account's health profiles a request acts on
+ * Reads the X-Profile-Id header; sets req.profileId to the dependent profile id,
+ * or null when the header is absent or names the account holder's own profile
+ */
+const resolveProfile = async (req, res, next) => {
+  const profileId = req.get('X-Profile-Id');
+  req.profileId = null;
+  
+  if (!profileId) {
+    return next();
+  }
+  
+  try {
+    const profile = mongoose.isValidObjectId(profileId)
+      ? await HealthProfile.findOne({ _id: profileId, user: req.user._id }).select('relationship')
+      : null;
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        code: 'PROFILE_NOT_FOUND',
+        message: 'Selected health profile not found'
+      });
+    }
+    
+    if (profile.relationship && profile.relationship !== 'self') {
+      req.profileId = profile._id;
+    }
+    next();
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Optional auth - attach user if token is valid, but don't require it
  */
@@ -104,7 +356,18 @@ const optionalAuth = async (req, res, next) => {
     try {
       token = req.headers.authorization.split(' ')[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+      if (decoded.purpose) {
+        throw new jwt.JsonWebTokenError('Not an access token');
+      }
+      const user = await User.findById(decoded.id).select('-password');
+      req.user = user && user.isActive && decoded.tv === user.tokenVersion ? user : null;
+      
+      // A signed-out session's tokens are anonymous here too
+      if (req.user && decoded.sid) {
+        const session = await findActiveSession(decoded.sid);
+        req.user = session ? req.user : null;
+        if (session) req.sessionId = session._id;
+      }
     } catch (error) {
       // Token invalid or expired, but that's okay for optional auth
       req.user = null;
@@ -114,4 +377,15 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
-module.exports = { protect, authorize, optionalAuth };
+module.exports = {
+  protect,
+  authorize,
+  requireVerifiedEmail,
+  requireTwoFactorEnrollment,
+  requireCareConsent,
+  requireCaregiverPermission,
+  requireScope,
+  sessionOnly,
+  resolveProfile,
+  optionalAuth
+};
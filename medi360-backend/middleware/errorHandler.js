@@ -9,6 +9,7 @@ const errorHandler = (err, req, res, next) => {
   
   // Log error for debugging
   console.error('Error:', {
+    requestId: req.id,
     name: err.name,
     message: err.message,
     stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
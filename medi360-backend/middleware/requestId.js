@@ -0,0 +1,20 @@
+/**
+ * Request ID Middleware
+ * Tags every request with an id (echoed in X-Request-Id) for log and audit correlation
+ */
+
+const crypto = require('crypto');
+
+// Accept ids from a trusted proxy only when they look sane
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{8,128}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  next();
+};
+
+module.exports = requestId;
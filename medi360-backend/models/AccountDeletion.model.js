@@ -0,0 +1,101 @@
+/**
+ * Account Deletion Model
+ * Erasure requests and the receipts kept after an account is purged
+ *
+ * Holds no personal data beyond a hash of the email address, so it can
+ * outlive the account it refers to as proof of erasure.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const AccountDeletionSchema = new mongoose.Schema({
+  // Public identifier quoted to the user and support
+  receiptId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `del_${crypto.randomBytes(12).toString('hex')}`
+  },
+
+  // Deliberately not a ref - the user document is gone once completed
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  emailHash: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'completed'],
+    default: 'scheduled'
+  },
+
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+
+  cancelledAt: Date,
+
+  completedAt: Date,
+
+  // Number of documents removed per collection
+  purged: {
+    users: { type: Number, default: 0 },
+    healthProfiles: { type: Number, default: 0 },
+    chatSessions: { type: Number, default: 0 },
+    careRelationships: { type: Number, default: 0 },
+    refreshTokens: { type: Number, default: 0 },
+    loginHistory: { type: Number, default: 0 },
+    apiTokens: { type: Number, default: 0 },
+    caregiverGrants: { type: Number, default: 0 },
+    sessions: { type: Number, default: 0 }
+  }
+
+}, {
+  timestamps: true
+});
+
+// ======================
+// INDEXES
+// ======================
+
+AccountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+AccountDeletionSchema.index({ userId: 1, status: 1 });
+
+// ======================
+// METHODS
+// ======================
+
+// Receipt returned to the user (no internal ids)
+AccountDeletionSchema.methods.toReceipt = function() {
+  return {
+    receiptId: this.receiptId,
+    status: this.status,
+    requestedAt: this.requestedAt,
+    scheduledFor: this.scheduledFor,
+    cancelledAt: this.cancelledAt,
+    completedAt: this.completedAt,
+    purged: this.status === 'completed' ? this.purged : undefined
+  };
+};
+
+// ======================
+// STATICS
+// ======================
+
+AccountDeletionSchema.statics.hashEmail = function(email) {
+  return crypto.createHash('sha256').update(email.toLowerCase()).digest('hex');
+};
+
+module.exports = mongoose.model('AccountDeletion', AccountDeletionSchema);
@@ -0,0 +1,143 @@
+/**
+ * API Token Model
+ * Personal access tokens for scripts and partner integrations
+ *
+ * Security Features:
+ * - Only a SHA-256 hash of the token is stored; the raw value is shown once
+ * - Tokens are scoped, expire, and can be revoked individually
+ * - Recognisable prefix (m360_pat_) so leaked tokens are easy to scan for
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const TOKEN_PREFIX = 'm360_pat_';
+
+const SCOPES = ['profile:read', 'profile:write', 'chat:read', 'chat:write', 'analytics:read'];
+
+const ApiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  // First characters of the raw token, to tell tokens apart in listings
+  hint: {
+    type: String,
+    required: true
+  },
+
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: SCOPES,
+        message: `Scopes must be among: ${SCOPES.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  lastUsedAt: Date,
+
+  lastUsedIp: String,
+
+  revokedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ======================
+// INDEXES
+// ======================
+
+ApiTokenSchema.index({ user: 1, createdAt: -1 });
+
+// ======================
+// METHODS
+// ======================
+
+ApiTokenSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+ApiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Listing representation (never includes the hash)
+ApiTokenSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    hint: this.hint,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt,
+    active: this.isUsable()
+  };
+};
+
+// ======================
+// STATICS
+// ======================
+
+ApiTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Whether a bearer credential looks like a personal access token (vs a JWT)
+ApiTokenSchema.statics.isApiToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+/**
+ * Generate a new raw token
+ * @returns {{token: string, tokenHash: string, hint: string}}
+ */
+ApiTokenSchema.statics.generate = function() {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  return {
+    token,
+    tokenHash: this.hashToken(token),
+    hint: token.slice(0, TOKEN_PREFIX.length + 4)
+  };
+};
+
+// Find the token document for a raw token (usable or not)
+ApiTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+ApiTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiToken', ApiTokenSchema);
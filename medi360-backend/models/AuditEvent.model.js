@@ -0,0 +1,212 @@
+/**
+ * Audit Event Model
+ * Append-only, hash-chained log of every read and write of PHI
+ *
+ * Tamper evidence:
+ * - Each event stores the hash of the previous event (prevHash) and its own
+ *   SHA-256 hash over its content + prevHash, so editing or removing any event
+ *   breaks every hash after it (see verifyChain)
+ * - Update / delete operations are rejected at the model layer
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const AuditEventSchema = new mongoose.Schema({
+  // Position in the chain (unique - concurrent appends cannot fork it)
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  // Who performed the action (null for system jobs)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  actorRole: {
+    type: String,
+    required: true
+  },
+
+  // Whose health data was touched
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // e.g. 'health-profile.read', 'chat-session.update'
+  action: {
+    type: String,
+    required: true
+  },
+
+  resourceType: {
+    type: String,
+    enum: ['HealthProfile', 'ChatSession', 'Analytics', 'Account'],
+    required: true
+  },
+
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  // Top-level fields read or written ('*' = whole document)
+  fields: [String],
+
+  ip: String,
+
+  userAgent: String,
+
+  requestId: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  prevHash: {
+    type: String,
+    required: true
+  },
+
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+// ======================
+// INDEXES
+// ======================
+
+AuditEventSchema.index({ patient: 1, createdAt: -1 });
+AuditEventSchema.index({ actor: 1, createdAt: -1 });
+AuditEventSchema.index({ action: 1, createdAt: -1 });
+AuditEventSchema.index({ requestId: 1 });
+
+// ======================
+// MIDDLEWARE
+// ======================
+
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+AuditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+AuditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  rejectMutation
+);
+
+// ======================
+// STATICS
+// ======================
+
+/**
+ * Hash of an event's content chained to the previous hash
+ */
+AuditEventSchema.statics.computeHash = function(event) {
+  // Fixed key order so the hash is reproducible
+  const content = JSON.stringify([
+    event.seq,
+    event.prevHash,
+    event.actor ? String(event.actor) : null,
+    event.actorRole,
+    String(event.patient),
+    event.action,
+    event.resourceType,
+    event.resourceId ? String(event.resourceId) : null,
+    event.fields || [],
+    event.ip || null,
+    event.userAgent || null,
+    event.requestId || null,
+    new Date(event.createdAt).toISOString()
+  ]);
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+// Serializes appends within this process; the unique seq index covers the rest
+let appendQueue = Promise.resolve();
+
+/**
+ * Append an event to the chain
+ * @param {object} entry - Event fields (without seq / hashes)
+ */
+AuditEventSchema.statics.append = function(entry) {
+  const run = async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const last = await this.findOne().sort({ seq: -1 }).select('seq hash').lean();
+
+      const event = {
+        ...entry,
+        seq: last ? last.seq + 1 : 1,
+        prevHash: last ? last.hash : GENESIS_HASH,
+        createdAt: new Date()
+      };
+      event.hash = this.computeHash(event);
+
+      try {
+        return await this.create(event);
+      } catch (error) {
+        // Another process took this seq - re-read the tip and retry
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    throw new Error('Could not append audit event');
+  };
+
+  const result = appendQueue.then(run, run);
+  appendQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Walk the chain and report the first broken link
+ * @returns {Promise<{valid: boolean, checked: number, brokenAt?: number, reason?: string}>}
+ */
+AuditEventSchema.statics.verifyChain = async function() {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+
+  const cursor = this.find().sort({ seq: 1 }).lean().cursor();
+
+  for await (const event of cursor) {
+    if (event.seq !== expectedSeq) {
+      return { valid: false, checked, brokenAt: expectedSeq, reason: 'missing event' };
+    }
+
+    if (event.prevHash !== prevHash) {
+      return { valid: false, checked, brokenAt: event.seq, reason: 'previous hash mismatch' };
+    }
+
+    if (this.computeHash(event) !== event.hash) {
+      return { valid: false, checked, brokenAt: event.seq, reason: 'content hash mismatch' };
+    }
+
+    prevHash = event.hash;
+    expectedSeq++;
+    checked++;
+  }
+
+  return { valid: true, checked };
+};
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
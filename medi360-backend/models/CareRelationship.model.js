@@ -0,0 +1,132 @@
+/**
+ * Care Relationship Model
+ * Patient-granted consent for a doctor to access health data
+ *
+ * Features:
+ * - Patient invitations and doctor requests
+ * - Scoped access (profile, chat sessions, analytics)
+ * - Revocable at any time by either party
+ */
+
+const mongoose = require('mongoose');
+
+const CARE_SCOPES = ['profile:read', 'chat:read', 'analytics:read'];
+
+const CareRelationshipSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Who started the relationship - the other party must respond
+  initiatedBy: {
+    type: String,
+    enum: ['patient', 'doctor'],
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'declined', 'revoked'],
+    default: 'pending'
+  },
+
+  // Data the doctor may read while the relationship is active
+  scopes: {
+    type: [{
+      type: String,
+      enum: CARE_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one access scope is required'
+    }
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+
+  respondedAt: Date,
+
+  activatedAt: Date,
+
+  revokedAt: Date,
+
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true
+});
+
+// ======================
+// INDEXES
+// ======================
+
+CareRelationshipSchema.index({ patient: 1, status: 1 });
+CareRelationshipSchema.index({ doctor: 1, status: 1 });
+CareRelationshipSchema.index({ doctor: 1, patient: 1 });
+
+// ======================
+// METHODS
+// ======================
+
+CareRelationshipSchema.methods.hasScope = function(scope) {
+  return this.status === 'active' && this.scopes.includes(scope);
+};
+
+// Whether the given user is the patient or the doctor of this relationship
+CareRelationshipSchema.methods.involves = function(userId) {
+  return this.patient.equals(userId) || this.doctor.equals(userId);
+};
+
+CareRelationshipSchema.methods.revoke = function(userId) {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+// ======================
+// STATICS
+// ======================
+
+// Active consent of a patient for a doctor covering the given scope
+CareRelationshipSchema.statics.findActiveConsent = function(doctorId, patientId, scope) {
+  return this.findOne({
+    doctor: doctorId,
+    patient: patientId,
+    status: 'active',
+    scopes: scope
+  });
+};
+
+// Open (pending or active) relationship between a doctor and a patient
+CareRelationshipSchema.statics.findOpen = function(doctorId, patientId) {
+  return this.findOne({
+    doctor: doctorId,
+    patient: patientId,
+    status: { $in: ['pending', 'active'] }
+  });
+};
+
+CareRelationshipSchema.statics.SCOPES = CARE_SCOPES;
+
+module.exports = mongoose.model('CareRelationship', CareRelationshipSchema);
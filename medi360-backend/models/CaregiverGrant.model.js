@@ -0,0 +1,129 @@
+/**
+ * Caregiver Grant Model
+ * Patient-granted delegation letting another user manage their care
+ *
+ * Features:
+ * - Granular permissions (view profile, manage medications, view / start chats)
+ * - Every grant expires; either party can revoke it at any time
+ * - Caregiver actions are attributed to the caregiver, not the patient
+ */
+
+const mongoose = require('mongoose');
+
+const CAREGIVER_PERMISSIONS = ['profile:read', 'medications:manage', 'chat:read', 'chat:write'];
+
+const CaregiverGrantSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  caregiver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  permissions: {
+    type: [{
+      type: String,
+      enum: CAREGIVER_PERMISSIONS
+    }],
+    validate: {
+      validator: permissions => permissions.length > 0,
+      message: 'At least one permission is required'
+    }
+  },
+
+  // Relationship note shown to both parties, e.g. "Daughter"
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true
+});
+
+// ======================
+// INDEXES
+// ======================
+
+CaregiverGrantSchema.index({ patient: 1, createdAt: -1 });
+CaregiverGrantSchema.index({ caregiver: 1, patient: 1 });
+
+// ======================
+// METHODS
+// ======================
+
+CaregiverGrantSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+CaregiverGrantSchema.methods.allows = function(permission) {
+  return this.isActive() && this.permissions.includes(permission);
+};
+
+// Whether the given user is the patient or the caregiver of this grant
+CaregiverGrantSchema.methods.involves = function(userId) {
+  const id = userId._id || userId;
+  return [this.patient, this.caregiver].some(party => (party._id || party).equals(id));
+};
+
+CaregiverGrantSchema.methods.revoke = function(userId) {
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+// ======================
+// STATICS
+// ======================
+
+// Unexpired, unrevoked grants query fragment
+const activeFilter = () => ({
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() }
+});
+
+// Active grant of a patient to a caregiver covering the given permission
+CaregiverGrantSchema.statics.findActiveGrant = function(caregiverId, patientId, permission) {
+  return this.findOne({
+    caregiver: caregiverId,
+    patient: patientId,
+    permissions: permission,
+    ...activeFilter()
+  });
+};
+
+// Active grant (any permissions) between a patient and a caregiver
+CaregiverGrantSchema.statics.findOpen = function(caregiverId, patientId) {
+  return this.findOne({
+    caregiver: caregiverId,
+    patient: patientId,
+    ...activeFilter()
+  });
+};
+
+CaregiverGrantSchema.statics.PERMISSIONS = CAREGIVER_PERMISSIONS;
+
+module.exports = mongoose.model('CaregiverGrant', CaregiverGrantSchema);
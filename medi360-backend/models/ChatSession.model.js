@@ -10,6 +10,30 @@
  */
 
 const mongoose = require('mongoose');
+const { encryptedString } = require('../utils/fieldEncryption');
+const { estimateTokens } = require('../utils/tokenEstimate');
+const { LANGUAGES } = require('../utils/language');
+
+// Triage verdicts for an assistant reply
+const TriageSchema = new mongoose.Schema({
+  // Rule engine (MedicalAIService) on the patient's message - always present
+  rules: {
+    severity: String,
+    emergency: Boolean,
+    symptoms: [String],
+    matchedRules: [String],
+    possibleConditions: [String]
+  },
+  
+  // The LLM's validated reply envelope - absent when no LLM answered or its output could not be validated
+  llm: {
+    severity: String,
+    emergency: Boolean
+  },
+  
+  // Emergency rules answered without calling the LLM
+  shortCircuited: Boolean
+}, { _id: false });
 
 const MessageSchema = new mongoose.Schema({
   role: {
@@ -18,10 +42,8 @@ const MessageSchema = new mongoose.Schema({
     required: true
   },
   
-  content: {
-    type: String,
-    required: true
-  },
+  // Encrypted at rest (see utils/fieldEncryption)
+  content: encryptedString({ required: true }),
   
   timestamp: {
     type: Date,
@@ -39,10 +61,65 @@ const MessageSchema = new mongoose.Schema({
     
     recommendations: [String],
     
+    // Structured fields from the LLM reply envelope (services/replyEnvelope.service)
+    redFlags: [String],
+    
+    possibleConditions: [{
+      _id: false,
+      condition: String,
+      likelihood: {
+        type: String,
+        enum: ['low', 'moderate', 'high']
+      }
+    }],
+    
+    referralRecommended: Boolean,
+    
+    // How the LLM reply was read: valid JSON, JSON after a repair round-trip, or salvaged text
+    outputFormat: {
+      type: String,
+      enum: ['json', 'repaired', 'text']
+    },
+    
     disclaimerShown: {
       type: Boolean,
       default: false
-    }
+    },
+    
+    // Symptoms parsed from a user message (MedicalAIService.extractSymptoms),
+    // denied ("no fever") and hedged mentions included
+    symptomFindings: [{
+      _id: false,
+      symptom: String,
+      negated: Boolean,
+      uncertain: Boolean,
+      duration: {
+        text: String,
+        days: Number
+      },
+      intensity: {
+        score: Number,
+        label: {
+          type: String,
+          enum: ['mild', 'moderate', 'severe']
+        }
+      }
+    }],
+    
+    // Language detected in a user message (null when unclear, e.g. romanized Hindi)
+    language: String,
+    
+    // Author of a user message (the patient, or a caregiver acting for them)
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    
+    // Streamed reply cut short (stopped by the user, dropped connection or AI failure)
+    incomplete: Boolean,
+    
+    // Verdicts behind `severity` (the higher of the two wins)
+    triage: TriageSchema
   }
 });
 
@@ -54,6 +131,19 @@ const ChatSessionSchema = new mongoose.Schema({
     required: true
   },
   
+  // Dependent health profile this consultation is about (null = the account holder)
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HealthProfile',
+    default: null
+  },
+  
+  // Who opened the session - differs from user when a caregiver started it
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
   // Session Metadata
   sessionTitle: {
     type: String,
@@ -66,6 +156,14 @@ const ChatSessionSchema = new mongoose.Schema({
     default: 'symptom-check'
   },
   
+  // Language of the conversation: starts from the user's locale preference and
+  // follows the language the patient writes in (utils/language)
+  language: {
+    type: String,
+    enum: Object.keys(LANGUAGES),
+    default: 'en'
+  },
+  
   // Conversation History
   messages: [MessageSchema],
   
@@ -95,6 +193,19 @@ const ChatSessionSchema = new mongoose.Schema({
     }
   },
   
+  // Running summary of the turns that no longer fit the AI prompt window
+  contextSummary: {
+    text: encryptedString(),
+    
+    // Number of leading conversation turns (user/assistant messages) it covers
+    turnCount: {
+      type: Number,
+      default: 0
+    },
+    
+    updatedAt: Date
+  },
+  
   // Session Status
   status: {
     type: String,
@@ -121,14 +232,16 @@ const ChatSessionSchema = new mongoose.Schema({
   }
   
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
 });
 
 // ======================
 // INDEXES
 // ======================
 
-ChatSessionSchema.index({ user: 1, createdAt: -1 });
+ChatSessionSchema.index({ user: 1, profile: 1, createdAt: -1 });
 ChatSessionSchema.index({ status: 1 });
 ChatSessionSchema.index({ 'summary.emergencyFlagged': 1 });
 
@@ -210,20 +323,45 @@ ChatSessionSchema.methods.completeSession = function() {
   return this.save();
 };
 
-// Get conversation context for AI
-ChatSessionSchema.methods.getConversationContext = function(limit = 10) {
-  const recentMessages = this.messages.slice(-limit);
+/**
+ * Get conversation context for AI
+ * Splits the user/assistant turns (system messages excluded) into the most
+ * recent ones that fit a token budget and the older ones that do not.
+ * The latest turn is always kept, and the recent window starts on a user turn.
+ * @param {number} maxTokens - Budget for the recent window
+ * @returns {{ recent: Array<{role, content}>, older: Array<{role, content}> }}
+ */
+ChatSessionSchema.methods.getConversationContext = function(maxTokens = 3000) {
+  const turns = this.messages
+    .filter(msg => msg.role !== 'system')
+    .map(msg => ({ role: msg.role, content: msg.content }));
   
-  return recentMessages.map(msg => ({
-    role: msg.role,
-    content: msg.content
-  }));
+  let start = turns.length;
+  let used = 0;
+  while (start > 0) {
+    const cost = estimateTokens(turns[start - 1].content);
+    if (start < turns.length && used + cost > maxTokens) break;
+    used += cost;
+    start--;
+  }
+  while (start < turns.length - 1 && turns[start].role !== 'user') start++;
+  
+  return { recent: turns.slice(start), older: turns.slice(0, start) };
 };
 
 // ======================
 // STATICS
 // ======================
 
+/**
+ * Query filter for the sessions of one of the account's profiles
+ * @param {ObjectId|string} userId - Owning account
+ * @param {ObjectId|string|null} profileId - Dependent profile, or null for the account holder
+ */
+ChatSessionSchema.statics.scopeFilter = function(userId, profileId = null) {
+  return { user: userId, profile: profileId || null };
+};
+
 // Get user's recent sessions
 ChatSessionSchema.statics.getUserRecentSessions = function(userId, limit = 5) {
   return this.find({ user: userId })
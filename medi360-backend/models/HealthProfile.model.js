@@ -7,14 +7,34 @@
  */
 
 const mongoose = require('mongoose');
+const { encryptedString } = require('../utils/fieldEncryption');
+
+const RELATIONSHIPS = ['self', 'child', 'parent', 'spouse', 'sibling', 'other'];
 
 const HealthProfileSchema = new mongoose.Schema({
-  // Link to User
+  // Owning account - one 'self' profile plus any dependents it manages
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    required: true
+  },
+  
+  // Who this profile describes, relative to the account holder
+  relationship: {
+    type: String,
+    enum: RELATIONSHIPS,
+    default: 'self'
+  },
+  
+  // Name shown in the profile switcher (required for dependents)
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+    required: [
+      function() { return this.relationship !== 'self'; },
+      'Name is required for family members'
+    ]
   },
   
   // Basic Demographics
@@ -62,32 +82,39 @@ const HealthProfileSchema = new mongoose.Schema({
     }
   },
   
+  // Pregnancy / breastfeeding - changes which medicines and advice are safe
+  pregnancy: {
+    status: {
+      type: String,
+      enum: ['not-pregnant', 'pregnant', 'breastfeeding', 'unknown'],
+      default: 'unknown'
+    },
+    
+    dueDate: Date
+  },
+  
   // Calculated Metrics (Auto-computed)
   bmi: {
     type: Number
   },
   
   // Medical History
+  // Free-text fields are encrypted at rest (see utils/fieldEncryption);
+  // enums and dates stay plaintext for querying
   knownConditions: [{
-    name: {
-      type: String,
-      required: true
-    },
+    name: encryptedString({ required: true }),
     diagnosedDate: Date,
     severity: {
       type: String,
       enum: ['mild', 'moderate', 'severe'],
       default: 'moderate'
     },
-    notes: String
+    notes: encryptedString()
   }],
   
   allergies: [{
-    allergen: {
-      type: String,
-      required: true
-    },
-    reaction: String,
+    allergen: encryptedString({ required: true }),
+    reaction: encryptedString(),
     severity: {
       type: String,
       enum: ['mild', 'moderate', 'severe', 'life-threatening'],
@@ -96,15 +123,17 @@ const HealthProfileSchema = new mongoose.Schema({
   }],
   
   currentMedications: [{
-    name: {
-      type: String,
-      required: true
-    },
-    dosage: String,
-    frequency: String,
+    name: encryptedString({ required: true }),
+    dosage: encryptedString(),
+    frequency: encryptedString(),
     startDate: Date,
-    prescribedBy: String,
-    notes: String
+    prescribedBy: encryptedString(),
+    notes: encryptedString(),
+    // Who recorded it - the patient or a caregiver acting for them
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }],
   
   surgicalHistory: [{
@@ -120,8 +149,8 @@ const HealthProfileSchema = new mongoose.Schema({
       type: String,
       enum: ['parent', 'sibling', 'grandparent', 'other']
     },
-    condition: String,
-    notes: String
+    condition: encryptedString(),
+    notes: encryptedString()
   }],
   
   // Lifestyle Factors (As per Report Section 2.4 - Proposed System)
@@ -196,14 +225,21 @@ const HealthProfileSchema = new mongoose.Schema({
   lastReviewedAt: Date
   
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
 });
 
 // ======================
 // INDEXES
 // ======================
 
-HealthProfileSchema.index({ user: 1 });
+HealthProfileSchema.index({ user: 1, relationship: 1 });
+// At most one 'self' profile per account
+HealthProfileSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { relationship: 'self' }, name: 'user_self_unique' }
+);
 HealthProfileSchema.index({ updatedAt: -1 });
 
 // ======================
@@ -313,4 +349,23 @@ HealthProfileSchema.methods.checkMedicationCompatibility = function(medicationNa
   };
 };
 
+// ======================
+// STATICS
+// ======================
+
+/**
+ * Query filter for one of the account's profiles
+ * @param {ObjectId|string} userId - Owning account
+ * @param {ObjectId|string|null} profileId - Dependent profile, or null for the account holder
+ */
+HealthProfileSchema.statics.scopeFilter = function(userId, profileId = null) {
+  if (profileId) {
+    return { _id: profileId, user: userId };
+  }
+  // Profiles created before family mode have no relationship field
+  return { user: userId, relationship: { $in: ['self', null] } };
+};
+
+HealthProfileSchema.statics.RELATIONSHIPS = RELATIONSHIPS;
+
 module.exports = mongoose.model('HealthProfile', HealthProfileSchema);
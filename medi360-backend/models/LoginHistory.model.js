@@ -0,0 +1,91 @@
+/**
+ * Login History Model
+ * Audit trail of authentication attempts
+ *
+ * Features:
+ * - Success / failure with reason
+ * - IP address and user agent
+ * - New-IP / new-device anomaly flags
+ * - Automatic expiry (LOGIN_HISTORY_RETENTION_DAYS)
+ */
+
+const mongoose = require('mongoose');
+
+const retentionDays = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 180;
+
+const LoginHistorySchema = new mongoose.Schema({
+  // Null when the email did not match an account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
+  success: {
+    type: Boolean,
+    required: true
+  },
+
+  failureReason: {
+    type: String,
+    enum: ['unknown-user', 'invalid-password', 'invalid-2fa', 'locked', 'deactivated']
+  },
+
+  method: {
+    type: String,
+    enum: ['password', 'two-factor', 'oidc'],
+    default: 'password'
+  },
+
+  ip: String,
+
+  userAgent: String,
+
+  anomalies: {
+    newIp: {
+      type: Boolean,
+      default: false
+    },
+    newDevice: {
+      type: Boolean,
+      default: false
+    },
+    // Failed attempts immediately preceding this success
+    priorFailures: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ======================
+// INDEXES
+// ======================
+
+LoginHistorySchema.index({ user: 1, createdAt: -1 });
+LoginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+
+// ======================
+// STATICS
+// ======================
+
+// Get a user's recent authentication activity
+LoginHistorySchema.statics.getUserActivity = function(userId, limit = 20, skip = 0) {
+  return this.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .select('-__v');
+};
+
+module.exports = mongoose.model('LoginHistory', LoginHistorySchema);
@@ -0,0 +1,61 @@
+/**
+ * OIDC State Model
+ * Short-lived server-side state for OpenID Connect logins
+ *
+ * Two kinds of record, both single-use and removed by a TTL index:
+ * - Authorization requests awaiting the IdP callback (state, nonce,
+ *   PKCE code verifier)
+ * - Login codes handed to the frontend after a successful callback,
+ *   exchanged once for the usual token pair (only the hash is stored)
+ */
+
+const mongoose = require('mongoose');
+
+const OidcStateSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+
+  // Authorization request
+  state: {
+    type: String
+  },
+
+  nonce: String,
+
+  codeVerifier: String,
+
+  // Frontend path to land on after login
+  returnTo: String,
+
+  // Login code (SHA-256) and the user it logs in
+  loginCodeHash: {
+    type: String
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ======================
+// INDEXES
+// ======================
+
+OidcStateSchema.index({ state: 1 }, { unique: true, sparse: true });
+OidcStateSchema.index({ loginCodeHash: 1 }, { unique: true, sparse: true });
+OidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcState', OidcStateSchema);
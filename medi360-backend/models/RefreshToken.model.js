@@ -0,0 +1,99 @@
+/**
+ * Refresh Token Model
+ * Server-side record of issued refresh tokens
+ *
+ * Security Features:
+ * - Only a SHA-256 hash of the token is stored
+ * - Rotation: every refresh token is single-use
+ * - Token families for reuse detection
+ * - Automatic cleanup of expired tokens (TTL index)
+ */
+
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // All tokens rotated from the same login share a family
+  family: {
+    type: String,
+    required: true
+  },
+
+  // User.tokenVersion at issue time - bumping it invalidates the token
+  tokenVersion: {
+    type: Number,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'password-change', 'deactivated', 'reuse-detected', 'revoked']
+  },
+
+  replacedBy: String,
+
+  createdByIp: String,
+
+  userAgent: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ======================
+// INDEXES
+// ======================
+
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// METHODS
+// ======================
+
+RefreshTokenSchema.methods.isExpired = function() {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+// ======================
+// STATICS
+// ======================
+
+// Revoke every token in a family (used on reuse detection)
+RefreshTokenSchema.statics.revokeFamily = function(family, reason = 'revoked') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Revoke every outstanding token of a user
+RefreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'revoked') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,118 @@
+/**
+ * Session Model
+ * One record per login, shown to the user as an active session / device
+ *
+ * Security Features:
+ * - Access tokens carry the session id (sid); revoking a session rejects
+ *   them on the next request instead of waiting for expiry
+ * - Tied to a refresh token family, which is revoked with the session
+ * - Automatic cleanup once the refresh token lifetime has passed (TTL index)
+ */
+
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Refresh token family issued for this login
+  family: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // User.tokenVersion at login - a bump (password change, logout everywhere) ends the session
+  tokenVersion: {
+    type: Number,
+    required: true
+  },
+
+  deviceType: {
+    type: String,
+    enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+    default: 'unknown'
+  },
+
+  browser: String,
+
+  os: String,
+
+  userAgent: String,
+
+  ip: String,
+
+  lastSeenIp: String,
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Pushed forward on every refresh
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse-detected', 'password-change', 'deactivated']
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ======================
+// INDEXES
+// ======================
+
+SessionSchema.index({ user: 1, lastSeenAt: -1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// METHODS
+// ======================
+
+// Whether the session can still be used by this user
+SessionSchema.methods.isActiveFor = function(user) {
+  return !this.revokedAt &&
+    this.expiresAt > new Date() &&
+    this.tokenVersion === user.tokenVersion;
+};
+
+// Listing representation
+SessionSchema.methods.toSummary = function(currentSessionId) {
+  return {
+    id: this._id,
+    deviceType: this.deviceType,
+    browser: this.browser,
+    os: this.os,
+    ip: this.lastSeenIp || this.ip,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    current: !!currentSessionId && this._id.equals(currentSessionId)
+  };
+};
+
+// ======================
+// STATICS
+// ======================
+
+// Revoke every still-open session matching a filter
+SessionSchema.statics.revokeWhere = function(filter, reason = 'revoked') {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
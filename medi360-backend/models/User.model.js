@@ -8,9 +8,26 @@
  * - Protected password field
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const TotpService = require('../services/totp.service');
+const { LANGUAGES } = require('../utils/language');
+
+// The chat languages, so every locale a user can pick has chat templates
+const SUPPORTED_LOCALES = Object.keys(LANGUAGES);
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'push'];
+
+// IANA time zone names accepted by the runtime (e.g. "Asia/Kolkata")
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
 
 const UserSchema = new mongoose.Schema({
   // Authentication Fields
@@ -59,11 +76,172 @@ const UserSchema = new mongoose.Schema({
     default: true
   },
   
+  // Set when an admin deactivates the account
+  deactivatedAt: {
+    type: Date
+  },
+  
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  deactivationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  
   isEmailVerified: {
     type: Boolean,
     default: false
   },
   
+  // New address awaiting confirmation (email stays unchanged until verified)
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email address'
+    ]
+  },
+  
+  // Last verification email sent (resend throttling)
+  emailVerificationSentAt: {
+    type: Date
+  },
+  
+  // User Preferences
+  preferences: {
+    locale: {
+      type: String,
+      enum: {
+        values: SUPPORTED_LOCALES,
+        message: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+      },
+      default: 'en'
+    },
+    timezone: {
+      type: String,
+      default: 'Asia/Kolkata',
+      validate: {
+        validator: isValidTimezone,
+        message: 'Please provide a valid IANA time zone (e.g. Asia/Kolkata)'
+      }
+    },
+    units: {
+      type: String,
+      enum: {
+        values: ['metric', 'imperial'],
+        message: 'Units must be metric or imperial'
+      },
+      default: 'metric'
+    },
+    notificationChannels: {
+      type: [{
+        type: String,
+        enum: {
+          values: NOTIFICATION_CHANNELS,
+          message: `Notification channels must be among: ${NOTIFICATION_CHANNELS.join(', ')}`
+        }
+      }],
+      default: ['email']
+    }
+  },
+  
+  // Two-Factor Authentication (TOTP, RFC 6238)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step (prevents code replay)
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  
+  // External identity provider (OIDC) accounts linked to this user
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    // Stable subject identifier ("sub" claim) at that provider
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastLoginAt: Date
+  }],
+  
+  // Brute-force Protection (persisted so lockouts survive restarts)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  
+  // Number of lockouts since the last successful login (drives progressive backoff)
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  
+  lockUntil: {
+    type: Date
+  },
+  
+  // Account Deletion (purged by AccountDeletionService once this passes)
+  deletionScheduledFor: {
+    type: Date
+  },
+  
+  // Session Invalidation
+  // Embedded in every access and refresh token; bumping it revokes all of them
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  
+  passwordChangedAt: {
+    type: Date
+  },
+  
+  // Password Reset (only the SHA-256 hash of the emailed token is stored)
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  
   // Timestamps
   lastLogin: {
     type: Date
@@ -90,6 +268,11 @@ const UserSchema = new mongoose.Schema({
 
 UserSchema.index({ email: 1 });
 UserSchema.index({ createdAt: -1 });
+UserSchema.index({ role: 1, isActive: 1 });
+UserSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // ======================
 // MIDDLEWARE
@@ -110,6 +293,22 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
+// Revoke outstanding tokens on password change or deactivation
+UserSchema.pre('save', function(next) {
+  if (this.isNew) {
+    return next();
+  }
+  
+  if (this.isModified('password')) {
+    this.passwordChangedAt = new Date();
+    this.tokenVersion += 1;
+  } else if (this.isModified('isActive') && !this.isActive) {
+    this.tokenVersion += 1;
+  }
+  
+  next();
+});
+
 // Update timestamp on save
 UserSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -129,19 +328,78 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Generate JWT token
-UserSchema.methods.generateAuthToken = function() {
+// Generate short-lived JWT access token, bound to a login session when given
+UserSchema.methods.generateAuthToken = function(sessionId) {
   const payload = {
     id: this._id,
     email: this.email,
-    role: this.role
+    role: this.role,
+    tv: this.tokenVersion
   };
   
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+  
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
+// Generate a one-time password reset token (returns the raw token)
+UserSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+  
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+  
+  return token;
+};
+
+// Whether the account is temporarily locked after repeated failed logins
+UserSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+// Whether the user's role mandates two-factor authentication
+UserSchema.methods.isTwoFactorRequired = function() {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+  
+  return roles.includes(this.role);
+};
+
+// Verify a TOTP or backup code (requires +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep)
+// Consumes backup codes and records the used time step; caller must save()
+UserSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret || !code) {
+    return false;
+  }
+  
+  const step = TotpService.verifyCode(this.twoFactor.secret, code);
+  
+  if (step !== null) {
+    if (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep) {
+      return false;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+  
+  const backupHash = TotpService.hashBackupCode(code);
+  const index = (this.twoFactor.backupCodes || []).indexOf(backupHash);
+  
+  if (index !== -1) {
+    this.twoFactor.backupCodes.splice(index, 1);
+    return true;
+  }
+  
+  return false;
+};
+
 // Get public profile (exclude sensitive data)
 UserSchema.methods.getPublicProfile = function() {
   return {
@@ -151,10 +409,44 @@ UserSchema.methods.getPublicProfile = function() {
     phoneNumber: this.phoneNumber,
     role: this.role,
     isEmailVerified: this.isEmailVerified,
+    twoFactorEnabled: !!this.twoFactor?.enabled,
+    pendingEmail: this.pendingEmail,
+    preferences: this.preferences,
+    deletionScheduledFor: this.deletionScheduledFor,
+    identities: (this.identities || []).map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
     createdAt: this.createdAt
   };
 };
 
+// Account status for admin views (never includes secrets)
+UserSchema.methods.getAccountStatus = function() {
+  return {
+    ...this.getPublicProfile(),
+    isActive: this.isActive,
+    deactivatedAt: this.deactivatedAt,
+    deactivationReason: this.deactivationReason,
+    lastLogin: this.lastLogin,
+    failedLoginAttempts: this.failedLoginAttempts,
+    lockedUntil: this.isLocked() ? this.lockUntil : null,
+    passwordChangedAt: this.passwordChangedAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// ======================
+// STATICS
+// ======================
+
+// Find the user owning a valid (unexpired) password reset token
+UserSchema.statics.findByPasswordResetToken = function(token) {
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  
+  return this.findOne({
+    passwordResetTokenHash: tokenHash,
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+passwordResetTokenHash +passwordResetExpires');
+};
+
 // ======================
 // VIRTUAL RELATIONSHIPS
 // ======================
@@ -174,4 +466,12 @@ UserSchema.virtual('chatHistory', {
   foreignField: 'user'
 });
 
+// Find the user linked to an external identity
+UserSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+UserSchema.statics.SUPPORTED_LOCALES = SUPPORTED_LOCALES;
+UserSchema.statics.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+
 module.exports = mongoose.model('User', UserSchema);
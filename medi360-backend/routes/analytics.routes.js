@@ -5,10 +5,11 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analytics.controller');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail, requireTwoFactorEnrollment, requireScope, resolveProfile } = require('../middleware/auth');
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication (plus verified email / 2FA where enforced)
+// and act on the profile selected with X-Profile-Id (defaults to the account holder)
+router.use(protect, requireVerifiedEmail, requireTwoFactorEnrollment, requireScope('analytics:read'), resolveProfile);
 
 router.get('/dashboard', analyticsController.getDashboard);
 router.get('/symptoms', analyticsController.getSymptomAnalysis);
@@ -0,0 +1,17 @@
+/**
+ * API Token Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const apiTokenController = require('../controllers/apiToken.controller');
+const { protect, sessionOnly, requireTwoFactorEnrollment } = require('../middleware/auth');
+
+// Tokens are managed by the signed-in user, never by another token
+router.use(protect, sessionOnly, requireTwoFactorEnrollment);
+
+router.get('/', apiTokenController.getTokens);
+router.post('/', apiTokenController.createToken);
+router.delete('/:id', apiTokenController.revokeToken);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+/**
+ * Audit Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/audit.controller');
+const { protect, authorize, requireTwoFactorEnrollment, sessionOnly } = require('../middleware/auth');
+
+router.use(protect, sessionOnly, requireTwoFactorEnrollment);
+
+// Patient-facing access history
+router.get('/me', auditController.getMyAccessLog);
+
+// Admin queries
+router.get('/', authorize('admin'), auditController.getEvents);
+router.get('/verify', authorize('admin'), auditController.verifyChain);
+
+module.exports = router;
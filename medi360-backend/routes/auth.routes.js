@@ -6,25 +6,65 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const authController = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth');
+const { protect, sessionOnly, optionalAuth } = require('../middleware/auth');
+const { getPolicy } = require('../utils/passwordPolicy');
+
+// Full policy (classes, blocklist, name reuse) is enforced in the controller
+const { minLength } = getPolicy();
 
 // Validation middleware
 const validateRegister = [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('password').isLength({ min: minLength }).withMessage(`Password must be at least ${minLength} characters`),
   body('fullName').notEmpty().trim().withMessage('Full name is required')
 ];
 
+const validateForgotPassword = [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+];
+
+const validateResetPassword = [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: minLength }).withMessage(`Password must be at least ${minLength} characters`)
+];
+
 const validateLogin = [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+// Account security actions need an interactive session, not an API token
+const requireSession = [protect, sessionOnly];
+
 // Routes
 router.post('/register', validateRegister, authController.register);
 router.post('/login', validateLogin, authController.login);
+router.post('/login/2fa', authController.loginTwoFactor);
+router.get('/oidc/providers', authController.getOidcProviders);
+router.post('/oidc/exchange', authController.exchangeOidcCode);
+router.get('/oidc/:provider/authorize', authController.startOidcLogin);
+router.get('/oidc/:provider/callback', authController.oidcCallback);
+router.post('/refresh', authController.refreshToken);
+router.post('/verify-email', authController.verifyEmail);
+router.post('/verify-email/resend', requireSession, authController.resendVerificationEmail);
+router.post('/forgot-password', validateForgotPassword, authController.forgotPassword);
+router.post('/reset-password', validateResetPassword, authController.resetPassword);
+router.post('/password-strength', optionalAuth, authController.checkPasswordStrength);
+// Also open to API tokens so integrations can identify their owner
 router.get('/me', protect, authController.getMe);
-router.post('/logout', protect, authController.logout);
-router.put('/password', protect, authController.updatePassword);
+router.get('/security-activity', requireSession, authController.getSecurityActivity);
+router.post('/logout', requireSession, authController.logout);
+
+// Active sessions (devices)
+router.get('/sessions', requireSession, authController.getSessions);
+router.delete('/sessions', requireSession, authController.revokeOtherSessions);
+router.delete('/sessions/:id', requireSession, authController.revokeSession);
+router.put('/password', requireSession, authController.updatePassword);
+
+// Two-factor authentication
+router.post('/2fa/setup', requireSession, authController.setupTwoFactor);
+router.post('/2fa/enable', requireSession, authController.enableTwoFactor);
+router.post('/2fa/disable', requireSession, authController.disableTwoFactor);
+router.post('/2fa/backup-codes', requireSession, authController.regenerateBackupCodes);
 
 module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * Care Relationship Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const careController = require('../controllers/care.controller');
+const { protect, authorize, requireVerifiedEmail, requireTwoFactorEnrollment, sessionOnly } = require('../middleware/auth');
+
+// All routes require authentication (plus verified email / 2FA where enforced);
+// consent is only granted or changed by the signed-in user
+router.use(protect, sessionOnly, requireVerifiedEmail, requireTwoFactorEnrollment);
+
+router.get('/relationships', careController.getRelationships);
+
+// Starting a relationship
+router.post('/invitations', authorize('patient'), careController.inviteDoctor);
+router.post('/requests', authorize('doctor'), careController.requestPatientAccess);
+
+// Responding to and managing a relationship
+router.put('/relationships/:id/approve', authorize('patient'), careController.approveRequest);
+router.put('/relationships/:id/accept', authorize('doctor'), careController.acceptInvitation);
+router.put('/relationships/:id/decline', careController.declineRelationship);
+router.put('/relationships/:id/scopes', authorize('patient'), careController.updateScopes);
+router.put('/relationships/:id/revoke', careController.revokeRelationship);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * Caregiver Routes
+ * Patient data is only served while the patient's grant covers the permission
+ */
+
+const express = require('express');
+const router = express.Router();
+const caregiverController = require('../controllers/caregiver.controller');
+const healthProfileController = require('../controllers/healthProfile.controller');
+const chatController = require('../controllers/chat.controller');
+const {
+  protect,
+  authorize,
+  requireVerifiedEmail,
+  requireTwoFactorEnrollment,
+  requireCaregiverPermission,
+  sessionOnly
+} = require('../middleware/auth');
+
+router.use(protect, sessionOnly, requireVerifiedEmail, requireTwoFactorEnrollment);
+
+// Managing grants
+router.get('/grants', caregiverController.getGrants);
+router.post('/grants', authorize('patient'), caregiverController.createGrant);
+router.put('/grants/:id', authorize('patient'), caregiverController.updateGrant);
+router.put('/grants/:id/revoke', caregiverController.revokeGrant);
+
+// Acting for a patient (grant-guarded)
+router.get('/patients/:patientId/health-profile', requireCaregiverPermission('profile:read'), healthProfileController.getProfile);
+router.post('/patients/:patientId/health-profile/medication', requireCaregiverPermission('medications:manage'), healthProfileController.addMedication);
+router.delete('/patients/:patientId/health-profile/medication/:medicationId', requireCaregiverPermission('medications:manage'), healthProfileController.removeMedication);
+
+router.get('/patients/:patientId/chat/sessions', requireCaregiverPermission('chat:read'), chatController.getUserSessions);
+router.get('/patients/:patientId/chat/session/:sessionId', requireCaregiverPermission('chat:read'), chatController.getSession);
+router.post('/patients/:patientId/chat/session', requireCaregiverPermission('chat:write'), chatController.createSession);
+router.post('/patients/:patientId/chat/session/:sessionId/message', requireCaregiverPermission('chat:write'), chatController.sendMessage);
+router.post('/patients/:patientId/chat/session/:sessionId/message/stream', requireCaregiverPermission('chat:write'), chatController.streamMessage);
+
+module.exports = router;
@@ -5,19 +5,21 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chat.controller');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail, requireTwoFactorEnrollment, requireScope, resolveProfile } = require('../middleware/auth');
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication (plus verified email / 2FA where enforced)
+// and act on the profile selected with X-Profile-Id (defaults to the account holder)
+router.use(protect, requireVerifiedEmail, requireTwoFactorEnrollment, resolveProfile);
 
 // Session management
-router.post('/session', chatController.createSession);
-router.get('/sessions', chatController.getUserSessions);
-router.get('/session/:sessionId', chatController.getSession);
-router.put('/session/:sessionId/complete', chatController.completeSession);
-router.delete('/session/:sessionId', chatController.deleteSession);
+router.post('/session', requireScope('chat:write'), chatController.createSession);
+router.get('/sessions', requireScope('chat:read'), chatController.getUserSessions);
+router.get('/session/:sessionId', requireScope('chat:read'), chatController.getSession);
+router.put('/session/:sessionId/complete', requireScope('chat:write'), chatController.completeSession);
+router.delete('/session/:sessionId', requireScope('chat:write'), chatController.deleteSession);
 
 // Messaging
-router.post('/session/:sessionId/message', chatController.sendMessage);
+router.post('/session/:sessionId/message', requireScope('chat:write'), chatController.sendMessage);
+router.post('/session/:sessionId/message/stream', requireScope('chat:write'), chatController.streamMessage);
 
 module.exports = router;
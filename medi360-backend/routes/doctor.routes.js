@@ -0,0 +1,35 @@
+/**
+ * Doctor Routes
+ * Patient data is only served while the patient's consent covers the scope
+ */
+
+const express = require('express');
+const router = express.Router();
+const doctorController = require('../controllers/doctor.controller');
+const analyticsController = require('../controllers/analytics.controller');
+const {
+  protect,
+  authorize,
+  requireVerifiedEmail,
+  requireTwoFactorEnrollment,
+  requireCareConsent,
+  sessionOnly
+} = require('../middleware/auth');
+
+router.use(protect, sessionOnly, authorize('doctor'), requireVerifiedEmail, requireTwoFactorEnrollment);
+
+router.get('/patients', doctorController.getPatients);
+
+// Health profile
+router.get('/patients/:patientId/profile', requireCareConsent('profile:read'), doctorController.getPatientProfile);
+
+// Chat sessions
+router.get('/patients/:patientId/chat-sessions', requireCareConsent('chat:read'), doctorController.getPatientSessions);
+router.get('/patients/:patientId/chat-sessions/:sessionId', requireCareConsent('chat:read'), doctorController.getPatientSession);
+
+// Analytics
+router.get('/patients/:patientId/analytics/dashboard', requireCareConsent('analytics:read'), analyticsController.getDashboard);
+router.get('/patients/:patientId/analytics/symptoms', requireCareConsent('analytics:read'), analyticsController.getSymptomAnalysis);
+router.get('/patients/:patientId/analytics/trends', requireCareConsent('analytics:read'), analyticsController.getHealthTrends);
+
+module.exports = router;
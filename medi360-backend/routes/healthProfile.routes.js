@@ -5,26 +5,32 @@
 const express = require('express');
 const router = express.Router();
 const healthProfileController = require('../controllers/healthProfile.controller');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail, requireTwoFactorEnrollment, requireScope, resolveProfile } = require('../middleware/auth');
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication (plus verified email / 2FA where enforced)
+// and act on the profile selected with X-Profile-Id (defaults to the account holder)
+router.use(protect, requireVerifiedEmail, requireTwoFactorEnrollment, resolveProfile);
 
 // Profile management
-router.post('/', healthProfileController.createProfile);
-router.get('/', healthProfileController.getProfile);
-router.put('/', healthProfileController.updateProfile);
-router.delete('/', healthProfileController.deleteProfile);
+router.post('/', requireScope('profile:write'), healthProfileController.createProfile);
+router.get('/', requireScope('profile:read'), healthProfileController.getProfile);
+router.put('/', requireScope('profile:write'), healthProfileController.updateProfile);
+router.delete('/', requireScope('profile:write'), healthProfileController.deleteProfile);
+
+// Family (dependent) profiles
+router.get('/profiles', requireScope('profile:read'), healthProfileController.getProfiles);
+router.post('/dependents', requireScope('profile:write'), healthProfileController.createDependent);
 
 // Risk assessment
-router.get('/risk-summary', healthProfileController.getRiskSummary);
+router.get('/risk-summary', requireScope('profile:read'), healthProfileController.getRiskSummary);
 
 // Medical data management
-router.post('/condition', healthProfileController.addCondition);
-router.post('/allergy', healthProfileController.addAllergy);
-router.post('/medication', healthProfileController.addMedication);
+router.post('/condition', requireScope('profile:write'), healthProfileController.addCondition);
+router.post('/allergy', requireScope('profile:write'), healthProfileController.addAllergy);
+router.post('/medication', requireScope('profile:write'), healthProfileController.addMedication);
+router.delete('/medication/:medicationId', requireScope('profile:write'), healthProfileController.removeMedication);
 
 // Medication compatibility check
-router.post('/check-medication', healthProfileController.checkMedicationCompatibility);
+router.post('/check-medication', requireScope('profile:read'), healthProfileController.checkMedicationCompatibility);
 
 module.exports = router;
@@ -3,19 +3,48 @@
  */
 
 const express = require('express');
+const { body } = require('express-validator');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
-
-// All routes require authentication
-router.use(protect);
-
-// Placeholder for future user-specific endpoints
-router.get('/profile', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'User profile endpoint - to be implemented',
-    data: req.user
-  });
-});
+const userController = require('../controllers/user.controller');
+const { protect, authorize, requireTwoFactorEnrollment, sessionOnly } = require('../middleware/auth');
+
+// Validation rules
+const validateProfile = [
+  body('fullName').optional().trim().notEmpty().withMessage('Full name cannot be empty'),
+  body('phoneNumber').optional().trim()
+];
+
+const validateEmailChange = [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').notEmpty().withMessage('Password is required')
+];
+
+// All routes require an interactive session (no API tokens)
+router.use(protect, sessionOnly);
+
+// Self-service profile
+router.get('/profile', userController.getProfile);
+router.put('/profile', validateProfile, userController.updateProfile);
+router.put('/profile/preferences', userController.updatePreferences);
+router.post('/profile/email', validateEmailChange, userController.requestEmailChange);
+router.delete('/profile/email', userController.cancelEmailChange);
+
+// Account deletion (right to erasure)
+router.get('/account/deletion', userController.getAccountDeletion);
+router.delete('/account', userController.requestAccountDeletion);
+router.post('/account/restore', userController.cancelAccountDeletion);
+
+// ======================
+// Admin user management
+// ======================
+
+router.use(authorize('admin'), requireTwoFactorEnrollment);
+
+router.get('/', userController.getUsers);
+router.get('/:id', userController.getUser);
+router.put('/:id/status', userController.updateUserStatus);
+router.put('/:id/role', userController.updateUserRole);
+router.post('/:id/logout', userController.forceLogout);
+router.post('/:id/password-reset', userController.triggerPasswordReset);
 
 module.exports = router;
@@ -0,0 +1,161 @@
+/**
+ * Encrypt Fields Migration
+ * Encrypts existing plaintext values of encrypted schema paths in place,
+ * and with --rotate re-wraps values still under a retired key
+ *
+ * Usage:
+ *   npm run encrypt-fields                 # encrypt plaintext values
+ *   npm run encrypt-fields -- --rotate     # also move old envelopes to the active key
+ *   npm run encrypt-fields -- --dry-run    # report only, write nothing
+ *
+ * Works on raw documents (no model hooks) and is safe to re-run, also
+ * while the app is live: values are updated one by one and only if unchanged.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const HealthProfile = require('../models/HealthProfile.model');
+const ChatSession = require('../models/ChatSession.model');
+const { encrypt, rewrap, isEncrypted, keyIdOf, getActiveKeyId } = require('../utils/fieldEncryption');
+
+const MODELS = [HealthProfile, ChatSession];
+const BATCH_SIZE = 200;
+const MAX_RETRY_PASSES = 3;
+
+const args = process.argv.slice(2);
+const rotate = args.includes('--rotate');
+const dryRun = args.includes('--dry-run');
+
+/**
+ * Encrypted paths of a model - fields inside document arrays grouped by
+ * array, plus plain (possibly nested) paths:
+ * { arrays: { knownConditions: ['name', 'notes'], ... }, scalars: ['contextSummary.text'] }
+ */
+const encryptedPathsOf = (Model) => {
+  const paths = {};
+  const scalars = [];
+
+  Model.schema.eachPath((path, schemaType) => {
+    if (!schemaType.schema) {
+      if (schemaType.setters.includes(encrypt)) scalars.push(path);
+      return;
+    }
+
+    schemaType.schema.eachPath((subPath, subType) => {
+      if (subType.setters.includes(encrypt)) {
+        (paths[path] = paths[path] || []).push(subPath);
+      }
+    });
+  });
+
+  return { arrays: paths, scalars };
+};
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Migrate one stored value; returns the new value (same reference if unchanged)
+ */
+const migrateValue = (value) => {
+  if (typeof value !== 'string' || value === '') return value;
+  if (!isEncrypted(value)) return encrypt(value);
+  if (rotate && keyIdOf(value) !== getActiveKeyId()) return rewrap(value);
+  return value;
+};
+
+/**
+ * Migrate the documents of a model matching filter
+ *
+ * Each changed value is written on its own path (messages.3.content) and
+ * only if it still holds what was read, so a message or medication added
+ * while the migration runs is never overwritten. A document edited between
+ * read and write is left alone and returned for another pass.
+ * @returns {Promise<{ stats: object, conflicts: Array }>} conflicts - ids to retry
+ */
+const migrateModel = async (Model, filter = {}) => {
+  const { arrays: paths, scalars } = encryptedPathsOf(Model);
+  const stats = { scanned: 0, updated: 0, values: 0 };
+  const conflicts = [];
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length && !dryRun) {
+      const result = await Model.collection.bulkWrite(operations, { ordered: false });
+      if (result.matchedCount < operations.length) {
+        // bulkWrite does not say which ones missed - recheck the whole batch
+        conflicts.push(...operations.map(operation => operation.updateOne.filter._id));
+        stats.updated -= operations.length - result.matchedCount;
+      }
+    }
+    operations = [];
+  };
+
+  const projection = Object.fromEntries([...Object.keys(paths), ...scalars].map(p => [p, 1]));
+  const cursor = Model.collection.find(filter, { projection });
+
+  for await (const doc of cursor) {
+    stats.scanned++;
+    const guard = { _id: doc._id };
+    const $set = {};
+
+    const migrate = (path, value) => {
+      const migrated = migrateValue(value);
+      if (migrated === value) return;
+      guard[path] = value;
+      $set[path] = migrated;
+      stats.values++;
+    };
+
+    for (const [arrayPath, fields] of Object.entries(paths)) {
+      const items = doc[arrayPath];
+      if (!Array.isArray(items)) continue;
+
+      items.forEach((item, index) => {
+        fields.forEach(field => migrate(`${arrayPath}.${index}.${field}`, item?.[field]));
+      });
+    }
+
+    scalars.forEach(path => migrate(path, valueAt(doc, path)));
+
+    if (Object.keys($set).length) {
+      stats.updated++;
+      operations.push({ updateOne: { filter: guard, update: { $set } } });
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+  }
+
+  await flush();
+  return { stats, conflicts };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`🔐 Active key: ${getActiveKeyId()}${rotate ? ' (rotating)' : ''}${dryRun ? ' [dry run]' : ''}`);
+
+  for (const Model of MODELS) {
+    let { stats, conflicts } = await migrateModel(Model);
+    console.log(`   ${Model.modelName}: scanned ${stats.scanned}, updated ${stats.updated} documents (${stats.values} values)`);
+
+    for (let pass = 1; conflicts.length && pass <= MAX_RETRY_PASSES; pass++) {
+      ({ stats, conflicts } = await migrateModel(Model, { _id: { $in: conflicts } }));
+      console.log(`   ${Model.modelName}: retried ${stats.scanned} documents edited during the migration, updated ${stats.updated}`);
+    }
+
+    if (conflicts.length) {
+      throw new Error(`${conflicts.length} ${Model.modelName} documents kept changing - re-run the migration`);
+    }
+  }
+
+  await mongoose.disconnect();
+};
+
+if (require.main === module) {
+  run().catch(async (error) => {
+    console.error('❌ Field encryption migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { migrateModel };
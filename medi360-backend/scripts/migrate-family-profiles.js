@@ -0,0 +1,57 @@
+/**
+ * Family Profiles Migration
+ * Prepares an existing database for dependent (family) health profiles
+ *
+ * - Marks profiles created before family mode as the account holder's ('self')
+ * - Drops the old unique index on healthprofiles.user, which allowed only one
+ *   profile per account, and builds the current indexes
+ *
+ * Usage:
+ *   npm run migrate-family-profiles
+ *   npm run migrate-family-profiles -- --dry-run    # report only, write nothing
+ *
+ * Safe to re-run.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const HealthProfile = require('../models/HealthProfile.model');
+const ChatSession = require('../models/ChatSession.model');
+
+const LEGACY_INDEX = 'user_1';
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`👪 Migrating health profiles for family mode${dryRun ? ' [dry run]' : ''}`);
+
+  const legacyFilter = { relationship: { $exists: false } };
+  const legacyCount = await HealthProfile.collection.countDocuments(legacyFilter);
+  if (!dryRun && legacyCount) {
+    await HealthProfile.collection.updateMany(legacyFilter, { $set: { relationship: 'self' } });
+  }
+  console.log(`   ${legacyCount} profiles marked as 'self'`);
+
+  const indexes = await HealthProfile.collection.indexes();
+  const legacyIndex = indexes.find(index => index.name === LEGACY_INDEX && index.unique);
+  if (legacyIndex) {
+    if (!dryRun) await HealthProfile.collection.dropIndex(LEGACY_INDEX);
+    console.log(`   dropped unique index ${LEGACY_INDEX}`);
+  }
+
+  if (!dryRun) {
+    await HealthProfile.syncIndexes();
+    await ChatSession.syncIndexes();
+    console.log('   indexes synced');
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Family profiles migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+/**
+ * Mock OIDC Identity Provider
+ * Minimal local OpenID Connect provider for developing and testing single
+ * sign-on without network access or a real IdP
+ *
+ * Implements discovery, JWKS, the authorization endpoint (a sign-in form
+ * where you type any email / name) and the token endpoint with PKCE (S256).
+ * Signing keys are generated at startup.
+ *
+ * Usage:
+ *   npm run mock-idp
+ *
+ * Then configure the backend with:
+ *   OIDC_PROVIDERS=[{"id":"mock","name":"Mock Hospital IdP","issuer":"http://localhost:5055","clientId":"medi360"}]
+ *
+ * Environment:
+ *   MOCK_OIDC_PORT (5055), MOCK_OIDC_CLIENT_ID (medi360), MOCK_OIDC_CLIENT_SECRET (none)
+ *
+ * Tests start their own instance on a free port with startMockIdp().
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Start a mock IdP
+ * @param {object} [options] - { port (0 = any free port), clientId, clientSecret }
+ * @returns {Promise<{ issuer: string, close: Function }>}
+ */
+const startMockIdp = ({ port = 0, clientId: CLIENT_ID = 'medi360', clientSecret: CLIENT_SECRET = null } = {}) => new Promise((resolve, reject) => {
+  let ISSUER;
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+  // Issued authorization codes (single use, 60s)
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // Sign-in form - any email is accepted
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, response_type, code_challenge, code_challenge_method } = req.query;
+
+    if (client_id !== CLIENT_ID || response_type !== 'code' || !redirect_uri) {
+      return res.status(400).send('invalid_request: unknown client or missing redirect_uri');
+    }
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      return res.status(400).send('invalid_request: PKCE (S256) is required');
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+      .join('\n');
+
+    res.send(`<!doctype html>
+  <title>Mock IdP sign in</title>
+  <form method="post" action="/authorize" style="font-family:sans-serif;max-width:320px;margin:4em auto">
+    <h2>Mock IdP</h2>
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" required value="staff@hospital.org"></label></p>
+    <p><label>Name<br><input name="name" value="Dr. Mock Staff"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+    <p><label>Subject (optional)<br><input name="sub" placeholder="derived from email"></label></p>
+    <button type="submit">Sign in</button>
+    <button type="submit" name="deny" value="1">Deny</button>
+  </form>`);
+  });
+
+  app.post('/authorize', (req, res) => {
+    const redirect = new URL(req.body.redirect_uri);
+    if (req.body.state) redirect.searchParams.set('state', req.body.state);
+
+    if (req.body.deny) {
+      redirect.searchParams.set('error', 'access_denied');
+      redirect.searchParams.set('error_description', 'The user denied the sign-in request');
+      return res.redirect(redirect.toString());
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+      redirectUri: req.body.redirect_uri,
+      codeChallenge: req.body.code_challenge,
+      nonce: req.body.nonce,
+      claims: {
+        sub: req.body.sub || crypto.createHash('sha256').update(req.body.email.toLowerCase()).digest('hex').slice(0, 24),
+        email: req.body.email,
+        email_verified: req.body.email_verified === 'on',
+        name: req.body.name
+      },
+      expiresAt: Date.now() + 60 * 1000
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const fail = (error, description, status = 400) => res.status(status).json({ error, error_description: description });
+
+    // Client authentication: client_secret_basic, client_secret_post or none (public client)
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+    const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+    if (basic) {
+      [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    }
+
+    if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+      return fail('invalid_client', 'Client authentication failed', 401);
+    }
+
+    if (req.body.grant_type !== 'authorization_code') {
+      return fail('unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!grant || grant.expiresAt < Date.now()) {
+      return fail('invalid_grant', 'Authorization code is invalid or expired');
+    }
+    if (grant.redirectUri !== req.body.redirect_uri) {
+      return fail('invalid_grant', 'redirect_uri does not match');
+    }
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return fail('invalid_grant', 'PKCE verification failed');
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  const server = app.listen(port, () => {
+    ISSUER = `http://localhost:${server.address().port}`;
+    resolve({
+      issuer: ISSUER,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+  server.on('error', reject);
+});
+
+if (require.main === module) {
+  const clientId = process.env.MOCK_OIDC_CLIENT_ID || 'medi360';
+
+  startMockIdp({
+    port: parseInt(process.env.MOCK_OIDC_PORT) || 5055,
+    clientId,
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET || null
+  }).then(({ issuer }) => {
+    console.log(`🔑 Mock OIDC IdP running at ${issuer} (client_id: ${clientId})`);
+  });
+}
+
+module.exports = { startMockIdp };
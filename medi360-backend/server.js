@@ -21,9 +21,16 @@ const userRoutes = require('./routes/user.routes');
 const chatRoutes = require('./routes/chat.routes');
 const healthProfileRoutes = require('./routes/healthProfile.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
+const careRoutes = require('./routes/care.routes');
+const doctorRoutes = require('./routes/doctor.routes');
+const auditRoutes = require('./routes/audit.routes');
+const apiTokenRoutes = require('./routes/apiToken.routes');
+const caregiverRoutes = require('./routes/caregiver.routes');
 
 // Import Error Handler
 const errorHandler = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
+const AccountDeletionService = require('./services/accountDeletion.service');
 
 // Initialize Express App
 const app = express();
@@ -32,6 +39,9 @@ const app = express();
 // MIDDLEWARE CONFIGURATION
 // ======================
 
+// Request ID (log / audit correlation)
+app.use(requestId);
+
 // Security Headers
 app.use(helmet());
 
@@ -101,6 +111,11 @@ app.use('/api/users', userRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/health-profile', healthProfileRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/care', careRoutes);
+app.use('/api/doctor', doctorRoutes);
+app.use('/api/caregivers', caregiverRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/tokens', apiTokenRoutes);
 
 // 404 Handler
 app.use('*', (req, res) => {
@@ -130,9 +145,22 @@ const server = app.listen(PORT, () => {
   console.log('=================================');
 });
 
+// ======================
+// SCHEDULED JOBS
+// ======================
+
+// Purge accounts whose deletion grace period has ended
+const deletionSweep = setInterval(() => {
+  AccountDeletionService.processDue()
+    .then((count) => count && console.log(`🗑️  Purged ${count} account(s) after deletion grace period`))
+    .catch((err) => console.error('Account deletion sweep failed:', err.message));
+}, (parseInt(process.env.ACCOUNT_DELETION_SWEEP_MINUTES) || 60) * 60 * 1000);
+deletionSweep.unref();
+
 // Graceful Shutdown
 process.on('SIGTERM', () => {
   console.log('⚠️  SIGTERM signal received: closing HTTP server');
+  clearInterval(deletionSweep);
   server.close(() => {
     console.log('✅ HTTP server closed');
     mongoose.connection.close(false, () => {
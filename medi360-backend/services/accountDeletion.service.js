@@ -0,0 +1,176 @@
+/**
+ * Account Deletion Service
+ * Right-to-erasure requests with a grace period and cascading purge
+ *
+ * - Deletion is scheduled ACCOUNT_DELETION_GRACE_DAYS (default 7) ahead
+ *   and can be cancelled until then; 0 purges immediately
+ * - The purge removes the user and every document derived from them
+ * - A receipt (AccountDeletion) survives the purge
+ */
+
+const User = require('../models/User.model');
+const HealthProfile = require('../models/HealthProfile.model');
+const ChatSession = require('../models/ChatSession.model');
+const CareRelationship = require('../models/CareRelationship.model');
+const RefreshToken = require('../models/RefreshToken.model');
+const Session = require('../models/Session.model');
+const LoginHistory = require('../models/LoginHistory.model');
+const ApiToken = require('../models/ApiToken.model');
+const CaregiverGrant = require('../models/CaregiverGrant.model');
+const AccountDeletion = require('../models/AccountDeletion.model');
+const TokenService = require('./token.service');
+const AuditService = require('./audit.service');
+const mailService = require('./mail.service');
+
+class AccountDeletionService {
+
+  static get gracePeriodDays() {
+    const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+    return Number.isNaN(days) ? 7 : Math.max(days, 0);
+  }
+
+  /**
+   * Open deletion request for a user, if any
+   */
+  static findScheduled(userId) {
+    return AccountDeletion.findOne({ userId, status: 'scheduled' });
+  }
+
+  /**
+   * Schedule deletion (or purge now when the grace period is 0)
+   * @returns {Promise<object>} AccountDeletion document
+   */
+  static async schedule(user) {
+    const existing = await this.findScheduled(user._id);
+    if (existing) {
+      return existing;
+    }
+
+    const scheduledFor = new Date(Date.now() + this.gracePeriodDays * 24 * 60 * 60 * 1000);
+
+    const request = await AccountDeletion.create({
+      userId: user._id,
+      emailHash: AccountDeletion.hashEmail(user.email),
+      scheduledFor
+    });
+
+    if (this.gracePeriodDays === 0) {
+      return this.purge(request);
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { deletionScheduledFor: scheduledFor } });
+    user.deletionScheduledFor = scheduledFor;
+
+    try {
+      await mailService.sendAccountDeletionScheduledEmail(user, request);
+    } catch (mailError) {
+      console.error('Deletion scheduled email failed:', mailError.message);
+    }
+
+    return request;
+  }
+
+  /**
+   * Cancel a scheduled deletion
+   * @returns {Promise<object|null>} The cancelled request, or null when none was open
+   */
+  static async cancel(user) {
+    const request = await this.findScheduled(user._id);
+    if (!request) {
+      return null;
+    }
+
+    request.status = 'cancelled';
+    request.cancelledAt = new Date();
+    await request.save();
+
+    await User.updateOne({ _id: user._id }, { $unset: { deletionScheduledFor: 1 } });
+    user.deletionScheduledFor = undefined;
+
+    return request;
+  }
+
+  /**
+   * Remove the user and all of their data, completing the request
+   */
+  static async purge(request) {
+    const userId = request.userId;
+    const user = await User.findById(userId);
+
+    // Kill live sessions first so nothing is written while we purge
+    if (user) {
+      await TokenService.revokeAllSessions(user, 'deactivated');
+    }
+
+    const [
+      healthProfiles, chatSessions, careRelationships, refreshTokens,
+      loginHistory, apiTokens, caregiverGrants, sessions
+    ] = await Promise.all([
+      HealthProfile.deleteMany({ user: userId }),
+      ChatSession.deleteMany({ user: userId }),
+      CareRelationship.deleteMany({ $or: [{ patient: userId }, { doctor: userId }] }),
+      RefreshToken.deleteMany({ user: userId }),
+      LoginHistory.deleteMany({ user: userId }),
+      ApiToken.deleteMany({ user: userId }),
+      CaregiverGrant.deleteMany({ $or: [{ patient: userId }, { caregiver: userId }] }),
+      Session.deleteMany({ user: userId })
+    ]);
+    const users = await User.deleteOne({ _id: userId });
+
+    request.status = 'completed';
+    request.completedAt = new Date();
+    request.purged = {
+      users: users.deletedCount,
+      healthProfiles: healthProfiles.deletedCount,
+      chatSessions: chatSessions.deletedCount,
+      careRelationships: careRelationships.deletedCount,
+      refreshTokens: refreshTokens.deletedCount,
+      loginHistory: loginHistory.deletedCount,
+      apiTokens: apiTokens.deletedCount,
+      caregiverGrants: caregiverGrants.deletedCount,
+      sessions: sessions.deletedCount
+    };
+    await request.save();
+
+    // Audit events themselves are retained as the record of the erasure
+    await AuditService.recordSystem({
+      action: 'account.purge',
+      resourceType: 'Account',
+      resourceId: request._id,
+      patient: userId
+    });
+
+    if (user) {
+      try {
+        await mailService.sendAccountDeletedEmail(user, request);
+      } catch (mailError) {
+        console.error('Deletion receipt email failed:', mailError.message);
+      }
+    }
+
+    return request;
+  }
+
+  /**
+   * Purge every account whose grace period has ended
+   * @returns {Promise<number>} Number of accounts purged
+   */
+  static async processDue() {
+    const due = await AccountDeletion.find({
+      status: 'scheduled',
+      scheduledFor: { $lte: new Date() }
+    });
+
+    for (const request of due) {
+      try {
+        await this.purge(request);
+      } catch (error) {
+        console.error(`Account purge failed for receipt ${request.receiptId}:`, error.message);
+      }
+    }
+
+    return due.length;
+  }
+}
+
+module.exports = AccountDeletionService;
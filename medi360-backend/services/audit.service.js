@@ -0,0 +1,61 @@
+/**
+ * Audit Service
+ * Records PHI access in the hash-chained audit log (AuditEvent)
+ *
+ * Controllers await record() before responding, so a request whose access
+ * cannot be audited fails instead of leaking data silently.
+ */
+
+const AuditEvent = require('../models/AuditEvent.model');
+
+class AuditService {
+
+  /**
+   * Record an access made while handling a request
+   * @param {object} req - Express request (actor, IP, request id)
+   * @param {object} event
+   * @param {string} event.action - e.g. 'health-profile.read'
+   * @param {string} event.resourceType - HealthProfile | ChatSession | Analytics | Account
+   * @param {*} [event.resourceId]
+   * @param {*} [event.patient] - Defaults to the consenting / delegating patient or the caller
+   * @param {string[]} [event.fields] - Fields touched ('*' for the whole document)
+   */
+  static record(req, { action, resourceType, resourceId, patient, fields = ['*'] }) {
+    return AuditEvent.append({
+      actor: req.user ? req.user._id : null,
+      actorRole: req.caregiverGrant ? 'caregiver' : req.user ? req.user.role : 'anonymous',
+      patient: patient || req.patientId || req.user._id,
+      action,
+      resourceType,
+      resourceId,
+      fields,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      requestId: req.id
+    });
+  }
+
+  /**
+   * Record an access made by a background job
+   */
+  static recordSystem({ action, resourceType, resourceId, patient, fields = ['*'] }) {
+    return AuditEvent.append({
+      actor: null,
+      actorRole: 'system',
+      patient,
+      action,
+      resourceType,
+      resourceId,
+      fields
+    });
+  }
+
+  /**
+   * Top-level fields present in a write payload
+   */
+  static fieldsOf(body) {
+    return Object.keys(body || {}).filter(key => body[key] !== undefined);
+  }
+}
+
+module.exports = AuditService;
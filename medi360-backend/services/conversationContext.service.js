@@ -0,0 +1,123 @@
+/**
+ * Conversation Context Service
+ * Prior turns of a chat session for the next AI prompt, within a token budget
+ *
+ * - Recent turns are sent verbatim (ChatSession.getConversationContext)
+ * - Turns that overflow the window are folded into a running summary stored
+ *   on the session (contextSummary), so long consultations keep their history
+ *   without the prompt growing
+ * - The summary is refreshed in batches of SUMMARY_BATCH_TURNS rather than on
+ *   every message; until a batch is full the overflowing turns stay verbatim
+ * - Without a reachable LLM the summary falls back to the patient's own words
+ */
+
+const llmService = require('./llm.service');
+
+const DEFAULT_MAX_TOKENS = 3000;
+const SUMMARY_BATCH_TURNS = 4;
+const SUMMARY_MAX_CHARS = 2000;
+const TURN_MAX_CHARS = 1500;
+const EXTRACT_MAX_CHARS = 200;
+
+const SUMMARY_INSTRUCTIONS = `You maintain a running summary of a patient's conversation with MEDI-360, a medical assistant.
+
+Merge the earlier summary with the new turns into one updated summary that keeps:
+• Symptoms with onset, duration, severity and how they changed
+• Relevant history, medications and allergies the patient mentioned
+• Advice already given and questions still open
+
+Write plain text in the third person ("The patient..."), at most 150 words. Do not add advice of your own.`;
+
+// Adjacent turns from the same side (e.g. a message whose reply was cancelled) become one
+const mergeConsecutive = (turns) => turns.reduce((merged, turn) => {
+  const previous = merged[merged.length - 1];
+  if (previous && previous.role === turn.role) {
+    previous.content = `${previous.content}\n\n${turn.content}`;
+  } else {
+    merged.push({ ...turn });
+  }
+  return merged;
+}, []);
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max)}…` : text);
+
+class ConversationContextService {
+
+  static get maxTokens() {
+    return parseInt(process.env.CHAT_CONTEXT_MAX_TOKENS) || DEFAULT_MAX_TOKENS;
+  }
+
+  /**
+   * Turns to send with the next prompt (ending with the latest user message)
+   * plus the summary of older ones. Updates session.contextSummary when a
+   * new batch has been summarized - the caller saves the session.
+   * @param {object} session - ChatSession document
+   * @param {object} [options] - { signal }
+   * @returns {Promise<{summary: string|null, messages: Array<{role: string, content: string}>}>}
+   */
+  static async build(session, { signal } = {}) {
+    const { recent, older } = session.getConversationContext(this.maxTokens);
+
+    // A summary covering more than now overflows (e.g. after raising the budget) is discarded
+    const stored = session.contextSummary;
+    const usable = stored?.text && stored.turnCount <= older.length;
+    let summary = usable ? stored.text : null;
+    let covered = usable ? stored.turnCount : 0;
+
+    if (older.length - covered >= SUMMARY_BATCH_TURNS) {
+      summary = await this.summarize(summary, older.slice(covered), { signal });
+      covered = older.length;
+      session.contextSummary = { text: summary, turnCount: covered, updatedAt: new Date() };
+    }
+
+    return {
+      summary,
+      messages: mergeConsecutive([...older.slice(covered), ...recent])
+    };
+  }
+
+  /**
+   * Fold new turns into the running summary
+   * @param {string|null} previousSummary
+   * @param {Array<{role: string, content: string}>} turns
+   * @param {object} [options] - { signal }
+   * @returns {Promise<string>}
+   */
+  static async summarize(previousSummary, turns, { signal } = {}) {
+    const transcript = turns
+      .map(turn => `${turn.role === 'user' ? 'Patient' : 'Assistant'}: ${truncate(turn.content, TURN_MAX_CHARS)}`)
+      .join('\n\n');
+
+    try {
+      const { text } = await llmService.generate({
+        system: SUMMARY_INSTRUCTIONS,
+        messages: [{
+          role: 'user',
+          content: `EARLIER SUMMARY:\n${previousSummary || '(none)'}\n\nNEW TURNS:\n${transcript}\n\nUPDATED SUMMARY:`
+        }]
+      }, { signal });
+
+      return truncate(text.trim(), SUMMARY_MAX_CHARS);
+    } catch (error) {
+      console.error('Conversation summary failed, keeping patient messages instead:', error.message);
+      return this.extractiveSummary(previousSummary, turns);
+    }
+  }
+
+  /**
+   * LLM-free fallback: what the patient said, most recent kept when over length
+   */
+  static extractiveSummary(previousSummary, turns) {
+    const lines = turns
+      .filter(turn => turn.role === 'user')
+      .map(turn => `The patient said: "${truncate(turn.content.replace(/\s+/g, ' '), EXTRACT_MAX_CHARS)}"`);
+
+    const text = [previousSummary, ...lines].filter(Boolean).join('\n');
+    if (text.length <= SUMMARY_MAX_CHARS) return text;
+
+    const cut = text.indexOf('\n', text.length - SUMMARY_MAX_CHARS);
+    return cut === -1 ? text.slice(-SUMMARY_MAX_CHARS) : text.slice(cut + 1);
+  }
+}
+
+module.exports = ConversationContextService;
@@ -0,0 +1,225 @@
+/**
+ * LLM Service
+ * Text generation through a configurable fallback chain of providers
+ *
+ * Providers (services/llmProviders):
+ * - gemini: Google Gemini (GEMINI_API_KEY)
+ * - openai: any OpenAI-compatible /chat/completions server (LLM_OPENAI_BASE_URL)
+ * - mock: deterministic offline replies
+ *
+ * LLM_CHAIN lists provider:model entries tried in order, e.g.
+ *   gemini:gemini-2.5-flash,gemini:gemini-1.5-flash,openai:llama3.1
+ *
+ * Each entry gets LLM_<PROVIDER>_TIMEOUT_MS / LLM_<PROVIDER>_RETRIES
+ * (falling back to LLM_TIMEOUT_MS / LLM_RETRIES). Only timeouts, rate
+ * limits and provider outages are retried; any other failure moves on
+ * to the next entry. Every failure surfaces as an LLMError.
+ *
+ * A provider exposes:
+ *   name
+ *   async generate(request, { model, signal }) -> text
+ *   async stream(request, onText, { model, signal })
+ * where request is { system, messages: [{ role: 'user' | 'assistant', content }], json? }.
+ * `json: true` asks for a JSON object reply (the provider's JSON mode, where it has one).
+ */
+
+const LLMError = require('../utils/llmError');
+const GeminiProvider = require('./llmProviders/gemini.provider');
+const OpenAICompatibleProvider = require('./llmProviders/openaiCompatible.provider');
+const MockProvider = require('./llmProviders/mock.provider');
+
+const DEFAULT_CHAIN = 'gemini:gemini-2.5-flash,gemini:gemini-1.5-flash';
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 1;
+const RETRY_BASE_DELAY_MS = 500;
+
+const PROVIDER_FACTORIES = {
+  gemini: () => new GeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    baseUrl: process.env.GEMINI_BASE_URL
+  }),
+  openai: () => new OpenAICompatibleProvider({
+    baseUrl: process.env.LLM_OPENAI_BASE_URL,
+    apiKey: process.env.LLM_OPENAI_API_KEY
+  }),
+  mock: () => new MockProvider()
+};
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class LLMService {
+  constructor() {
+    this.chain = null;
+  }
+
+  /**
+   * Lazily build the configured fallback chain
+   * @returns {Array<{provider: object, model: string, timeoutMs: number, retries: number}>}
+   */
+  getChain() {
+    if (this.chain) {
+      return this.chain;
+    }
+
+    const providers = {};
+    const spec = process.env.LLM_CHAIN || DEFAULT_CHAIN;
+
+    this.chain = spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [name, ...modelParts] = entry.split(':');
+      const factory = PROVIDER_FACTORIES[name];
+      if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}" in LLM_CHAIN`);
+      }
+
+      const prefix = `LLM_${name.toUpperCase()}`;
+      providers[name] = providers[name] || factory();
+
+      return {
+        provider: providers[name],
+        model: modelParts.join(':') || 'default',
+        timeoutMs: intFromEnv(`${prefix}_TIMEOUT_MS`, intFromEnv('LLM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS)),
+        retries: intFromEnv(`${prefix}_RETRIES`, intFromEnv('LLM_RETRIES', DEFAULT_RETRIES))
+      };
+    });
+
+    return this.chain;
+  }
+
+  /**
+   * Replace the chain (e.g. with mock providers)
+   * @param {Array<{provider: object, model?: string, timeoutMs?: number, retries?: number}>} chain
+   */
+  setChain(chain) {
+    this.chain = chain.map(entry => ({
+      model: 'default',
+      timeoutMs: DEFAULT_TIMEOUT_MS,
+      retries: 0,
+      ...entry
+    }));
+  }
+
+  /**
+   * Generate a complete reply
+   * @param {object} request - { system, messages, json }
+   * @param {object} [options] - { signal }
+   * @returns {Promise<{text: string, provider: string, model: string}>}
+   */
+  async generate(request, { signal } = {}) {
+    return this.run(request, { signal });
+  }
+
+  /**
+   * Generate a reply, passing text to onText as it arrives
+   *
+   * Once any text has been emitted there is no retry or fallback (the
+   * caller would get two answers spliced together); the LLMError is
+   * thrown with `partial: true` instead - also when the signal cancelled it.
+   * @param {object} request - { system, messages, json }
+   * @param {function(string)} onText
+   * @param {object} [options] - { signal }
+   * @returns {Promise<{text: string, provider: string, model: string}>}
+   */
+  async stream(request, onText, { signal } = {}) {
+    return this.run(request, { signal, onText });
+  }
+
+  async run(request, { signal, onText }) {
+    const attempts = [];
+    let emitted = false;
+
+    const emit = onText && ((text) => {
+      emitted = true;
+      onText(text);
+    });
+
+    for (const entry of this.getChain()) {
+      for (let attempt = 0; attempt <= entry.retries; attempt++) {
+        try {
+          const text = await this.attempt(entry, request, { signal, onText: emit });
+          return { text, provider: entry.provider.name, model: entry.model };
+        } catch (error) {
+          // The caller already holds this provider's text, even when the user cancelled
+          if (emitted) error.partial = true;
+          if (error.code === 'aborted') throw error;
+
+          console.error(`LLM ${entry.provider.name}:${entry.model} failed (${error.code}):`, error.message);
+          attempts.push({ provider: entry.provider.name, model: entry.model, code: error.code, message: error.message });
+
+          if (emitted) throw error;
+          if (!error.retryable || attempt === entry.retries) break;
+
+          await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+        }
+      }
+    }
+
+    throw new LLMError('All LLM providers failed', { code: 'exhausted', attempts });
+  }
+
+  /**
+   * One call to one provider, bounded by its timeout (for streams: the
+   * longest allowed wait for the next chunk)
+   */
+  async attempt(entry, request, { signal, onText }) {
+    const { provider, model, timeoutMs } = entry;
+    const context = { provider: provider.name, model };
+
+    if (signal?.aborted) {
+      throw new LLMError('Request cancelled', { ...context, code: 'aborted' });
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer;
+    const armTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    };
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    let text = '';
+    try {
+      armTimer();
+
+      if (onText) {
+        await provider.stream(request, (chunk) => {
+          armTimer();
+          text += chunk;
+          onText(chunk);
+        }, { model, signal: controller.signal });
+      } else {
+        text = await provider.generate(request, { model, signal: controller.signal });
+      }
+
+      return text;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new LLMError('Request cancelled', { ...context, code: 'aborted', cause: error });
+      }
+      if (timedOut) {
+        throw new LLMError(`No response within ${timeoutMs}ms`, { ...context, code: 'timeout', cause: error });
+      }
+      if (error instanceof LLMError) throw error;
+      if (error instanceof SyntaxError) {
+        throw new LLMError(`Malformed response: ${error.message}`, { ...context, code: 'bad-response', cause: error });
+      }
+
+      // fetch rejects with a TypeError on network failures
+      throw new LLMError(error.message, { ...context, code: 'unavailable', cause: error });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+module.exports = new LLMService();
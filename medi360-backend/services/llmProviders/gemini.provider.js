@@ -0,0 +1,86 @@
+/**
+ * Gemini LLM Provider
+ * Google Generative Language API (generateContent / streamGenerateContent)
+ */
+
+const LLMError = require('../../utils/llmError');
+const { readEventData } = require('./sse');
+
+// Stops that mean the model refused rather than finished
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION'];
+
+class GeminiProvider {
+  /**
+   * @param {object} options - { apiKey, baseUrl }
+   */
+  constructor(options) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey;
+    this.baseUrl = options.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+  }
+
+  // Our chat roles -> Gemini's (the assistant is the "model")
+  buildBody(request) {
+    return {
+      ...(request.system && { systemInstruction: { parts: [{ text: request.system }] } }),
+      contents: request.messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+      ...(request.json && { generationConfig: { responseMimeType: 'application/json' } })
+    };
+  }
+
+  async post(method, model, request, signal, query = '') {
+    if (!this.apiKey) {
+      throw new LLMError('GEMINI_API_KEY is missing', { code: 'config', provider: this.name, model });
+    }
+
+    const response = await fetch(`${this.baseUrl}/models/${model}:${method}?${query}key=${this.apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildBody(request)),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await LLMError.fromResponse(response, { provider: this.name, model });
+    }
+    return response;
+  }
+
+  candidateText(data, model) {
+    const parts = data.candidates?.[0]?.content?.parts;
+    if (!Array.isArray(parts)) {
+      const reason = data.promptFeedback?.blockReason || data.candidates?.[0]?.finishReason || 'no candidates';
+      throw new LLMError(`Unexpected Gemini response (${reason})`, { code: 'bad-response', provider: this.name, model });
+    }
+    return parts.map(part => part.text || '').join('');
+  }
+
+  async generate(request, { model, signal }) {
+    const response = await this.post('generateContent', model, request, signal);
+    return this.candidateText(await response.json(), model);
+  }
+
+  async stream(request, onText, { model, signal }) {
+    const response = await this.post('streamGenerateContent', model, request, signal, 'alt=sse&');
+
+    await readEventData(response.body, (data) => {
+      const chunk = JSON.parse(data);
+      const candidate = chunk.candidates?.[0];
+      const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+
+      const blocked = chunk.promptFeedback?.blockReason
+        || (!text && BLOCKED_FINISH_REASONS.includes(candidate?.finishReason) && candidate.finishReason);
+      if (blocked) {
+        throw new LLMError(`Gemini blocked the response (${blocked})`, { code: 'bad-response', provider: this.name, model });
+      }
+
+      // Chunks without parts (e.g. a last one with only finishReason or usageMetadata) carry no text
+      if (text) onText(text);
+    });
+  }
+}
+
+module.exports = GeminiProvider;
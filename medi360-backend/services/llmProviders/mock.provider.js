@@ -0,0 +1,91 @@
+/**
+ * Mock LLM Provider
+ * Deterministic replies without any network access - for tests and offline development
+ *
+ * The same request always produces the same reply, streamed word by word
+ * (for `json` requests, a reply envelope as described in replyEnvelope.service).
+ * `failWith` makes every call fail with that LLMError code (e.g. 'timeout'),
+ * to exercise retries and fallbacks.
+ */
+
+const LLMError = require('../../utils/llmError');
+
+class MockProvider {
+  /**
+   * @param {object} [options] - { response, delayMs, failWith }
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.response = options.response;
+    this.delayMs = options.delayMs || 0;
+    this.failWith = options.failWith;
+  }
+
+  reply(request, model) {
+    if (this.failWith) {
+      throw new LLMError(`Mock provider configured to fail (${this.failWith})`, {
+        code: this.failWith,
+        provider: this.name,
+        model
+      });
+    }
+
+    if (this.response) return this.response;
+
+    const lastUserMessage = [...request.messages].reverse().find(message => message.role === 'user');
+    const text = `🩺 ANALYSIS
+This is a mock assessment of: "${lastUserMessage?.content || ''}".
+
+💊 IMMEDIATE ADVICE
+• Rest and stay hydrated.
+• Monitor how your symptoms change.
+
+⚠️ WARNING SIGNS
+• Symptoms that get worse or do not improve.
+
+---
+Disclaimer: I am an AI. Please consult a doctor for a professional diagnosis.`;
+
+    if (!request.json) return text;
+
+    return JSON.stringify({
+      displayText: text,
+      severity: 'low',
+      redFlags: [],
+      identifiedSymptoms: [],
+      possibleConditions: [],
+      recommendations: ['Rest and stay hydrated.', 'Monitor how your symptoms change.'],
+      referralRecommended: false
+    });
+  }
+
+  wait(signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, this.delayMs);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  async generate(request, { model, signal }) {
+    await this.wait(signal);
+    return this.reply(request, model);
+  }
+
+  async stream(request, onText, { model, signal }) {
+    const words = this.reply(request, model).match(/\S+\s*|\s+/g) || [];
+    for (const word of words) {
+      await this.wait(signal);
+      onText(word);
+    }
+  }
+}
+
+module.exports = MockProvider;
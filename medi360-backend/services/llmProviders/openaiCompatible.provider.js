@@ -0,0 +1,71 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ * Any server exposing /chat/completions - OpenAI itself, or local
+ * servers such as Ollama, llama.cpp, vLLM and LM Studio
+ */
+
+const LLMError = require('../../utils/llmError');
+const { readEventData } = require('./sse');
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {object} options - { baseUrl, apiKey } (local servers usually need no key)
+   */
+  constructor(options) {
+    this.name = 'openai';
+    this.baseUrl = options.baseUrl?.replace(/\/$/, '');
+    this.apiKey = options.apiKey;
+  }
+
+  async post(model, request, signal, stream) {
+    if (!this.baseUrl) {
+      throw new LLMError('LLM_OPENAI_BASE_URL is missing', { code: 'config', provider: this.name, model });
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify({
+        model,
+        stream,
+        messages: [
+          ...(request.system ? [{ role: 'system', content: request.system }] : []),
+          ...request.messages
+        ],
+        ...(request.json && { response_format: { type: 'json_object' } })
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await LLMError.fromResponse(response, { provider: this.name, model });
+    }
+    return response;
+  }
+
+  async generate(request, { model, signal }) {
+    const response = await this.post(model, request, signal, false);
+    const data = await response.json();
+
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new LLMError('Unexpected chat completion response', { code: 'bad-response', provider: this.name, model });
+    }
+    return text;
+  }
+
+  async stream(request, onText, { model, signal }) {
+    const response = await this.post(model, request, signal, true);
+
+    await readEventData(response.body, (data) => {
+      if (data === '[DONE]') return;
+      const text = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (text) onText(text);
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
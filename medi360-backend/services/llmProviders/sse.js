@@ -0,0 +1,27 @@
+/**
+ * Server-Sent Events reader for streamed provider responses
+ */
+
+/**
+ * Call onData with the payload of every `data:` line in a fetch response body
+ * @param {ReadableStream} body - fetch response body
+ * @param {function(string)} onData
+ */
+const readEventData = async (body, onData) => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.startsWith('data:')) onData(line.slice(5).trim());
+    }
+  }
+
+  if (buffer.startsWith('data:')) onData(buffer.slice(5).trim());
+};
+
+module.exports = { readEventData };
@@ -0,0 +1,114 @@
+/**
+ * Login Security Service
+ * Per-account brute-force protection and login history
+ *
+ * - Counts failed logins per account in MongoDB (survives restarts)
+ * - Progressive lockout: LOGIN_LOCKOUT_BASE_MINUTES doubled on every
+ *   consecutive lockout, capped at LOGIN_LOCKOUT_MAX_MINUTES
+ * - Records every attempt with IP / user agent and flags new IPs and devices
+ */
+
+const User = require('../models/User.model');
+const LoginHistory = require('../models/LoginHistory.model');
+
+class LoginSecurityService {
+
+  static get maxAttempts() {
+    return parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  }
+
+  /**
+   * Lockout duration in minutes for the nth consecutive lockout (0-based)
+   */
+  static lockoutMinutes(lockoutCount) {
+    const base = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 5;
+    const max = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+    return Math.min(base * 2 ** lockoutCount, max);
+  }
+
+  /**
+   * Seconds until a locked account unlocks
+   */
+  static retryAfterSeconds(user) {
+    return Math.max(1, Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000));
+  }
+
+  /**
+   * Append an entry to the login history
+   */
+  static async record(req, { user = null, email, success, failureReason, method = 'password', anomalies }) {
+    return LoginHistory.create({
+      user: user ? user._id : null,
+      email: email || user?.email,
+      success,
+      failureReason,
+      method,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      anomalies
+    });
+  }
+
+  /**
+   * Register a failed attempt and lock the account once the limit is reached
+   * @returns {Promise<{locked: boolean, lockUntil?: Date}>}
+   */
+  static async registerFailure(user, req, reason, method = 'password') {
+    await this.record(req, { user, success: false, failureReason: reason, method });
+
+    // Atomic increment so parallel attempts cannot slip past the limit
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    );
+
+    if (updated.failedLoginAttempts < this.maxAttempts) {
+      return { locked: false };
+    }
+
+    const lockUntil = new Date(Date.now() + this.lockoutMinutes(updated.lockoutCount) * 60 * 1000);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { lockUntil, failedLoginAttempts: 0 },
+        $inc: { lockoutCount: 1 }
+      }
+    );
+
+    user.lockUntil = lockUntil;
+    return { locked: true, lockUntil };
+  }
+
+  /**
+   * Register a successful login: reset counters and record anomalies
+   */
+  static async registerSuccess(user, req, method = 'password') {
+    const ip = req.ip;
+    const userAgent = req.get('user-agent');
+
+    const [hasHistory, knownIp, knownDevice, latest] = await Promise.all([
+      LoginHistory.exists({ user: user._id, success: true }),
+      LoginHistory.exists({ user: user._id, success: true, ip }),
+      LoginHistory.exists({ user: user._id, success: true, userAgent }),
+      User.findById(user._id).select('failedLoginAttempts')
+    ]);
+
+    const anomalies = {
+      newIp: !!hasHistory && !knownIp,
+      newDevice: !!hasHistory && !knownDevice,
+      priorFailures: latest ? latest.failedLoginAttempts : 0
+    };
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: 1 } }
+    );
+
+    return this.record(req, { user, success: true, method, anomalies });
+  }
+}
+
+module.exports = LoginSecurityService;
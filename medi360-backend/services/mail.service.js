@@ -0,0 +1,291 @@
+/**
+ * Mail Service
+ * Transactional email through a pluggable transport
+ *
+ * Transports (MAIL_TRANSPORT):
+ * - console: print to stdout (default in development)
+ * - file: write JSON files to MAIL_FILE_DIR (local dev / tests)
+ * - smtp: deliver through an SMTP relay (production)
+ */
+
+const path = require('path');
+const ConsoleTransport = require('./mailTransports/console.transport');
+const FileTransport = require('./mailTransports/file.transport');
+const SmtpTransport = require('./mailTransports/smtp.transport');
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Lazily create the configured transport
+   */
+  getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+
+    const name = process.env.MAIL_TRANSPORT || 'console';
+
+    switch (name) {
+      case 'smtp':
+        this.transport = new SmtpTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        });
+        break;
+      case 'file':
+        this.transport = new FileTransport(
+          process.env.MAIL_FILE_DIR || path.join(__dirname, '../tmp/mail')
+        );
+        break;
+      case 'console':
+        this.transport = new ConsoleTransport();
+        break;
+      default:
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport (e.g. with an in-memory one)
+   * @param {object} transport - Object exposing async send(message)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Build an absolute link into the frontend
+   */
+  appUrl(pathname) {
+    const base = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+    return `${base.replace(/\/$/, '')}${pathname}`;
+  }
+
+  /**
+   * Send a message through the active transport
+   * @param {object} message - { to, subject, text, html }
+   */
+  async send(message) {
+    return this.getTransport().send({
+      from: process.env.MAIL_FROM || 'MEDI-360 <no-reply@medi360.local>',
+      ...message
+    });
+  }
+
+  // ======================
+  // TEMPLATES
+  // ======================
+
+  async sendVerificationEmail(user, token, email = user.email) {
+    const link = this.appUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+
+    return this.send({
+      to: email,
+      subject: 'Verify your MEDI-360 email address',
+      text: `Hello ${user.fullName},
+
+Please confirm your email address by opening the link below:
+
+${link}
+
+This link expires in ${process.env.EMAIL_VERIFICATION_EXPIRE || '24h'}. If you did not create a MEDI-360 account, you can ignore this email.`,
+      html: `<p>Hello ${escapeHtml(user.fullName)},</p>
+<p>Please confirm your email address by opening the link below:</p>
+<p><a href="${link}">Verify email address</a></p>
+<p>This link expires in ${process.env.EMAIL_VERIFICATION_EXPIRE || '24h'}. If you did not create a MEDI-360 account, you can ignore this email.</p>`
+    });
+  }
+
+  async sendPasswordResetEmail(user, token) {
+    const link = this.appUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+    const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your MEDI-360 password',
+      text: `Hello ${user.fullName},
+
+We received a request to reset your MEDI-360 password. Open the link below to choose a new one:
+
+${link}
+
+This link can be used once and expires in ${minutes} minutes. If you did not request a reset, you can ignore this email - your password will not change.`,
+      html: `<p>Hello ${escapeHtml(user.fullName)},</p>
+<p>We received a request to reset your MEDI-360 password. Open the link below to choose a new one:</p>
+<p><a href="${link}">Reset password</a></p>
+<p>This link can be used once and expires in ${minutes} minutes. If you did not request a reset, you can ignore this email - your password will not change.</p>`
+    });
+  }
+
+  async sendPasswordChangedEmail(user) {
+    return this.send({
+      to: user.email,
+      subject: 'Your MEDI-360 password was changed',
+      text: `Hello ${user.fullName},
+
+The password for your MEDI-360 account was just changed and all devices were signed out.
+
+If this was not you, reset your password immediately and contact support.`,
+      html: `<p>Hello ${escapeHtml(user.fullName)},</p>
+<p>The password for your MEDI-360 account was just changed and all devices were signed out.</p>
+<p>If this was not you, reset your password immediately and contact support.</p>`
+    });
+  }
+
+  async sendEmailChangeVerification(user, token, newEmail) {
+    const link = this.appUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+
+    return this.send({
+      to: newEmail,
+      subject: 'Confirm your new MEDI-360 email address',
+      text: `Hello ${user.fullName},
+
+You asked to change the email address of your MEDI-360 account to ${newEmail}. Open the link below to confirm:
+
+${link}
+
+Your current address stays active until you confirm. This link expires in ${process.env.EMAIL_VERIFICATION_EXPIRE || '24h'}.`,
+      html: `<p>Hello ${escapeHtml(user.fullName)},</p>
+<p>You asked to change the email address of your MEDI-360 account to ${escapeHtml(newEmail)}. Open the link below to confirm:</p>
+<p><a href="${link}">Confirm new email address</a></p>
+<p>Your current address stays active until you confirm. This link expires in ${process.env.EMAIL_VERIFICATION_EXPIRE || '24h'}.</p>`
+    });
+  }
+
+  async sendEmailChangedNotice(user, previousEmail) {
+    return this.send({
+      to: previousEmail,
+      subject: 'Your MEDI-360 email address was changed',
+      text: `Hello ${user.fullName},
+
+The email address of your MEDI-360 account was changed from ${previousEmail} to ${user.email}.
+
+If this was not you, contact support immediately.`,
+      html: `<p>Hello ${escapeHtml(user.fullName)},</p>
+<p>The email address of your MEDI-360 account was changed from ${escapeHtml(previousEmail)} to ${escapeHtml(user.email)}.</p>
+<p>If this was not you, contact support immediately.</p>`
+    });
+  }
+
+  async sendIdentityLinkedEmail(user, providerName) {
+    return this.send({
+      to: user.email,
+      subject: 'A sign-in provider was linked to your MEDI-360 account',
+      text: `Hello ${user.fullName},
+
+You can now sign in to MEDI-360 with ${providerName}. It was linked to your account because it confirmed your email address.
+
+If this was not you, contact support immediately.`,
+      html: `<p>Hello ${escapeHtml(user.fullName)},</p>
+<p>You can now sign in to MEDI-360 with ${escapeHtml(providerName)}. It was linked to your account because it confirmed your email address.</p>
+<p>If this was not you, contact support immediately.</p>`
+    });
+  }
+
+  async sendAccountDeletionScheduledEmail(user, request) {
+    const link = this.appUrl('/settings');
+    const date = request.scheduledFor.toUTCString();
+
+    return this.send({
+      to: user.email,
+      subject: 'Your MEDI-360 account is scheduled for deletion',
+      text: `Hello ${user.fullName},
+
+Your MEDI-360 account and all of its health data will be permanently deleted on ${date}.
+
+Changed your mind? Sign in before then and cancel the deletion in Settings:
+
+${link}
+
+Receipt: ${request.receiptId}`,
+      html: `<p>Hello ${escapeHtml(user.fullName)},</p>
+<p>Your MEDI-360 account and all of its health data will be permanently deleted on ${date}.</p>
+<p>Changed your mind? Sign in before then and <a href="${link}">cancel the deletion in Settings</a>.</p>
+<p>Receipt: ${request.receiptId}</p>`
+    });
+  }
+
+  async sendAccountDeletedEmail(user, request) {
+    return this.send({
+      to: user.email,
+      subject: 'Your MEDI-360 account has been deleted',
+      text: `Hello ${user.fullName},
+
+Your MEDI-360 account, health profile and consultation history were permanently deleted on ${request.completedAt.toUTCString()}.
+
+Keep this receipt for your records: ${request.receiptId}`,
+      html: `<p>Hello ${escapeHtml(user.fullName)},</p>
+<p>Your MEDI-360 account, health profile and consultation history were permanently deleted on ${request.completedAt.toUTCString()}.</p>
+<p>Keep this receipt for your records: <strong>${request.receiptId}</strong></p>`
+    });
+  }
+
+  /**
+   * @param {string} kind - 'invitation' (patient -> doctor) or 'request' (doctor -> patient)
+   */
+  async sendCareRequestEmail(recipient, sender, kind) {
+    const link = this.appUrl('/care');
+    const summary = kind === 'invitation'
+      ? `${sender.fullName} has invited you to follow their care on MEDI-360.`
+      : `Dr. ${sender.fullName} has asked for access to your MEDI-360 health records.`;
+    const action = kind === 'invitation'
+      ? 'Sign in to accept or decline the invitation:'
+      : 'Nothing is shared until you approve. Sign in to review the requested access:';
+
+    return this.send({
+      to: recipient.email,
+      subject: kind === 'invitation' ? 'New MEDI-360 care invitation' : 'A doctor requested access to your MEDI-360 records',
+      text: `Hello ${recipient.fullName},
+
+${summary}
+
+${action}
+
+${link}`,
+      html: `<p>Hello ${escapeHtml(recipient.fullName)},</p>
+<p>${escapeHtml(summary)}</p>
+<p>${escapeHtml(action)}</p>
+<p><a href="${link}">Review care relationships</a></p>`
+    });
+  }
+
+  async sendCaregiverGrantEmail(caregiver, patient, grant) {
+    const link = this.appUrl('/care');
+
+    return this.send({
+      to: caregiver.email,
+      subject: `${patient.fullName} made you a caregiver on MEDI-360`,
+      text: `Hello ${caregiver.fullName},
+
+${patient.fullName} has given you caregiver access to their MEDI-360 health records until ${grant.expiresAt.toUTCString()}.
+
+Permissions: ${grant.permissions.join(', ')}
+
+Sign in to help manage their care, or step down if this was a mistake:
+
+${link}`,
+      html: `<p>Hello ${escapeHtml(caregiver.fullName)},</p>
+<p>${escapeHtml(patient.fullName)} has given you caregiver access to their MEDI-360 health records until ${grant.expiresAt.toUTCString()}.</p>
+<p>Permissions: ${escapeHtml(grant.permissions.join(', '))}</p>
+<p><a href="${link}">Open Care Team</a> to help manage their care, or step down if this was a mistake.</p>`
+    });
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = new MailService();
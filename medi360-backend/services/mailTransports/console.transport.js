@@ -0,0 +1,20 @@
+/**
+ * Console Mail Transport
+ * Prints outgoing mail to stdout - for local development
+ */
+
+class ConsoleTransport {
+  async send(message) {
+    console.log('=================================');
+    console.log('📧 Outgoing Email (console transport)');
+    console.log(`To:      ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('---------------------------------');
+    console.log(message.text);
+    console.log('=================================');
+
+    return { transport: 'console', accepted: [message.to] };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,32 @@
+/**
+ * File Mail Transport
+ * Writes each outgoing mail as a JSON file - for local development and tests
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class FileTransport {
+  /**
+   * @param {string} directory - Output directory (MAIL_FILE_DIR)
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const filePath = path.join(this.directory, fileName);
+
+    await fs.writeFile(filePath, JSON.stringify({
+      ...message,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+
+    return { transport: 'file', accepted: [message.to], path: filePath };
+  }
+}
+
+module.exports = FileTransport;
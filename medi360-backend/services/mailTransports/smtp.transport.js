@@ -0,0 +1,28 @@
+/**
+ * SMTP Mail Transport
+ * Delivers mail through an SMTP relay - for production
+ */
+
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  /**
+   * @param {object} options - SMTP connection settings
+   */
+  constructor(options) {
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+
+    return { transport: 'smtp', accepted: info.accepted, messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
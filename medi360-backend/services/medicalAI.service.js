@@ -13,27 +13,34 @@
  * - Emergency detection
  */
 
+const { compileLexicon, parseSymptoms, isNegated } = require('../utils/symptomParser');
+
 class MedicalAIService {
   
   /**
    * Symptom Knowledge Base
    * Source: Medical databases, WHO guidelines
+   * Keys are the canonical symptom names stored on chat messages and counted
+   * by analytics; `terms` are the lay phrasings that map to them.
    */
   static symptomDatabase = {
     // Cardiovascular
     'chest pain': { 
+      terms: ['chest tightness', 'chest pressure', 'tight chest', 'pain in my chest', 'pain in the chest'],
       categories: ['cardiovascular'], 
       severity: 'high',
       emergency: true,
       relatedConditions: ['heart attack', 'angina', 'pulmonary embolism']
     },
     'shortness of breath': { 
+      terms: ['short of breath', 'out of breath', 'breathless', 'breathlessness', 'winded'],
       categories: ['respiratory', 'cardiovascular'], 
       severity: 'moderate',
       emergency: false,
       relatedConditions: ['asthma', 'COPD', 'anxiety']
     },
     'irregular heartbeat': { 
+      terms: ['palpitations', 'heart racing', 'racing heart', 'heart is racing', 'heart pounding', 'heart is pounding', 'heart skipping beats', 'fluttering in my chest'],
       categories: ['cardiovascular'], 
       severity: 'moderate',
       emergency: false,
@@ -41,19 +48,29 @@ class MedicalAIService {
     },
     
     // Neurological
+    'headache': { 
+      terms: ['head ache', 'head hurts', 'head is hurting', 'head is pounding', 'head pain'],
+      categories: ['neurological'], 
+      severity: 'low',
+      emergency: false,
+      relatedConditions: ['tension headache', 'dehydration', 'eye strain']
+    },
     'severe headache': { 
+      terms: ['splitting headache', 'worst headache', 'terrible headache', 'excruciating headache', 'pounding headache', 'migraine'],
       categories: ['neurological'], 
       severity: 'moderate',
       emergency: false,
       relatedConditions: ['migraine', 'tension headache', 'cluster headache']
     },
     'sudden confusion': { 
+      terms: ['suddenly confused', 'disoriented'],
       categories: ['neurological'], 
       severity: 'high',
       emergency: true,
       relatedConditions: ['stroke', 'seizure', 'hypoglycemia']
     },
     'dizziness': { 
+      terms: ['dizzy', 'lightheaded', 'light-headed', 'light headed', 'room is spinning', 'vertigo', 'woozy'],
       categories: ['neurological', 'cardiovascular'], 
       severity: 'low',
       emergency: false,
@@ -62,18 +79,35 @@ class MedicalAIService {
     
     // Respiratory
     'cough': { 
+      terms: ['coughing', 'coughs'],
       categories: ['respiratory'], 
       severity: 'low',
       emergency: false,
       relatedConditions: ['common cold', 'bronchitis', 'pneumonia']
     },
     'fever': { 
+      terms: ['feverish', 'febrile', 'high temperature', 'a temperature', 'burning up'],
       categories: ['general', 'infection'], 
       severity: 'moderate',
       emergency: false,
       relatedConditions: ['infection', 'flu', 'viral illness']
     },
+    'sore throat': { 
+      terms: ['throat hurts', 'scratchy throat', 'painful swallowing', 'pain when swallowing'],
+      categories: ['respiratory', 'infection'], 
+      severity: 'low',
+      emergency: false,
+      relatedConditions: ['common cold', 'pharyngitis', 'tonsillitis']
+    },
+    'runny nose': { 
+      terms: ['stuffy nose', 'blocked nose', 'nasal congestion', 'sneezing'],
+      categories: ['respiratory'], 
+      severity: 'low',
+      emergency: false,
+      relatedConditions: ['common cold', 'allergic rhinitis', 'sinusitis']
+    },
     'difficulty breathing': { 
+      terms: ['trouble breathing', "can't breathe", 'cannot breathe', 'struggling to breathe', 'hard to breathe', 'gasping for air'],
       categories: ['respiratory'], 
       severity: 'high',
       emergency: true,
@@ -82,38 +116,68 @@ class MedicalAIService {
     
     // Gastrointestinal
     'nausea': { 
+      terms: ['nauseous', 'nauseated', 'queasy', 'sick to my stomach', 'feel like throwing up', 'feel like vomiting', 'want to throw up'],
       categories: ['gastrointestinal'], 
       severity: 'low',
       emergency: false,
       relatedConditions: ['gastritis', 'food poisoning', 'pregnancy']
     },
     'abdominal pain': { 
+      terms: ['stomach ache', 'stomachache', 'stomach pain', 'stomach hurts', 'stomach cramps', 'tummy ache', 'tummy hurts', 'belly ache', 'bellyache', 'belly hurts', 'pain in my stomach', 'pain in my abdomen'],
       categories: ['gastrointestinal'], 
       severity: 'moderate',
       emergency: false,
       relatedConditions: ['gastritis', 'appendicitis', 'kidney stones']
     },
     'vomiting': { 
+      terms: ['vomit', 'vomited', 'throwing up', 'threw up', 'throw up', 'puking', 'puked'],
       categories: ['gastrointestinal'], 
       severity: 'moderate',
       emergency: false,
       relatedConditions: ['gastroenteritis', 'food poisoning', 'migraine']
     },
     
+    'diarrhea': { 
+      terms: ['diarrhoea', 'loose motions', 'loose stools', 'watery stools', 'the runs'],
+      categories: ['gastrointestinal'], 
+      severity: 'moderate',
+      emergency: false,
+      relatedConditions: ['gastroenteritis', 'food poisoning', 'irritable bowel syndrome']
+    },
+    
+    // Skin
+    'rash': { 
+      terms: ['hives', 'itchy skin', 'red spots', 'skin breaking out'],
+      categories: ['dermatological'], 
+      severity: 'low',
+      emergency: false,
+      relatedConditions: ['contact dermatitis', 'allergic reaction', 'viral rash']
+    },
+    
     // General
+    'chills': { 
+      terms: ['shivering', 'shivers', 'shaking chills'],
+      categories: ['general', 'infection'], 
+      severity: 'low',
+      emergency: false,
+      relatedConditions: ['flu', 'infection', 'malaria']
+    },
     'fatigue': { 
+      terms: ['tired', 'exhausted', 'exhaustion', 'worn out', 'no energy', 'lethargic', 'drained'],
       categories: ['general'], 
       severity: 'low',
       emergency: false,
       relatedConditions: ['anemia', 'depression', 'sleep disorder']
     },
     'body aches': { 
+      terms: ['body ache', 'body pain', 'aching all over', 'achy', 'muscle aches', 'muscle pain', 'sore muscles'],
       categories: ['general'], 
       severity: 'low',
       emergency: false,
       relatedConditions: ['flu', 'viral infection', 'fibromyalgia']
     },
     'loss of consciousness': { 
+      terms: ['passed out', 'fainted', 'blacked out', 'unconscious'],
       categories: ['neurological'], 
       severity: 'emergency',
       emergency: true,
@@ -121,6 +185,91 @@ class MedicalAIService {
     }
   };
   
+  /**
+   * Symptom terms in Indian languages, by canonical (English) symptom
+   * Romanized Hindi is listed under hi. Terms match as prefixes, so
+   * inflected forms ("ಜ್ವರವಿದೆ", "காய்ச்சலும்") are found too.
+   */
+  static localizedTerms = {
+    hi: {
+      'fever': ['बुखार', 'ज्वर', 'bukhar', 'bukhaar'],
+      'headache': ['सिरदर्द', 'सिर दर्द', 'सर दर्द', 'सिर में दर्द', 'sir dard', 'sar dard'],
+      'cough': ['खांसी', 'खाँसी', 'khansi', 'khaansi'],
+      'sore throat': ['गले में दर्द', 'गला खराब', 'gale mein dard', 'gala kharab'],
+      'runny nose': ['ज़ुकाम', 'जुकाम', 'बहती नाक', 'zukam', 'jukam'],
+      'nausea': ['जी मिचलाना', 'जी मिचला', 'मतली', 'उबकाई', 'ji machla'],
+      'vomiting': ['उल्टी', 'उलटी', 'ulti', 'ultee'],
+      'abdominal pain': ['पेट दर्द', 'पेट में दर्द', 'pet dard', 'pet mein dard'],
+      'diarrhea': ['दस्त', 'dast', 'loose motion'],
+      'dizziness': ['चक्कर', 'chakkar'],
+      'fatigue': ['थकान', 'thakan', 'thakaan'],
+      'body aches': ['बदन दर्द', 'शरीर में दर्द', 'badan dard'],
+      'chills': ['कंपकंपी', 'ठंड लगना', 'ठंड लग'],
+      'rash': ['चकत्ते', 'दाने'],
+      'chest pain': ['सीने में दर्द', 'छाती में दर्द', 'seene mein dard', 'chhati mein dard'],
+      'shortness of breath': ['सांस फूलना', 'साँस फूलना', 'सांस फूल', 'साँस फूल', 'saans phoolna'],
+      'difficulty breathing': ['सांस लेने में तकलीफ', 'साँस लेने में तकलीफ', 'सांस लेने में दिक्कत', 'saans lene mein takleef'],
+      'loss of consciousness': ['बेहोश', 'behosh']
+    },
+    kn: {
+      'fever': ['ಜ್ವರ'],
+      'headache': ['ತಲೆನೋವು', 'ತಲೆ ನೋವು'],
+      'cough': ['ಕೆಮ್ಮು'],
+      'sore throat': ['ಗಂಟಲು ನೋವು'],
+      'runny nose': ['ನೆಗಡಿ', 'ಶೀತ'],
+      'nausea': ['ವಾಕರಿಕೆ'],
+      'vomiting': ['ವಾಂತಿ'],
+      'abdominal pain': ['ಹೊಟ್ಟೆ ನೋವು', 'ಹೊಟ್ಟೆನೋವು'],
+      'diarrhea': ['ಭೇದಿ', 'ಅತಿಸಾರ'],
+      'dizziness': ['ತಲೆಸುತ್ತು', 'ತಲೆ ಸುತ್ತು'],
+      'fatigue': ['ಆಯಾಸ', 'ದಣಿವು'],
+      'body aches': ['ಮೈಕೈ ನೋವು', 'ಮೈ ಕೈ ನೋವು'],
+      'chills': ['ಚಳಿ', 'ನಡುಕ'],
+      'rash': ['ದದ್ದು'],
+      'chest pain': ['ಎದೆ ನೋವು', 'ಎದೆನೋವು'],
+      'difficulty breathing': ['ಉಸಿರಾಟದ ತೊಂದರೆ', 'ಉಸಿರು ಕಟ್ಟು'],
+      'loss of consciousness': ['ಪ್ರಜ್ಞೆ ತಪ್ಪಿ', 'ಮೂರ್ಛೆ']
+    },
+    ta: {
+      'fever': ['காய்ச்சல்'],
+      'headache': ['தலைவலி', 'தலை வலி'],
+      'cough': ['இருமல்'],
+      'sore throat': ['தொண்டை வலி'],
+      'runny nose': ['சளி', 'மூக்கு ஒழுகுதல்'],
+      'nausea': ['குமட்டல்'],
+      'vomiting': ['வாந்தி'],
+      'abdominal pain': ['வயிற்று வலி', 'வயிற்றுவலி', 'வயிறு வலி'],
+      'diarrhea': ['வயிற்றுப்போக்கு'],
+      'dizziness': ['தலைச்சுற்றல்', 'தலை சுற்றல்', 'மயக்கம்'],
+      'fatigue': ['சோர்வு', 'களைப்பு'],
+      'body aches': ['உடல் வலி', 'உடம்பு வலி'],
+      'chills': ['நடுக்கம்', 'குளிர் நடுக்கம்'],
+      'rash': ['தடிப்பு', 'சொறி'],
+      'chest pain': ['நெஞ்சு வலி', 'நெஞ்சுவலி', 'மார்பு வலி'],
+      'difficulty breathing': ['மூச்சு திணறல்', 'மூச்சுத் திணறல்', 'மூச்சு விட முடியவில்லை'],
+      'loss of consciousness': ['சுயநினைவு இழந்', 'நினைவிழந்']
+    },
+    te: {
+      'fever': ['జ్వరం', 'జ్వరము'],
+      'headache': ['తలనొప్పి', 'తల నొప్పి'],
+      'cough': ['దగ్గు'],
+      'sore throat': ['గొంతు నొప్పి'],
+      'runny nose': ['జలుబు', 'ముక్కు కారడం'],
+      'nausea': ['వికారం'],
+      'vomiting': ['వాంతులు', 'వాంతి'],
+      'abdominal pain': ['కడుపు నొప్పి', 'కడుపునొప్పి'],
+      'diarrhea': ['విరేచనాలు'],
+      'dizziness': ['తల తిరగడం', 'తలతిరుగుడు', 'కళ్ళు తిరగడం'],
+      'fatigue': ['అలసట', 'నీరసం'],
+      'body aches': ['ఒళ్ళు నొప్పులు', 'శరీర నొప్పులు'],
+      'chills': ['చలి', 'వణుకు'],
+      'rash': ['దద్దుర్లు'],
+      'chest pain': ['ఛాతీ నొప్పి', 'గుండె నొప్పి'],
+      'difficulty breathing': ['శ్వాస తీసుకోవడంలో ఇబ్బంది', 'ఊపిరి ఆడటం లేదు', 'ఊపిరి ఆడడం లేదు'],
+      'loss of consciousness': ['స్పృహ కోల్పో', 'స్పృహ తప్పి']
+    }
+  };
+  
   /**
    * Emergency Symptoms
    * Require immediate medical attention
@@ -136,6 +285,147 @@ class MedicalAIService {
     'suicidal thoughts'
   ];
   
+  /**
+   * Emergency Phrasings
+   * How patients actually describe the emergency symptoms above in free text.
+   * A match is a hard rule: the chat answers with generateEmergencyResponse
+   * without consulting the LLM.
+   */
+  static emergencyPatterns = [
+    { symptom: 'chest pain', pattern: /chest (pain|tightness|pressure)|pain in (my|the|his|her) chest/ },
+    { symptom: 'difficulty breathing', pattern: /(can'?t|cannot|unable to|struggling to|hard to) breathe|(difficulty|trouble) breathing|gasping for (air|breath)/ },
+    { symptom: 'loss of consciousness', pattern: /passed out|fainted|unconscious|unresponsive|loss of consciousness/ },
+    { symptom: 'sudden confusion', pattern: /sudden(ly)? (confus|disoriented)/ },
+    { symptom: 'stroke symptoms', pattern: /slurred speech|face (is )?droop|(numb|weak)(ness)? (on|in) one side|one side of (my|the|his|her) (face|body)/ },
+    { symptom: 'severe bleeding', pattern: /(severe|heavy|uncontrolled|profuse) bleeding|bleeding (won'?t|will not|doesn'?t|does not) stop/ },
+    { symptom: 'severe allergic reaction', pattern: /anaphyla|(throat|tongue|lips?) (is |are )?(swelling|swollen|closing)/ },
+    { symptom: 'suicidal thoughts', pattern: /suicid|kill (myself|himself|herself)|end (my|his|her) life|want to die/ }
+  ];
+  
+  /**
+   * Emergency phrasings in Hindi (incl. romanized), Kannada, Tamil and Telugu
+   * for the emergencies the symptom terms above do not cover; same hard rule
+   */
+  static localizedEmergencyPatterns = {
+    hi: [
+      { symptom: 'suicidal thoughts', pattern: /आत्महत्या|ख़ुदकुशी|खुदकुशी|मरना चाहत|जीना नहीं चाहत|जान दे दूँ|aatmahatya|atmahatya|khudkushi|marna chahta|marna chahti/ },
+      { symptom: 'severe bleeding', pattern: /बहुत (ज़्यादा |ज्यादा )?खून (बह|निकल)|खून (बहना )?(रुक|बंद हो) नहीं|bahut khoon|khoon (ruk|band) nahi/ },
+      { symptom: 'loss of consciousness', pattern: /होश नहीं|होश खो|hosh nahi/ },
+      { symptom: 'stroke symptoms', pattern: /(ज़ुबान|जुबान|बोली) लड़खड़ा|चेहरा (एक तरफ|टेढ़ा)|एक तरफ (का )?(हिस्सा )?(सुन्न|कमज़ोर|कमजोर)|लकवा|lakwa/ },
+      { symptom: 'severe allergic reaction', pattern: /(गला|गले|जीभ|होंठ) (में )?सूज/ }
+    ],
+    kn: [
+      { symptom: 'suicidal thoughts', pattern: /ಆತ್ಮಹತ್ಯೆ|ಸಾಯಬೇಕು ಅನ್ನಿಸ|ಸಾಯಲು ಬಯಸ/ },
+      { symptom: 'severe bleeding', pattern: /ತುಂಬಾ ರಕ್ತ|ಅತಿಯಾದ ರಕ್ತಸ್ರಾವ|(ರಕ್ತ|ರಕ್ತಸ್ರಾವ) ನಿಲ್ಲುತ್ತಿಲ್ಲ/ },
+      { symptom: 'loss of consciousness', pattern: /ಪ್ರಜ್ಞೆ ತಪ್ಪ|ಪ್ರಜ್ಞಾಹೀನ/ },
+      { symptom: 'stroke symptoms', pattern: /ಮಾತು ತೊದಲ|ಮುಖ ಒಂದು ಕಡೆ|ಒಂದು ಕಡೆ (ಮರಗಟ್ಟ|ದುರ್ಬಲ)|ಪಾರ್ಶ್ವವಾಯು/ },
+      { symptom: 'severe allergic reaction', pattern: /(ಗಂಟಲು|ನಾಲಿಗೆ|ತುಟಿ) ಊದ/ }
+    ],
+    ta: [
+      { symptom: 'suicidal thoughts', pattern: /தற்கொலை|சாக வேண்டும்|சாகணும்|உயிரை மாய்த்/ },
+      { symptom: 'severe bleeding', pattern: /அதிக (இ)?ரத்தப்போக்கு|(இ)?ரத்தம் நிற்கவில்லை|நிறைய (இ)?ரத்தம்/ },
+      { symptom: 'loss of consciousness', pattern: /மயங்கி விழு|சுயநினைவு இல்லை/ },
+      { symptom: 'stroke symptoms', pattern: /பேச்சு குழற|முகம் ஒரு பக்கம்|ஒரு பக்கம் (மரத்து|பலவீன)|பக்கவாதம்/ },
+      { symptom: 'severe allergic reaction', pattern: /(தொண்டை|நாக்கு|உதடு) வீங்/ }
+    ],
+    te: [
+      { symptom: 'suicidal thoughts', pattern: /ఆత్మహత్య|చనిపోవాలని|చావాలని/ },
+      { symptom: 'severe bleeding', pattern: /ఎక్కువ(గా)? రక్తస్రావం|చాలా రక్తం|రక్తం (ఆగడం లేదు|ఆగట్లేదు)/ },
+      { symptom: 'loss of consciousness', pattern: /స్పృహ లేదు|మూర్ఛపో/ },
+      { symptom: 'stroke symptoms', pattern: /మాట తడబడ|ముఖం ఒక వైపు|ఒక వైపు (తిమ్మిరి|బలహీన|చచ్చుబడ)|పక్షవాతం/ },
+      { symptom: 'severe allergic reaction', pattern: /(గొంతు|నాలుక|పెదవులు|పెదవి) (వాపు|ఉబ్బ)/ }
+    ]
+  };
+  
+  static compiledEmergencyRules = null;
+  
+  /**
+   * English and localized emergency patterns together
+   */
+  static emergencyRules() {
+    if (!this.compiledEmergencyRules) {
+      const localized = Object.entries(this.localizedEmergencyPatterns).flatMap(([language, rules]) => rules.map(rule => {
+        if (!this.emergencySymptoms.includes(rule.symptom)) {
+          throw new Error(`localizedEmergencyPatterns.${language} uses unknown emergency "${rule.symptom}"`);
+        }
+        return rule;
+      }));
+      
+      this.compiledEmergencyRules = [...this.emergencyPatterns, ...localized]
+        .map(rule => ({ symptom: rule.symptom, pattern: new RegExp(rule.pattern.source, 'g') }));
+    }
+    return this.compiledEmergencyRules;
+  }
+  
+  /**
+   * Deterministic triage of a free-text chat message
+   * Runs before (and independently of) the LLM
+   * @param {string} message - Patient's message
+   * @param {object} healthProfile - User's health profile
+   * @returns {object} analyzeSymptoms() result plus matchedRules (emergency patterns that fired)
+   *   and findings (every symptom mention, negated ones included - see extractSymptoms)
+   */
+  static triage(message, healthProfile = null) {
+    const text = message.toLowerCase();
+    
+    // "no chest pain" must not trip the emergency rule
+    const matchedRules = [...new Set(this.emergencyRules()
+      .filter(rule => [...text.matchAll(rule.pattern)]
+        .some(match => !isNegated(text, match.index, match[0].length)))
+      .map(rule => rule.symptom))];
+    
+    const findings = this.extractSymptoms(message);
+    const mentioned = findings.filter(finding => !finding.negated).map(finding => finding.symptom);
+    
+    const symptoms = [...new Set([...matchedRules, ...mentioned])];
+    
+    return {
+      ...this.analyzeSymptoms(symptoms, healthProfile),
+      matchedRules,
+      findings
+    };
+  }
+  
+  /**
+   * Symptoms mentioned in free text, by canonical name
+   * @param {string} message - Patient's message
+   * @returns {object[]} parseSymptoms() findings: { symptom, text, negated, uncertain, duration, intensity }
+   */
+  static extractSymptoms(message) {
+    return parseSymptoms(message, this.lexicon());
+  }
+  
+  /**
+   * Canonical name for a symptom phrase from elsewhere (e.g. the LLM),
+   * or the phrase itself when the lexicon does not know it
+   */
+  static canonicalSymptom(name) {
+    const [finding] = parseSymptoms(name, this.lexicon());
+    return finding ? finding.symptom : name.toLowerCase().trim();
+  }
+  
+  static compiledLexicon = null;
+  
+  static lexicon() {
+    if (!this.compiledLexicon) {
+      const lexicon = Object.fromEntries(
+        Object.entries(this.symptomDatabase).map(([symptom, data]) => [symptom, [...(data.terms || [])]])
+      );
+      
+      for (const [language, terms] of Object.entries(this.localizedTerms)) {
+        for (const [symptom, phrases] of Object.entries(terms)) {
+          if (!lexicon[symptom]) {
+            throw new Error(`localizedTerms.${language} uses unknown symptom "${symptom}"`);
+          }
+          lexicon[symptom].push(...phrases);
+        }
+      }
+      
+      this.compiledLexicon = compileLexicon(lexicon);
+    }
+    return this.compiledLexicon;
+  }
+  
   /**
    * Analyze user symptoms and provide guidance
    * @param {string[]} symptoms - Array of symptom strings
@@ -259,6 +549,10 @@ class MedicalAIService {
    * Find symptom in database
    */
   static findSymptomData(symptom) {
+    if (this.symptomDatabase[symptom]) {
+      return this.symptomDatabase[symptom];
+    }
+    
     for (const [key, value] of Object.entries(this.symptomDatabase)) {
       if (symptom.includes(key) || key.includes(symptom)) {
         return value;
@@ -0,0 +1,376 @@
+/**
+ * OIDC Service
+ * OpenID Connect login (authorization code flow with PKCE)
+ *
+ * - Providers are configured in a JSON list (OIDC_PROVIDERS_FILE or
+ *   OIDC_PROVIDERS), each pointing at an issuer with discovery
+ * - ID tokens are verified against the issuer's JWKS (signature, iss,
+ *   aud, exp, nonce)
+ * - Accounts are matched by linked identity, then linked by verified email;
+ *   otherwise a new account is created
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User.model');
+const OidcState = require('../models/OidcState.model');
+const ErrorResponse = require('../utils/errorResponse');
+
+const STATE_TTL_MINUTES = 10;
+const LOGIN_CODE_TTL_SECONDS = 120;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+const PROVISIONABLE_ROLES = ['patient', 'doctor'];
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+let cachedProviders = null;
+
+// Discovery documents and JWKS per issuer
+const metadataCache = new Map();
+
+class OidcService {
+
+  /**
+   * Configured providers keyed by id
+   * @returns {Map<string, object>}
+   */
+  static get providers() {
+    if (cachedProviders) {
+      return cachedProviders;
+    }
+
+    const raw = process.env.OIDC_PROVIDERS_FILE
+      ? fs.readFileSync(process.env.OIDC_PROVIDERS_FILE, 'utf8')
+      : process.env.OIDC_PROVIDERS || '[]';
+
+    let list;
+    try {
+      list = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`OIDC provider configuration is not valid JSON: ${error.message}`);
+    }
+
+    cachedProviders = new Map();
+
+    for (const entry of list) {
+      if (!entry.id || !/^[a-z0-9-]+$/.test(entry.id) || !entry.issuer || !entry.clientId) {
+        throw new Error('Each OIDC provider needs an id (a-z, 0-9, -), issuer and clientId');
+      }
+
+      const defaultRole = entry.defaultRole || 'patient';
+      if (!PROVISIONABLE_ROLES.includes(defaultRole)) {
+        throw new Error(`OIDC provider "${entry.id}": defaultRole must be one of ${PROVISIONABLE_ROLES.join(', ')}`);
+      }
+
+      cachedProviders.set(entry.id, {
+        id: entry.id,
+        name: entry.name || entry.id,
+        issuer: entry.issuer.replace(/\/$/, ''),
+        clientId: entry.clientId,
+        clientSecret: entry.clientSecretEnv ? process.env[entry.clientSecretEnv] : entry.clientSecret,
+        scopes: entry.scopes || ['openid', 'email', 'profile'],
+        allowedDomains: (entry.allowedDomains || []).map(domain => domain.toLowerCase()),
+        defaultRole,
+        allowSignup: entry.allowSignup !== false
+      });
+    }
+
+    return cachedProviders;
+  }
+
+  /**
+   * Provider config by id
+   * @throws {ErrorResponse} 404 for unknown providers
+   */
+  static getProvider(id) {
+    const provider = this.providers.get(id);
+    if (!provider) {
+      throw new ErrorResponse('Unknown sign-in provider', 404);
+    }
+    return provider;
+  }
+
+  /**
+   * Provider list safe to show on the login page
+   */
+  static listProviders() {
+    return Array.from(this.providers.values()).map(({ id, name }) => ({ id, name }));
+  }
+
+  static redirectUri(provider) {
+    const base = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+    return `${base}/api/auth/oidc/${provider.id}/callback`;
+  }
+
+  static async fetchJson(url, options) {
+    let response;
+    try {
+      response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+    } catch (error) {
+      throw new ErrorResponse(`Identity provider unreachable: ${error.message}`, 502);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new ErrorResponse(
+        `Identity provider error: ${body.error_description || body.error || response.status}`,
+        502
+      );
+    }
+    return body;
+  }
+
+  /**
+   * Discovery document + JWKS for a provider (cached for an hour)
+   * @param {boolean} refresh - Refetch, e.g. after an unknown signing key
+   */
+  static async getMetadata(provider, refresh = false) {
+    const cached = metadataCache.get(provider.issuer);
+    if (cached && !refresh && cached.fetchedAt > Date.now() - METADATA_TTL_MS) {
+      return cached;
+    }
+
+    const discovery = await this.fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (discovery.issuer.replace(/\/$/, '') !== provider.issuer) {
+      throw new ErrorResponse('Identity provider issuer mismatch', 502);
+    }
+
+    const jwks = await this.fetchJson(discovery.jwks_uri);
+    const metadata = { discovery, keys: jwks.keys || [], fetchedAt: Date.now() };
+    metadataCache.set(provider.issuer, metadata);
+    return metadata;
+  }
+
+  /**
+   * Start a login: persist state and build the IdP authorization URL
+   * @param {string} returnTo - Frontend path to land on afterwards
+   */
+  static async createAuthorizationUrl(provider, returnTo) {
+    const { discovery } = await this.getMetadata(provider);
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await OidcState.create({
+      provider: provider.id,
+      state,
+      nonce,
+      codeVerifier,
+      // Only same-site paths - never an open redirect
+      returnTo: /^\/(?!\/)/.test(returnTo || '') ? returnTo : '/dashboard',
+      expiresAt: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000)
+    });
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: this.redirectUri(provider),
+      scope: provider.scopes.join(' '),
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+  }
+
+  /**
+   * Handle the IdP callback: consume state, redeem the code, verify the ID token
+   * @returns {Promise<{claims: object, returnTo: string}>}
+   */
+  static async handleCallback(provider, { code, state }) {
+    if (!code || !state) {
+      throw new ErrorResponse('Missing authorization code or state', 400);
+    }
+
+    // Single use: a replayed callback finds nothing
+    const pending = await OidcState.findOneAndDelete({
+      state,
+      provider: provider.id,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!pending) {
+      throw new ErrorResponse('Sign-in request expired - please try again', 400);
+    }
+
+    const { discovery } = await this.getMetadata(provider);
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri(provider),
+      client_id: provider.clientId,
+      code_verifier: pending.codeVerifier
+    });
+
+    // Confidential clients authenticate with client_secret_basic
+    if (provider.clientSecret) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await this.fetchJson(discovery.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: form.toString()
+    });
+
+    if (!tokens.id_token) {
+      throw new ErrorResponse('Identity provider did not return an ID token', 502);
+    }
+
+    const claims = await this.verifyIdToken(provider, tokens.id_token, pending.nonce);
+    return { claims, returnTo: pending.returnTo };
+  }
+
+  /**
+   * Verify an ID token's signature and standard claims
+   */
+  static async verifyIdToken(provider, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new ErrorResponse('Malformed ID token', 401);
+    }
+
+    const findKey = (keys) => keys.find(key => key.kid === decoded.header.kid)
+      || (decoded.header.kid ? null : keys.find(key => key.use !== 'enc'));
+
+    let key = findKey((await this.getMetadata(provider)).keys);
+    if (!key) {
+      // Signing key rotated since we cached the JWKS
+      key = findKey((await this.getMetadata(provider, true)).keys);
+    }
+    if (!key) {
+      throw new ErrorResponse('ID token signed with an unknown key', 401);
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, crypto.createPublicKey({ key, format: 'jwk' }), {
+        algorithms: SIGNING_ALGORITHMS,
+        issuer: [provider.issuer, `${provider.issuer}/`],
+        audience: provider.clientId,
+        clockTolerance: 60
+      });
+    } catch (error) {
+      throw new ErrorResponse(`Invalid ID token: ${error.message}`, 401);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new ErrorResponse('Invalid ID token: nonce mismatch', 401);
+    }
+    if (!claims.sub) {
+      throw new ErrorResponse('Invalid ID token: missing subject', 401);
+    }
+
+    return claims;
+  }
+
+  /**
+   * Find, link or create the user for verified ID token claims
+   * @returns {Promise<{user: object, created: boolean, linked: boolean}>}
+   */
+  static async resolveUser(provider, claims) {
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    const touchIdentity = (user) => {
+      const identity = user.identities.find(i => i.provider === provider.id && i.subject === claims.sub);
+      identity.lastLoginAt = new Date();
+      if (email) identity.email = email;
+    };
+
+    const linkedUser = await User.findByIdentity(provider.id, claims.sub);
+    if (linkedUser) {
+      touchIdentity(linkedUser);
+      await linkedUser.save();
+      return { user: linkedUser, created: false, linked: false };
+    }
+
+    if (!email || !emailVerified) {
+      throw new ErrorResponse('Your identity provider did not supply a verified email address', 403);
+    }
+
+    if (provider.allowedDomains.length && !provider.allowedDomains.includes(email.split('@')[1])) {
+      throw new ErrorResponse('Your email domain is not allowed for this sign-in provider', 403);
+    }
+
+    const identity = { provider: provider.id, subject: claims.sub, email, lastLoginAt: new Date() };
+    const existing = await User.findOne({ email });
+
+    if (existing) {
+      // Linking to an unverified local account would hand it to whoever registered it
+      if (!existing.isEmailVerified) {
+        throw new ErrorResponse(
+          'An account with this email exists but is not verified. Verify it or sign in with your password first.',
+          409
+        );
+      }
+
+      existing.identities.push(identity);
+      await existing.save();
+      return { user: existing, created: false, linked: true };
+    }
+
+    if (!provider.allowSignup) {
+      throw new ErrorResponse('No account exists for this email. Ask an administrator to create one.', 403);
+    }
+
+    // Unusable random password - the user can set one via "forgot password"
+    const user = await User.create({
+      email,
+      password: base64url(crypto.randomBytes(32)),
+      fullName: (claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0]).slice(0, 100),
+      role: provider.defaultRole,
+      isEmailVerified: true,
+      identities: [identity]
+    });
+
+    return { user, created: true, linked: false };
+  }
+
+  /**
+   * Issue a one-time login code for the frontend to exchange for tokens
+   */
+  static async createLoginCode(user, provider) {
+    const code = base64url(crypto.randomBytes(32));
+
+    await OidcState.create({
+      provider: provider.id,
+      loginCodeHash: hashCode(code),
+      user: user._id,
+      expiresAt: new Date(Date.now() + LOGIN_CODE_TTL_SECONDS * 1000)
+    });
+
+    return code;
+  }
+
+  /**
+   * Redeem a login code (single use)
+   * @returns {Promise<{userId: string, provider: string}>}
+   */
+  static async redeemLoginCode(code) {
+    const record = await OidcState.findOneAndDelete({
+      loginCodeHash: hashCode(String(code)),
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!record) {
+      throw new ErrorResponse('Sign-in link has expired - please try again', 401);
+    }
+
+    return { userId: record.user, provider: record.provider };
+  }
+}
+
+module.exports = OidcService;
@@ -0,0 +1,189 @@
+/**
+ * Patient Context Service
+ * Compact, redacted summary of a health profile for AI prompts
+ *
+ * - Safety-relevant facts come first: allergies, current medications,
+ *   pregnancy and age, then conditions, lifestyle and history
+ * - Allergies and medications are always included in full; everything
+ *   after them is cut off at the token budget (CHAT_PATIENT_CONTEXT_MAX_TOKENS)
+ * - Redacted: no names, contacts, prescribers, hospitals or exact dates
+ *   (years only), and emails / phone numbers are scrubbed from free text
+ */
+
+const { estimateTokens } = require('../utils/tokenEstimate');
+
+const DEFAULT_MAX_TOKENS = 400;
+const FREE_TEXT_MAX_CHARS = 80;
+
+const SEVERITY_ORDER = ['life-threatening', 'severe', 'moderate', 'mild'];
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+
+// Free text from the patient, without contact details and kept short
+const clean = (text) => {
+  if (!text) return '';
+  const scrubbed = String(text)
+    .replace(EMAIL_PATTERN, '[email]')
+    .replace(PHONE_PATTERN, '[phone]')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return scrubbed.length > FREE_TEXT_MAX_CHARS ? `${scrubbed.slice(0, FREE_TEXT_MAX_CHARS)}…` : scrubbed;
+};
+
+const yearOf = (date) => (date ? new Date(date).getFullYear() : null);
+
+const bmiCategory = (bmi) => {
+  if (bmi < 18.5) return 'underweight';
+  if (bmi < 25) return 'normal';
+  if (bmi < 30) return 'overweight';
+  return 'obese';
+};
+
+class PatientContextService {
+
+  static get maxTokens() {
+    return parseInt(process.env.CHAT_PATIENT_CONTEXT_MAX_TOKENS) || DEFAULT_MAX_TOKENS;
+  }
+
+  /**
+   * Summarize a profile for the system prompt
+   * @param {object|null} profile - HealthProfile document
+   * @param {object} [options] - { maxTokens }
+   * @returns {{ text: string, fields: string[] }} summary and the profile fields it disclosed (for the audit log)
+   */
+  static build(profile, { maxTokens = this.maxTokens } = {}) {
+    if (!profile) {
+      return { text: 'No health profile on file - ask about allergies and medicines before suggesting any.', fields: [] };
+    }
+
+    const required = [...this.allergyLines(profile), ...this.medicationLines(profile)];
+    const optional = this.sections(profile);
+
+    const lines = [...required];
+    const fields = ['allergies', 'currentMedications'];
+    let used = estimateTokens(lines.join('\n'));
+    let truncated = false;
+
+    for (const section of optional) {
+      const cost = estimateTokens(section.lines.join('\n'));
+      if (used + cost > maxTokens) {
+        truncated = true;
+        break;
+      }
+      lines.push(...section.lines);
+      fields.push(...section.fields);
+      used += cost;
+    }
+
+    if (truncated) lines.push('(further profile details omitted)');
+    return { text: lines.join('\n'), fields: [...new Set(fields)] };
+  }
+
+  static allergyLines(profile) {
+    if (!profile.allergies?.length) return ['Allergies: none recorded'];
+
+    const allergies = [...profile.allergies].sort(
+      (a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+    );
+    return [
+      'ALLERGIES (avoid these and related drugs of the same class):',
+      ...allergies.map(allergy => {
+        const reaction = clean(allergy.reaction);
+        return `• ${clean(allergy.allergen)} (${allergy.severity})${reaction ? ` - reaction: ${reaction}` : ''}`;
+      })
+    ];
+  }
+
+  static medicationLines(profile) {
+    if (!profile.currentMedications?.length) return ['Current medications: none recorded'];
+
+    return [
+      'CURRENT MEDICATIONS (check interactions):',
+      ...profile.currentMedications.map(medication =>
+        `• ${[medication.name, medication.dosage, medication.frequency].map(clean).filter(Boolean).join(', ')}`
+      )
+    ];
+  }
+
+  /**
+   * Everything after allergies and medications, most important first
+   * @returns {Array<{ lines: string[], fields: string[] }>}
+   */
+  static sections(profile) {
+    const sections = [];
+
+    const pregnancy = profile.pregnancy?.status;
+    if (pregnancy === 'pregnant' || pregnancy === 'breastfeeding') {
+      const due = profile.pregnancy.dueDate;
+      sections.push({
+        lines: [`PREGNANCY: ${pregnancy}${pregnancy === 'pregnant' && due ? ` (due ${new Date(due).toISOString().slice(0, 7)})` : ''}`],
+        fields: ['pregnancy']
+      });
+    }
+
+    const basics = [`Age ${profile.age}`, `sex ${profile.gender}`];
+    const fields = ['age', 'gender'];
+    if (profile.relationship && profile.relationship !== 'self') {
+      basics.push(`relationship: account holder's ${profile.relationship}`);
+      fields.push('relationship');
+    }
+    if (profile.bmi) {
+      basics.push(`BMI ${profile.bmi} (${bmiCategory(profile.bmi)})`);
+      fields.push('bmi');
+    }
+    if (profile.bloodGroup && profile.bloodGroup !== 'unknown') {
+      basics.push(`blood group ${profile.bloodGroup}`);
+      fields.push('bloodGroup');
+    }
+    sections.push({ lines: [`PATIENT: ${basics.join(', ')}`], fields });
+
+    if (profile.knownConditions?.length) {
+      sections.push({
+        lines: [
+          'KNOWN CONDITIONS:',
+          ...profile.knownConditions.map(condition => {
+            const since = yearOf(condition.diagnosedDate);
+            return `• ${clean(condition.name)} (${condition.severity}${since ? `, since ${since}` : ''})`;
+          })
+        ],
+        fields: ['knownConditions']
+      });
+    }
+
+    const lifestyle = profile.lifestyle;
+    if (lifestyle) {
+      const habits = [
+        `smoking ${lifestyle.smokingStatus}`,
+        `alcohol ${lifestyle.alcoholConsumption}`,
+        `exercise ${lifestyle.exerciseFrequency}`,
+        `diet ${lifestyle.dietType}`,
+        lifestyle.sleepHours ? `sleep ${lifestyle.sleepHours}h` : null,
+        `stress ${lifestyle.stressLevel}`
+      ].filter(Boolean);
+      sections.push({ lines: [`LIFESTYLE: ${habits.join(', ')}`], fields: ['lifestyle'] });
+    }
+
+    if (profile.familyHistory?.length) {
+      sections.push({
+        lines: [`FAMILY HISTORY: ${profile.familyHistory
+          .map(entry => `${entry.relation || 'relative'} - ${clean(entry.condition)}`)
+          .join('; ')}`],
+        fields: ['familyHistory']
+      });
+    }
+
+    if (profile.surgicalHistory?.length) {
+      sections.push({
+        lines: [`SURGICAL HISTORY: ${profile.surgicalHistory
+          .map(surgery => `${clean(surgery.procedure)}${yearOf(surgery.date) ? ` (${yearOf(surgery.date)})` : ''}`)
+          .join('; ')}`],
+        fields: ['surgicalHistory']
+      });
+    }
+
+    return sections;
+  }
+}
+
+module.exports = PatientContextService;
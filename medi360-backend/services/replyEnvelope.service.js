@@ -0,0 +1,297 @@
+/**
+ * Reply Envelope Service
+ * JSON output contract for chat replies from the LLM
+ *
+ * The model answers with one JSON object (the "envelope"):
+ *   {
+ *     "displayText": "...",                       reply shown to the patient
+ *     "severity": "low|moderate|high|emergency",
+ *     "redFlags": ["..."],
+ *     "identifiedSymptoms": ["..."],
+ *     "possibleConditions": [{ "condition": "...", "likelihood": "low|moderate|high" }],
+ *     "recommendations": ["..."],
+ *     "referralRecommended": true|false
+ *   }
+ *
+ * Output that does not validate gets one repair round-trip through the LLM;
+ * if that fails too, the reply text is salvaged and the structured fields
+ * are left to the rule engine.
+ */
+
+const llmService = require('./llm.service');
+
+const SEVERITY_LEVELS = ['low', 'moderate', 'high', 'emergency'];
+const LIKELIHOODS = ['low', 'moderate', 'high'];
+const MAX_LIST_ITEMS = 10;
+const MAX_CONDITIONS = 5;
+const MAX_ITEM_CHARS = 300;
+const MAX_REPAIR_ATTEMPTS = 1;
+
+const CONTRACT = `Respond with ONE JSON object and nothing else (no code fences), with exactly these keys in this order:
+{
+  "displayText": string - your full reply to the patient, following the REQUIRED OUTPUT FORMAT,
+  "severity": "low" | "moderate" | "high" | "emergency",
+  "redFlags": string[] - warning signs present in what the patient described (empty if none),
+  "identifiedSymptoms": string[] - symptoms the patient reported, short lowercase names,
+  "possibleConditions": [{ "condition": string, "likelihood": "low" | "moderate" | "high" }] - at most 5,
+  "recommendations": string[] - the key actions from your reply, one short sentence each,
+  "referralRecommended": boolean - true if the patient should see a doctor
+}`;
+
+const REPAIR_INSTRUCTIONS = `You fix malformed output from a medical assistant. Return ONE JSON object that satisfies the contract below, keeping the assistant's wording and medical content - do not add advice.
+
+${CONTRACT}`;
+
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Incrementally decodes the displayText value out of a streamed envelope, so
+ * the reply can be shown while the JSON is still arriving. Output that does
+ * not start like JSON is passed through as plain text.
+ */
+class DisplayTextStream {
+  constructor() {
+    this.raw = '';
+    this.mode = 'detect';  // detect -> seek -> string -> done | prose
+    this.position = 0;
+  }
+
+  /**
+   * @param {string} chunk - Next piece of raw model output
+   * @returns {string} Newly decoded display text (may be empty)
+   */
+  push(chunk) {
+    this.raw += chunk;
+
+    if (this.mode === 'detect') {
+      const start = this.raw.trimStart();
+      if (!start) return '';
+      if (start[0] !== '{' && start[0] !== '`') {
+        this.mode = 'prose';
+        return this.raw.trimStart();
+      }
+      this.mode = 'seek';
+    }
+
+    if (this.mode === 'prose') return chunk;
+
+    if (this.mode === 'seek') {
+      const match = /"displayText"\s*:\s*"/.exec(this.raw);
+      if (!match) return '';
+      this.mode = 'string';
+      this.position = match.index + match[0].length;
+    }
+
+    if (this.mode !== 'string') return '';
+
+    let text = '';
+    while (this.position < this.raw.length) {
+      const char = this.raw[this.position];
+
+      if (char === '"') {
+        this.mode = 'done';
+        break;
+      }
+
+      if (char !== '\\') {
+        text += char;
+        this.position++;
+        continue;
+      }
+
+      // Escape sequence - wait for the rest of it if the chunk split it
+      const code = this.raw[this.position + 1];
+      if (code === undefined) break;
+      if (code === 'u') {
+        const hex = this.raw.slice(this.position + 2, this.position + 6);
+        if (hex.length < 4) break;
+        text += String.fromCharCode(parseInt(hex, 16));
+        this.position += 6;
+      } else {
+        text += JSON_ESCAPES[code] ?? code;
+        this.position += 2;
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * All display text decoded so far
+   */
+  static extract(raw) {
+    const stream = new DisplayTextStream();
+    return stream.push(raw);
+  }
+}
+
+const stringList = (value, name, errors, max = MAX_LIST_ITEMS) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    errors.push(`${name} must be an array of strings`);
+    return [];
+  }
+  if (value.some(item => typeof item !== 'string')) {
+    errors.push(`${name} must only contain strings`);
+  }
+  return value
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim().slice(0, MAX_ITEM_CHARS))
+    .filter(Boolean)
+    .slice(0, max);
+};
+
+class ReplyEnvelopeService {
+
+  /**
+   * Prompt section describing the envelope
+   */
+  static get contract() {
+    return CONTRACT;
+  }
+
+  /**
+   * Parse raw model output into an object, tolerating code fences,
+   * surrounding prose and trailing commas
+   * @returns {{ value: object|null, error: string|null }}
+   */
+  static parse(raw) {
+    const text = (raw || '').replace(/```(?:json)?/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      return { value: null, error: 'Output is not a JSON object' };
+    }
+
+    const candidate = text.slice(start, end + 1);
+    for (const attempt of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+      try {
+        return { value: JSON.parse(attempt), error: null };
+      } catch (error) {
+        // try the next, more lenient, variant
+      }
+    }
+    return { value: null, error: 'Output is not valid JSON' };
+  }
+
+  /**
+   * Validate and normalize a parsed envelope
+   * @returns {{ envelope: object|null, errors: string[] }}
+   */
+  static validate(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { envelope: null, errors: ['Output must be a JSON object'] };
+    }
+
+    const errors = [];
+
+    const displayText = typeof value.displayText === 'string' ? value.displayText.trim() : '';
+    if (!displayText) errors.push('displayText must be a non-empty string');
+
+    const severity = typeof value.severity === 'string' ? value.severity.trim().toLowerCase() : null;
+    if (!SEVERITY_LEVELS.includes(severity)) {
+      errors.push(`severity must be one of ${SEVERITY_LEVELS.join(', ')}`);
+    }
+
+    let possibleConditions = [];
+    if (value.possibleConditions !== undefined && value.possibleConditions !== null) {
+      if (!Array.isArray(value.possibleConditions)) {
+        errors.push('possibleConditions must be an array');
+      } else {
+        possibleConditions = value.possibleConditions
+          .filter(item => item && typeof item.condition === 'string' && item.condition.trim())
+          .map(item => ({
+            condition: item.condition.trim().slice(0, MAX_ITEM_CHARS),
+            likelihood: LIKELIHOODS.includes(String(item.likelihood).toLowerCase())
+              ? String(item.likelihood).toLowerCase()
+              : 'low'
+          }))
+          .slice(0, MAX_CONDITIONS);
+        if (possibleConditions.length < Math.min(value.possibleConditions.length, MAX_CONDITIONS)) {
+          errors.push('possibleConditions entries need a "condition" string');
+        }
+      }
+    }
+
+    let referralRecommended = value.referralRecommended ?? false;
+    if (referralRecommended === 'true' || referralRecommended === 'false') {
+      referralRecommended = referralRecommended === 'true';
+    }
+    if (typeof referralRecommended !== 'boolean') {
+      errors.push('referralRecommended must be a boolean');
+    }
+
+    const envelope = {
+      displayText,
+      severity,
+      redFlags: stringList(value.redFlags, 'redFlags', errors),
+      identifiedSymptoms: stringList(value.identifiedSymptoms, 'identifiedSymptoms', errors)
+        .map(symptom => symptom.toLowerCase()),
+      possibleConditions,
+      recommendations: stringList(value.recommendations, 'recommendations', errors),
+      referralRecommended
+    };
+
+    return errors.length ? { envelope: null, errors } : { envelope, errors };
+  }
+
+  /**
+   * Parse + validate
+   * @returns {{ envelope: object|null, errors: string[] }}
+   */
+  static check(raw) {
+    const { value, error } = this.parse(raw);
+    return error ? { envelope: null, errors: [error] } : this.validate(value);
+  }
+
+  /**
+   * Turn raw model output into a validated envelope, repairing it through
+   * the LLM when needed
+   * @param {string} raw - Model output
+   * @param {object} [options] - { signal }
+   * @returns {Promise<{ envelope: object|null, outputFormat: 'json'|'repaired'|'text', text: string|null }>}
+   *   text is the salvaged reply when no envelope could be produced
+   */
+  static async resolve(raw, { signal } = {}) {
+    let result = this.check(raw);
+    if (result.envelope) {
+      return { envelope: result.envelope, outputFormat: 'json', text: result.envelope.displayText };
+    }
+
+    for (let attempt = 0; attempt < MAX_REPAIR_ATTEMPTS; attempt++) {
+      console.warn('LLM reply failed the JSON contract, repairing:', result.errors.join('; '));
+      try {
+        const repaired = await llmService.generate({
+          system: REPAIR_INSTRUCTIONS,
+          messages: [{
+            role: 'user',
+            content: `PROBLEMS:\n- ${result.errors.join('\n- ')}\n\nOUTPUT TO FIX:\n${raw}`
+          }],
+          json: true
+        }, { signal });
+
+        result = this.check(repaired.text);
+        if (result.envelope) {
+          return { envelope: result.envelope, outputFormat: 'repaired', text: result.envelope.displayText };
+        }
+      } catch (error) {
+        console.error('LLM reply repair failed:', error.message);
+        break;
+      }
+    }
+
+    return { envelope: null, outputFormat: 'text', text: this.salvageText(raw) };
+  }
+
+  /**
+   * Best-effort reply text from output that broke the contract
+   * @returns {string|null}
+   */
+  static salvageText(raw) {
+    const text = DisplayTextStream.extract(raw || '').trim();
+    return text || null;
+  }
+}
+
+module.exports = ReplyEnvelopeService;
+module.exports.DisplayTextStream = DisplayTextStream;
@@ -0,0 +1,272 @@
+/**
+ * Token Service
+ * Access/refresh token issuance, rotation and revocation
+ *
+ * Security Features:
+ * - Short-lived JWT access tokens (JWT_EXPIRE, default 15m)
+ * - Opaque, single-use refresh tokens stored hashed server-side
+ * - Refresh token reuse detection (revokes the whole token family)
+ * - Global revocation through User.tokenVersion
+ * - Per-login session registry (Session) for listing and revoking devices
+ * - Signed, purpose-bound email verification tokens
+ * - Short-lived two-factor login challenge tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken.model');
+const Session = require('../models/Session.model');
+const User = require('../models/User.model');
+const ErrorResponse = require('../utils/errorResponse');
+const { parseUserAgent } = require('../utils/userAgent');
+
+class TokenService {
+
+  /**
+   * Refresh token lifetime in milliseconds
+   */
+  static get refreshTokenTTL() {
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+    return days * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Hash an opaque token for storage and lookup
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Persist a new refresh token and return the raw value
+   */
+  static async createRefreshToken(user, family, req) {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    await RefreshToken.create({
+      user: user._id,
+      tokenHash: this.hashToken(token),
+      family,
+      tokenVersion: user.tokenVersion,
+      expiresAt: new Date(Date.now() + this.refreshTokenTTL),
+      createdByIp: req?.ip,
+      userAgent: req?.get?.('user-agent')
+    });
+
+    return token;
+  }
+
+  /**
+   * Issue an access/refresh token pair for a fresh login
+   * @param {object} user - User document
+   * @param {object} req - Express request (for IP / user agent)
+   * @returns {Promise<{token: string, refreshToken: string}>}
+   */
+  static async issueTokens(user, req) {
+    const family = crypto.randomUUID();
+    const session = await this.createSession(user, family, req);
+    const refreshToken = await this.createRefreshToken(user, family, req);
+
+    return {
+      token: user.generateAuthToken(session._id),
+      refreshToken
+    };
+  }
+
+  /**
+   * Register the session (device) of a login
+   */
+  static createSession(user, family, req) {
+    const userAgent = req?.get?.('user-agent');
+
+    return Session.create({
+      user: user._id,
+      family,
+      tokenVersion: user.tokenVersion,
+      ...parseUserAgent(userAgent),
+      userAgent,
+      ip: req?.ip,
+      lastSeenIp: req?.ip,
+      expiresAt: new Date(Date.now() + this.refreshTokenTTL)
+    });
+  }
+
+  /**
+   * End a session and the refresh token family behind it
+   * @param {object} session - Session document
+   * @param {string} reason - Recorded on the session and its refresh tokens
+   */
+  static async revokeSession(session, reason = 'revoked') {
+    await Promise.all([
+      Session.revokeWhere({ _id: session._id }, reason),
+      RefreshToken.revokeFamily(session.family, reason)
+    ]);
+  }
+
+  /**
+   * Exchange a refresh token for a new pair (rotation)
+   * Presenting an already-rotated token revokes its whole family.
+   * @param {string} rawToken - Refresh token supplied by the client
+   * @param {object} req - Express request
+   */
+  static async rotateRefreshToken(rawToken, req) {
+    const tokenHash = this.hashToken(rawToken);
+    const record = await RefreshToken.findOne({ tokenHash });
+
+    if (!record) {
+      throw new ErrorResponse('Invalid refresh token', 401);
+    }
+
+    if (record.revokedAt) {
+      if (record.revokedReason === 'rotated') {
+        // A rotated token was replayed - assume it was stolen
+        await RefreshToken.revokeFamily(record.family, 'reuse-detected');
+        await Session.revokeWhere({ family: record.family }, 'reuse-detected');
+      }
+      throw new ErrorResponse('Refresh token has been revoked - please login again', 401);
+    }
+
+    if (record.isExpired()) {
+      throw new ErrorResponse('Refresh token has expired - please login again', 401);
+    }
+
+    const user = await User.findById(record.user);
+
+    if (!user || !user.isActive || user.tokenVersion !== record.tokenVersion) {
+      await RefreshToken.revokeFamily(record.family, 'revoked');
+      throw new ErrorResponse('Session is no longer valid - please login again', 401);
+    }
+
+    // Logins from before the session registry get a session on first refresh
+    const session = await Session.findOne({ family: record.family }) ||
+      await this.createSession(user, record.family, req);
+
+    if (!session.isActiveFor(user)) {
+      await RefreshToken.revokeFamily(record.family, 'revoked');
+      throw new ErrorResponse('Session has been signed out - please login again', 401);
+    }
+
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const newHash = this.hashToken(refreshToken);
+
+    // Atomically mark the old token as used so concurrent refreshes cannot both win
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { _id: record._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: newHash } }
+    );
+
+    if (!rotated) {
+      await RefreshToken.revokeFamily(record.family, 'reuse-detected');
+      await Session.revokeWhere({ family: record.family }, 'reuse-detected');
+      throw new ErrorResponse('Refresh token has been revoked - please login again', 401);
+    }
+
+    await RefreshToken.create({
+      user: user._id,
+      tokenHash: newHash,
+      family: record.family,
+      tokenVersion: user.tokenVersion,
+      expiresAt: new Date(Date.now() + this.refreshTokenTTL),
+      createdByIp: req?.ip,
+      userAgent: req?.get?.('user-agent')
+    });
+
+    await Session.updateOne({ _id: session._id }, {
+      $set: {
+        lastSeenAt: new Date(),
+        lastSeenIp: req?.ip,
+        expiresAt: new Date(Date.now() + this.refreshTokenTTL)
+      }
+    });
+
+    return {
+      user,
+      token: user.generateAuthToken(session._id),
+      refreshToken
+    };
+  }
+
+  /**
+   * Kill every outstanding session of a user
+   * Bumps tokenVersion (invalidates access tokens) and revokes refresh tokens.
+   * @param {object} user - User document
+   * @param {string} reason - Revocation reason recorded on refresh tokens
+   */
+  static async revokeAllSessions(user, reason = 'revoked') {
+    await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+    user.tokenVersion += 1;
+
+    await RefreshToken.revokeAllForUser(user._id, reason);
+    await Session.revokeWhere({ user: user._id }, reason);
+  }
+
+  /**
+   * Sign an email verification token bound to a specific address
+   * @param {object} user - User document
+   * @param {string} email - Address being verified (defaults to user.email)
+   */
+  static generateEmailVerificationToken(user, email = user.email) {
+    return jwt.sign(
+      { id: user._id, email, purpose: 'verify-email' },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
+    );
+  }
+
+  /**
+   * Validate an email verification token
+   * @returns {{id: string, email: string}}
+   */
+  static verifyEmailVerificationToken(token) {
+    let decoded;
+
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      const message = error.name === 'TokenExpiredError'
+        ? 'Verification link has expired - please request a new one'
+        : 'Invalid verification link';
+      throw new ErrorResponse(message, 400);
+    }
+
+    if (decoded.purpose !== 'verify-email') {
+      throw new ErrorResponse('Invalid verification link', 400);
+    }
+
+    return { id: decoded.id, email: decoded.email };
+  }
+
+  /**
+   * Sign a challenge proving the password step of a 2FA login succeeded
+   * @param {object} user - User document
+   */
+  static generateTwoFactorChallenge(user) {
+    return jwt.sign(
+      { id: user._id, tv: user.tokenVersion, purpose: 'two-factor-login' },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+    );
+  }
+
+  /**
+   * Validate a two-factor login challenge
+   * @returns {{id: string, tv: number}}
+   */
+  static verifyTwoFactorChallenge(token) {
+    let decoded;
+
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new ErrorResponse('Login challenge has expired - please login again', 401);
+    }
+
+    if (decoded.purpose !== 'two-factor-login') {
+      throw new ErrorResponse('Invalid login challenge', 401);
+    }
+
+    return { id: decoded.id, tv: decoded.tv };
+  }
+}
+
+module.exports = TokenService;
@@ -0,0 +1,95 @@
+/**
+ * Access token checks in protect and optionalAuth
+ * with the database models replaced by in-memory fakes
+ */
+
+jest.mock('../models/User.model', () => ({ findById: jest.fn() }));
+jest.mock('../models/Session.model', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User.model');
+const Session = require('../models/Session.model');
+const { protect, optionalAuth } = require('../middleware/auth');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const user = { _id: 'user-id', isActive: true, tokenVersion: 2 };
+
+// Model.findById(...).select(...) resolving to value
+const query = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+const request = (claims) => ({
+  headers: { authorization: `Bearer ${jwt.sign({ id: 'user-id', tv: 2, ...claims }, process.env.JWT_SECRET)}` },
+  ip: '127.0.0.1'
+});
+
+const response = () => ({
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  User.findById.mockReturnValue(query(user));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('optionalAuth', () => {
+  test('attaches the user of a live session', async () => {
+    Session.findById.mockReturnValue(query({ _id: 'session-id', lastSeenAt: new Date() }));
+    const req = request({ sid: 'session-id' });
+    const next = jest.fn();
+
+    await optionalAuth(req, response(), next);
+
+    expect(req.user).toBe(user);
+    expect(req.sessionId).toBe('session-id');
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('treats a token of a signed-out session as anonymous', async () => {
+    Session.findById.mockReturnValue(query({ _id: 'session-id', revokedAt: new Date(), lastSeenAt: new Date() }));
+    const req = request({ sid: 'session-id' });
+    const next = jest.fn();
+
+    await optionalAuth(req, response(), next);
+
+    expect(req.user).toBeNull();
+    expect(req.sessionId).toBeUndefined();
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('treats a token of a deleted session as anonymous', async () => {
+    Session.findById.mockReturnValue(query(null));
+    const req = request({ sid: 'session-id' });
+
+    await optionalAuth(req, response(), jest.fn());
+
+    expect(req.user).toBeNull();
+  });
+
+  test('treats a token from before a password change as anonymous', async () => {
+    const req = request({ tv: 1 });
+
+    await optionalAuth(req, response(), jest.fn());
+
+    expect(req.user).toBeNull();
+    expect(Session.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('protect', () => {
+  test('rejects a token of a signed-out session', async () => {
+    Session.findById.mockReturnValue(query({ _id: 'session-id', revokedAt: new Date(), lastSeenAt: new Date() }));
+    const res = response();
+    const next = jest.fn();
+
+    await protect(request({ sid: 'session-id' }), res, next);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('SESSION_REVOKED');
+    expect(next).not.toHaveBeenCalled();
+  });
+});
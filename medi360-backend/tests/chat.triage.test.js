@@ -0,0 +1,187 @@
+/**
+ * Triage pre-pass in the chat controller: hard emergencies are answered by
+ * the rule engine without the LLM, everything else goes to the LLM and the
+ * stored severity is the higher of both verdicts
+ * (database models replaced by in-memory fakes, LLM chain by mock providers)
+ */
+
+jest.mock('../models/ChatSession.model', () => ({
+  findOne: jest.fn(),
+  scopeFilter: (user, profile = null) => ({ user, profile })
+}));
+jest.mock('../models/HealthProfile.model', () => ({
+  findOne: jest.fn().mockResolvedValue(null),
+  scopeFilter: (user, profile = null) => ({ user, profile })
+}));
+jest.mock('../services/audit.service', () => ({ record: jest.fn() }));
+
+const ChatSession = require('../models/ChatSession.model');
+const chatController = require('../controllers/chat.controller');
+const llm = require('../services/llm.service');
+const MockProvider = require('../services/llmProviders/mock.provider');
+const { chatTemplates } = require('../utils/chatTemplates');
+
+// A chat session holding its messages in memory
+const fakeSession = () => {
+  const session = {
+    _id: 'session-id',
+    user: 'user-id',
+    profile: null,
+    language: 'en',
+    messages: [],
+    summary: {},
+    contextSummary: null,
+    addMessage: jest.fn(async (role, content, metadata) => session.messages.push({ role, content, metadata })),
+    save: jest.fn(),
+    getConversationContext: () => ({ recent: session.messages.map(({ role, content }) => ({ role, content })), older: [] })
+  };
+  return session;
+};
+
+const request = (message) => ({
+  params: { sessionId: 'session-id' },
+  body: { message },
+  user: { id: 'user-id' }
+});
+
+const response = () => ({
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+// Server-sent events response, collecting { event, data } pairs
+const eventStream = () => {
+  const res = {
+    events: [],
+    writableEnded: false,
+    destroyed: false,
+    set: jest.fn(),
+    flushHeaders: jest.fn(),
+    on: jest.fn(),
+    write(chunk) {
+      const match = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/);
+      if (match) res.events.push({ event: match[1], data: JSON.parse(match[2]) });
+    },
+    end() { res.writableEnded = true; }
+  };
+  return res;
+};
+
+let session;
+
+beforeEach(() => {
+  session = fakeSession();
+  ChatSession.findOne.mockResolvedValue(session);
+  llm.setChain([{ provider: new MockProvider() }]);
+  jest.spyOn(llm, 'generate');
+  jest.spyOn(llm, 'stream');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const assistantMessage = () => session.messages.find(message => message.role === 'assistant');
+
+describe('sendMessage', () => {
+  test('answers a hard emergency from the rules without calling the LLM', async () => {
+    const res = response();
+
+    await chatController.sendMessage(request('I have crushing chest pain'), res);
+
+    expect(llm.generate).not.toHaveBeenCalled();
+    expect(res.body.data.message).toContain(chatTemplates('en').emergency.title);
+    expect(res.body.data.analysis).toMatchObject({
+      severity: 'emergency',
+      emergency: true,
+      triage: { rules: 'emergency', llm: null, shortCircuited: true }
+    });
+    expect(assistantMessage().metadata).toMatchObject({ provider: 'MEDI-360 Triage', aiPowered: false });
+    expect(session.summary.emergencyFlagged).toBe(true);
+  });
+
+  test('answers an emergency in the patient\'s language', async () => {
+    const res = response();
+
+    await chatController.sendMessage(request('मुझे आत्महत्या के विचार आ रहे हैं'), res);
+
+    expect(llm.generate).not.toHaveBeenCalled();
+    expect(session.language).toBe('hi');
+    expect(res.body.data.message).toContain(chatTemplates('hi').emergency.title);
+    expect(res.body.data.analysis.triage.shortCircuited).toBe(true);
+  });
+
+  test('sends anything else to the LLM', async () => {
+    const res = response();
+
+    await chatController.sendMessage(request('I have had a mild cough for two days'), res);
+
+    expect(llm.generate).toHaveBeenCalledTimes(1);
+    expect(res.body.data.message).toContain('This is a mock assessment');
+    expect(res.body.data.analysis.triage).toMatchObject({ llm: 'low', shortCircuited: false });
+    expect(assistantMessage().metadata).toMatchObject({ provider: 'mock:default', aiPowered: true });
+  });
+
+  test('keeps the LLM verdict when it is the more severe one', async () => {
+    llm.setChain([{
+      provider: new MockProvider({
+        response: JSON.stringify({
+          displayText: 'Please go to the emergency room now.',
+          severity: 'emergency',
+          redFlags: ['sudden worst headache of your life'],
+          identifiedSymptoms: ['headache'],
+          possibleConditions: [],
+          recommendations: ['Go to the emergency room now.'],
+          referralRecommended: true
+        })
+      })
+    }]);
+    const res = response();
+
+    await chatController.sendMessage(request('I have a headache'), res);
+
+    expect(res.body.data.analysis).toMatchObject({
+      severity: 'emergency',
+      emergency: true,
+      triage: { llm: 'emergency', shortCircuited: false }
+    });
+    expect(res.body.data.analysis.triage.rules).not.toBe('emergency');
+  });
+
+  test('answers locally when no LLM does', async () => {
+    llm.setChain([{ provider: new MockProvider({ failWith: 'unavailable' }) }]);
+    const res = response();
+
+    await chatController.sendMessage(request('I have a mild cough'), res);
+
+    expect(res.body.data.message).toBe(chatTemplates('en').local.general('I have a mild cough'));
+    expect(assistantMessage().metadata).toMatchObject({ provider: 'MEDI-360 Local', aiPowered: false });
+  });
+});
+
+describe('streamMessage', () => {
+  test('streams the triage reply of a hard emergency without calling the LLM', async () => {
+    const res = eventStream();
+
+    await chatController.streamMessage(request('I can\'t breathe'), res, jest.fn());
+
+    expect(llm.stream).not.toHaveBeenCalled();
+    expect(res.events.map(e => e.event)).toEqual(['token', 'done']);
+    expect(res.events[1].data.message).toBe(res.events[0].data.text);
+    expect(res.events[1].data.analysis.triage.shortCircuited).toBe(true);
+    expect(res.writableEnded).toBe(true);
+  });
+
+  test('streams only the displayText of the LLM envelope otherwise', async () => {
+    const res = eventStream();
+
+    await chatController.streamMessage(request('I have a mild cough'), res, jest.fn());
+
+    const streamed = res.events.filter(e => e.event === 'token').map(e => e.data.text).join('');
+    const done = res.events.find(e => e.event === 'done');
+    expect(llm.stream).toHaveBeenCalledTimes(1);
+    expect(streamed).toBe(done.data.message);
+    expect(streamed).not.toContain('"severity"');
+    expect(done.data.analysis.triage.shortCircuited).toBe(false);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Conversation history for chat prompts (services/conversationContext.service)
+ * and the token estimate its budget is measured in
+ */
+
+const ChatSession = require('../models/ChatSession.model');
+const ConversationContextService = require('../services/conversationContext.service');
+const llm = require('../services/llm.service');
+const MockProvider = require('../services/llmProviders/mock.provider');
+const { estimateTokens } = require('../utils/tokenEstimate');
+
+const { getConversationContext } = ChatSession.schema.methods;
+
+// A session with alternating user/assistant turns of about `tokens` tokens each
+const session = (count, tokens = 10, contextSummary = null) => ({
+  messages: Array.from({ length: count }, (_, i) => ({
+    role: i % 2 ? 'assistant' : 'user',
+    content: `${i}`.padEnd(tokens * 4, '.')
+  })),
+  contextSummary,
+  getConversationContext
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.CHAT_CONTEXT_MAX_TOKENS;
+});
+
+describe('estimateTokens', () => {
+  test('counts about four characters per token in English', () => {
+    expect(estimateTokens('I have a fever for 3 days')).toBe(7);
+  });
+
+  test('counts one token per character in Indian scripts', () => {
+    expect(estimateTokens('बुखार')).toBe(5);
+    expect(estimateTokens('ಜ್ವರ')).toBe(4);
+  });
+
+  test('adds both up in mixed text', () => {
+    expect(estimateTokens('fever बुखार')).toBe(Math.ceil(5 + 6 / 4));
+  });
+
+  test.each([null, undefined, ''])('is 0 for %p', (text) => {
+    expect(estimateTokens(text)).toBe(0);
+  });
+});
+
+describe('conversation window', () => {
+  test('keeps the most recent turns that fit the budget', () => {
+    const { recent, older } = session(6).getConversationContext(30);
+
+    expect(recent.map(t => t.content[0])).toEqual(['4', '5']);
+    expect(older).toHaveLength(4);
+  });
+
+  test('starts the window on a user turn', () => {
+    const { recent } = session(6).getConversationContext(40);
+
+    expect(recent[0].role).toBe('user');
+  });
+
+  test('always keeps the latest message, even over budget', () => {
+    const { recent } = session(1, 100).getConversationContext(10);
+
+    expect(recent).toHaveLength(1);
+  });
+});
+
+describe('ConversationContextService.build', () => {
+  test('sends short conversations verbatim, without a summary', async () => {
+    const context = await ConversationContextService.build(session(3));
+
+    expect(context.summary).toBeNull();
+    expect(context.messages).toHaveLength(3);
+  });
+
+  test('folds a full batch of overflowing turns into the stored summary', async () => {
+    process.env.CHAT_CONTEXT_MAX_TOKENS = '20';
+    llm.setChain([{ provider: new MockProvider({ response: 'The patient has had a fever.' }) }]);
+    const chat = session(7);
+
+    const context = await ConversationContextService.build(chat);
+
+    expect(context.summary).toBe('The patient has had a fever.');
+    expect(chat.contextSummary).toMatchObject({ text: 'The patient has had a fever.', turnCount: 6 });
+    expect(context.messages.map(t => t.content[0])).toEqual(['6']);
+  });
+
+  test('keeps overflowing turns verbatim until a batch is full', async () => {
+    process.env.CHAT_CONTEXT_MAX_TOKENS = '20';
+    const generate = jest.spyOn(llm, 'generate');
+    const chat = session(7, 10, { text: 'Earlier summary', turnCount: 4 });
+
+    const context = await ConversationContextService.build(chat);
+
+    expect(generate).not.toHaveBeenCalled();
+    expect(context.summary).toBe('Earlier summary');
+    expect(context.messages.map(t => t.content[0])).toEqual(['4', '5', '6']);
+  });
+
+  test('falls back to the patient\'s own words when no LLM answers', async () => {
+    llm.setChain([{ provider: new MockProvider({ failWith: 'unavailable' }) }]);
+
+    const summary = await ConversationContextService.summarize('Earlier summary', [
+      { role: 'user', content: 'I have a   fever' },
+      { role: 'assistant', content: 'Rest.' }
+    ]);
+
+    expect(summary).toBe('Earlier summary\nThe patient said: "I have a fever"');
+  });
+
+  test('merges adjacent turns from the same side', async () => {
+    const chat = session(2);
+    chat.messages.push({ role: 'assistant', content: 'More advice' });
+
+    const { messages } = await ConversationContextService.build(chat);
+
+    expect(messages).toHaveLength(2);
+    expect(messages[1].content).toMatch(/\n\nMore advice$/);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Chat language detection (utils/language) and the localized chat templates
+ */
+
+const { LANGUAGES, detectLanguage, isSupportedLanguage } = require('../utils/language');
+const { chatTemplates } = require('../utils/chatTemplates');
+
+describe('detectLanguage', () => {
+  test.each([
+    ['मुझे तीन दिन से बुखार है', 'hi'],
+    ['ನನಗೆ ಜ್ವರ ಇದೆ', 'kn'],
+    ['எனக்கு காய்ச்சல் இருக்கிறது', 'ta'],
+    ['నాకు జ్వరం ఉంది', 'te'],
+    ['I have had a fever since Monday', 'en']
+  ])('"%s" is %s', (text, language) => {
+    expect(detectLanguage(text)).toBe(language);
+  });
+
+  test('goes by the script most of the text is in', () => {
+    expect(detectLanguage('मुझे fever है और सिरदर्द भी')).toBe('hi');
+    expect(detectLanguage('I have had बुखार for two days')).toBe('en');
+  });
+
+  test.each([
+    'mujhe bukhar hai',
+    'ok',
+    '38.5',
+    '',
+    null
+  ])('"%s" gives no signal', (text) => {
+    expect(detectLanguage(text)).toBeNull();
+  });
+});
+
+describe('isSupportedLanguage', () => {
+  test.each(Object.keys(LANGUAGES))('supports %s', (code) => {
+    expect(isSupportedLanguage(code)).toBe(true);
+  });
+
+  test.each(['fr', 'toString', '', undefined])('does not support %p', (code) => {
+    expect(isSupportedLanguage(code)).toBe(false);
+  });
+});
+
+describe('chatTemplates', () => {
+  test.each(Object.keys(LANGUAGES))('has every template in %s', (code) => {
+    const templates = chatTemplates(code);
+
+    expect(templates.welcome).toEqual(expect.any(String));
+    expect(templates.emergency.title).toEqual(expect.any(String));
+    expect(templates.local.general('fever')).toEqual(expect.any(String));
+  });
+
+  test('falls back to English for an unknown language', () => {
+    expect(chatTemplates('fr')).toBe(chatTemplates('en'));
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * LLM fallback chain (services/llm.service) with mock providers
+ */
+
+const llm = require('../services/llm.service');
+const MockProvider = require('../services/llmProviders/mock.provider');
+const LLMError = require('../utils/llmError');
+
+const request = { system: 'You are a test.', messages: [{ role: 'user', content: 'I have a fever' }] };
+
+// A mock provider that counts its calls
+const provider = (options) => {
+  const mock = new MockProvider(options);
+  jest.spyOn(mock, 'generate');
+  jest.spyOn(mock, 'stream');
+  return mock;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('fallback chain', () => {
+  test('answers from the first entry that works', async () => {
+    const down = provider({ failWith: 'unavailable' });
+    const up = provider({ response: 'All good' });
+    llm.setChain([{ provider: down, model: 'first' }, { provider: up, model: 'second' }]);
+
+    const reply = await llm.generate(request);
+
+    expect(reply).toEqual({ text: 'All good', provider: 'mock', model: 'second' });
+    expect(down.generate).toHaveBeenCalledTimes(1);
+  });
+
+  test('throws exhausted with every attempt once the chain runs out', async () => {
+    llm.setChain([
+      { provider: provider({ failWith: 'auth' }), model: 'first' },
+      { provider: provider({ failWith: 'bad-request' }), model: 'second' }
+    ]);
+
+    const error = await llm.generate(request).catch(e => e);
+
+    expect(error).toBeInstanceOf(LLMError);
+    expect(error.code).toBe('exhausted');
+    expect(error.attempts.map(a => [a.model, a.code])).toEqual([['first', 'auth'], ['second', 'bad-request']]);
+  });
+
+  test('streams from the fallback when the first entry fails before any text', async () => {
+    llm.setChain([
+      { provider: provider({ failWith: 'rate-limited' }) },
+      { provider: provider({ response: 'Drink water' }), model: 'backup' }
+    ]);
+    const chunks = [];
+
+    const reply = await llm.stream(request, chunk => chunks.push(chunk));
+
+    expect(reply.model).toBe('backup');
+    expect(chunks.join('')).toBe('Drink water');
+  });
+});
+
+describe('retries', () => {
+  test.each(['rate-limited', 'timeout', 'unavailable'])('retries %s on the same entry', async (code) => {
+    const flaky = provider({ response: 'Recovered' });
+    flaky.generate.mockRejectedValueOnce(new LLMError('Flaky', { code }));
+    llm.setChain([{ provider: flaky, retries: 1 }]);
+
+    const reply = await llm.generate(request);
+
+    expect(reply.text).toBe('Recovered');
+    expect(flaky.generate).toHaveBeenCalledTimes(2);
+  });
+
+  test.each(['auth', 'bad-request', 'bad-response', 'config'])('moves on after %s without retrying', async (code) => {
+    const broken = provider({ failWith: code });
+    const backup = provider({ response: 'Backup' });
+    llm.setChain([{ provider: broken, retries: 2 }, { provider: backup }]);
+
+    const reply = await llm.generate(request);
+
+    expect(reply.text).toBe('Backup');
+    expect(broken.generate).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops retrying after the configured retries', async () => {
+    const down = provider({ failWith: 'unavailable' });
+    llm.setChain([{ provider: down, retries: 1 }]);
+
+    await expect(llm.generate(request)).rejects.toMatchObject({ code: 'exhausted' });
+    expect(down.generate).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('timeouts and cancellation', () => {
+  test('times out a slow provider and falls back', async () => {
+    const slow = provider({ response: 'Too late', delayMs: 1000 });
+    llm.setChain([{ provider: slow, timeoutMs: 20 }, { provider: provider({ response: 'On time' }) }]);
+
+    const reply = await llm.generate(request);
+
+    expect(reply.text).toBe('On time');
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('(timeout)'), 'No response within 20ms');
+  });
+
+  test('a stream only times out when no chunk arrives in time', async () => {
+    // 5 words, 15ms apart - well over the 20ms timeout in total
+    llm.setChain([{ provider: provider({ response: 'one two three four five', delayMs: 15 }), timeoutMs: 20 }]);
+
+    const reply = await llm.stream(request, () => {});
+
+    expect(reply.text).toBe('one two three four five');
+  });
+
+  test('a cancelled request is aborted without trying the rest of the chain', async () => {
+    const backup = provider({ response: 'Backup' });
+    llm.setChain([{ provider: provider({ response: 'Slow', delayMs: 1000 }) }, { provider: backup }]);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    const error = await llm.generate(request, { signal: controller.signal }).catch(e => e);
+
+    expect(error.code).toBe('aborted');
+    expect(backup.generate).not.toHaveBeenCalled();
+  });
+
+  test('an already cancelled request never reaches a provider', async () => {
+    const mock = provider({ response: 'Unused' });
+    llm.setChain([{ provider: mock }]);
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(llm.generate(request, { signal: controller.signal })).rejects.toMatchObject({ code: 'aborted' });
+    expect(mock.generate).not.toHaveBeenCalled();
+  });
+});
+
+describe('partial streams', () => {
+  test('an error after streamed text is thrown as partial, without fallback', async () => {
+    const dropping = provider();
+    dropping.stream.mockImplementation(async (req, onText) => {
+      onText('Rest and ');
+      throw new LLMError('Connection reset', { code: 'unavailable' });
+    });
+    const backup = provider({ response: 'Backup' });
+    llm.setChain([{ provider: dropping, retries: 2 }, { provider: backup }]);
+    const chunks = [];
+
+    const error = await llm.stream(request, chunk => chunks.push(chunk)).catch(e => e);
+
+    expect(error).toMatchObject({ code: 'unavailable', partial: true });
+    expect(chunks).toEqual(['Rest and ']);
+    expect(dropping.stream).toHaveBeenCalledTimes(1);
+    expect(backup.stream).not.toHaveBeenCalled();
+  });
+
+  test('a stream cancelled after some text is aborted and partial', async () => {
+    llm.setChain([{ provider: provider({ response: 'one two three four five', delayMs: 20 }) }]);
+    const controller = new AbortController();
+    const chunks = [];
+
+    const error = await llm.stream(request, (chunk) => {
+      chunks.push(chunk);
+      controller.abort();
+    }, { signal: controller.signal }).catch(e => e);
+
+    expect(error).toMatchObject({ code: 'aborted', partial: true });
+    expect(chunks).toEqual(['one ']);
+  });
+
+  test('a failure before any text still falls back', async () => {
+    llm.setChain([{ provider: provider({ failWith: 'unavailable' }) }, { provider: provider({ response: 'Backup' }) }]);
+
+    const reply = await llm.stream(request, () => {});
+
+    expect(reply.text).toBe('Backup');
+  });
+});
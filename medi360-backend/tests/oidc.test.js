@@ -0,0 +1,305 @@
+/**
+ * OIDC login against the mock IdP
+ * Drives authorize -> IdP sign-in -> callback (PKCE token exchange) -> login code,
+ * with the database models replaced by in-memory fakes
+ */
+
+jest.mock('../models/OidcState.model', () => {
+  let records = [];
+
+  const matches = (record, filter) => Object.entries(filter).every(([key, value]) =>
+    key === 'expiresAt' ? record.expiresAt > value.$gt : record[key] === value
+  );
+
+  return {
+    create: jest.fn(async (doc) => {
+      records.push({ ...doc });
+      return doc;
+    }),
+    findOneAndDelete: jest.fn(async (filter) => {
+      const record = records.find(candidate => matches(candidate, filter));
+      records = records.filter(candidate => candidate !== record);
+      return record || null;
+    }),
+    findOne: jest.fn(async (filter) => records.find(candidate => matches(candidate, filter)) || null),
+    reset: () => {
+      records = [];
+    }
+  };
+});
+
+jest.mock('../models/User.model', () => ({
+  findByIdentity: jest.fn(),
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  create: jest.fn()
+}));
+
+const User = require('../models/User.model');
+const OidcState = require('../models/OidcState.model');
+const OidcService = require('../services/oidc.service');
+const TokenService = require('../services/token.service');
+const LoginSecurityService = require('../services/loginSecurity.service');
+const authController = require('../controllers/auth.controller');
+const { startMockIdp } = require('../scripts/mock-oidc-idp');
+
+let idp;
+let provider;
+
+beforeAll(async () => {
+  idp = await startMockIdp();
+  process.env.API_URL = 'http://localhost:5000';
+  process.env.OIDC_PROVIDERS = JSON.stringify([
+    { id: 'mock', name: 'Mock Hospital IdP', issuer: idp.issuer, clientId: 'medi360' }
+  ]);
+  provider = OidcService.getProvider('mock');
+});
+
+afterAll(() => idp.close());
+
+beforeEach(() => {
+  OidcState.reset();
+  jest.clearAllMocks();
+  User.findByIdentity.mockResolvedValue(null);
+  User.findOne.mockResolvedValue(null);
+  User.create.mockImplementation(async (doc) => ({ _id: 'new-user-id', ...doc }));
+});
+
+/**
+ * Sign in on the IdP's form like a browser would
+ * @param {string} authorizationUrl - From createAuthorizationUrl
+ * @param {object} [fields] - Form overrides (email, email_verified, nonce, ...)
+ * @returns {Promise<object>} Query of the redirect back to our callback
+ */
+const signInAtIdp = async (authorizationUrl, fields = {}) => {
+  const url = new URL(authorizationUrl);
+
+  const page = await fetch(url);
+  expect(page.status).toBe(200);
+
+  const form = new URLSearchParams({
+    ...Object.fromEntries(url.searchParams),
+    email: 'staff@hospital.org',
+    name: 'Dr. Mock Staff',
+    email_verified: 'on',
+    ...fields
+  });
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined) form.delete(name);
+  }
+
+  const response = await fetch(`${idp.issuer}/authorize`, { method: 'POST', body: form, redirect: 'manual' });
+  expect(response.status).toBe(302);
+
+  const location = new URL(response.headers.get('location'));
+  expect(location.origin + location.pathname).toBe(OidcService.redirectUri(provider));
+  return Object.fromEntries(location.searchParams);
+};
+
+const existingUser = (overrides = {}) => ({
+  _id: 'existing-user-id',
+  email: 'staff@hospital.org',
+  isEmailVerified: true,
+  identities: [],
+  save: jest.fn(async () => {}),
+  ...overrides
+});
+
+describe('OIDC authorization code flow with PKCE', () => {
+  test('authorization URL carries state, nonce and an S256 code challenge', async () => {
+    const url = new URL(await OidcService.createAuthorizationUrl(provider, '/chat'));
+
+    expect(url.origin).toBe(idp.issuer);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('redirect_uri')).toBe(OidcService.redirectUri(provider));
+
+    const pending = await OidcState.findOne({ state: url.searchParams.get('state') });
+    expect(pending.nonce).toBe(url.searchParams.get('nonce'));
+    expect(pending.returnTo).toBe('/chat');
+    expect(url.searchParams.get('code_challenge')).not.toContain(pending.codeVerifier);
+  });
+
+  test('never redirects off-site after login', async () => {
+    const url = new URL(await OidcService.createAuthorizationUrl(provider, '//evil.example'));
+    const pending = await OidcState.findOne({ state: url.searchParams.get('state') });
+
+    expect(pending.returnTo).toBe('/dashboard');
+  });
+
+  test('completes sign-in, creates the account and issues a single-use login code', async () => {
+    const { code, state } = await signInAtIdp(await OidcService.createAuthorizationUrl(provider, '/chat'));
+
+    const { claims, returnTo } = await OidcService.handleCallback(provider, { code, state });
+    expect(claims).toMatchObject({ email: 'staff@hospital.org', email_verified: true });
+    expect(returnTo).toBe('/chat');
+
+    const { user, created, linked } = await OidcService.resolveUser(provider, claims);
+    expect(created).toBe(true);
+    expect(linked).toBe(false);
+    expect(user).toMatchObject({ email: 'staff@hospital.org', role: 'patient', isEmailVerified: true });
+    expect(user.identities).toEqual([expect.objectContaining({ provider: 'mock', subject: claims.sub })]);
+
+    const loginCode = await OidcService.createLoginCode(user, provider);
+    await expect(OidcService.redeemLoginCode(loginCode)).resolves.toEqual({ userId: 'new-user-id', provider: 'mock' });
+    await expect(OidcService.redeemLoginCode(loginCode)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('rejects a token exchange with the wrong code verifier', async () => {
+    const { code, state } = await signInAtIdp(await OidcService.createAuthorizationUrl(provider));
+    (await OidcState.findOne({ state })).codeVerifier = 'not-the-original-verifier';
+
+    await expect(OidcService.handleCallback(provider, { code, state }))
+      .rejects.toMatchObject({ statusCode: 502, message: expect.stringContaining('PKCE verification failed') });
+  });
+});
+
+describe('OIDC callback validation', () => {
+  test('rejects a callback whose state was never issued', async () => {
+    const { code } = await signInAtIdp(await OidcService.createAuthorizationUrl(provider));
+
+    await expect(OidcService.handleCallback(provider, { code, state: 'forged-state' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('rejects a replayed callback', async () => {
+    const { code, state } = await signInAtIdp(await OidcService.createAuthorizationUrl(provider));
+    await OidcService.handleCallback(provider, { code, state });
+
+    await expect(OidcService.handleCallback(provider, { code, state }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('rejects a state issued for another provider', async () => {
+    const { code, state } = await signInAtIdp(await OidcService.createAuthorizationUrl(provider));
+
+    await expect(OidcService.handleCallback({ ...provider, id: 'other' }, { code, state }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('rejects an ID token whose nonce does not match the login', async () => {
+    const { code, state } = await signInAtIdp(
+      await OidcService.createAuthorizationUrl(provider),
+      { nonce: 'nonce-from-another-login' }
+    );
+
+    await expect(OidcService.handleCallback(provider, { code, state }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid ID token: nonce mismatch' });
+  });
+
+  test('passes a denied sign-in back with the original state', async () => {
+    const url = await OidcService.createAuthorizationUrl(provider);
+    const query = await signInAtIdp(url, { deny: '1' });
+
+    expect(query).toMatchObject({ error: 'access_denied', state: new URL(url).searchParams.get('state') });
+    expect(query.code).toBeUndefined();
+  });
+});
+
+describe('OIDC account resolution', () => {
+  const signIn = async (fields) => {
+    const { code, state } = await signInAtIdp(await OidcService.createAuthorizationUrl(provider), fields);
+    const { claims } = await OidcService.handleCallback(provider, { code, state });
+    return claims;
+  };
+
+  test('refuses an unverified email', async () => {
+    const claims = await signIn({ email_verified: undefined });
+    expect(claims.email_verified).toBe(false);
+
+    await expect(OidcService.resolveUser(provider, claims)).rejects.toMatchObject({ statusCode: 403 });
+    expect(User.findOne).not.toHaveBeenCalled();
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  test('does not link an existing account through an unverified email', async () => {
+    const user = existingUser();
+    User.findOne.mockResolvedValue(user);
+
+    await expect(OidcService.resolveUser(provider, await signIn({ email_verified: undefined })))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(user.identities).toHaveLength(0);
+  });
+
+  test('links an existing account by verified email', async () => {
+    const user = existingUser();
+    User.findOne.mockResolvedValue(user);
+
+    const claims = await signIn({ email: 'Staff@Hospital.org' });
+    const result = await OidcService.resolveUser(provider, claims);
+
+    expect(User.findOne).toHaveBeenCalledWith({ email: 'staff@hospital.org' });
+    expect(result).toEqual({ user, created: false, linked: true });
+    expect(user.identities).toEqual([
+      expect.objectContaining({ provider: 'mock', subject: claims.sub, email: 'staff@hospital.org' })
+    ]);
+    expect(user.save).toHaveBeenCalled();
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses to link when the existing account has not verified its email', async () => {
+    const user = existingUser({ isEmailVerified: false });
+    User.findOne.mockResolvedValue(user);
+
+    await expect(OidcService.resolveUser(provider, await signIn()))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(user.identities).toHaveLength(0);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  test('signs in through an already linked identity', async () => {
+    const claims = await signIn();
+    const user = existingUser({
+      identities: [{ provider: 'mock', subject: claims.sub, email: 'staff@hospital.org' }]
+    });
+    User.findByIdentity.mockResolvedValue(user);
+
+    const result = await OidcService.resolveUser(provider, claims);
+
+    expect(User.findByIdentity).toHaveBeenCalledWith('mock', claims.sub);
+    expect(result).toEqual({ user, created: false, linked: false });
+    expect(user.identities[0].lastLoginAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('OIDC login code exchange', () => {
+  const exchange = async (code) => {
+    const res = {
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    const next = jest.fn();
+    await authController.exchangeOidcCode({ body: { code }, headers: {}, get: () => undefined }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(LoginSecurityService, 'record').mockResolvedValue();
+    jest.spyOn(TokenService, 'issueTokens');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('does not let single sign-on bypass a brute-force lockout', async () => {
+    const user = existingUser({
+      isActive: true,
+      lockUntil: new Date(Date.now() + 10 * 60 * 1000),
+      isLocked() { return this.lockUntil > Date.now(); },
+      twoFactor: { enabled: false }
+    });
+    User.findById.mockResolvedValue(user);
+
+    const res = await exchange(await OidcService.createLoginCode(user, provider));
+
+    expect(res.statusCode).toBe(423);
+    expect(res.body.code).toBe('ACCOUNT_LOCKED');
+    expect(res.headers['Retry-After']).toBeDefined();
+    expect(LoginSecurityService.record).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ user, success: false, failureReason: 'locked', method: 'oidc' })
+    );
+    expect(TokenService.issueTokens).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Health profile summary for chat prompts (services/patientContext.service)
+ */
+
+const PatientContextService = require('../services/patientContext.service');
+
+const profile = (overrides = {}) => ({
+  age: 34,
+  gender: 'female',
+  relationship: 'self',
+  bloodGroup: 'O+',
+  allergies: [
+    { allergen: 'Pollen', severity: 'mild', reaction: 'sneezing' },
+    { allergen: 'Penicillin', severity: 'life-threatening', reaction: 'anaphylaxis' }
+  ],
+  currentMedications: [{ name: 'Metformin', dosage: '500mg', frequency: 'twice daily', prescribedBy: 'Dr. Rao' }],
+  knownConditions: [{ name: 'Type 2 diabetes', severity: 'moderate', diagnosedDate: new Date('2019-03-14') }],
+  lifestyle: { smokingStatus: 'never', alcoholConsumption: 'none', exerciseFrequency: 'weekly', dietType: 'vegetarian', stressLevel: 'low' },
+  ...overrides
+});
+
+describe('PatientContextService.build', () => {
+  test('lists allergies first, most severe first, then medications', () => {
+    const lines = PatientContextService.build(profile()).text.split('\n');
+
+    expect(lines[0]).toMatch(/^ALLERGIES/);
+    expect(lines[1]).toBe('• Penicillin (life-threatening) - reaction: anaphylaxis');
+    expect(lines[2]).toBe('• Pollen (mild) - reaction: sneezing');
+    expect(lines[3]).toMatch(/^CURRENT MEDICATIONS/);
+    expect(lines[4]).toBe('• Metformin, 500mg, twice daily');
+  });
+
+  test('puts pregnancy ahead of the rest of the profile', () => {
+    const { text } = PatientContextService.build(profile({ pregnancy: { status: 'pregnant', dueDate: new Date('2027-01-20') } }));
+
+    expect(text.indexOf('PREGNANCY: pregnant (due 2027-01)')).toBeLessThan(text.indexOf('PATIENT:'));
+  });
+
+  test('redacts prescribers, exact dates and contact details', () => {
+    const { text } = PatientContextService.build(profile({
+      allergies: [{ allergen: 'Latex', severity: 'moderate', reaction: 'rash - call me on +91 98765 43210 or a@b.com' }]
+    }));
+
+    expect(text).not.toContain('Dr. Rao');
+    expect(text).toContain('since 2019)');
+    expect(text).not.toContain('2019-03');
+    expect(text).toContain('call me on [phone] or [email]');
+  });
+
+  test('always keeps allergies and medications, cutting the rest at the budget', () => {
+    const { text, fields } = PatientContextService.build(profile(), { maxTokens: 10 });
+
+    expect(text).toContain('Penicillin');
+    expect(text).toContain('Metformin');
+    expect(text).not.toContain('KNOWN CONDITIONS');
+    expect(text).toMatch(/\(further profile details omitted\)$/);
+    expect(fields).toEqual(['allergies', 'currentMedications']);
+  });
+
+  test('reports the fields it disclosed', () => {
+    const { fields } = PatientContextService.build(profile());
+
+    expect(fields).toEqual(['allergies', 'currentMedications', 'age', 'gender', 'bloodGroup', 'knownConditions', 'lifestyle']);
+  });
+
+  test('says when there is no profile', () => {
+    expect(PatientContextService.build(null)).toEqual({
+      text: expect.stringMatching(/^No health profile on file/),
+      fields: []
+    });
+  });
+});
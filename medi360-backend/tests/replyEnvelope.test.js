@@ -0,0 +1,149 @@
+/**
+ * JSON reply envelope (services/replyEnvelope.service): validation, the
+ * repair round-trip through a mock LLM, and streamed displayText decoding
+ */
+
+const ReplyEnvelopeService = require('../services/replyEnvelope.service');
+const { DisplayTextStream } = ReplyEnvelopeService;
+const llm = require('../services/llm.service');
+const MockProvider = require('../services/llmProviders/mock.provider');
+
+const envelope = (overrides = {}) => ({
+  displayText: '🩺 ANALYSIS\nA "mild" cold.',
+  severity: 'low',
+  redFlags: [],
+  identifiedSymptoms: ['Runny Nose'],
+  possibleConditions: [{ condition: 'Common cold', likelihood: 'High' }],
+  recommendations: ['Rest.'],
+  referralRecommended: false,
+  ...overrides
+});
+
+// Feed text to a DisplayTextStream in chunks of `size` characters
+const streamed = (raw, size) => {
+  const stream = new DisplayTextStream();
+  let text = '';
+  for (let i = 0; i < raw.length; i += size) text += stream.push(raw.slice(i, i + size));
+  return text;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('check', () => {
+  test('accepts and normalizes a valid envelope', () => {
+    const { envelope: result, errors } = ReplyEnvelopeService.check(JSON.stringify(envelope()));
+
+    expect(errors).toEqual([]);
+    expect(result.identifiedSymptoms).toEqual(['runny nose']);
+    expect(result.possibleConditions).toEqual([{ condition: 'Common cold', likelihood: 'high' }]);
+  });
+
+  test('tolerates code fences, surrounding prose and trailing commas', () => {
+    const raw = `Here you go:\n\`\`\`json\n${JSON.stringify(envelope()).replace(/}$/, ',}')}\n\`\`\``;
+
+    expect(ReplyEnvelopeService.check(raw).envelope).not.toBeNull();
+  });
+
+  test.each([
+    [{ severity: 'critical' }, 'severity must be one of low, moderate, high, emergency'],
+    [{ displayText: ' ' }, 'displayText must be a non-empty string'],
+    [{ redFlags: 'none' }, 'redFlags must be an array of strings'],
+    [{ referralRecommended: 'maybe' }, 'referralRecommended must be a boolean']
+  ])('rejects %j', (overrides, error) => {
+    const result = ReplyEnvelopeService.check(JSON.stringify(envelope(overrides)));
+
+    expect(result.envelope).toBeNull();
+    expect(result.errors).toContain(error);
+  });
+
+  test('rejects output that is not JSON', () => {
+    expect(ReplyEnvelopeService.check('Just rest.').errors).toEqual(['Output is not a JSON object']);
+  });
+});
+
+describe('resolve', () => {
+  test('uses valid output as is, without a repair call', async () => {
+    const generate = jest.spyOn(llm, 'generate');
+
+    const reply = await ReplyEnvelopeService.resolve(JSON.stringify(envelope()));
+
+    expect(reply).toMatchObject({ outputFormat: 'json', text: envelope().displayText });
+    expect(generate).not.toHaveBeenCalled();
+  });
+
+  test('repairs invalid output through the LLM, telling it what was wrong', async () => {
+    llm.setChain([{ provider: new MockProvider({ response: JSON.stringify(envelope({ severity: 'moderate' })) }) }]);
+    const generate = jest.spyOn(llm, 'generate');
+    const raw = JSON.stringify(envelope({ severity: 'critical' }));
+
+    const reply = await ReplyEnvelopeService.resolve(raw);
+
+    expect(reply.outputFormat).toBe('repaired');
+    expect(reply.envelope.severity).toBe('moderate');
+    expect(generate).toHaveBeenCalledTimes(1);
+    const [repairRequest] = generate.mock.calls[0];
+    expect(repairRequest.json).toBe(true);
+    expect(repairRequest.messages[0].content).toContain('severity must be one of');
+    expect(repairRequest.messages[0].content).toContain(raw);
+  });
+
+  test('salvages the display text when the repair is invalid too', async () => {
+    llm.setChain([{ provider: new MockProvider({ response: 'Sorry, I cannot.' }) }]);
+    const generate = jest.spyOn(llm, 'generate');
+
+    const reply = await ReplyEnvelopeService.resolve('{"displayText": "Drink fluids.", "severity": "unknown"');
+
+    expect(reply).toEqual({ envelope: null, outputFormat: 'text', text: 'Drink fluids.' });
+    expect(generate).toHaveBeenCalledTimes(1);
+  });
+
+  test('salvages the display text when no LLM is available for the repair', async () => {
+    llm.setChain([{ provider: new MockProvider({ failWith: 'unavailable' }) }]);
+
+    const reply = await ReplyEnvelopeService.resolve('Plain prose reply');
+
+    expect(reply).toEqual({ envelope: null, outputFormat: 'text', text: 'Plain prose reply' });
+  });
+
+  test('has no text when nothing can be salvaged', async () => {
+    llm.setChain([{ provider: new MockProvider({ failWith: 'unavailable' }) }]);
+
+    expect((await ReplyEnvelopeService.resolve('{"severity": "low"}')).text).toBeNull();
+  });
+});
+
+describe('DisplayTextStream', () => {
+  const raw = JSON.stringify(envelope({ displayText: 'Fever: "high"\n• Rest\\sleep — 🩺 ह' }));
+
+  test.each([1, 2, 3, 7, raw.length])('decodes displayText in chunks of %i characters', (size) => {
+    expect(streamed(raw, size)).toBe('Fever: "high"\n• Rest\\sleep — 🩺 ह');
+  });
+
+  test('decodes \\u escapes split across chunks', () => {
+    expect(streamed('{"displayText": "caf\\u00e9 ok"}', 1)).toBe('café ok');
+  });
+
+  test('stops at the end of displayText', () => {
+    const stream = new DisplayTextStream();
+
+    expect(stream.push('{"displayText": "Hi", ')).toBe('Hi');
+    expect(stream.push('"severity": "low"}')).toBe('');
+  });
+
+  test('waits for displayText when it is not the first key', () => {
+    expect(streamed('{"severity": "low", "displayText": "Hi"}', 4)).toBe('Hi');
+  });
+
+  test('passes plain prose through', () => {
+    expect(streamed('  Rest and drink water.', 5)).toBe('Rest and drink water.');
+  });
+
+  test('extract decodes a whole reply at once', () => {
+    expect(DisplayTextStream.extract('```json\n{"displayText": "Hi\\nthere"')).toBe('Hi\nthere');
+  });
+});
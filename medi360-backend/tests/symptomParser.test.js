@@ -0,0 +1,139 @@
+/**
+ * Symptom parsing (utils/symptomParser) with the MedicalAIService lexicon
+ */
+
+const MedicalAIService = require('../services/medicalAI.service');
+const { compileLexicon, parseSymptoms, isNegated } = require('../utils/symptomParser');
+
+const findings = (text) => Object.fromEntries(
+  MedicalAIService.extractSymptoms(text).map(finding => [finding.symptom, finding])
+);
+
+describe('lexicon', () => {
+  test('maps lay terms to canonical symptoms, longest term first', () => {
+    const matcher = compileLexicon({ nausea: ['feel like throwing up'], vomiting: ['throwing up'] });
+
+    expect(parseSymptoms('I feel like throwing up', matcher).map(f => f.symptom)).toEqual(['nausea']);
+    expect(parseSymptoms('I keep throwing up', matcher).map(f => f.symptom)).toEqual(['vomiting']);
+  });
+
+  test('only matches whole words', () => {
+    const matcher = compileLexicon({ cough: [] });
+
+    expect(parseSymptoms('coughs aside, all fine', matcher)).toEqual([]);
+  });
+});
+
+describe('negation', () => {
+  test.each([
+    ['no fever', 'fever'],
+    ['I don\'t have a fever', 'fever'],
+    ['I haven\'t had a fever', 'fever'],
+    ['denies chest pain', 'chest pain'],
+    ['the nausea went away', 'nausea'],
+    ['no fever or cough', 'cough']
+  ])('"%s" negates %s', (text, symptom) => {
+    expect(findings(text)[symptom]).toMatchObject({ negated: true });
+  });
+
+  test.each([
+    ['I haven\'t stopped vomiting', 'vomiting'],
+    ['I haven\'t been able to stop vomiting', 'vomiting'],
+    ['vomiting hasn\'t stopped', 'vomiting'],
+    ['the cough hasn\'t gone away', 'cough'],
+    ['I can\'t stop coughing', 'cough'],
+    ['I cannot stop coughing', 'cough'],
+    ['this headache won\'t go away', 'headache'],
+    ['I can\'t get rid of this headache', 'headache'],
+    ['no relief from my headache', 'headache']
+  ])('"%s" still reports %s', (text, symptom) => {
+    expect(findings(text)[symptom]).toMatchObject({ negated: false });
+  });
+
+  test('does not reach across a clause boundary', () => {
+    const result = findings('no fever but my head hurts and I have a cough');
+
+    expect(result.fever.negated).toBe(true);
+    expect(result.cough.negated).toBe(false);
+  });
+
+  test('a later positive mention wins over a denial', () => {
+    expect(findings('no fever yesterday. Today I have a fever').fever.negated).toBe(false);
+  });
+
+  test('isNegated checks a match found elsewhere', () => {
+    const text = 'there is no chest pain';
+    expect(isNegated(text, text.indexOf('chest pain'), 'chest pain'.length)).toBe(true);
+  });
+});
+
+describe('uncertainty', () => {
+  test.each([
+    'I think I might have a fever',
+    'not sure if I have a fever',
+    'maybe a fever'
+  ])('"%s" is uncertain, not negated', (text) => {
+    expect(findings(text).fever).toMatchObject({ negated: false, uncertain: true });
+  });
+});
+
+describe('duration', () => {
+  test.each([
+    ['fever for 3 days', 3],
+    ['a cough for two weeks', 14],
+    ['fever since yesterday', 1],
+    ['fever for 12 hours', 0.5]
+  ])('"%s" lasts %s days', (text, days) => {
+    expect(Object.values(findings(text))[0].duration).toMatchObject({ days });
+  });
+});
+
+describe('intensity', () => {
+  test('reads a 0-10 score', () => {
+    expect(findings('my headache is 8/10').headache.intensity).toEqual({ score: 8, label: 'severe' });
+  });
+
+  test.each([
+    ['mild headache and severe cough', { headache: 'mild', cough: 'severe' }],
+    ['headache and severe cough', { headache: undefined, cough: 'severe' }],
+    ['headache, severe cough', { headache: undefined, cough: 'severe' }],
+    ['my headache is severe and I have a cough', { headache: 'severe', cough: undefined }],
+    ['no fever and a mild cough', { fever: undefined, cough: 'mild' }]
+  ])('"%s" keeps each symptom\'s own intensity', (text, expected) => {
+    const result = findings(text);
+    for (const [symptom, label] of Object.entries(expected)) {
+      expect(result[symptom].intensity?.label).toBe(label);
+    }
+  });
+
+  test('scores stay with their symptom', () => {
+    const result = findings('headache 3/10 and cough 9/10');
+
+    expect(result.headache.intensity).toEqual({ score: 3, label: 'mild' });
+    expect(result.cough.intensity).toEqual({ score: 9, label: 'severe' });
+  });
+
+  test('a lone symptom takes its intensity from the whole clause', () => {
+    expect(findings('my headache has been really bad all day').headache.intensity.label).toBe('severe');
+  });
+});
+
+describe('Indian languages', () => {
+  test.each([
+    ['मुझे बुखार है', 'fever', false],
+    ['बुखार नहीं है', 'fever', true],
+    ['ಜ್ವರ ಇಲ್ಲ', 'fever', true],
+    ['காய்ச்சல் இல்லை', 'fever', true],
+    ['జ్వరం లేదు', 'fever', true],
+    ['mujhe bukhar hai', 'fever', false]
+  ])('"%s" - %s negated: %s', (text, symptom, negated) => {
+    expect(findings(text)[symptom]).toMatchObject({ negated });
+  });
+
+  test('post-negation stops at a comma', () => {
+    const result = findings('ಜ್ವರವಿದೆ, ತಲೆನೋವು ಇಲ್ಲ');
+
+    expect(result.fever.negated).toBe(false);
+    expect(result.headache.negated).toBe(true);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Rule-based triage (MedicalAIService.triage)
+ */
+
+const MedicalAIService = require('../services/medicalAI.service');
+
+describe('emergency rules', () => {
+  test.each([
+    ['crushing chest pain', 'chest pain'],
+    ['I can\'t breathe', 'difficulty breathing'],
+    ['my dad passed out', 'loss of consciousness'],
+    ['the bleeding won\'t stop', 'severe bleeding'],
+    ['I want to die', 'suicidal thoughts']
+  ])('"%s" is an emergency (%s)', (message, rule) => {
+    const triage = MedicalAIService.triage(message);
+
+    expect(triage.emergencyDetected).toBe(true);
+    expect(triage.matchedRules).toContain(rule);
+  });
+
+  test.each([
+    'no chest pain, just a cough',
+    'I don\'t have chest pain'
+  ])('"%s" is not an emergency', (message) => {
+    expect(MedicalAIService.triage(message).emergencyDetected).toBe(false);
+  });
+});
+
+describe('localized emergency rules', () => {
+  test.each([
+    ['मैं आत्महत्या के बारे में सोच रहा हूँ', 'suicidal thoughts'],
+    ['mujhe atmahatya ke khayal aa rahe hain', 'suicidal thoughts'],
+    ['बहुत खून बह रहा है', 'severe bleeding'],
+    ['खून रुक नहीं रहा', 'severe bleeding'],
+    ['ಆತ್ಮಹತ್ಯೆ ಮಾಡಿಕೊಳ್ಳಬೇಕು ಅನ್ನಿಸುತ್ತಿದೆ', 'suicidal thoughts'],
+    ['ರಕ್ತ ನಿಲ್ಲುತ್ತಿಲ್ಲ', 'severe bleeding'],
+    ['எனக்கு தற்கொலை எண்ணம் வருகிறது', 'suicidal thoughts'],
+    ['ரத்தம் நிற்கவில்லை', 'severe bleeding'],
+    ['నాకు చనిపోవాలని ఉంది', 'suicidal thoughts'],
+    ['రక్తం ఆగడం లేదు', 'severe bleeding'],
+    ['గొంతు వాపు వచ్చింది', 'severe allergic reaction']
+  ])('"%s" is an emergency (%s)', (message, rule) => {
+    const triage = MedicalAIService.triage(message);
+
+    expect(triage.emergencyDetected).toBe(true);
+    expect(triage.matchedRules).toContain(rule);
+  });
+
+  test.each([
+    ['बेहोश', 'loss of consciousness'],
+    ['ಪ್ರಜ್ಞೆ ತಪ್ಪಿ ಬಿದ್ದರು', 'loss of consciousness'],
+    ['ఛాతీ నొప్పి', 'chest pain']
+  ])('localized symptom term "%s" is an emergency (%s)', (message, symptom) => {
+    const triage = MedicalAIService.triage(message);
+
+    expect(triage.emergencyDetected).toBe(true);
+    expect(triage.identifiedSymptoms).toContain(symptom);
+  });
+
+  test('a denied emergency is not one', () => {
+    expect(MedicalAIService.triage('मुझे सिरदर्द है, आत्महत्या नहीं').emergencyDetected).toBe(false);
+  });
+
+  test('every localized rule names a known emergency', () => {
+    expect(() => MedicalAIService.emergencyRules()).not.toThrow();
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Chat templates
+ * Fixed chat texts that do not come from the LLM, per session language
+ * (see utils/language.js)
+ *
+ * - welcome: first message of a new session
+ * - emergency: labels for the triage short-circuit reply; the English
+ *   action, steps and disclaimer come from MedicalAIService.generateEmergencyResponse
+ * - local: offline fallback when every LLM provider fails (emergencies
+ *   get the triage emergency reply instead)
+ */
+
+const { LANGUAGES } = require('./language');
+
+const TEMPLATES = {
+  en: {
+    welcome: `Hello! 👋 I'm your MEDI-360 AI assistant.
+
+I can help you with:
+🩺 Checking Symptoms
+💊 Home Remedies
+🚑 When to see a Doctor
+
+Please describe what you're feeling in detail.`,
+
+    emergency: {
+      title: 'MEDICAL EMERGENCY',
+      reported: 'Reported',
+      number: 'Emergency number',
+      whatToDo: 'WHAT TO DO NOW'
+    },
+
+    local: {
+      general: (message) => `🩺 SYMPTOM ANALYSIS
+I have noted your symptoms: "${message}".
+
+💊 GENERAL ADVICE
+• Rest: Allow your body to recover.
+• Hydrate: Drink plenty of water.
+• Monitor: Watch for fever or worsening pain.
+
+⚠️ WHEN TO SEE A DOCTOR
+• If symptoms persist > 24 hours.
+• If pain becomes severe.
+
+---
+Disclaimer: This is an AI assessment.`
+    }
+  },
+
+  hi: {
+    welcome: `नमस्ते! 👋 मैं आपका MEDI-360 AI सहायक हूँ।
+
+मैं इनमें आपकी मदद कर सकता हूँ:
+🩺 लक्षणों की जाँच
+💊 घरेलू उपचार
+🚑 डॉक्टर को कब दिखाएँ
+
+कृपया विस्तार से बताएँ कि आप कैसा महसूस कर रहे हैं।`,
+
+    emergency: {
+      title: 'चिकित्सा आपातकाल',
+      urgentAction: 'तुरंत आपातकालीन सेवाओं को कॉल करें',
+      reported: 'बताए गए लक्षण',
+      number: 'आपातकालीन नंबर',
+      emergencyNumber: '108 (भारत) या स्थानीय आपातकालीन नंबर',
+      whatToDo: 'अभी क्या करें',
+      steps: [
+        'तुरंत आपातकालीन सेवा (108) को कॉल करें',
+        'खुद गाड़ी चलाकर न जाएँ',
+        'शांत रहें और कॉल पर मिलने वाले निर्देशों का पालन करें',
+        'मदद आने तक किसी को अपने साथ रखें',
+        'अगर आप अकेले हैं, तो बचाव दल के लिए मुख्य दरवाज़ा खोल दें'
+      ],
+      disclaimer: 'यह एक चिकित्सा आपातकाल है। कृपया तुरंत पेशेवर चिकित्सा सहायता लें।'
+    },
+
+    local: {
+      general: (message) => `🩺 लक्षण विश्लेषण
+मैंने आपके लक्षण नोट कर लिए हैं: "${message}"।
+
+💊 सामान्य सलाह
+• आराम: शरीर को ठीक होने का समय दें।
+• पानी: खूब पानी पिएँ।
+• निगरानी: बुखार या बढ़ते दर्द पर ध्यान दें।
+
+⚠️ डॉक्टर को कब दिखाएँ
+• अगर लक्षण 24 घंटे से ज़्यादा रहें।
+• अगर दर्द तेज़ हो जाए।
+
+---
+अस्वीकरण: यह एक AI आकलन है।`
+    }
+  },
+
+  kn: {
+    welcome: `ನಮಸ್ಕಾರ! 👋 ನಾನು ನಿಮ್ಮ MEDI-360 AI ಸಹಾಯಕ.
+
+ನಾನು ಇವುಗಳಲ್ಲಿ ಸಹಾಯ ಮಾಡಬಲ್ಲೆ:
+🩺 ರೋಗಲಕ್ಷಣಗಳ ಪರಿಶೀಲನೆ
+💊 ಮನೆಮದ್ದುಗಳು
+🚑 ವೈದ್ಯರನ್ನು ಯಾವಾಗ ನೋಡಬೇಕು
+
+ದಯವಿಟ್ಟು ನಿಮಗೆ ಏನು ಅನಿಸುತ್ತಿದೆ ಎಂದು ವಿವರವಾಗಿ ತಿಳಿಸಿ.`,
+
+    emergency: {
+      title: 'ವೈದ್ಯಕೀಯ ತುರ್ತು ಪರಿಸ್ಥಿತಿ',
+      urgentAction: 'ತಕ್ಷಣ ತುರ್ತು ಸೇವೆಗಳಿಗೆ ಕರೆ ಮಾಡಿ',
+      reported: 'ತಿಳಿಸಿದ ಲಕ್ಷಣಗಳು',
+      number: 'ತುರ್ತು ಸಂಖ್ಯೆ',
+      emergencyNumber: '108 (ಭಾರತ) ಅಥವಾ ಸ್ಥಳೀಯ ತುರ್ತು ಸಂಖ್ಯೆ',
+      whatToDo: 'ಈಗ ಏನು ಮಾಡಬೇಕು',
+      steps: [
+        'ತಕ್ಷಣ ತುರ್ತು ಸೇವೆಗೆ (108) ಕರೆ ಮಾಡಿ',
+        'ನೀವೇ ವಾಹನ ಚಲಾಯಿಸಬೇಡಿ',
+        'ಶಾಂತವಾಗಿರಿ ಮತ್ತು ಕರೆಯಲ್ಲಿ ನೀಡುವ ಸೂಚನೆಗಳನ್ನು ಪಾಲಿಸಿ',
+        'ಸಹಾಯ ಬರುವವರೆಗೆ ಯಾರಾದರೂ ನಿಮ್ಮ ಜೊತೆ ಇರಲಿ',
+        'ನೀವು ಒಬ್ಬರೇ ಇದ್ದರೆ, ತುರ್ತು ಸಿಬ್ಬಂದಿಗಾಗಿ ಮುಂಬಾಗಿಲು ತೆರೆದಿಡಿ'
+      ],
+      disclaimer: 'ಇದು ವೈದ್ಯಕೀಯ ತುರ್ತು ಪರಿಸ್ಥಿತಿ. ದಯವಿಟ್ಟು ತಕ್ಷಣ ವೃತ್ತಿಪರ ವೈದ್ಯಕೀಯ ಸಹಾಯ ಪಡೆಯಿರಿ.'
+    },
+
+    local: {
+      general: (message) => `🩺 ರೋಗಲಕ್ಷಣ ವಿಶ್ಲೇಷಣೆ
+ನಿಮ್ಮ ಲಕ್ಷಣಗಳನ್ನು ಗಮನಿಸಿದ್ದೇನೆ: "${message}".
+
+💊 ಸಾಮಾನ್ಯ ಸಲಹೆ
+• ವಿಶ್ರಾಂತಿ: ದೇಹ ಚೇತರಿಸಿಕೊಳ್ಳಲು ಸಮಯ ನೀಡಿ.
+• ನೀರು: ಸಾಕಷ್ಟು ನೀರು ಕುಡಿಯಿರಿ.
+• ಗಮನಿಸಿ: ಜ್ವರ ಅಥವಾ ಹೆಚ್ಚುತ್ತಿರುವ ನೋವಿನ ಬಗ್ಗೆ ಎಚ್ಚರವಿರಲಿ.
+
+⚠️ ವೈದ್ಯರನ್ನು ಯಾವಾಗ ನೋಡಬೇಕು
+• ಲಕ್ಷಣಗಳು 24 ಗಂಟೆಗಳಿಗಿಂತ ಹೆಚ್ಚು ಕಾಲ ಇದ್ದರೆ.
+• ನೋವು ತೀವ್ರವಾದರೆ.
+
+---
+ಹಕ್ಕು ನಿರಾಕರಣೆ: ಇದು AI ಮೌಲ್ಯಮಾಪನ.`
+    }
+  },
+
+  ta: {
+    welcome: `வணக்கம்! 👋 நான் உங்கள் MEDI-360 AI உதவியாளர்.
+
+நான் இவற்றில் உதவ முடியும்:
+🩺 அறிகுறிகளைச் சரிபார்த்தல்
+💊 வீட்டு வைத்தியம்
+🚑 எப்போது மருத்துவரைப் பார்க்க வேண்டும்
+
+நீங்கள் எப்படி உணர்கிறீர்கள் என்பதை விரிவாகச் சொல்லுங்கள்.`,
+
+    emergency: {
+      title: 'மருத்துவ அவசரநிலை',
+      urgentAction: 'உடனடியாக அவசர சேவைகளை அழைக்கவும்',
+      reported: 'தெரிவித்த அறிகுறிகள்',
+      number: 'அவசர எண்',
+      emergencyNumber: '108 (இந்தியா) அல்லது உள்ளூர் அவசர எண்',
+      whatToDo: 'இப்போது என்ன செய்ய வேண்டும்',
+      steps: [
+        'உடனடியாக அவசர சேவையை (108) அழைக்கவும்',
+        'நீங்களே வாகனம் ஓட்ட வேண்டாம்',
+        'அமைதியாக இருந்து அழைப்பில் சொல்லப்படும் வழிமுறைகளைப் பின்பற்றவும்',
+        'உதவி வரும் வரை யாராவது உங்களுடன் இருக்கட்டும்',
+        'நீங்கள் தனியாக இருந்தால், மீட்புக் குழுவுக்காக முன் கதவைத் திறந்து வையுங்கள்'
+      ],
+      disclaimer: 'இது ஒரு மருத்துவ அவசரநிலை. உடனடியாக மருத்துவ உதவியை நாடுங்கள்.'
+    },
+
+    local: {
+      general: (message) => `🩺 அறிகுறி பகுப்பாய்வு
+உங்கள் அறிகுறிகளைக் குறித்துக்கொண்டேன்: "${message}".
+
+💊 பொதுவான ஆலோசனை
+• ஓய்வு: உடல் குணமடைய நேரம் கொடுங்கள்.
+• நீர்: நிறைய தண்ணீர் குடியுங்கள்.
+• கவனியுங்கள்: காய்ச்சல் அல்லது அதிகரிக்கும் வலியைக் கவனியுங்கள்.
+
+⚠️ எப்போது மருத்துவரைப் பார்க்க வேண்டும்
+• அறிகுறிகள் 24 மணி நேரத்திற்கு மேல் நீடித்தால்.
+• வலி கடுமையானால்.
+
+---
+பொறுப்புத் துறப்பு: இது ஒரு AI மதிப்பீடு.`
+    }
+  },
+
+  te: {
+    welcome: `నమస్కారం! 👋 నేను మీ MEDI-360 AI సహాయకుడిని.
+
+నేను వీటిలో సహాయం చేయగలను:
+🩺 లక్షణాల పరిశీలన
+💊 ఇంటి చిట్కాలు
+🚑 డాక్టర్‌ను ఎప్పుడు కలవాలి
+
+దయచేసి మీకు ఎలా అనిపిస్తుందో వివరంగా చెప్పండి.`,
+
+    emergency: {
+      title: 'వైద్య అత్యవసర పరిస్థితి',
+      urgentAction: 'వెంటనే అత్యవసర సేవలకు కాల్ చేయండి',
+      reported: 'తెలిపిన లక్షణాలు',
+      number: 'అత్యవసర నంబర్',
+      emergencyNumber: '108 (భారతదేశం) లేదా స్థానిక అత్యవసర నంబర్',
+      whatToDo: 'ఇప్పుడు ఏమి చేయాలి',
+      steps: [
+        'వెంటనే అత్యవసర సేవలకు (108) కాల్ చేయండి',
+        'మీరే వాహనం నడపకండి',
+        'ప్రశాంతంగా ఉండి, కాల్‌లో చెప్పే సూచనలను పాటించండి',
+        'సహాయం వచ్చే వరకు ఎవరైనా మీతో ఉండేలా చూసుకోండి',
+        'మీరు ఒంటరిగా ఉంటే, సహాయక సిబ్బంది కోసం ముందు తలుపు తెరిచి ఉంచండి'
+      ],
+      disclaimer: 'ఇది వైద్య అత్యవసర పరిస్థితి. దయచేసి వెంటనే వైద్య సహాయం పొందండి.'
+    },
+
+    local: {
+      general: (message) => `🩺 లక్షణాల విశ్లేషణ
+మీ లక్షణాలను గమనించాను: "${message}".
+
+💊 సాధారణ సలహా
+• విశ్రాంతి: శరీరం కోలుకోవడానికి సమయం ఇవ్వండి.
+• నీరు: ఎక్కువగా నీళ్లు తాగండి.
+• గమనించండి: జ్వరం లేదా పెరుగుతున్న నొప్పిని గమనించండి.
+
+⚠️ డాక్టర్‌ను ఎప్పుడు కలవాలి
+• లక్షణాలు 24 గంటలకు మించి ఉంటే.
+• నొప్పి తీవ్రమైతే.
+
+---
+నిరాకరణ: ఇది AI అంచనా.`
+    }
+  }
+};
+
+// A supported language without templates would silently get English
+const missing = Object.keys(LANGUAGES).filter(code => !TEMPLATES[code]);
+if (missing.length) {
+  throw new Error(`Chat templates missing for: ${missing.join(', ')}`);
+}
+
+/**
+ * @param {string} language - Session language code
+ * @returns {object} Templates for that language, English when unsupported
+ */
+const chatTemplates = (language) => TEMPLATES[language] || TEMPLATES.en;
+
+module.exports = { chatTemplates };
@@ -0,0 +1,17 @@
+/**
+ * Error Response
+ * Error carrying an HTTP status code for the global error handler
+ */
+
+class ErrorResponse extends Error {
+  /**
+   * @param {string} message - Client-facing error message
+   * @param {number} statusCode - HTTP status code
+   */
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = ErrorResponse;
@@ -0,0 +1,184 @@
+/**
+ * Field-Level Encryption
+ * Envelope encryption (AES-256-GCM) for sensitive string fields
+ *
+ * Each value is encrypted with its own random data key; the data key is
+ * wrapped with a key-encryption key (KEK) from FIELD_ENCRYPTION_KEYS and the
+ * KEK id is stored alongside it:
+ *
+ *   enc:v1:<keyId>:<wrapped data key>:<ciphertext>
+ *
+ * Rotation: add a new KEK, point FIELD_ENCRYPTION_ACTIVE_KEY at it and run
+ * `npm run encrypt-fields -- --rotate`. Old keys stay listed until no value
+ * references them; rotation only re-wraps data keys, never the data.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID_PATTERN = /^[\w.-]+$/;
+
+let cachedKeyring = null;
+
+/**
+ * Parse FIELD_ENCRYPTION_KEYS ("id:base64key,id:base64key") into a keyring
+ */
+const loadKeyring = () => {
+  if (cachedKeyring) {
+    return cachedKeyring;
+  }
+
+  const keys = new Map();
+  const raw = process.env.FIELD_ENCRYPTION_KEYS || '';
+
+  raw.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || !KEY_ID_PATTERN.test(id)) {
+      throw new Error(`FIELD_ENCRYPTION_KEYS: invalid key id in "${entry.slice(0, 20)}..."`);
+    }
+    if (key.length !== 32) {
+      throw new Error(`FIELD_ENCRYPTION_KEYS: key "${id}" must be 32 bytes (base64)`);
+    }
+    keys.set(id, key);
+  });
+
+  if (keys.size === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('FIELD_ENCRYPTION_KEYS must be set in production');
+    }
+
+    // Development only: derive a stable key so local data stays readable
+    console.warn('⚠️  FIELD_ENCRYPTION_KEYS not set - using a development key derived from JWT_SECRET');
+    keys.set('dev', crypto.createHash('sha256')
+      .update(`medi360-field-encryption:${process.env.JWT_SECRET || ''}`)
+      .digest());
+  }
+
+  const activeKeyId = process.env.FIELD_ENCRYPTION_ACTIVE_KEY || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`FIELD_ENCRYPTION_ACTIVE_KEY "${activeKeyId}" is not in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  cachedKeyring = { keys, activeKeyId };
+  return cachedKeyring;
+};
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const open = (key, sealed) => {
+  const buffer = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+const parse = (value) => {
+  const [prefix, version, keyId, wrappedKey, payload] = value.split(':');
+  if (prefix !== PREFIX || version !== VERSION || !wrappedKey || !payload) {
+    return null;
+  }
+  return { keyId, wrappedKey, payload };
+};
+
+const kekFor = (keyId) => {
+  const key = loadKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Cannot decrypt field: unknown encryption key "${keyId}"`);
+  }
+  return key;
+};
+
+/**
+ * Whether a stored value is an encryption envelope
+ */
+const isEncrypted = (value) => typeof value === 'string' && parse(value) !== null;
+
+/**
+ * Key id an envelope was wrapped with (null for plaintext)
+ */
+const keyIdOf = (value) => (isEncrypted(value) ? parse(value).keyId : null);
+
+/**
+ * Encrypt a value with a fresh data key under the active KEK.
+ * Empty values and existing envelopes are returned unchanged.
+ */
+const encrypt = (value) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) {
+    return value;
+  }
+
+  const { keys, activeKeyId } = loadKeyring();
+  const dataKey = crypto.randomBytes(32);
+
+  return [
+    PREFIX,
+    VERSION,
+    activeKeyId,
+    seal(keys.get(activeKeyId), dataKey),
+    seal(dataKey, Buffer.from(String(value), 'utf8'))
+  ].join(':');
+};
+
+/**
+ * Decrypt an envelope. Plaintext (not yet migrated) values pass through.
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const { keyId, wrappedKey, payload } = parse(value);
+  const dataKey = open(kekFor(keyId), wrappedKey);
+  return open(dataKey, payload).toString('utf8');
+};
+
+/**
+ * Re-wrap an envelope's data key under the active KEK (ciphertext untouched)
+ */
+const rewrap = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const { keys, activeKeyId } = loadKeyring();
+  const { keyId, wrappedKey, payload } = parse(value);
+  if (keyId === activeKeyId) {
+    return value;
+  }
+
+  const dataKey = open(kekFor(keyId), wrappedKey);
+  return [PREFIX, VERSION, activeKeyId, seal(keys.get(activeKeyId), dataKey), payload].join(':');
+};
+
+/**
+ * Schema type for an encrypted string path - encrypts on assignment and
+ * decrypts on read. Schemas using it need toJSON/toObject `getters: true`.
+ */
+const encryptedString = (definition = {}) => ({
+  ...definition,
+  type: String,
+  set: encrypt,
+  get: decrypt
+});
+
+module.exports = {
+  encrypt,
+  decrypt,
+  rewrap,
+  isEncrypted,
+  keyIdOf,
+  encryptedString,
+  getActiveKeyId: () => loadKeyring().activeKeyId
+};
@@ -0,0 +1,51 @@
+/**
+ * Chat language detection
+ * Tells which supported language a patient is writing in
+ *
+ * Hindi, Kannada, Tamil and Telugu each have their own script, so counting
+ * characters per Unicode block is reliable. Latin text only counts as English
+ * when it contains common English words - romanized Hindi ("mujhe bukhar hai")
+ * and one-word replies ("ok") give no signal, and the session keeps its language.
+ */
+
+// The one list of supported languages - user locales (User.SUPPORTED_LOCALES) come from it too
+const LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi',
+  kn: 'Kannada',
+  ta: 'Tamil',
+  te: 'Telugu'
+};
+
+const SCRIPTS = [
+  ['hi', /[\u0900-\u097F]/g],  // Devanagari
+  ['kn', /[\u0C80-\u0CFF]/g],
+  ['ta', /[\u0B80-\u0BFF]/g],
+  ['te', /[\u0C00-\u0C7F]/g]
+];
+
+const LATIN_LETTER = /[a-z]/gi;
+const ENGLISH_WORDS = /\b(?:i|i'm|i've|my|me|have|has|had|is|am|are|was|the|a|an|and|of|for|with|since|it|feel|feeling|what|how|can|should|do|does)\b/gi;
+const MIN_ENGLISH_WORDS = 2;
+
+const count = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * @param {string} text
+ * @returns {string|null} Language code, or null when the text gives no clear signal
+ */
+const detectLanguage = (text) => {
+  if (!text) return null;
+
+  const [language, letters] = SCRIPTS
+    .map(([code, pattern]) => [code, count(text, pattern)])
+    .sort((a, b) => b[1] - a[1])[0];
+
+  if (letters > 0 && letters >= count(text, LATIN_LETTER)) return language;
+  if (count(text, ENGLISH_WORDS) >= MIN_ENGLISH_WORDS) return 'en';
+  return null;
+};
+
+const isSupportedLanguage = (code) => Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+
+module.exports = { LANGUAGES, detectLanguage, isSupportedLanguage };
@@ -0,0 +1,55 @@
+/**
+ * LLM Error
+ * Provider-independent failure from the LLM layer, so callers never
+ * have to know which vendor answered (or didn't)
+ *
+ * Codes:
+ * - config: provider not configured (missing key / URL)
+ * - auth: credentials rejected
+ * - rate-limited: provider asked us to slow down
+ * - timeout: no response (or no new tokens) within the provider timeout
+ * - unavailable: network failure or provider-side 5xx
+ * - bad-request: provider rejected the request
+ * - bad-response: response did not have the expected shape
+ * - aborted: caller cancelled the request
+ * - exhausted: every provider in the fallback chain failed
+ */
+
+const RETRYABLE_CODES = ['rate-limited', 'timeout', 'unavailable'];
+
+class LLMError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details - { code, provider, model, status, attempts, cause }
+   */
+  constructor(message, { code, provider, model, status, attempts, cause } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.provider = provider;
+    this.model = model;
+    this.status = status;
+    this.attempts = attempts;
+    this.cause = cause;
+    this.retryable = RETRYABLE_CODES.includes(code);
+  }
+
+  /**
+   * Map a non-2xx provider response to an error
+   * @param {Response} response - fetch response
+   * @param {object} context - { provider, model }
+   */
+  static async fromResponse(response, context) {
+    const body = await response.text().catch(() => '');
+    const { status } = response;
+
+    let code = 'bad-request';
+    if (status === 401 || status === 403) code = 'auth';
+    else if (status === 429) code = 'rate-limited';
+    else if (status === 408 || status >= 500) code = 'unavailable';
+
+    return new LLMError(`Status ${status} - ${body.slice(0, 500)}`, { ...context, code, status });
+  }
+}
+
+module.exports = LLMError;
@@ -0,0 +1,158 @@
+/**
+ * Password Policy
+ * Configurable strength rules with per-rule feedback
+ *
+ * Rules:
+ * - Length (PASSWORD_MIN_LENGTH, default 8; max 128)
+ * - Character classes (PASSWORD_REQUIRED_CLASSES, default "lowercase,uppercase,number")
+ * - No reuse of the email name or the user's name
+ * - Not on the bundled common / breached password list
+ *   (data/common-passwords.txt, or PASSWORD_BLOCKLIST_FILE)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_LENGTH = 128;
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, label: 'a lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+  number: { pattern: /[0-9]/, label: 'a number' },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: 'a symbol' }
+};
+
+// Undo common character substitutions ("p@ssw0rd" -> "password")
+const LEET_MAP = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+const STRENGTH_LABELS = ['very weak', 'weak', 'fair', 'strong', 'very strong'];
+
+let blocklist = null;
+
+/**
+ * Lazily load the blocklist into a Set
+ */
+const getBlocklist = () => {
+  if (!blocklist) {
+    const file = process.env.PASSWORD_BLOCKLIST_FILE
+      || path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+    blocklist = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+
+  return blocklist;
+};
+
+/**
+ * Active policy from the environment
+ */
+const getPolicy = () => {
+  const requiredClasses = (process.env.PASSWORD_REQUIRED_CLASSES ?? 'lowercase,uppercase,number')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => CHARACTER_CLASSES[name]);
+
+  return {
+    minLength: Math.max(parseInt(process.env.PASSWORD_MIN_LENGTH) || 8, 6),
+    maxLength: MAX_LENGTH,
+    requiredClasses
+  };
+};
+
+/**
+ * Whether a password (or its obvious variations) is on the blocklist
+ */
+const isCommonPassword = (password) => {
+  const list = getBlocklist();
+  const lower = password.toLowerCase();
+  const unleeted = lower.replace(/[@43105!$7]/g, char => LEET_MAP[char]);
+  // "Password123!" -> "password"
+  const base = lower.replace(/^[^a-z]+|[^a-z]+$/g, '');
+
+  return list.has(lower) || list.has(unleeted) || (base.length >= 4 && list.has(base));
+};
+
+/**
+ * Name fragments that must not appear in the password
+ */
+const personalTokens = ({ email, fullName } = {}) => {
+  const tokens = [];
+
+  if (email) {
+    tokens.push(...email.toLowerCase().split('@')[0].split(/[^a-z0-9]+/));
+  }
+
+  if (fullName) {
+    tokens.push(...fullName.toLowerCase().split(/\s+/));
+  }
+
+  return tokens.filter(token => token.length >= 3);
+};
+
+/**
+ * Evaluate a password against the policy
+ * @param {string} password
+ * @param {{email?: string, fullName?: string}} context - Account details the password must not reuse
+ * @returns {{valid: boolean, score: number, strength: string, rules: Array<{id: string, message: string, passed: boolean}>}}
+ */
+const evaluatePassword = (password = '', context = {}) => {
+  const policy = getPolicy();
+  const value = String(password);
+  const lower = value.toLowerCase();
+  const rules = [];
+
+  rules.push({
+    id: 'length',
+    message: `At least ${policy.minLength} characters`,
+    passed: value.length >= policy.minLength && value.length <= policy.maxLength
+  });
+
+  for (const name of policy.requiredClasses) {
+    rules.push({
+      id: name,
+      message: `Contains ${CHARACTER_CLASSES[name].label}`,
+      passed: CHARACTER_CLASSES[name].pattern.test(value)
+    });
+  }
+
+  rules.push({
+    id: 'personal',
+    message: 'Does not contain your name or email',
+    passed: !personalTokens(context).some(token => lower.includes(token))
+  });
+
+  rules.push({
+    id: 'common',
+    message: 'Is not a common or breached password',
+    passed: value.length > 0 && !isCommonPassword(value)
+  });
+
+  const valid = rules.every(rule => rule.passed);
+
+  // Rough score: length and variety, capped when a rule fails
+  const classCount = Object.values(CHARACTER_CLASSES).filter(({ pattern }) => pattern.test(value)).length;
+  let score = 0;
+  if (value.length >= policy.minLength) score++;
+  if (value.length >= policy.minLength + 4) score++;
+  if (classCount >= 3) score++;
+  if (classCount === 4 || value.length >= 20) score++;
+  if (!valid) score = Math.min(score, 1);
+
+  return {
+    valid,
+    score,
+    strength: STRENGTH_LABELS[score],
+    rules
+  };
+};
+
+module.exports = {
+  getPolicy,
+  evaluatePassword,
+  isCommonPassword
+};
@@ -0,0 +1,266 @@
+/**
+ * Symptom parsing
+ * Finds symptoms in a patient's free text and reads what is said about each
+ *
+ * - Lay terms map to canonical names through a lexicon ("throwing up" -> vomiting),
+ *   including Hindi, Kannada, Tamil and Telugu ones ("बुखार" -> fever)
+ * - Negation: "no fever", "I don't feel dizzy", "the nausea went away"
+ * - Uncertainty: "I think I might have a fever", "not sure if it's a rash"
+ * - Duration ("for 3 days", "since yesterday") and intensity ("8/10", "mild")
+ *
+ * Rule-based in the NegEx style: cues are only looked for within a few
+ * words of the symptom and never across a clause boundary, so in
+ * "no fever but my head hurts" only the fever is negated.
+ */
+
+const CUE_WINDOW_WORDS = 4;
+
+// Letters in any script - JS \b only knows ASCII word characters
+const LETTER = '[\\p{L}\\p{M}\\p{N}]';
+
+// Sentence ends (incl. the Devanagari danda) and contrastive conjunctions close the scope of a cue
+const CLAUSE_BOUNDARY = new RegExp(
+  `[.!?;\\n।]|\\b(?:but|however|although|though|except|yet)\\b|(?<!${LETTER})(?:लेकिन|मगर|ಆದರೆ|ஆனால்|కానీ)(?!${LETTER})`,
+  'gu'
+);
+
+const NEGATION_BEFORE = /\b(?:no|not|never|without|nor|neither|denies|denied|negative for|free of|(?:do|does|did|is|are|was|were|have|has|had)n'?t)\b/;
+const NEGATION_AFTER = /\b(?:gone|went away|resolved|disappeared|subsided|cleared up|stopped)\b/;
+const PERSISTS_AFTER = /\b(?:not|never|\w+n'?t)\s+(?:\w+\s+)?(?:gone|went|resolved|disappeared|subsided|cleared|stopped)\b/;
+
+// Negated verbs of stopping report a symptom that goes on ("I haven't stopped vomiting", "can't stop coughing")
+const PERSISTS_BEFORE = /\b(?:not|never|cannot|\w+n'?t)\s+(?:been able to\s+)?(?:stop(?:ped)?|quit|shake|shaken|get rid of|got rid of|gotten rid of)\b/g;
+
+// Indian languages negate right after the symptom ("बुखार नहीं है", "ಜ್ವರ ಇಲ್ಲ", "காய்ச்சல் இல்லை", "జ్వరం లేదు"),
+// so the window is short and stops at a comma: in "ಜ್ವರವಿದೆ, ತಲೆನೋವು ಇಲ್ಲ" only the headache is denied
+const INDIC_NEGATION_WORDS = 2;
+const INDIC_NEGATION_AFTER = new RegExp(`(?<!${LETTER})(?:नहीं|नही|ना|nahi|nahin|ಇಲ್ಲ|இல்லை|లేదు|లేవు)(?!${LETTER})`, 'u');
+const INDIC_UNCERTAINTY = /शायद|shayad|ಬಹುಶಃ|ஒருவேளை|బహుశా/;
+
+// Read as uncertainty, not negation ("not sure if I have a fever")
+const HEDGES = /\b(?:not sure|not certain|unsure|no idea|(?:do|did)n'?t know|do not know)\b/g;
+const UNCERTAINTY = /\b(?:maybe|might|may|possibly|perhaps|probably|i think|i guess|could be|kind of|sort of|wonder(?:ing)? if)\b/;
+
+// Look like negation but are not ("no relief from my headache")
+const PSEUDO_NEGATIONS = /\b(?:not only|not just|no change in|no improvement in|no relief(?: from)?|no better|not better)\b/g;
+
+// Separate one symptom's description from the next ("mild headache and severe cough")
+const CONJUNCTION = new RegExp(
+  `,|\\b(?:and|or|but|with|plus|also)\\b|(?<!${LETTER})(?:और|ಮತ್ತು|மற்றும்|మరియు)(?!${LETTER})`,
+  'gu'
+);
+
+const QUANTITY = "\\d+(?:\\.\\d+)?|an?|one|two|three|four|five|six|seven|eight|nine|ten|(?:a )?few|(?:a )?couple(?: of)?|several";
+const UNIT = 'minute|hour|day|week|month|year';
+
+const DURATION_PATTERNS = [
+  new RegExp(`\\b(?:for|over|past|last)\\s+(?:the\\s+)?(?:past\\s+|last\\s+)?(${QUANTITY})\\s+(${UNIT})s?\\b`),
+  new RegExp(`\\b(${QUANTITY})\\s+(${UNIT})s?\\s+(?:ago|now|straight|in a row)\\b`),
+  /\bsince\s+(yesterday|last night|this morning|today|last week|last month|(?:mon|tues|wednes|thurs|fri|satur|sun)day)\b/
+];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  few: 3, 'a few': 3, couple: 2, 'couple of': 2, 'a couple': 2, 'a couple of': 2, several: 3
+};
+
+const UNIT_DAYS = { minute: 1 / 1440, hour: 1 / 24, day: 1, week: 7, month: 30, year: 365 };
+
+const SINCE_DAYS = { yesterday: 1, 'last night': 1, 'this morning': 0, today: 0, 'last week': 7, 'last month': 30 };
+
+const SCORE_PATTERN = /\b(\d{1,2}(?:\.\d)?)\s*(?:\/|out of)\s*10\b/;
+
+const INTENSITY_WORDS = [
+  ['severe', /\b(?:severe|terrible|horrible|excruciating|unbearable|intense|extreme|worst|awful|very bad|really bad|killing me)\b/],
+  ['moderate', /\b(?:moderate|quite bad|pretty bad)\b/],
+  ['mild', /\b(?:mild|slight|slightly|a little|a bit|minor)\b/]
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[‘’]/g, "'");
+
+/**
+ * Build a matcher from { canonicalName: [lay terms] }
+ * Longer terms win, so "feel like throwing up" is nausea, not vomiting.
+ * Terms in Indian scripts may be followed by a suffix ("ಜ್ವರವಿದೆ", "காய்ச்சலும்").
+ * @returns {{ pattern: RegExp, symptomFor: Map<string, string> }}
+ */
+const compileLexicon = (lexicon) => {
+  const symptomFor = new Map();
+  for (const [symptom, terms] of Object.entries(lexicon)) {
+    for (const term of [symptom, ...terms]) symptomFor.set(normalize(term), symptom);
+  }
+
+  const alternatives = [...symptomFor.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(term => {
+      const phrase = escapeRegExp(term).replace(/\s+/g, '\\s+');
+      return /^[\x00-\x7f]*$/.test(term) ? `${phrase}(?!${LETTER})` : phrase;
+    });
+
+  return { pattern: new RegExp(`(?<!${LETTER})(?:${alternatives.join('|')})`, 'gu'), symptomFor };
+};
+
+// [start, end) of the clause around a match
+const clauseAround = (text, index, length) => {
+  let start = 0;
+  let end = text.length;
+  for (const boundary of text.matchAll(CLAUSE_BOUNDARY)) {
+    if (boundary.index + boundary[0].length <= index) start = boundary.index + boundary[0].length;
+    else if (boundary.index >= index + length) {
+      end = boundary.index;
+      break;
+    }
+  }
+  return [start, end];
+};
+
+const lastWords = (text, count) => text.trim().split(/\s+/).slice(-count).join(' ');
+const firstWords = (text, count) => text.trim().split(/\s+/).slice(0, count).join(' ');
+
+const afterLast = (text, pattern) => {
+  const matches = [...text.matchAll(pattern)];
+  if (!matches.length) return text;
+  const last = matches[matches.length - 1];
+  return text.slice(last.index + last[0].length);
+};
+
+const untilFirst = (text, pattern) => {
+  const [first] = text.matchAll(pattern);
+  return first ? text.slice(0, first.index) : text;
+};
+
+/**
+ * Cues around the match at [index, index + length)
+ * @param {object} [neighbours] - { previousEnd, nextStart } of the other symptom
+ *   matches: words describing a symptom stop where the next one begins
+ */
+const readCues = (text, index, length, { previousEnd = 0, nextStart = text.length } = {}) => {
+  const [start, end] = clauseAround(text, index, length);
+  const before = text.slice(start, index);
+  const after = text.slice(index + length, end);
+
+  const window = lastWords(
+    before.replace(HEDGES, ' ').replace(PSEUDO_NEGATIONS, ' ').replace(PERSISTS_BEFORE, ' '),
+    CUE_WINDOW_WORDS
+  );
+  const next = firstWords(after, CUE_WINDOW_WORDS);
+
+  // Only this symptom's own words: back to the previous symptom or conjunction, on to the next
+  const ownBefore = afterLast(text.slice(Math.max(start, previousEnd), index), CONJUNCTION);
+  const ownAfter = untilFirst(text.slice(index + length, Math.min(end, nextStart)), CONJUNCTION);
+
+  return {
+    term: text.slice(index, index + length),
+    clause: text.slice(start, end),
+    alone: previousEnd <= start && nextStart >= end,
+    before: lastWords(ownBefore, CUE_WINDOW_WORDS),
+    after: firstWords(ownAfter, CUE_WINDOW_WORDS),
+    negated: NEGATION_BEFORE.test(window)
+      || (NEGATION_AFTER.test(next) && !PERSISTS_AFTER.test(next))
+      || INDIC_NEGATION_AFTER.test(firstWords(after.split(',')[0], INDIC_NEGATION_WORDS)),
+    uncertain: before.search(HEDGES) !== -1 || UNCERTAINTY.test(before) || INDIC_UNCERTAINTY.test(before)
+  };
+};
+
+const readDuration = (clause) => {
+  for (const pattern of DURATION_PATTERNS) {
+    const match = clause.match(pattern);
+    if (!match) continue;
+
+    if (match.length === 2) {
+      return { text: match[0].trim(), days: SINCE_DAYS[match[1]] ?? null };
+    }
+    const quantity = NUMBER_WORDS[match[1]] ?? parseFloat(match[1]);
+    return {
+      text: match[0].trim(),
+      days: Math.round(quantity * UNIT_DAYS[match[2]] * 100) / 100
+    };
+  }
+  return null;
+};
+
+const labelForScore = (score) => {
+  if (score <= 3) return 'mild';
+  if (score <= 6) return 'moderate';
+  return 'severe';
+};
+
+// The symptom's own words first ("mild headache and severe cough", "severe headache"),
+// then the clause - but only when no other symptom shares it
+const readIntensity = ({ term, clause, alone, before, after }) => {
+  const texts = alone ? [term, before, after, clause] : [term, before, after];
+
+  for (const text of texts) {
+    const score = text.match(SCORE_PATTERN);
+    if (score && parseFloat(score[1]) <= 10) {
+      const value = parseFloat(score[1]);
+      return { score: value, label: labelForScore(value) };
+    }
+  }
+
+  for (const text of texts) {
+    const word = INTENSITY_WORDS.find(([, pattern]) => pattern.test(text));
+    if (word) return { score: null, label: word[0] };
+  }
+  return null;
+};
+
+/**
+ * Find every negation-aware mention of a lexicon symptom
+ * Mentions of the same symptom are merged: it only counts as negated or
+ * uncertain if every mention is.
+ * @param {string} text - Patient's message
+ * @param {{ pattern: RegExp, symptomFor: Map }} matcher - from compileLexicon
+ * @returns {Array<{ symptom: string, text: string, negated: boolean, uncertain: boolean,
+ *   duration: {text: string, days: number|null}|null, intensity: {score: number|null, label: string}|null }>}
+ */
+const parseSymptoms = (text, matcher) => {
+  const normalized = normalize(text);
+  const bySymptom = new Map();
+
+  const matches = [...normalized.matchAll(matcher.pattern)];
+
+  matches.forEach((match, position) => {
+    const symptom = matcher.symptomFor.get(match[0].replace(/\s+/g, ' '));
+    const previous = matches[position - 1];
+    const cues = readCues(normalized, match.index, match[0].length, {
+      previousEnd: previous ? previous.index + previous[0].length : 0,
+      nextStart: matches[position + 1]?.index ?? normalized.length
+    });
+    const finding = {
+      symptom,
+      text: match[0],
+      negated: cues.negated,
+      uncertain: !cues.negated && cues.uncertain,
+      duration: readDuration(cues.clause),
+      intensity: readIntensity(cues)
+    };
+
+    const earlier = bySymptom.get(symptom);
+    if (!earlier) {
+      bySymptom.set(symptom, finding);
+      return;
+    }
+    if (earlier.negated && !finding.negated) {
+      bySymptom.set(symptom, { ...finding, duration: finding.duration || earlier.duration });
+      return;
+    }
+    if (!finding.negated) {
+      earlier.uncertain = earlier.uncertain && finding.uncertain;
+      earlier.duration = earlier.duration || finding.duration;
+      earlier.intensity = earlier.intensity || finding.intensity;
+    }
+  });
+
+  return [...bySymptom.values()];
+};
+
+/**
+ * Whether the phrase at [index, index + length) of text is negated
+ * (for matches found by other means, e.g. the emergency patterns)
+ */
+const isNegated = (text, index, length) => readCues(normalize(text), index, length).negated;
+
+module.exports = { compileLexicon, parseSymptoms, isNegated };
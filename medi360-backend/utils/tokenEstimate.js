@@ -0,0 +1,28 @@
+/**
+ * Token Estimate
+ * Rough token count for budgeting prompt size
+ *
+ * Provider tokenizers differ and none is available offline, so this uses
+ * the common ~4 characters per token rule of thumb for English. Indian
+ * scripts (Hindi, Kannada, Tamil, Telugu) split into far more tokens,
+ * about 1-2 characters each, so their characters are counted at the
+ * pessimistic end. Budgets built on it should leave headroom.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const INDIC_CHARS_PER_TOKEN = 1;
+
+// Devanagari through Malayalam: every Indian script block, including the chat languages'
+const INDIC_CHAR = /[\u0900-\u0D7F]/g;
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+const estimateTokens = (text) => {
+  const value = text || '';
+  const indic = (value.match(INDIC_CHAR) || []).length;
+  return Math.ceil(indic / INDIC_CHARS_PER_TOKEN + (value.length - indic) / CHARS_PER_TOKEN);
+};
+
+module.exports = { estimateTokens };
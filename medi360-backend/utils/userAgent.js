@@ -0,0 +1,62 @@
+/**
+ * User-Agent parsing
+ * Coarse browser / OS / device detection for labelling login sessions
+ *
+ * Deliberately small: it only needs to tell a user "Chrome on Windows"
+ * from "Safari on iPhone", not feature-detect. Order matters - Edge and
+ * Opera also advertise Chrome, and Chrome advertises Safari.
+ */
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * @param {string} [userAgent]
+ * @returns {{browser: string, os: string, deviceType: 'desktop'|'mobile'|'tablet'|'unknown'}}
+ */
+const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { browser: 'Unknown browser', os: 'Unknown OS', deviceType: 'unknown' };
+  }
+
+  const browserMatch = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const osMatch = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  let browser = 'Unknown browser';
+  if (browserMatch) {
+    const major = userAgent.match(browserMatch[1])[1].split('.')[0];
+    browser = `${browserMatch[0]} ${major}`;
+  } else if (/curl|python|axios|node-fetch|PostmanRuntime/i.test(userAgent)) {
+    browser = userAgent.split(/[\s/]/)[0];
+  }
+
+  let deviceType = browserMatch ? 'desktop' : 'unknown';
+  if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod/.test(userAgent)) {
+    deviceType = 'mobile';
+  }
+
+  return {
+    browser,
+    os: osMatch ? osMatch[0] : 'Unknown OS',
+    deviceType
+  };
+};
+
+module.exports = { parseUserAgent };
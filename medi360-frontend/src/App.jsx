@@ -9,6 +9,7 @@ import { Toaster } from 'react-hot-toast';
 
 // Context
 import { AuthProvider } from './context/AuthContext';
+import { ProfileProvider } from './context/ProfileContext';
 
 // Components
 import PrivateRoute from './components/PrivateRoute';
@@ -18,107 +19,163 @@ import Layout from './components/Layout';
 import LandingPage from './pages/LandingPage';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import Dashboard from './pages/Dashboard';
 import HealthProfile from './pages/HealthProfile';
 import Chat from './pages/Chat';
 import ChatHistory from './pages/ChatHistory';
 import Analytics from './pages/Analytics';
+import TwoFactorSetup from './pages/TwoFactorSetup';
+import CareTeam from './pages/CareTeam';
+import CaregiverPatient from './pages/CaregiverPatient';
+import Settings from './pages/Settings';
 import NotFound from './pages/NotFound';
 
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <Toaster
-          position="top-right"
-          toastOptions={{
-            duration: 4000,
-            style: {
-              background: '#fff',
-              color: '#333',
-            },
-            success: {
-              iconTheme: {
-                primary: '#10b981',
-                secondary: '#fff',
+      <ProfileProvider>
+        <Router>
+          <Toaster
+            position="top-right"
+            toastOptions={{
+              duration: 4000,
+              style: {
+                background: '#fff',
+                color: '#333',
               },
-            },
-            error: {
-              iconTheme: {
-                primary: '#ef4444',
-                secondary: '#fff',
+              success: {
+                iconTheme: {
+                  primary: '#10b981',
+                  secondary: '#fff',
+                },
               },
-            },
-          }}
-        />
+              error: {
+                iconTheme: {
+                  primary: '#ef4444',
+                  secondary: '#fff',
+                },
+              },
+            }}
+          />
         
-        <Routes>
-          {/* Public Routes */}
-          <Route path="/" element={<LandingPage />} />
-          <Route path="/login" element={<Login />} />
-          <Route path="/register" element={<Register />} />
+          <Routes>
+            {/* Public Routes */}
+            <Route path="/" element={<LandingPage />} />
+            <Route path="/login" element={<Login />} />
+            <Route path="/register" element={<Register />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
           
-          {/* Protected Routes */}
-          <Route
-            path="/dashboard"
-            element={
-              <PrivateRoute>
-                <Layout>
-                  <Dashboard />
-                </Layout>
-              </PrivateRoute>
-            }
-          />
+            {/* Protected Routes */}
+            <Route
+              path="/dashboard"
+              element={
+                <PrivateRoute>
+                  <Layout>
+                    <Dashboard />
+                  </Layout>
+                </PrivateRoute>
+              }
+            />
           
-          <Route
-            path="/health-profile"
-            element={
-              <PrivateRoute>
-                <Layout>
-                  <HealthProfile />
-                </Layout>
-              </PrivateRoute>
-            }
-          />
+            <Route
+              path="/health-profile"
+              element={
+                <PrivateRoute>
+                  <Layout>
+                    <HealthProfile />
+                  </Layout>
+                </PrivateRoute>
+              }
+            />
           
-          <Route
-            path="/chat"
-            element={
-              <PrivateRoute>
-                <Layout>
-                  <Chat />
-                </Layout>
-              </PrivateRoute>
-            }
-          />
+            <Route
+              path="/chat"
+              element={
+                <PrivateRoute>
+                  <Layout>
+                    <Chat />
+                  </Layout>
+                </PrivateRoute>
+              }
+            />
           
-          <Route
-            path="/chat-history"
-            element={
-              <PrivateRoute>
-                <Layout>
-                  <ChatHistory />
-                </Layout>
-              </PrivateRoute>
-            }
-          />
+            <Route
+              path="/chat-history"
+              element={
+                <PrivateRoute>
+                  <Layout>
+                    <ChatHistory />
+                  </Layout>
+                </PrivateRoute>
+              }
+            />
           
-          <Route
-            path="/analytics"
-            element={
-              <PrivateRoute>
-                <Layout>
-                  <Analytics />
-                </Layout>
-              </PrivateRoute>
-            }
-          />
+            <Route
+              path="/analytics"
+              element={
+                <PrivateRoute>
+                  <Layout>
+                    <Analytics />
+                  </Layout>
+                </PrivateRoute>
+              }
+            />
+          
+            <Route
+              path="/two-factor"
+              element={
+                <PrivateRoute>
+                  <Layout>
+                    <TwoFactorSetup />
+                  </Layout>
+                </PrivateRoute>
+              }
+            />
+          
+            <Route
+              path="/care"
+              element={
+                <PrivateRoute>
+                  <Layout>
+                    <CareTeam />
+                  </Layout>
+                </PrivateRoute>
+              }
+            />
+
+            <Route
+              path="/caregiving/:patientId"
+              element={
+                <PrivateRoute>
+                  <Layout>
+                    <CaregiverPatient />
+                  </Layout>
+                </PrivateRoute>
+              }
+            />
+          
+            <Route
+              path="/settings"
+              element={
+                <PrivateRoute>
+                  <Layout>
+                    <Settings />
+                  </Layout>
+                </PrivateRoute>
+              }
+            />
           
-          {/* 404 */}
-          <Route path="/404" element={<NotFound />} />
-          <Route path="*" element={<Navigate to="/404" replace />} />
-        </Routes>
-      </Router>
+            {/* 404 */}
+            <Route path="/404" element={<NotFound />} />
+            <Route path="*" element={<Navigate to="/404" replace />} />
+          </Routes>
+        </Router>
+      </ProfileProvider>
     </AuthProvider>
   );
 }
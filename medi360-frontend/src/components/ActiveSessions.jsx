@@ -0,0 +1,103 @@
+/**
+ * ActiveSessions Component
+ * List signed-in devices and sign them out (Settings page)
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FaDesktop, FaMobileAlt, FaTabletAlt, FaQuestionCircle, FaSignOutAlt } from 'react-icons/fa';
+
+const DEVICE_ICONS = {
+  desktop: FaDesktop,
+  mobile: FaMobileAlt,
+  tablet: FaTabletAlt,
+  unknown: FaQuestionCircle,
+};
+
+function ActiveSessions() {
+  const { clearSession } = useAuth();
+  const [sessions, setSessions] = useState([]);
+
+  const loadSessions = async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data.sessions);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load sessions');
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    try {
+      const response = await authAPI.revokeSession(session.id);
+      toast.success(response.message);
+      if (session.current) {
+        clearSession();
+        return;
+      }
+      loadSessions();
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign out session');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const response = await authAPI.revokeOtherSessions();
+      toast.success(response.message);
+      loadSessions();
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign out other sessions');
+    }
+  };
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Active Sessions</h2>
+        {sessions.length > 1 && (
+          <button type="button" onClick={handleRevokeOthers} className="btn btn-secondary text-sm">
+            Sign out all other sessions
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600">
+        Devices where you are signed in. Sign out any you don&apos;t recognise or left open on a shared computer.
+      </p>
+
+      <ul className="divide-y text-sm">
+        {sessions.map((session) => {
+          const Icon = DEVICE_ICONS[session.deviceType] || FaQuestionCircle;
+          return (
+            <li key={session.id} className="py-3 flex items-center justify-between">
+              <div className="flex items-center">
+                <Icon className="text-xl text-gray-400 mr-3" />
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {session.browser} on {session.os}
+                    {session.current && <span className="ml-2 badge badge-low">This device</span>}
+                  </p>
+                  <p className="text-gray-500">
+                    {session.ip} &middot; signed in {new Date(session.createdAt).toLocaleString()} &middot; last
+                    active {new Date(session.lastSeenAt).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+              <button type="button" onClick={() => handleRevoke(session)} className="btn btn-danger text-sm">
+                <FaSignOutAlt className="inline mr-1" /> Sign out
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default ActiveSessions;
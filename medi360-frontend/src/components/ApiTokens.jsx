@@ -0,0 +1,170 @@
+/**
+ * ApiTokens Component
+ * Create, list and revoke personal access tokens (Settings page)
+ */
+
+import React, { useState, useEffect } from 'react';
+import { tokenAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FaSpinner, FaKey, FaCopy, FaBan } from 'react-icons/fa';
+
+const SCOPES = [
+  { value: 'profile:read', label: 'Read health profile' },
+  { value: 'profile:write', label: 'Edit health profile' },
+  { value: 'chat:read', label: 'Read chats' },
+  { value: 'chat:write', label: 'Start and send chats' },
+  { value: 'analytics:read', label: 'Read analytics' },
+];
+
+function ApiTokens() {
+  const [tokens, setTokens] = useState([]);
+  const [form, setForm] = useState({ name: '', scopes: ['profile:read'], expiresInDays: 90 });
+  const [newToken, setNewToken] = useState(null);
+  const [creating, setCreating] = useState(false);
+
+  const loadTokens = async () => {
+    try {
+      const response = await tokenAPI.getTokens();
+      setTokens(response.data.tokens);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load API tokens');
+    }
+  };
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const toggleScope = (scope) => {
+    setForm((current) => ({
+      ...current,
+      scopes: current.scopes.includes(scope)
+        ? current.scopes.filter((s) => s !== scope)
+        : [...current.scopes, scope],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const response = await tokenAPI.createToken(form);
+      setNewToken(response.data.token);
+      setForm({ name: '', scopes: ['profile:read'], expiresInDays: 90 });
+      loadTokens();
+    } catch (error) {
+      toast.error(error.message || 'Failed to create token');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    try {
+      await tokenAPI.revokeToken(id);
+      toast.success('Token revoked');
+      loadTokens();
+    } catch (error) {
+      toast.error(error.message || 'Failed to revoke token');
+    }
+  };
+
+  const copyToken = async () => {
+    await navigator.clipboard.writeText(newToken);
+    toast.success('Copied to clipboard');
+  };
+
+  return (
+    <div className="card space-y-4">
+      <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+        <FaKey className="mr-2 text-gray-500" /> API Tokens
+      </h2>
+      <p className="text-sm text-gray-600">
+        Let scripts and partner apps call the API on your behalf without your password.
+        Tokens cannot change your account, security settings or care team.
+      </p>
+
+      {newToken && (
+        <div className="bg-green-50 border border-green-200 p-3 rounded text-sm space-y-2">
+          <p className="text-green-800">Copy your new token now - it will not be shown again.</p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 break-all bg-white p-2 rounded border">{newToken}</code>
+            <button type="button" onClick={copyToken} className="btn btn-secondary text-sm">
+              <FaCopy />
+            </button>
+          </div>
+          <button type="button" onClick={() => setNewToken(null)} className="text-green-800 underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-3">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          className="input"
+          placeholder="Token name (e.g. Glucose meter sync)"
+          required
+        />
+        <div className="flex flex-wrap gap-4">
+          {SCOPES.map((scope) => (
+            <label key={scope.value} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.scopes.includes(scope.value)}
+                onChange={() => toggleScope(scope.value)}
+                className="mr-2"
+              />
+              {scope.label}
+            </label>
+          ))}
+        </div>
+        <select
+          value={form.expiresInDays}
+          onChange={(e) => setForm({ ...form, expiresInDays: parseInt(e.target.value) })}
+          className="input"
+        >
+          <option value={7}>Expires in 7 days</option>
+          <option value={30}>Expires in 30 days</option>
+          <option value={90}>Expires in 90 days</option>
+          <option value={365}>Expires in 1 year</option>
+        </select>
+        <button type="submit" disabled={creating || form.scopes.length === 0} className="btn btn-primary">
+          {creating ? <FaSpinner className="animate-spin" /> : 'Create Token'}
+        </button>
+      </form>
+
+      {tokens.length > 0 && (
+        <ul className="divide-y text-sm">
+          {tokens.map((token) => (
+            <li key={token.id} className="py-3 flex items-center justify-between">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {token.name} <code className="text-gray-500">{token.hint}…</code>
+                </p>
+                <p className="text-gray-500">
+                  {token.scopes.join(', ')} &middot;{' '}
+                  {token.revokedAt
+                    ? 'revoked'
+                    : token.active
+                      ? `expires ${new Date(token.expiresAt).toLocaleDateString()}`
+                      : 'expired'}
+                  {token.lastUsedAt && ` · last used ${new Date(token.lastUsedAt).toLocaleString()}`}
+                </p>
+              </div>
+              {token.active && (
+                <button type="button" onClick={() => handleRevoke(token.id)} className="btn btn-danger text-sm">
+                  <FaBan className="inline mr-1" /> Revoke
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ApiTokens;
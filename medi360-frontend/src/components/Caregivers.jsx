@@ -0,0 +1,203 @@
+/**
+ * Caregivers Component
+ * Grant, adjust and revoke caregiver access, and list the people you care for (Care Team page)
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { caregiverAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FaSpinner, FaHandsHelping, FaBan } from 'react-icons/fa';
+
+const PERMISSIONS = [
+  { value: 'profile:read', label: 'View health profile' },
+  { value: 'medications:manage', label: 'Manage medications' },
+  { value: 'chat:read', label: 'View chats' },
+  { value: 'chat:write', label: 'Start chats on my behalf' },
+];
+
+const emptyForm = { caregiverEmail: '', note: '', permissions: ['profile:read'], expiresInDays: 90 };
+
+const describeGrant = (grant) =>
+  grant.revokedAt
+    ? 'revoked'
+    : grant.active
+      ? `until ${new Date(grant.expiresAt).toLocaleDateString()}`
+      : 'expired';
+
+function Caregivers() {
+  const { user } = useAuth();
+  const isPatient = user?.role === 'patient';
+  const [given, setGiven] = useState([]);
+  const [received, setReceived] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadGrants = async () => {
+    try {
+      const response = await caregiverAPI.getGrants();
+      setGiven(response.data.given);
+      setReceived(response.data.received);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load caregivers');
+    }
+  };
+
+  useEffect(() => {
+    loadGrants();
+  }, []);
+
+  const togglePermission = (permission) => {
+    setForm((current) => ({
+      ...current,
+      permissions: current.permissions.includes(permission)
+        ? current.permissions.filter((p) => p !== permission)
+        : [...current.permissions, permission],
+    }));
+  };
+
+  const handleGrant = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await caregiverAPI.createGrant(form);
+      toast.success(response.message);
+      setForm(emptyForm);
+      loadGrants();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add caregiver');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    try {
+      await caregiverAPI.revokeGrant(id);
+      toast.success('Caregiver access revoked');
+      loadGrants();
+    } catch (error) {
+      toast.error(error.message || 'Failed to revoke access');
+    }
+  };
+
+  return (
+    <div className="card space-y-4">
+      <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+        <FaHandsHelping className="mr-2 text-gray-500" /> Caregivers
+      </h2>
+
+      {isPatient && (
+        <>
+          <p className="text-sm text-gray-600">
+            Let a family member or someone you trust help manage your care. Everything they do is
+            recorded under their name.
+          </p>
+          <form onSubmit={handleGrant} className="space-y-3">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <input
+                type="email"
+                value={form.caregiverEmail}
+                onChange={(e) => setForm({ ...form, caregiverEmail: e.target.value })}
+                className="input"
+                placeholder="caregiver@example.com"
+                required
+              />
+              <input
+                type="text"
+                value={form.note}
+                onChange={(e) => setForm({ ...form, note: e.target.value })}
+                className="input"
+                placeholder="Relationship (e.g. Daughter)"
+              />
+            </div>
+            <div className="flex flex-wrap gap-4">
+              {PERMISSIONS.map((permission) => (
+                <label key={permission.value} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.permissions.includes(permission.value)}
+                    onChange={() => togglePermission(permission.value)}
+                    className="mr-2"
+                  />
+                  {permission.label}
+                </label>
+              ))}
+            </div>
+            <select
+              value={form.expiresInDays}
+              onChange={(e) => setForm({ ...form, expiresInDays: parseInt(e.target.value) })}
+              className="input"
+            >
+              <option value={30}>For 30 days</option>
+              <option value={90}>For 90 days</option>
+              <option value={180}>For 6 months</option>
+              <option value={365}>For 1 year</option>
+            </select>
+            <button
+              type="submit"
+              disabled={submitting || form.permissions.length === 0}
+              className="btn btn-primary"
+            >
+              {submitting ? <FaSpinner className="animate-spin" /> : 'Add Caregiver'}
+            </button>
+          </form>
+
+          {given.length > 0 && (
+            <ul className="divide-y text-sm">
+              {given.map((grant) => (
+                <li key={grant.id} className="py-3 flex items-center justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {grant.caregiver?.fullName} {grant.note && <span className="text-gray-500">({grant.note})</span>}
+                    </p>
+                    <p className="text-gray-500">
+                      {grant.permissions.join(', ')} &middot; {describeGrant(grant)}
+                    </p>
+                  </div>
+                  {grant.active && (
+                    <button type="button" onClick={() => handleRevoke(grant.id)} className="btn btn-danger text-sm">
+                      <FaBan className="inline mr-1" /> Revoke
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      <div>
+        <h3 className="font-medium text-gray-900 mb-2">People I Care For</h3>
+        {received.filter((grant) => grant.active).length === 0 ? (
+          <p className="text-sm text-gray-600">Nobody has made you their caregiver.</p>
+        ) : (
+          <ul className="divide-y text-sm">
+            {received.filter((grant) => grant.active).map((grant) => (
+              <li key={grant.id} className="py-3 flex items-center justify-between">
+                <div>
+                  <Link
+                    to={`/caregiving/${grant.patient?._id}`}
+                    state={{ patientName: grant.patient?.fullName, permissions: grant.permissions }}
+                    className="font-medium text-primary-700 hover:underline"
+                  >
+                    {grant.patient?.fullName}
+                  </Link>
+                  <p className="text-gray-500">
+                    {grant.permissions.join(', ')} &middot; {describeGrant(grant)}
+                  </p>
+                </div>
+                <button type="button" onClick={() => handleRevoke(grant.id)} className="btn btn-secondary text-sm">
+                  Step down
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Caregivers;
@@ -3,9 +3,13 @@
  * Main application layout with navigation
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useProfile } from '../context/ProfileContext';
+import ProfileSwitcher from './ProfileSwitcher';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
 import { 
   FaHome, 
   FaUser, 
@@ -13,16 +17,35 @@ import {
   FaHistory, 
   FaChartLine, 
   FaSignOutAlt,
-  FaStethoscope 
+  FaStethoscope,
+  FaEnvelope,
+  FaShieldAlt,
+  FaUserMd,
+  FaCog,
+  FaUsers
 } from 'react-icons/fa';
 
 function Layout({ children }) {
   const { user, logout } = useAuth();
+  const { activeProfile, activeProfileId, selectProfile } = useProfile();
   const navigate = useNavigate();
   const location = useLocation();
+  const [resending, setResending] = useState(false);
 
-  const handleLogout = () => {
-    logout();
+  const handleResendVerification = async () => {
+    setResending(true);
+    try {
+      const response = await authAPI.resendVerification();
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to send verification email');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -36,6 +59,9 @@ function Layout({ children }) {
     { path: '/chat', icon: FaComments, label: 'Medical Chat' },
     { path: '/chat-history', icon: FaHistory, label: 'History' },
     { path: '/analytics', icon: FaChartLine, label: 'Analytics' },
+    { path: '/care', icon: FaUserMd, label: user?.role === 'doctor' ? 'Patients' : 'Care Team' },
+    { path: '/two-factor', icon: FaShieldAlt, label: 'Security' },
+    { path: '/settings', icon: FaCog, label: 'Settings' },
   ];
 
   return (
@@ -50,8 +76,9 @@ function Layout({ children }) {
               <span className="text-xl font-bold text-gray-900">MEDI-360</span>
             </div>
 
-            {/* User Info & Logout */}
+            {/* Profile Switcher, User Info & Logout */}
             <div className="flex items-center space-x-4">
+              <ProfileSwitcher />
               <div className="text-right hidden sm:block">
                 <p className="text-sm font-medium text-gray-900">{user?.fullName}</p>
                 <p className="text-xs text-gray-500">{user?.email}</p>
@@ -68,6 +95,43 @@ function Layout({ children }) {
         </div>
       </nav>
 
+      {/* Email Verification Banner */}
+      {user && !user.isEmailVerified && (
+        <div className="bg-yellow-50 border-b border-yellow-200">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center justify-between">
+            <p className="text-sm text-yellow-800 flex items-center">
+              <FaEnvelope className="mr-2" />
+              Please verify your email address. Check your inbox for the verification link.
+            </p>
+            <button
+              onClick={handleResendVerification}
+              disabled={resending}
+              className="text-sm font-medium text-yellow-900 hover:underline disabled:opacity-50"
+            >
+              {resending ? 'Sending...' : 'Resend email'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Family Profile Banner */}
+      {activeProfile && (
+        <div className="bg-blue-50 border-b border-blue-200">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center justify-between">
+            <p className="text-sm text-blue-800 flex items-center">
+              <FaUsers className="mr-2" />
+              Viewing health records of {activeProfile.displayName} ({activeProfile.relationship})
+            </p>
+            <button
+              onClick={() => selectProfile(null)}
+              className="text-sm font-medium text-blue-900 hover:underline"
+            >
+              Switch back to me
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="flex">
         {/* Sidebar Navigation */}
         <aside className="w-64 bg-white shadow-sm min-h-[calc(100vh-4rem)]">
@@ -96,7 +160,8 @@ function Layout({ children }) {
 
         {/* Main Content */}
         <main className="flex-1 p-6">
-          <div className="max-w-7xl mx-auto">
+          {/* Remount the page when the profile changes so it reloads its data */}
+          <div key={activeProfileId || 'self'} className="max-w-7xl mx-auto">
             {children}
           </div>
         </main>
@@ -0,0 +1,67 @@
+/**
+ * PasswordStrengthMeter Component
+ * Live per-rule feedback from the server-side password policy
+ */
+
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+import { FaCheckCircle, FaTimesCircle } from 'react-icons/fa';
+
+const BAR_COLORS = ['bg-red-500', 'bg-orange-500', 'bg-yellow-500', 'bg-green-500', 'bg-green-600'];
+
+function PasswordStrengthMeter({ password, email, fullName, onChange }) {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!password) {
+      setResult(null);
+      onChange?.(null);
+      return undefined;
+    }
+
+    // Debounce so we only ask the server once typing pauses
+    const timer = setTimeout(async () => {
+      try {
+        const response = await authAPI.checkPasswordStrength({ password, email, fullName });
+        setResult(response.data);
+        onChange?.(response.data);
+      } catch (error) {
+        setResult(null);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [password, email, fullName]);
+
+  if (!result) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="flex-1 h-2 bg-gray-200 rounded">
+          <div
+            className={`h-2 rounded transition-all ${BAR_COLORS[result.score]}`}
+            style={{ width: `${((result.score + 1) / 5) * 100}%` }}
+          />
+        </div>
+        <span className="text-xs text-gray-600 capitalize w-20 text-right">{result.strength}</span>
+      </div>
+
+      <ul className="space-y-1">
+        {result.rules.map((rule) => (
+          <li
+            key={rule.id}
+            className={`text-xs flex items-center ${rule.passed ? 'text-green-600' : 'text-gray-500'}`}
+          >
+            {rule.passed ? <FaCheckCircle className="mr-1" /> : <FaTimesCircle className="mr-1" />}
+            {rule.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default PasswordStrengthMeter;
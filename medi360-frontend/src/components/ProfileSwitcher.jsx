@@ -0,0 +1,139 @@
+/**
+ * ProfileSwitcher Component
+ * Choose whose health the app is showing - yours or a family member's -
+ * and add new family members (top navigation bar)
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useProfile } from '../context/ProfileContext';
+import toast from 'react-hot-toast';
+import { FaUsers, FaSpinner } from 'react-icons/fa';
+
+const RELATIONSHIPS = [
+  { value: 'child', label: 'Child' },
+  { value: 'parent', label: 'Parent' },
+  { value: 'spouse', label: 'Spouse' },
+  { value: 'sibling', label: 'Sibling' },
+  { value: 'other', label: 'Other' },
+];
+
+const ADD_OPTION = '__add__';
+
+const emptyForm = { displayName: '', relationship: 'child', age: '', gender: '' };
+
+function ProfileSwitcher() {
+  const { user } = useAuth();
+  const { dependents, activeProfileId, selectProfile, addDependent } = useProfile();
+  const navigate = useNavigate();
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const handleSelect = (e) => {
+    if (e.target.value === ADD_OPTION) {
+      setShowForm(true);
+      return;
+    }
+    selectProfile(e.target.value || null);
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const profile = await addDependent({ ...form, age: parseInt(form.age) });
+      toast.success(`${profile.displayName} added`);
+      setForm(emptyForm);
+      setShowForm(false);
+      navigate('/health-profile');
+    } catch (error) {
+      toast.error(error.message || 'Failed to add family member');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="relative flex items-center">
+      <FaUsers className="text-gray-400 mr-2" />
+      <select
+        value={activeProfileId || ''}
+        onChange={handleSelect}
+        className="text-sm border border-gray-300 rounded-md py-1 px-2"
+        aria-label="Active health profile"
+      >
+        <option value="">{user?.fullName} (you)</option>
+        {dependents.map((profile) => (
+          <option key={profile.id} value={profile.id}>
+            {profile.displayName} ({profile.relationship})
+          </option>
+        ))}
+        <option value={ADD_OPTION}>+ Add family member</option>
+      </select>
+
+      {showForm && (
+        <form
+          onSubmit={handleAdd}
+          className="absolute right-0 top-10 z-10 w-72 bg-white border rounded-lg shadow-lg p-4 space-y-3"
+        >
+          <h3 className="font-semibold text-gray-900">Add family member</h3>
+          <input
+            type="text"
+            value={form.displayName}
+            onChange={(e) => setForm({ ...form, displayName: e.target.value })}
+            className="input"
+            placeholder="Name"
+            required
+          />
+          <select
+            value={form.relationship}
+            onChange={(e) => setForm({ ...form, relationship: e.target.value })}
+            className="input"
+          >
+            {RELATIONSHIPS.map((relationship) => (
+              <option key={relationship.value} value={relationship.value}>
+                {relationship.label}
+              </option>
+            ))}
+          </select>
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="number"
+              value={form.age}
+              onChange={(e) => setForm({ ...form, age: e.target.value })}
+              className="input"
+              placeholder="Age"
+              min="0"
+              max="150"
+              required
+            />
+            <select
+              value={form.gender}
+              onChange={(e) => setForm({ ...form, gender: e.target.value })}
+              className="input"
+              required
+            >
+              <option value="">Gender</option>
+              <option value="male">Male</option>
+              <option value="female">Female</option>
+              <option value="other">Other</option>
+              <option value="prefer-not-to-say">Prefer not to say</option>
+            </select>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary text-sm">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn btn-primary text-sm">
+              {saving ? <FaSpinner className="animate-spin" /> : 'Add'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ProfileSwitcher;
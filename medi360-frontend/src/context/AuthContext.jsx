@@ -44,28 +44,41 @@ export const AuthProvider = ({ children }) => {
         }
       } catch (error) {
         console.error('Auth check failed:', error);
-        logout();
+        clearSession();
       }
     }
     
     setLoading(false);
   };
 
+  // Persist a completed login (token pair + user)
+  const startSession = ({ user, token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+    
+    setUser(user);
+    setIsAuthenticated(true);
+  };
+
   const login = async (email, password) => {
     try {
       const response = await authAPI.login({ email, password });
       
       if (response.success) {
-        const { user, token } = response.data;
-        
-        localStorage.setItem('token', token);
-        localStorage.setItem('user', JSON.stringify(user));
+        // Two-factor accounts get a challenge instead of tokens
+        if (response.data.twoFactorRequired) {
+          return {
+            success: false,
+            twoFactorRequired: true,
+            challengeToken: response.data.challengeToken
+          };
+        }
         
-        setUser(user);
-        setIsAuthenticated(true);
+        startSession(response.data);
         
         toast.success('Welcome back!');
-        return { success: true };
+        return { success: true, twoFactorSetupRequired: response.data.twoFactorSetupRequired };
       }
     } catch (error) {
       const message = error.message || 'Login failed';
@@ -74,18 +87,61 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const register = async (userData) => {
+  // Finish a single sign-on login with the one-time code from the OIDC callback
+  const loginWithOidc = async (code) => {
     try {
-      const response = await authAPI.register(userData);
+      const response = await authAPI.exchangeOidcCode(code);
       
       if (response.success) {
-        const { user, token } = response.data;
+        if (response.data.twoFactorRequired) {
+          return {
+            success: false,
+            twoFactorRequired: true,
+            challengeToken: response.data.challengeToken
+          };
+        }
         
-        localStorage.setItem('token', token);
-        localStorage.setItem('user', JSON.stringify(user));
+        startSession(response.data);
         
-        setUser(user);
-        setIsAuthenticated(true);
+        toast.success('Welcome back!');
+        return { success: true, twoFactorSetupRequired: response.data.twoFactorSetupRequired };
+      }
+    } catch (error) {
+      const message = error.message || 'Single sign-on failed';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await authAPI.loginTwoFactor({ challengeToken, code });
+      
+      if (response.success) {
+        startSession(response.data);
+        
+        toast.success('Welcome back!');
+        return { success: true, twoFactorSetupRequired: response.data.twoFactorSetupRequired };
+      }
+    } catch (error) {
+      const message = error.message || 'Verification failed';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  // Apply server-side changes to the stored user (e.g. after enabling 2FA)
+  const updateUser = (nextUser) => {
+    localStorage.setItem('user', JSON.stringify(nextUser));
+    setUser(nextUser);
+  };
+
+  const register = async (userData) => {
+    try {
+      const response = await authAPI.register(userData);
+      
+      if (response.success) {
+        startSession(response.data);
         
         toast.success('Account created successfully!');
         return { success: true };
@@ -97,11 +153,24 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const clearSession = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
+    localStorage.removeItem('activeProfileId');
     setUser(null);
     setIsAuthenticated(false);
+  };
+
+  const logout = async () => {
+    try {
+      // Revoke this session server-side so its tokens stop working
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+    
+    clearSession();
     toast.success('Logged out successfully');
   };
 
@@ -110,7 +179,12 @@ export const AuthProvider = ({ children }) => {
     loading,
     isAuthenticated,
     login,
+    loginWithOidc,
+    verifyTwoFactor,
     register,
+    startSession,
+    updateUser,
+    clearSession,
     logout,
     checkAuth,
   };
@@ -0,0 +1,82 @@
+/**
+ * Profile Context
+ * Which health profile (the account holder or a family member) the app is acting on
+ *
+ * The selection is kept in localStorage so the API client can send it as
+ * X-Profile-Id on health profile, chat and analytics requests.
+ */
+
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { healthProfileAPI } from '../services/api';
+
+const ProfileContext = createContext(null);
+
+export const useProfile = () => {
+  const context = useContext(ProfileContext);
+  if (!context) {
+    throw new Error('useProfile must be used within ProfileProvider');
+  }
+  return context;
+};
+
+export const ProfileProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [dependents, setDependents] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(() => localStorage.getItem('activeProfileId'));
+
+  // null selects the account holder's own profile
+  const selectProfile = useCallback((profileId) => {
+    if (profileId) {
+      localStorage.setItem('activeProfileId', profileId);
+    } else {
+      localStorage.removeItem('activeProfileId');
+    }
+    setActiveProfileId(profileId || null);
+  }, []);
+
+  const refreshProfiles = useCallback(async () => {
+    try {
+      const response = await healthProfileAPI.listProfiles();
+      const nextDependents = response.data.profiles.filter((profile) => profile.relationship !== 'self');
+      setDependents(nextDependents);
+
+      // Drop a selection that no longer exists (removed, or another account)
+      const storedId = localStorage.getItem('activeProfileId');
+      if (storedId && !nextDependents.some((profile) => profile.id === storedId)) {
+        selectProfile(null);
+      }
+    } catch (error) {
+      console.error('Failed to load family profiles:', error);
+    }
+  }, [selectProfile]);
+
+  const addDependent = async (data) => {
+    const response = await healthProfileAPI.createDependent(data);
+    await refreshProfiles();
+    selectProfile(response.data.profile._id);
+    return response.data.profile;
+  };
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      refreshProfiles();
+    } else {
+      setDependents([]);
+      setActiveProfileId(null);
+    }
+  }, [isAuthenticated, refreshProfiles]);
+
+  const value = {
+    dependents,
+    activeProfileId,
+    activeProfile: dependents.find((profile) => profile.id === activeProfileId) || null,
+    selectProfile,
+    refreshProfiles,
+    addDependent,
+  };
+
+  return <ProfileContext.Provider value={value}>{children}</ProfileContext.Provider>;
+};
+
+export default ProfileContext;
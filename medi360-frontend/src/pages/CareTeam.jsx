@@ -0,0 +1,259 @@
+/**
+ * Care Team Page
+ * Patients invite doctors and manage consent; doctors request access and see their patients
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { careAPI, auditAPI } from '../services/api';
+import Caregivers from '../components/Caregivers';
+import toast from 'react-hot-toast';
+import { FaUserMd, FaSpinner, FaCheck, FaTimes, FaBan } from 'react-icons/fa';
+
+const SCOPES = [
+  { value: 'profile:read', label: 'Health profile' },
+  { value: 'chat:read', label: 'Chat sessions' },
+  { value: 'analytics:read', label: 'Analytics' },
+];
+
+const STATUS_BADGES = {
+  pending: 'badge-moderate',
+  active: 'badge-low',
+  declined: 'badge-high',
+  revoked: 'badge-high',
+};
+
+function CareTeam() {
+  const { user } = useAuth();
+  const isDoctor = user?.role === 'doctor';
+  const [relationships, setRelationships] = useState([]);
+  const [accessLog, setAccessLog] = useState([]);
+  const [email, setEmail] = useState('');
+  const [scopes, setScopes] = useState(['profile:read']);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadRelationships = async () => {
+    try {
+      const response = await careAPI.getRelationships();
+      setRelationships(response.data.relationships);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load care relationships');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAccessLog = async () => {
+    try {
+      const response = await auditAPI.getMyAccessLog({ limit: 10 });
+      setAccessLog(response.data.events);
+    } catch (error) {
+      console.error('Failed to load access log:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadRelationships();
+    if (!isDoctor) {
+      loadAccessLog();
+    }
+  }, []);
+
+  const toggleScope = (scope) => {
+    setScopes((current) =>
+      current.includes(scope) ? current.filter((s) => s !== scope) : [...current, scope]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = isDoctor
+        ? await careAPI.requestAccess({ patientEmail: email, scopes })
+        : await careAPI.inviteDoctor({ doctorEmail: email, scopes });
+      toast.success(response.message);
+      setEmail('');
+      loadRelationships();
+    } catch (error) {
+      toast.error(error.message || 'Request failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const runAction = async (action, successMessage) => {
+    try {
+      await action();
+      toast.success(successMessage);
+      loadRelationships();
+    } catch (error) {
+      toast.error(error.message || 'Action failed');
+    }
+  };
+
+  // The party who did not start a pending relationship responds to it
+  const awaitingMe = (relationship) =>
+    relationship.status === 'pending' &&
+    relationship.initiatedBy === (isDoctor ? 'patient' : 'doctor');
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">{isDoctor ? 'Patients' : 'Care Team'}</h1>
+        <p className="text-gray-600 mt-2">
+          {isDoctor
+            ? 'Request access to a patient\'s records. Nothing is shared until the patient approves.'
+            : 'Choose which doctors can see your health data. You can revoke access at any time.'}
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="card space-y-4">
+        <label className="block text-sm font-medium text-gray-700">
+          {isDoctor ? 'Patient email' : 'Doctor email'}
+        </label>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="input"
+          placeholder={isDoctor ? 'patient@example.com' : 'doctor@example.com'}
+          required
+        />
+
+        <div className="flex flex-wrap gap-4">
+          {SCOPES.map((scope) => (
+            <label key={scope.value} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={scopes.includes(scope.value)}
+                onChange={() => toggleScope(scope.value)}
+                className="mr-2"
+              />
+              {scope.label}
+            </label>
+          ))}
+        </div>
+
+        <button type="submit" disabled={submitting || scopes.length === 0} className="btn btn-primary">
+          {submitting ? <FaSpinner className="animate-spin" /> : isDoctor ? 'Request Access' : 'Invite Doctor'}
+        </button>
+      </form>
+
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Relationships</h2>
+
+        {loading ? (
+          <FaSpinner className="animate-spin text-primary-600" />
+        ) : relationships.length === 0 ? (
+          <p className="text-gray-600">No care relationships yet.</p>
+        ) : (
+          <ul className="divide-y">
+            {relationships.map((relationship) => {
+              const other = isDoctor ? relationship.patient : relationship.doctor;
+              const open = ['pending', 'active'].includes(relationship.status);
+
+              return (
+                <li key={relationship._id} className="py-4 space-y-2">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center">
+                      <FaUserMd className="text-gray-400 mr-3" />
+                      <div>
+                        <p className="font-medium text-gray-900">{other?.fullName}</p>
+                        <p className="text-sm text-gray-500">{other?.email}</p>
+                      </div>
+                    </div>
+                    <span className={`badge ${STATUS_BADGES[relationship.status]}`}>
+                      {relationship.status}
+                    </span>
+                  </div>
+
+                  {!isDoctor && open ? (
+                    <div className="flex flex-wrap gap-4">
+                      {SCOPES.map((scope) => (
+                        <label key={scope.value} className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={relationship.scopes.includes(scope.value)}
+                            onChange={() => {
+                              const next = relationship.scopes.includes(scope.value)
+                                ? relationship.scopes.filter((s) => s !== scope.value)
+                                : [...relationship.scopes, scope.value];
+                              if (next.length === 0) return;
+                              runAction(() => careAPI.updateScopes(relationship._id, next), 'Access updated');
+                            }}
+                            className="mr-2"
+                          />
+                          {scope.label}
+                        </label>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-600">
+                      Access: {relationship.scopes.join(', ')}
+                    </p>
+                  )}
+
+                  <div className="flex gap-2">
+                    {awaitingMe(relationship) && (
+                      <>
+                        <button
+                          onClick={() => runAction(
+                            () => (isDoctor ? careAPI.accept(relationship._id) : careAPI.approve(relationship._id)),
+                            'Access granted'
+                          )}
+                          className="btn btn-success text-sm"
+                        >
+                          <FaCheck className="inline mr-1" /> {isDoctor ? 'Accept' : 'Approve'}
+                        </button>
+                        <button
+                          onClick={() => runAction(() => careAPI.decline(relationship._id), 'Declined')}
+                          className="btn btn-secondary text-sm"
+                        >
+                          <FaTimes className="inline mr-1" /> Decline
+                        </button>
+                      </>
+                    )}
+                    {open && !awaitingMe(relationship) && (
+                      <button
+                        onClick={() => runAction(() => careAPI.revoke(relationship._id), 'Access revoked')}
+                        className="btn btn-danger text-sm"
+                      >
+                        <FaBan className="inline mr-1" /> Revoke
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      <Caregivers />
+
+      {!isDoctor && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Who Accessed My Data</h2>
+          {accessLog.length === 0 ? (
+            <p className="text-gray-600">Nobody else has accessed your health data.</p>
+          ) : (
+            <ul className="divide-y text-sm">
+              {accessLog.map((event) => (
+                <li key={event._id} className="py-2 flex justify-between">
+                  <span>
+                    <strong>{event.actor?.fullName || event.actorRole}</strong> ({event.actorRole}) &middot; {event.action}
+                  </span>
+                  <span className="text-gray-500">{new Date(event.createdAt).toLocaleString()}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CareTeam;
@@ -0,0 +1,227 @@
+/**
+ * Caregiver Patient Page
+ * Manage the care of a patient who made you their caregiver,
+ * limited to the permissions of their grant
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { caregiverAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FaSpinner, FaPills, FaTrash, FaComments, FaUser } from 'react-icons/fa';
+
+function CaregiverPatient() {
+  const { patientId } = useParams();
+  const navigate = useNavigate();
+  const [grant, setGrant] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [newMedication, setNewMedication] = useState({ name: '', dosage: '', frequency: '' });
+  const [loading, setLoading] = useState(true);
+
+  const can = (permission) => grant?.permissions.includes(permission);
+
+  const loadProfile = async () => {
+    try {
+      const response = await caregiverAPI.getPatientProfile(patientId);
+      setProfile(response.data.profile);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load health profile');
+    }
+  };
+
+  const loadSessions = async () => {
+    try {
+      const response = await caregiverAPI.getSessions(patientId);
+      setSessions(response.data.sessions);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load chats');
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await caregiverAPI.getGrants();
+        const active = response.data.received.find(
+          (candidate) => candidate.active && candidate.patient?._id === patientId
+        );
+        setGrant(active || null);
+
+        if (active?.permissions.includes('profile:read')) await loadProfile();
+        if (active?.permissions.includes('chat:read')) await loadSessions();
+      } catch (error) {
+        toast.error(error.message || 'Failed to load caregiver access');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [patientId]);
+
+  const addMedication = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await caregiverAPI.addMedication(patientId, newMedication);
+      toast.success('Medication added');
+      setNewMedication({ name: '', dosage: '', frequency: '' });
+      if (can('profile:read')) setProfile(response.data.profile);
+    } catch (error) {
+      toast.error(error.message || 'Failed to add medication');
+    }
+  };
+
+  const removeMedication = async (medicationId) => {
+    try {
+      const response = await caregiverAPI.removeMedication(patientId, medicationId);
+      toast.success('Medication removed');
+      setProfile(response.data.profile);
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove medication');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <FaSpinner className="animate-spin text-5xl text-primary-600" />
+      </div>
+    );
+  }
+
+  if (!grant) {
+    return (
+      <div className="card max-w-2xl mx-auto text-center">
+        <p className="text-gray-700">You no longer have caregiver access to this patient.</p>
+        <Link to="/care" className="text-primary-700 hover:underline">Back to Care Team</Link>
+      </div>
+    );
+  }
+
+  const patientName = grant.patient.fullName;
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Caring for {patientName}</h1>
+        <p className="text-gray-600 mt-2">
+          Access until {new Date(grant.expiresAt).toLocaleDateString()}. Changes you make are recorded under your name.
+        </p>
+      </div>
+
+      {profile && (
+        <div className="card">
+          <h2 className="card-header flex items-center"><FaUser className="mr-2" /> Health Profile</h2>
+          <p className="text-sm text-gray-700">
+            {profile.age} years &middot; {profile.gender} &middot; blood group {profile.bloodGroup}
+          </p>
+          {profile.allergies?.length > 0 && (
+            <p className="text-sm text-red-700 mt-2">
+              Allergies: {profile.allergies.map((allergy) => allergy.allergen).join(', ')}
+            </p>
+          )}
+          {profile.knownConditions?.length > 0 && (
+            <p className="text-sm text-gray-700 mt-2">
+              Conditions: {profile.knownConditions.map((condition) => condition.name).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      {(profile || can('medications:manage')) && (
+        <div className="card space-y-3">
+          <h2 className="card-header flex items-center"><FaPills className="mr-2" /> Medications</h2>
+          {profile && (
+            profile.currentMedications?.length === 0 ? (
+              <p className="text-sm text-gray-600">No current medications.</p>
+            ) : (
+              <ul className="divide-y text-sm">
+                {profile.currentMedications.map((medication) => (
+                  <li key={medication._id} className="py-2 flex items-center justify-between">
+                    <span>
+                      <strong>{medication.name}</strong> {medication.dosage} {medication.frequency}
+                    </span>
+                    {can('medications:manage') && (
+                      <button
+                        type="button"
+                        onClick={() => removeMedication(medication._id)}
+                        className="text-red-600 hover:text-red-800"
+                        aria-label={`Remove ${medication.name}`}
+                      >
+                        <FaTrash />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )
+          )}
+          {can('medications:manage') && (
+            <form onSubmit={addMedication} className="grid grid-cols-1 md:grid-cols-4 gap-2">
+              <input
+                type="text"
+                value={newMedication.name}
+                onChange={(e) => setNewMedication({ ...newMedication, name: e.target.value })}
+                className="input"
+                placeholder="Medication"
+                required
+              />
+              <input
+                type="text"
+                value={newMedication.dosage}
+                onChange={(e) => setNewMedication({ ...newMedication, dosage: e.target.value })}
+                className="input"
+                placeholder="Dosage"
+              />
+              <input
+                type="text"
+                value={newMedication.frequency}
+                onChange={(e) => setNewMedication({ ...newMedication, frequency: e.target.value })}
+                className="input"
+                placeholder="Frequency"
+              />
+              <button type="submit" className="btn btn-primary">Add</button>
+            </form>
+          )}
+        </div>
+      )}
+
+      {(can('chat:read') || can('chat:write')) && (
+        <div className="card space-y-3">
+          <div className="flex items-center justify-between">
+            <h2 className="card-header flex items-center mb-0"><FaComments className="mr-2" /> Chats</h2>
+            {can('chat:write') && (
+              <button
+                type="button"
+                onClick={() => navigate(`/chat?patient=${patientId}`, { state: { patientName } })}
+                className="btn btn-primary text-sm"
+              >
+                Start chat for {patientName}
+              </button>
+            )}
+          </div>
+          {can('chat:read') && (
+            sessions.length === 0 ? (
+              <p className="text-sm text-gray-600">No consultations yet.</p>
+            ) : (
+              <ul className="divide-y text-sm">
+                {sessions.map((session) => (
+                  <li key={session._id} className="py-2 flex justify-between">
+                    <span>{session.sessionTitle}</span>
+                    <span className="text-gray-500">
+                      {session.summary?.overallSeverity || session.status} &middot;{' '}
+                      {new Date(session.lastMessageAt).toLocaleString()}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CaregiverPatient;
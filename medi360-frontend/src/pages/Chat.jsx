@@ -4,27 +4,46 @@
  */
 
 import React, { useState, useEffect, useRef } from 'react';
-import { chatAPI } from '../services/api';
+import { useSearchParams, useLocation } from 'react-router-dom';
+import { chatAPI, caregiverAPI } from '../services/api';
 import toast from 'react-hot-toast';
 import { 
   FaPaperPlane, 
   FaRobot, 
   FaUser, 
   FaExclamationTriangle,
-  FaSpinner 
+  FaSpinner,
+  FaStop
 } from 'react-icons/fa';
 
 function Chat() {
+  // ?patient=<id> chats on behalf of a patient who made the user their caregiver
+  const [searchParams] = useSearchParams();
+  const location = useLocation();
+  const patientId = searchParams.get('patient');
+  const patientName = location.state?.patientName;
+  const sessionAPI = patientId
+    ? {
+        createSession: (data) => caregiverAPI.createSession(patientId, data),
+        streamMessage: (id, message, handlers) => caregiverAPI.streamMessage(patientId, id, message, handlers),
+      }
+    : chatAPI;
+
   const [sessionId, setSessionId] = useState(null);
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [loading, setLoading] = useState(false);
   const [sending, setSending] = useState(false);
   const messagesEndRef = useRef(null);
+  // Aborts the reply currently being streamed
+  const streamControllerRef = useRef(null);
 
   useEffect(() => {
     createNewSession();
-  }, []);
+  }, [patientId]);
+
+  // Stop generating if the user leaves the page mid-reply
+  useEffect(() => () => streamControllerRef.current?.abort(), []);
 
   useEffect(() => {
     scrollToBottom();
@@ -35,9 +54,10 @@ function Chat() {
   };
 
   const createNewSession = async () => {
+    streamControllerRef.current?.abort();
     try {
       setLoading(true);
-      const response = await chatAPI.createSession({ sessionType: 'symptom-check' });
+      const response = await sessionAPI.createSession({ sessionType: 'symptom-check' });
       
       if (response.success) {
         setSessionId(response.data.session._id);
@@ -52,6 +72,13 @@ function Chat() {
     }
   };
 
+  // Patch the assistant reply that is being streamed in
+  const updateStreamingMessage = (streamId, update) => {
+    setMessages(prev => prev.map(message => (
+      message.streamId === streamId ? { ...message, ...update(message) } : message
+    )));
+  };
+
   const sendMessage = async () => {
     if (!inputMessage.trim() || !sessionId) return;
 
@@ -59,42 +86,68 @@ function Chat() {
     setInputMessage('');
     setSending(true);
 
-    // Add user message immediately
+    // Add user message immediately, followed by the reply that tokens stream into
+    const streamId = Date.now();
     const newUserMessage = {
       role: 'user',
       content: userMessage,
       timestamp: new Date()
     };
-    setMessages(prev => [...prev, newUserMessage]);
+    const streamingMessage = {
+      role: 'assistant',
+      content: '',
+      timestamp: new Date(),
+      streamId
+    };
+    setMessages(prev => [...prev, newUserMessage, streamingMessage]);
+
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
 
     try {
-      const response = await chatAPI.sendMessage(sessionId, userMessage);
-      
-      if (response.success) {
-        const assistantMessage = {
-          role: 'assistant',
-          content: response.data.message,
-          timestamp: new Date(),
-          metadata: response.data.analysis
-        };
-        setMessages(prev => [...prev, assistantMessage]);
-      }
+      const result = await sessionAPI.streamMessage(sessionId, userMessage, {
+        signal: controller.signal,
+        onToken: (text) => updateStreamingMessage(streamId, message => ({ content: message.content + text }))
+      });
+
+      updateStreamingMessage(streamId, () => ({
+        content: result.message,
+        metadata: result.analysis,
+        streamId: null
+      }));
     } catch (error) {
-      console.error('Send message error:', error);
-      toast.error('Failed to send message');
-      
-      // Add error message
-      const errorMessage = {
-        role: 'system',
-        content: 'Sorry, I encountered an error. Please try again.',
-        timestamp: new Date()
-      };
-      setMessages(prev => [...prev, errorMessage]);
+      const stopped = error.name === 'AbortError';
+      if (!stopped) {
+        console.error('Send message error:', error);
+        toast.error(error.message || 'Failed to send message');
+      }
+
+      // Keep whatever arrived before the stream ended; the server saved it too
+      setMessages(prev => {
+        const partial = prev.find(message => message.streamId === streamId);
+        if (partial?.content) {
+          return prev.map(message => (
+            message === partial ? { ...message, metadata: { incomplete: true }, streamId: null } : message
+          ));
+        }
+
+        const remaining = prev.filter(message => message !== partial);
+        return stopped ? remaining : [...remaining, {
+          role: 'system',
+          content: 'Sorry, I encountered an error. Please try again.',
+          timestamp: new Date()
+        }];
+      });
     } finally {
+      if (streamControllerRef.current === controller) streamControllerRef.current = null;
       setSending(false);
     }
   };
 
+  const stopGenerating = () => {
+    streamControllerRef.current?.abort();
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -127,7 +180,11 @@ function Chat() {
     <div className="max-w-4xl mx-auto">
       <div className="mb-6">
         <h1 className="text-3xl font-bold text-gray-900">Medical Chat Assistant</h1>
-        <p className="text-gray-600 mt-2">Describe your symptoms and get instant medical guidance</p>
+        <p className="text-gray-600 mt-2">
+          {patientId
+            ? `Chatting on behalf of ${patientName || 'the person you care for'} - describe their symptoms`
+            : 'Describe your symptoms and get instant medical guidance'}
+        </p>
       </div>
 
       {/* Chat Container */}
@@ -143,7 +200,7 @@ function Chat() {
             </div>
           )}
 
-          {messages.map((message, index) => (
+          {messages.filter(message => message.content).map((message, index) => (
             <div
               key={index}
               className={`mb-6 flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
@@ -188,8 +245,27 @@ function Chat() {
                     {/* Message Text */}
                     <div className="whitespace-pre-wrap break-words">
                       {message.content}
+                      {message.streamId && <span className="inline-block w-2 h-4 ml-1 bg-gray-400 animate-pulse align-middle" />}
                     </div>
 
+                    {message.metadata?.redFlags?.length > 0 && (
+                      <div className="mt-3 p-2 rounded bg-red-50 text-red-800 text-sm">
+                        <div className="font-semibold">
+                          <FaExclamationTriangle className="inline mr-1" />
+                          Red flags noted
+                        </div>
+                        <ul className="list-disc ml-5">
+                          {message.metadata.redFlags.map((flag) => (
+                            <li key={flag}>{flag}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
+                    {message.metadata?.incomplete && (
+                      <div className="text-xs italic text-gray-500 mt-2">Reply stopped before it finished</div>
+                    )}
+
                     {/* Timestamp */}
                     <div className={`text-xs mt-2 ${
                       message.role === 'user' ? 'text-primary-100' : 'text-gray-500'
@@ -220,8 +296,8 @@ function Chat() {
             </div>
           ))}
 
-          {/* Sending Indicator */}
-          {sending && (
+          {/* Sending Indicator (until the first token arrives) */}
+          {sending && !messages[messages.length - 1]?.content && (
             <div className="mb-6 flex justify-start">
               <div className="flex items-start space-x-3">
                 <div className="w-10 h-10 rounded-full bg-green-600 text-white flex items-center justify-center">
@@ -253,23 +329,24 @@ function Chat() {
               rows="2"
               disabled={sending || !sessionId}
             />
-            <button
-              onClick={sendMessage}
-              disabled={!inputMessage.trim() || sending || !sessionId}
-              className="btn btn-primary flex items-center space-x-2 h-full"
-            >
-              {sending ? (
-                <>
-                  <FaSpinner className="animate-spin" />
-                  <span>Sending...</span>
-                </>
-              ) : (
-                <>
-                  <FaPaperPlane />
-                  <span>Send</span>
-                </>
-              )}
-            </button>
+            {sending ? (
+              <button
+                onClick={stopGenerating}
+                className="btn btn-secondary flex items-center space-x-2 h-full"
+              >
+                <FaStop />
+                <span>Stop</span>
+              </button>
+            ) : (
+              <button
+                onClick={sendMessage}
+                disabled={!inputMessage.trim() || !sessionId}
+                className="btn btn-primary flex items-center space-x-2 h-full"
+              >
+                <FaPaperPlane />
+                <span>Send</span>
+              </button>
+            )}
           </div>
 
           <p className="text-xs text-gray-500 mt-2">
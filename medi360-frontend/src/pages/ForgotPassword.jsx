@@ -0,0 +1,121 @@
+/**
+ * Forgot Password Page
+ * Request a password reset link by email
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FaStethoscope, FaEnvelope, FaSpinner, FaCheckCircle } from 'react-icons/fa';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      toast.error('Please enter your email address');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await authAPI.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      toast.error(error.message || 'Failed to request password reset');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-blue-100 flex items-center justify-center p-4">
+      <div className="max-w-md w-full">
+        {/* Logo & Title */}
+        <div className="text-center mb-8">
+          <div className="flex items-center justify-center mb-4">
+            <FaStethoscope className="text-primary-600 text-5xl" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">MEDI-360</h1>
+          <p className="text-gray-600">Your Personal Medical Assistant</p>
+        </div>
+
+        {/* Forgot Password Card */}
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          <h2 className="text-2xl font-semibold text-gray-900 mb-6">Forgot Password</h2>
+
+          {sent ? (
+            <div className="text-center">
+              <FaCheckCircle className="text-5xl text-green-600 mx-auto mb-4" />
+              <p className="text-gray-600">
+                If an account exists for <strong>{email}</strong>, a password reset link is on its way.
+                The link expires shortly and can be used once.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <p className="text-sm text-gray-600">
+                Enter the email address you registered with and we'll send you a link to reset your password.
+              </p>
+
+              {/* Email Input */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaEnvelope className="text-gray-400" />
+                  </div>
+                  <input
+                    type="email"
+                    name="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="input pl-10"
+                    placeholder="you@example.com"
+                    required
+                  />
+                </div>
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn btn-primary w-full flex items-center justify-center"
+              >
+                {loading ? (
+                  <>
+                    <FaSpinner className="animate-spin mr-2" />
+                    Sending...
+                  </>
+                ) : (
+                  'Send Reset Link'
+                )}
+              </button>
+            </form>
+          )}
+
+          {/* Login Link */}
+          <div className="mt-6 text-center">
+            <p className="text-sm text-gray-600">
+              Remembered it?{' '}
+              <Link to="/login" className="text-primary-600 hover:text-primary-700 font-medium">
+                Back to login
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
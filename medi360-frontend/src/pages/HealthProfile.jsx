@@ -5,10 +5,12 @@
 
 import React, { useState, useEffect } from 'react';
 import { healthProfileAPI } from '../services/api';
+import { useProfile } from '../context/ProfileContext';
 import toast from 'react-hot-toast';
-import { FaUser, FaHeartbeat, FaPills, FaAllergies, FaSpinner, FaSave } from 'react-icons/fa';
+import { FaUser, FaHeartbeat, FaPills, FaAllergies, FaSpinner, FaSave, FaTrash } from 'react-icons/fa';
 
 function HealthProfile() {
+  const { activeProfile, selectProfile, refreshProfiles } = useProfile();
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [hasProfile, setHasProfile] = useState(false);
@@ -18,6 +20,7 @@ function HealthProfile() {
     bloodGroup: '',
     height: { value: '', unit: 'cm' },
     weight: { value: '', unit: 'kg' },
+    pregnancy: { status: 'unknown', dueDate: '' },
     lifestyle: {
       smokingStatus: 'never',
       alcoholConsumption: 'never',
@@ -100,6 +103,21 @@ function HealthProfile() {
     }
   };
 
+  const removeFamilyMember = async () => {
+    if (!window.confirm(`Remove ${activeProfile.displayName} and all of their health records and chats?`)) {
+      return;
+    }
+
+    try {
+      await healthProfileAPI.delete();
+      toast.success(`${activeProfile.displayName} removed`);
+      selectProfile(null);
+      refreshProfiles();
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove family member');
+    }
+  };
+
   const addCondition = async () => {
     if (!newCondition.name) {
       toast.error('Please enter condition name');
@@ -136,6 +154,16 @@ function HealthProfile() {
     }
   };
 
+  const removeMedication = async (medicationId) => {
+    try {
+      await healthProfileAPI.removeMedication(medicationId);
+      toast.success('Medication removed');
+      fetchProfile();
+    } catch (error) {
+      toast.error('Failed to remove medication');
+    }
+  };
+
   const addMedication = async () => {
     if (!newMedication.name) {
       toast.error('Please enter medication name');
@@ -164,11 +192,22 @@ function HealthProfile() {
 
   return (
     <div className="max-w-4xl mx-auto">
-      <div className="mb-6">
-        <h1 className="text-3xl font-bold text-gray-900">Health Profile</h1>
-        <p className="text-gray-600 mt-2">
-          {hasProfile ? 'Update your health information' : 'Complete your profile for personalized care'}
-        </p>
+      <div className="mb-6 flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">
+            {activeProfile ? `${activeProfile.displayName}'s Health Profile` : 'Health Profile'}
+          </h1>
+          <p className="text-gray-600 mt-2">
+            {activeProfile
+              ? `Manage health information for your ${activeProfile.relationship}`
+              : hasProfile ? 'Update your health information' : 'Complete your profile for personalized care'}
+          </p>
+        </div>
+        {activeProfile && (
+          <button type="button" onClick={removeFamilyMember} className="btn btn-danger text-sm">
+            <FaTrash className="inline mr-1" /> Remove
+          </button>
+        )}
       </div>
 
       <form onSubmit={handleSubmit} className="space-y-6">
@@ -237,6 +276,40 @@ function HealthProfile() {
               </select>
             </div>
 
+            {['female', 'other'].includes(formData.gender) && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Pregnancy
+                </label>
+                <select
+                  name="pregnancy.status"
+                  value={formData.pregnancy?.status || 'unknown'}
+                  onChange={handleChange}
+                  className="input"
+                >
+                  <option value="unknown">Prefer not to say</option>
+                  <option value="not-pregnant">Not pregnant</option>
+                  <option value="pregnant">Pregnant</option>
+                  <option value="breastfeeding">Breastfeeding</option>
+                </select>
+              </div>
+            )}
+
+            {formData.pregnancy?.status === 'pregnant' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Due Date
+                </label>
+                <input
+                  type="date"
+                  name="pregnancy.dueDate"
+                  value={formData.pregnancy.dueDate?.slice(0, 10) || ''}
+                  onChange={handleChange}
+                  className="input"
+                />
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Height (cm)
@@ -519,11 +592,21 @@ function HealthProfile() {
             {formData.currentMedications && formData.currentMedications.length > 0 && (
               <div className="mb-4 space-y-2">
                 {formData.currentMedications.map((med, index) => (
-                  <div key={index} className="p-3 bg-blue-50 rounded">
-                    <h4 className="font-medium">{med.name}</h4>
-                    <p className="text-sm text-gray-600">
-                      {med.dosage} - {med.frequency}
-                    </p>
+                  <div key={index} className="p-3 bg-blue-50 rounded flex items-start justify-between">
+                    <div>
+                      <h4 className="font-medium">{med.name}</h4>
+                      <p className="text-sm text-gray-600">
+                        {med.dosage} - {med.frequency}
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeMedication(med._id)}
+                      className="text-red-600 hover:text-red-800"
+                      aria-label={`Remove ${med.name}`}
+                    >
+                      <FaTrash />
+                    </button>
                   </div>
                 ))}
               </div>
@@ -3,11 +3,12 @@
  * User authentication
  */
 
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
 import toast from 'react-hot-toast';
-import { FaStethoscope, FaEnvelope, FaLock, FaSpinner } from 'react-icons/fa';
+import { FaStethoscope, FaEnvelope, FaLock, FaSpinner, FaShieldAlt, FaHospital } from 'react-icons/fa';
 
 function Login() {
   const [formData, setFormData] = useState({
@@ -15,9 +16,53 @@ function Login() {
     password: '',
   });
   const [loading, setLoading] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [providers, setProviders] = useState([]);
+  const [returnTo, setReturnTo] = useState('/dashboard');
   
-  const { login } = useAuth();
+  const { login, loginWithOidc, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const handleLoginResult = (result, destination = returnTo) => {
+    if (result?.success) {
+      navigate(result.twoFactorSetupRequired ? '/two-factor' : destination);
+    }
+  };
+
+  useEffect(() => {
+    authAPI.getOidcProviders()
+      .then((response) => setProviders(response.data.providers))
+      .catch(() => setProviders([]));
+  }, []);
+
+  // Back from the identity provider: /login?oidcCode=... or /login?oidcError=...
+  useEffect(() => {
+    const oidcCode = searchParams.get('oidcCode');
+    const oidcError = searchParams.get('oidcError');
+    const destination = searchParams.get('returnTo') || '/dashboard';
+
+    if (!oidcCode && !oidcError) return;
+    setSearchParams({}, { replace: true });
+
+    if (oidcError) {
+      toast.error(oidcError);
+      return;
+    }
+
+    setReturnTo(destination);
+    setLoading(true);
+    loginWithOidc(oidcCode)
+      .then((result) => {
+        if (result?.twoFactorRequired) {
+          setChallengeToken(result.challengeToken);
+          return;
+        }
+        handleLoginResult(result, destination);
+      })
+      .finally(() => setLoading(false));
+  }, []);
 
   const handleChange = (e) => {
     setFormData({
@@ -39,9 +84,12 @@ function Login() {
     try {
       const result = await login(formData.email, formData.password);
       
-      if (result.success) {
-        navigate('/dashboard');
+      if (result?.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        return;
       }
+      
+      handleLoginResult(result);
     } catch (error) {
       console.error('Login error:', error);
     } finally {
@@ -49,6 +97,33 @@ function Login() {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!twoFactorCode.trim()) {
+      toast.error('Please enter your authentication code');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(challengeToken, twoFactorCode.trim());
+
+      // The challenge expires after a few minutes - start over
+      if (!result?.success && /expired|login again/i.test(result?.message || '')) {
+        setChallengeToken(null);
+        setTwoFactorCode('');
+      }
+
+      handleLoginResult(result);
+    } catch (error) {
+      console.error('Two-factor error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary-50 to-blue-100 flex items-center justify-center p-4">
       <div className="max-w-md w-full">
@@ -65,65 +140,151 @@ function Login() {
         <div className="bg-white rounded-lg shadow-lg p-8">
           <h2 className="text-2xl font-semibold text-gray-900 mb-6">Welcome Back</h2>
 
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Email Input */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Email Address
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <FaEnvelope className="text-gray-400" />
+          {challengeToken ? (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+              <p className="text-sm text-gray-600">
+                Enter the 6-digit code from your authenticator app, or one of your backup codes.
+              </p>
+
+              {/* Authentication Code Input */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Authentication Code
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaShieldAlt className="text-gray-400" />
+                  </div>
+                  <input
+                    type="text"
+                    name="twoFactorCode"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    className="input pl-10 tracking-widest"
+                    placeholder="123456"
+                    autoComplete="one-time-code"
+                    autoFocus
+                    required
+                  />
                 </div>
-                <input
-                  type="email"
-                  name="email"
-                  value={formData.email}
-                  onChange={handleChange}
-                  className="input pl-10"
-                  placeholder="you@example.com"
-                  required
-                />
               </div>
-            </div>
 
-            {/* Password Input */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <FaLock className="text-gray-400" />
+              {/* Verify Button */}
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn btn-primary w-full flex items-center justify-center"
+              >
+                {loading ? (
+                  <>
+                    <FaSpinner className="animate-spin mr-2" />
+                    Verifying...
+                  </>
+                ) : (
+                  'Verify'
+                )}
+              </button>
+
+              <button
+                type="button"
+                onClick={() => {
+                  setChallengeToken(null);
+                  setTwoFactorCode('');
+                }}
+                className="w-full text-sm text-gray-600 hover:text-gray-900"
+              >
+                Use a different account
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Email Input */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaEnvelope className="text-gray-400" />
+                  </div>
+                  <input
+                    type="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    className="input pl-10"
+                    placeholder="you@example.com"
+                    required
+                  />
                 </div>
-                <input
-                  type="password"
-                  name="password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  className="input pl-10"
-                  placeholder="••••••••"
-                  required
-                />
               </div>
-            </div>
 
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={loading}
-              className="btn btn-primary w-full flex items-center justify-center"
-            >
-              {loading ? (
-                <>
-                  <FaSpinner className="animate-spin mr-2" />
-                  Logging in...
-                </>
-              ) : (
-                'Login'
-              )}
-            </button>
-          </form>
+              {/* Password Input */}
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Password
+                  </label>
+                  <Link to="/forgot-password" className="text-sm text-primary-600 hover:text-primary-700">
+                    Forgot password?
+                  </Link>
+                </div>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaLock className="text-gray-400" />
+                  </div>
+                  <input
+                    type="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className="input pl-10"
+                    placeholder="••••••••"
+                    required
+                  />
+                </div>
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn btn-primary w-full flex items-center justify-center"
+              >
+                {loading ? (
+                  <>
+                    <FaSpinner className="animate-spin mr-2" />
+                    Logging in...
+                  </>
+                ) : (
+                  'Login'
+                )}
+              </button>
+            </form>
+          )}
+
+          {/* Single Sign-On */}
+          {!challengeToken && providers.length > 0 && (
+            <div className="mt-6">
+              <div className="flex items-center mb-4">
+                <div className="flex-1 border-t border-gray-200" />
+                <span className="px-3 text-sm text-gray-500">or</span>
+                <div className="flex-1 border-t border-gray-200" />
+              </div>
+              <div className="space-y-2">
+                {providers.map((provider) => (
+                  <a
+                    key={provider.id}
+                    href={authAPI.oidcAuthorizeUrl(provider.id, returnTo)}
+                    className="btn btn-secondary w-full flex items-center justify-center"
+                  >
+                    <FaHospital className="mr-2" />
+                    Sign in with {provider.name}
+                  </a>
+                ))}
+              </div>
+            </div>
+          )}
 
           {/* Register Link */}
           <div className="mt-6 text-center">
@@ -6,6 +6,7 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
 import toast from 'react-hot-toast';
 import { FaStethoscope, FaUser, FaEnvelope, FaLock, FaPhone, FaSpinner } from 'react-icons/fa';
 
@@ -17,6 +18,7 @@ function Register() {
     password: '',
     confirmPassword: '',
   });
+  const [passwordCheck, setPasswordCheck] = useState(null);
   const [loading, setLoading] = useState(false);
   
   const { register } = useAuth();
@@ -38,8 +40,8 @@ function Register() {
       return;
     }
 
-    if (formData.password.length < 6) {
-      toast.error('Password must be at least 6 characters');
+    if (passwordCheck && !passwordCheck.valid) {
+      toast.error('Please choose a stronger password');
       return;
     }
 
@@ -165,10 +167,14 @@ function Register() {
                   className="input pl-10"
                   placeholder="••••••••"
                   required
-                  minLength="6"
                 />
               </div>
-              <p className="text-xs text-gray-500 mt-1">Minimum 6 characters</p>
+              <PasswordStrengthMeter
+                password={formData.password}
+                email={formData.email}
+                fullName={formData.fullName}
+                onChange={setPasswordCheck}
+              />
             </div>
 
             {/* Confirm Password */}
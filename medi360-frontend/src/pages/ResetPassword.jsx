@@ -0,0 +1,161 @@
+/**
+ * Reset Password Page
+ * Choose a new password using the emailed one-time token
+ */
+
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+import toast from 'react-hot-toast';
+import { FaStethoscope, FaLock, FaSpinner } from 'react-icons/fa';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [passwordCheck, setPasswordCheck] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (passwordCheck && !passwordCheck.valid) {
+      toast.error('Please choose a stronger password');
+      return;
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authAPI.resetPassword(token, formData.password);
+
+      if (response.success) {
+        toast.success(response.message);
+        navigate('/login');
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-blue-100 flex items-center justify-center p-4">
+      <div className="max-w-md w-full">
+        {/* Logo & Title */}
+        <div className="text-center mb-8">
+          <div className="flex items-center justify-center mb-4">
+            <FaStethoscope className="text-primary-600 text-5xl" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">MEDI-360</h1>
+          <p className="text-gray-600">Your Personal Medical Assistant</p>
+        </div>
+
+        {/* Reset Password Card */}
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          <h2 className="text-2xl font-semibold text-gray-900 mb-6">Reset Password</h2>
+
+          {!token ? (
+            <p className="text-gray-600">
+              This reset link is incomplete.{' '}
+              <Link to="/forgot-password" className="text-primary-600 hover:text-primary-700 font-medium">
+                Request a new one
+              </Link>
+              .
+            </p>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* New Password */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  New Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaLock className="text-gray-400" />
+                  </div>
+                  <input
+                    type="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className="input pl-10"
+                    placeholder="••••••••"
+                    required
+                  />
+                </div>
+                <PasswordStrengthMeter password={formData.password} onChange={setPasswordCheck} />
+              </div>
+
+              {/* Confirm Password */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Confirm New Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaLock className="text-gray-400" />
+                  </div>
+                  <input
+                    type="password"
+                    name="confirmPassword"
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    className="input pl-10"
+                    placeholder="••••••••"
+                    required
+                  />
+                </div>
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn btn-primary w-full flex items-center justify-center"
+              >
+                {loading ? (
+                  <>
+                    <FaSpinner className="animate-spin mr-2" />
+                    Resetting...
+                  </>
+                ) : (
+                  'Reset Password'
+                )}
+              </button>
+            </form>
+          )}
+
+          {/* Login Link */}
+          <div className="mt-6 text-center">
+            <p className="text-sm text-gray-600">
+              <Link to="/login" className="text-primary-600 hover:text-primary-700 font-medium">
+                Back to login
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
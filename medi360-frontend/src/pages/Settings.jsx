@@ -0,0 +1,390 @@
+/**
+ * Settings Page
+ * Profile details, email change, preferences, password, API tokens and account deletion
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { userAPI, authAPI } from '../services/api';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+import ApiTokens from '../components/ApiTokens';
+import ActiveSessions from '../components/ActiveSessions';
+import toast from 'react-hot-toast';
+import { FaSpinner, FaExclamationTriangle } from 'react-icons/fa';
+
+const LOCALES = [
+  { value: 'en', label: 'English' },
+  { value: 'hi', label: 'हिन्दी (Hindi)' },
+  { value: 'kn', label: 'ಕನ್ನಡ (Kannada)' },
+  { value: 'ta', label: 'தமிழ் (Tamil)' },
+  { value: 'te', label: 'తెలుగు (Telugu)' },
+];
+
+const CHANNELS = [
+  { value: 'email', label: 'Email' },
+  { value: 'sms', label: 'SMS' },
+  { value: 'push', label: 'Push notifications' },
+];
+
+function Settings() {
+  const { user, updateUser, startSession, clearSession } = useAuth();
+  const navigate = useNavigate();
+
+  const [profile, setProfile] = useState({
+    fullName: user?.fullName || '',
+    phoneNumber: user?.phoneNumber || '',
+  });
+  const [preferences, setPreferences] = useState({
+    locale: 'en',
+    timezone: 'Asia/Kolkata',
+    units: 'metric',
+    notificationChannels: ['email'],
+    ...user?.preferences,
+  });
+  const [emailChange, setEmailChange] = useState({ email: '', password: '' });
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [deletion, setDeletion] = useState({ password: '', code: '' });
+  const [saving, setSaving] = useState(null);
+
+  // Runs a save action with a per-form spinner
+  const save = async (section, action) => {
+    setSaving(section);
+    try {
+      await action();
+    } catch (error) {
+      toast.error(error.message || 'Update failed');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleProfileSubmit = (e) => {
+    e.preventDefault();
+    save('profile', async () => {
+      const response = await userAPI.updateProfile(profile);
+      updateUser(response.data.user);
+      toast.success(response.message);
+    });
+  };
+
+  const handlePreferencesSubmit = (e) => {
+    e.preventDefault();
+    save('preferences', async () => {
+      const response = await userAPI.updatePreferences(preferences);
+      updateUser({ ...user, preferences: response.data.preferences });
+      toast.success(response.message);
+    });
+  };
+
+  const handleEmailSubmit = (e) => {
+    e.preventDefault();
+    save('email', async () => {
+      const response = await userAPI.requestEmailChange(emailChange);
+      updateUser(response.data.user);
+      setEmailChange({ email: '', password: '' });
+      toast.success(response.message);
+    });
+  };
+
+  const handleCancelEmailChange = () => {
+    save('email', async () => {
+      const response = await userAPI.cancelEmailChange();
+      updateUser(response.data.user);
+      toast.success(response.message);
+    });
+  };
+
+  const handlePasswordSubmit = (e) => {
+    e.preventDefault();
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      toast.error('New passwords do not match');
+      return;
+    }
+
+    save('password', async () => {
+      const response = await authAPI.updatePassword({
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword,
+      });
+      // Every other session was revoked; keep this one with the fresh token pair
+      startSession({ user, ...response.data });
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      toast.success(response.message);
+    });
+  };
+
+  const handleDeleteSubmit = (e) => {
+    e.preventDefault();
+
+    if (!window.confirm('Delete your account and all of your health data? This cannot be undone after the grace period.')) {
+      return;
+    }
+
+    save('delete', async () => {
+      const response = await userAPI.deleteAccount(deletion);
+      const { receipt } = response.data;
+      setDeletion({ password: '', code: '' });
+
+      if (receipt.status === 'completed') {
+        toast.success(`${response.message}. Receipt: ${receipt.receiptId}`);
+        clearSession();
+        navigate('/');
+        return;
+      }
+
+      updateUser({ ...user, deletionScheduledFor: receipt.scheduledFor });
+      toast.success(response.message);
+    });
+  };
+
+  const handleRestore = () => {
+    save('delete', async () => {
+      const response = await userAPI.restoreAccount();
+      updateUser({ ...user, deletionScheduledFor: null });
+      toast.success(response.message);
+    });
+  };
+
+  const toggleChannel = (channel) => {
+    setPreferences((current) => ({
+      ...current,
+      notificationChannels: current.notificationChannels.includes(channel)
+        ? current.notificationChannels.filter((c) => c !== channel)
+        : [...current.notificationChannels, channel],
+    }));
+  };
+
+  const spinner = <FaSpinner className="animate-spin" />;
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+        <p className="text-gray-600 mt-2">Manage your account details and preferences.</p>
+      </div>
+
+      {/* Profile */}
+      <form onSubmit={handleProfileSubmit} className="card space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Profile</h2>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Full Name</label>
+          <input
+            type="text"
+            value={profile.fullName}
+            onChange={(e) => setProfile({ ...profile, fullName: e.target.value })}
+            className="input"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Phone Number</label>
+          <input
+            type="tel"
+            value={profile.phoneNumber}
+            onChange={(e) => setProfile({ ...profile, phoneNumber: e.target.value })}
+            className="input"
+            placeholder="10-digit number"
+          />
+        </div>
+        <button type="submit" disabled={saving === 'profile'} className="btn btn-primary">
+          {saving === 'profile' ? spinner : 'Save Profile'}
+        </button>
+      </form>
+
+      {/* Email */}
+      <form onSubmit={handleEmailSubmit} className="card space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Email Address</h2>
+        <p className="text-sm text-gray-600">
+          Current: <strong>{user?.email}</strong>
+        </p>
+        {user?.identities?.length > 0 && (
+          <p className="text-sm text-gray-600">
+            Single sign-on: {user.identities.map((identity) => `${identity.provider} (${identity.email})`).join(', ')}
+          </p>
+        )}
+        {user?.pendingEmail && (
+          <div className="bg-yellow-50 p-3 rounded text-sm text-yellow-800 flex items-center justify-between">
+            <span>Waiting for confirmation of <strong>{user.pendingEmail}</strong></span>
+            <button type="button" onClick={handleCancelEmailChange} className="underline">
+              Cancel
+            </button>
+          </div>
+        )}
+        <input
+          type="email"
+          value={emailChange.email}
+          onChange={(e) => setEmailChange({ ...emailChange, email: e.target.value })}
+          className="input"
+          placeholder="New email address"
+          required
+        />
+        <input
+          type="password"
+          value={emailChange.password}
+          onChange={(e) => setEmailChange({ ...emailChange, password: e.target.value })}
+          className="input"
+          placeholder="Current password"
+          required
+        />
+        <button type="submit" disabled={saving === 'email'} className="btn btn-primary">
+          {saving === 'email' ? spinner : 'Send Confirmation Link'}
+        </button>
+      </form>
+
+      {/* Preferences */}
+      <form onSubmit={handlePreferencesSubmit} className="card space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Preferences</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Language</label>
+            <select
+              value={preferences.locale}
+              onChange={(e) => setPreferences({ ...preferences, locale: e.target.value })}
+              className="input"
+            >
+              {LOCALES.map((locale) => (
+                <option key={locale.value} value={locale.value}>{locale.label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">New AI chats start in this language.</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Units</label>
+            <select
+              value={preferences.units}
+              onChange={(e) => setPreferences({ ...preferences, units: e.target.value })}
+              className="input"
+            >
+              <option value="metric">Metric (kg, cm)</option>
+              <option value="imperial">Imperial (lb, in)</option>
+            </select>
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Time Zone</label>
+          <input
+            type="text"
+            value={preferences.timezone}
+            onChange={(e) => setPreferences({ ...preferences, timezone: e.target.value })}
+            className="input"
+            placeholder="Asia/Kolkata"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Notifications</label>
+          <div className="flex flex-wrap gap-4">
+            {CHANNELS.map((channel) => (
+              <label key={channel.value} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={preferences.notificationChannels.includes(channel.value)}
+                  onChange={() => toggleChannel(channel.value)}
+                  className="mr-2"
+                />
+                {channel.label}
+              </label>
+            ))}
+          </div>
+        </div>
+        <button type="submit" disabled={saving === 'preferences'} className="btn btn-primary">
+          {saving === 'preferences' ? spinner : 'Save Preferences'}
+        </button>
+      </form>
+
+      {/* Password */}
+      <form onSubmit={handlePasswordSubmit} className="card space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Change Password</h2>
+        <p className="text-sm text-gray-600">Changing your password signs out all other devices.</p>
+        <input
+          type="password"
+          value={passwords.currentPassword}
+          onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+          className="input"
+          placeholder="Current password"
+          autoComplete="current-password"
+          required
+        />
+        <input
+          type="password"
+          value={passwords.newPassword}
+          onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+          className="input"
+          placeholder="New password"
+          autoComplete="new-password"
+          required
+        />
+        <PasswordStrengthMeter password={passwords.newPassword} />
+        <input
+          type="password"
+          value={passwords.confirmPassword}
+          onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+          className="input"
+          placeholder="Confirm new password"
+          autoComplete="new-password"
+          required
+        />
+        <button type="submit" disabled={saving === 'password'} className="btn btn-primary">
+          {saving === 'password' ? spinner : 'Update Password'}
+        </button>
+      </form>
+
+      {/* API Tokens */}
+      <ActiveSessions />
+
+      <ApiTokens />
+
+      {/* Delete Account */}
+      <div className="card border-l-4 border-red-500 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <FaExclamationTriangle className="mr-2 text-red-600" />
+          Delete Account
+        </h2>
+
+        {user?.deletionScheduledFor ? (
+          <>
+            <p className="text-sm text-gray-700">
+              Your account will be permanently deleted on{' '}
+              <strong>{new Date(user.deletionScheduledFor).toLocaleString()}</strong>.
+            </p>
+            <button onClick={handleRestore} disabled={saving === 'delete'} className="btn btn-secondary">
+              {saving === 'delete' ? spinner : 'Cancel Deletion'}
+            </button>
+          </>
+        ) : (
+          <form onSubmit={handleDeleteSubmit} className="space-y-3">
+            <p className="text-sm text-gray-600">
+              Permanently deletes your profile, health data and consultation history after a grace period.
+            </p>
+            <input
+              type="password"
+              value={deletion.password}
+              onChange={(e) => setDeletion({ ...deletion, password: e.target.value })}
+              className="input"
+              placeholder="Current password"
+              autoComplete="current-password"
+              required
+            />
+            {user?.twoFactorEnabled && (
+              <input
+                type="text"
+                value={deletion.code}
+                onChange={(e) => setDeletion({ ...deletion, code: e.target.value })}
+                className="input tracking-widest"
+                placeholder="Authentication code"
+                autoComplete="one-time-code"
+                required
+              />
+            )}
+            <button type="submit" disabled={saving === 'delete'} className="btn btn-danger">
+              {saving === 'delete' ? spinner : 'Delete My Account'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,197 @@
+/**
+ * Two-Factor Setup Page
+ * Enroll, manage and disable TOTP two-factor authentication
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FaShieldAlt, FaCheckCircle, FaSpinner, FaKey } from 'react-icons/fa';
+
+function TwoFactorSetup() {
+  const { user, updateUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const startSetup = async () => {
+    setLoading(true);
+    try {
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to start setup');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await authAPI.enableTwoFactor(code.trim());
+      updateUser(response.data.user);
+      setBackupCodes(response.data.backupCodes);
+      setSetup(null);
+      setCode('');
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      toast.error(error.message || 'Invalid code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const regenerateCodes = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await authAPI.regenerateBackupCodes(code.trim());
+      setBackupCodes(response.data.backupCodes);
+      setCode('');
+      toast.success('New backup codes generated');
+    } catch (error) {
+      toast.error(error.message || 'Invalid code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const disable = async () => {
+    setLoading(true);
+    try {
+      const response = await authAPI.disableTwoFactor({ password, code: code.trim() });
+      updateUser(response.data.user);
+      setBackupCodes(null);
+      setCode('');
+      setPassword('');
+      toast.success('Two-factor authentication disabled');
+    } catch (error) {
+      toast.error(error.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Two-Factor Authentication</h1>
+        <p className="text-gray-600 mt-2">
+          Protect your health records with a code from an authenticator app in addition to your password.
+        </p>
+      </div>
+
+      {/* Backup Codes (shown once) */}
+      {backupCodes && (
+        <div className="card border-l-4 border-yellow-500">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2 flex items-center">
+            <FaKey className="mr-2 text-yellow-600" />
+            Your Backup Codes
+          </h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Each code works once. Store them somewhere safe - they will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+            {backupCodes.map((backupCode) => (
+              <div key={backupCode} className="bg-gray-50 p-2 rounded text-center">{backupCode}</div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!user?.twoFactorEnabled ? (
+        <div className="card">
+          {!setup ? (
+            <>
+              <div className="flex items-center mb-4">
+                <FaShieldAlt className="text-3xl text-gray-400 mr-3" />
+                <p className="text-gray-700">Two-factor authentication is <strong>off</strong>.</p>
+              </div>
+              <button onClick={startSetup} disabled={loading} className="btn btn-primary">
+                {loading ? <FaSpinner className="animate-spin" /> : 'Set Up Two-Factor Authentication'}
+              </button>
+            </>
+          ) : (
+            <form onSubmit={confirmSetup} className="space-y-4">
+              <p className="text-sm text-gray-700">
+                1. Add MEDI-360 to your authenticator app using this key
+                (or open the link on your phone):
+              </p>
+              <div className="bg-gray-50 p-3 rounded font-mono text-sm break-all">{setup.secret}</div>
+              <a href={setup.otpauthUri} className="text-sm text-primary-600 hover:text-primary-700 break-all">
+                {setup.otpauthUri}
+              </a>
+
+              <p className="text-sm text-gray-700">2. Enter the 6-digit code your app shows:</p>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="input tracking-widest"
+                placeholder="123456"
+                autoComplete="one-time-code"
+                required
+              />
+              <button type="submit" disabled={loading} className="btn btn-primary">
+                {loading ? <FaSpinner className="animate-spin" /> : 'Enable'}
+              </button>
+            </form>
+          )}
+        </div>
+      ) : (
+        <div className="card space-y-4">
+          <div className="flex items-center">
+            <FaCheckCircle className="text-3xl text-green-600 mr-3" />
+            <p className="text-gray-700">Two-factor authentication is <strong>on</strong>.</p>
+          </div>
+
+          <form onSubmit={regenerateCodes} className="space-y-3">
+            <label className="block text-sm font-medium text-gray-700">
+              Current authentication code
+            </label>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="input tracking-widest"
+              placeholder="123456"
+              autoComplete="one-time-code"
+              required
+            />
+            <button type="submit" disabled={loading} className="btn btn-secondary">
+              Generate New Backup Codes
+            </button>
+          </form>
+
+          <div className="border-t pt-4 space-y-3">
+            <label className="block text-sm font-medium text-gray-700">
+              Password (required to turn off two-factor authentication)
+            </label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="input"
+              placeholder="••••••••"
+            />
+            <button
+              type="button"
+              onClick={disable}
+              disabled={loading || !password || !code}
+              className="btn btn-danger"
+            >
+              Disable Two-Factor Authentication
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSetup;
@@ -0,0 +1,94 @@
+/**
+ * VerifyEmail Page
+ * Confirms an email address from the link sent by email
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { FaStethoscope, FaCheckCircle, FaTimesCircle, FaSpinner } from 'react-icons/fa';
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const { isAuthenticated, checkAuth } = useAuth();
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Guard against the double effect run in StrictMode
+    if (requested.current) return;
+    requested.current = true;
+    verify();
+  }, []);
+
+  const verify = async () => {
+    const token = searchParams.get('token');
+
+    if (!token) {
+      setStatus('error');
+      setMessage('Verification link is missing its token.');
+      return;
+    }
+
+    try {
+      const response = await authAPI.verifyEmail(token);
+
+      if (response.success) {
+        setStatus('success');
+        setMessage(response.message);
+        if (isAuthenticated) {
+          await checkAuth();
+        }
+      }
+    } catch (error) {
+      setStatus('error');
+      setMessage(error.message || 'Verification failed');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-blue-100 flex items-center justify-center p-4">
+      <div className="max-w-md w-full text-center">
+        <FaStethoscope className="text-6xl text-primary-600 mx-auto mb-6" />
+
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          {status === 'verifying' && (
+            <>
+              <FaSpinner className="animate-spin text-4xl text-primary-600 mx-auto mb-4" />
+              <p className="text-gray-600">Verifying your email address...</p>
+            </>
+          )}
+
+          {status === 'success' && (
+            <>
+              <FaCheckCircle className="text-5xl text-green-600 mx-auto mb-4" />
+              <h2 className="text-2xl font-semibold text-gray-900 mb-2">Email Verified</h2>
+              <p className="text-gray-600">{message}</p>
+            </>
+          )}
+
+          {status === 'error' && (
+            <>
+              <FaTimesCircle className="text-5xl text-red-600 mx-auto mb-4" />
+              <h2 className="text-2xl font-semibold text-gray-900 mb-2">Verification Failed</h2>
+              <p className="text-gray-600">{message}</p>
+            </>
+          )}
+
+          {status !== 'verifying' && (
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="btn btn-primary w-full mt-6 inline-block"
+            >
+              {isAuthenticated ? 'Go to Dashboard' : 'Go to Login'}
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
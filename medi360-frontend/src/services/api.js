@@ -15,13 +15,22 @@ const api = axios.create({
   },
 });
 
-// Request interceptor - Add auth token
+// Health data routes that act on the selected family profile
+const PROFILE_SCOPED_URL = /^\/(health-profile|chat|analytics)(\/|$)/;
+const PROFILE_LISTING_URL = /^\/health-profile\/(profiles|dependents)$/;
+
+// Request interceptor - Add auth token (and the selected family profile)
 api.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem('token');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+
+    const profileId = localStorage.getItem('activeProfileId');
+    if (profileId && PROFILE_SCOPED_URL.test(config.url) && !PROFILE_LISTING_URL.test(config.url)) {
+      config.headers['X-Profile-Id'] = profileId;
+    }
     return config;
   },
   (error) => {
@@ -29,17 +38,64 @@ api.interceptors.request.use(
   }
 );
 
+// Clear stored credentials and send the user back to login
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  localStorage.removeItem('activeProfileId');
+  window.location.href = '/login';
+};
+
+// Single in-flight refresh shared by concurrent 401 responses
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor - Handle errors
 api.interceptors.response.use(
   (response) => response.data,
-  (error) => {
+  async (error) => {
     if (error.response) {
       // Server responded with error
-      if (error.response.status === 401) {
+      const originalRequest = error.config;
+      const isAuthRequest = /\/auth\/(login|login\/2fa|register|refresh|verify-email|forgot-password|reset-password)$/.test(originalRequest.url);
+
+      if (error.response.status === 401 && !isAuthRequest) {
+        // Access token expired or revoked - try a single refresh, then retry
+        if (!originalRequest._retry && localStorage.getItem('refreshToken')) {
+          originalRequest._retry = true;
+
+          try {
+            const token = await refreshAccessToken();
+            originalRequest.headers.Authorization = `Bearer ${token}`;
+            return api(originalRequest);
+          } catch (refreshError) {
+            clearSession();
+            return Promise.reject(error.response.data);
+          }
+        }
+
         // Unauthorized - clear token and redirect to login
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        window.location.href = '/login';
+        clearSession();
       }
       return Promise.reject(error.response.data);
     } else if (error.request) {
@@ -58,6 +114,92 @@ api.interceptors.response.use(
   }
 );
 
+// Streaming requests (Server-Sent Events over POST) - axios cannot read a response
+// body as it arrives, so these go through fetch with the same auth / profile headers.
+// Resolves with the `done` payload; rejects like the axios interceptor does, or with
+// an AbortError when the caller aborts `signal`.
+const postEventStream = async (url, body, { onToken, signal } = {}, retried = false) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    Accept: 'text/event-stream',
+  };
+  const token = localStorage.getItem('token');
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const profileId = localStorage.getItem('activeProfileId');
+  if (profileId && PROFILE_SCOPED_URL.test(url)) {
+    headers['X-Profile-Id'] = profileId;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}${url}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw { success: false, message: 'No response from server. Please check your connection.' };
+  }
+
+  if (response.status === 401) {
+    if (!retried && localStorage.getItem('refreshToken')) {
+      try {
+        await refreshAccessToken();
+      } catch (refreshError) {
+        clearSession();
+        throw await response.json();
+      }
+      return postEventStream(url, body, { onToken, signal }, true);
+    }
+    clearSession();
+  }
+
+  if (!response.ok) {
+    throw await response.json().catch(() => ({ success: false, message: 'An error occurred' }));
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  const handleEvent = (raw) => {
+    let event = 'message';
+    let data = '';
+    raw.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    if (!data) return;
+
+    const payload = JSON.parse(data);
+    if (event === 'token') onToken?.(payload.text);
+    else if (event === 'done') result = payload;
+    else if (event === 'error') throw { success: false, ...payload };
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      handleEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+
+  if (!result) {
+    throw { success: false, message: 'The reply ended unexpectedly. Please try again.', partial: true };
+  }
+  return result;
+};
+
 // ======================
 // Authentication APIs
 // ======================
@@ -65,11 +207,46 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (data) => api.post('/auth/register', data),
   login: (data) => api.post('/auth/login', data),
+  loginTwoFactor: (data) => api.post('/auth/login/2fa', data),
+  getOidcProviders: () => api.get('/auth/oidc/providers'),
+  exchangeOidcCode: (code) => api.post('/auth/oidc/exchange', { code }),
+  // Full-page navigation target (the IdP redirect cannot go through XHR)
+  oidcAuthorizeUrl: (provider, returnTo = '/dashboard') =>
+    `${API_BASE_URL}/auth/oidc/${provider}/authorize?returnTo=${encodeURIComponent(returnTo)}`,
   getMe: () => api.get('/auth/me'),
+  getSecurityActivity: (params) => api.get('/auth/security-activity', { params }),
   logout: () => api.post('/auth/logout'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  refresh: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/verify-email/resend'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  checkPasswordStrength: (data) => api.post('/auth/password-strength', data),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateBackupCodes: (code) => api.post('/auth/2fa/backup-codes', { code }),
   updatePassword: (data) => api.put('/auth/password', data),
 };
 
+// ======================
+// User Profile APIs
+// ======================
+
+export const userAPI = {
+  getProfile: () => api.get('/users/profile'),
+  updateProfile: (data) => api.put('/users/profile', data),
+  updatePreferences: (data) => api.put('/users/profile/preferences', data),
+  requestEmailChange: (data) => api.post('/users/profile/email', data),
+  cancelEmailChange: () => api.delete('/users/profile/email'),
+  getAccountDeletion: () => api.get('/users/account/deletion'),
+  deleteAccount: (data) => api.delete('/users/account', { data }),
+  restoreAccount: () => api.post('/users/account/restore'),
+};
+
 // ======================
 // Health Profile APIs
 // ======================
@@ -79,6 +256,9 @@ export const healthProfileAPI = {
   get: () => api.get('/health-profile'),
   update: (data) => api.put('/health-profile', data),
   delete: () => api.delete('/health-profile'),
+  removeMedication: (medicationId) => api.delete(`/health-profile/medication/${medicationId}`),
+  listProfiles: () => api.get('/health-profile/profiles'),
+  createDependent: (data) => api.post('/health-profile/dependents', data),
   getRiskSummary: () => api.get('/health-profile/risk-summary'),
   addCondition: (data) => api.post('/health-profile/condition', data),
   addAllergy: (data) => api.post('/health-profile/allergy', data),
@@ -97,6 +277,9 @@ export const chatAPI = {
   getSession: (sessionId) => api.get(`/chat/session/${sessionId}`),
   sendMessage: (sessionId, message) => 
     api.post(`/chat/session/${sessionId}/message`, { message }),
+  // handlers: { onToken(text), signal }
+  streamMessage: (sessionId, message, handlers) =>
+    postEventStream(`/chat/session/${sessionId}/message/stream`, { message }, handlers),
   completeSession: (sessionId) => api.put(`/chat/session/${sessionId}/complete`),
   deleteSession: (sessionId) => api.delete(`/chat/session/${sessionId}`),
 };
@@ -114,6 +297,92 @@ export const analyticsAPI = {
   exportData: () => api.get('/analytics/export'),
 };
 
+// ======================
+// Care Relationship APIs
+// ======================
+
+export const careAPI = {
+  getRelationships: (params) => api.get('/care/relationships', { params }),
+  inviteDoctor: (data) => api.post('/care/invitations', data),
+  requestAccess: (data) => api.post('/care/requests', data),
+  approve: (id, scopes) => api.put(`/care/relationships/${id}/approve`, { scopes }),
+  accept: (id) => api.put(`/care/relationships/${id}/accept`),
+  decline: (id) => api.put(`/care/relationships/${id}/decline`),
+  updateScopes: (id, scopes) => api.put(`/care/relationships/${id}/scopes`, { scopes }),
+  revoke: (id) => api.put(`/care/relationships/${id}/revoke`),
+};
+
+// ======================
+// Doctor APIs
+// ======================
+
+export const doctorAPI = {
+  getPatients: () => api.get('/doctor/patients'),
+  getPatientProfile: (patientId) => api.get(`/doctor/patients/${patientId}/profile`),
+  getPatientSessions: (patientId, params) => 
+    api.get(`/doctor/patients/${patientId}/chat-sessions`, { params }),
+  getPatientSession: (patientId, sessionId) => 
+    api.get(`/doctor/patients/${patientId}/chat-sessions/${sessionId}`),
+  getPatientDashboard: (patientId) => api.get(`/doctor/patients/${patientId}/analytics/dashboard`),
+};
+
+// ======================
+// Caregiver APIs
+// ======================
+
+export const caregiverAPI = {
+  getGrants: () => api.get('/caregivers/grants'),
+  createGrant: (data) => api.post('/caregivers/grants', data),
+  updateGrant: (id, data) => api.put(`/caregivers/grants/${id}`, data),
+  revokeGrant: (id) => api.put(`/caregivers/grants/${id}/revoke`),
+  // Acting for a patient who granted access
+  getPatientProfile: (patientId) => api.get(`/caregivers/patients/${patientId}/health-profile`),
+  addMedication: (patientId, data) =>
+    api.post(`/caregivers/patients/${patientId}/health-profile/medication`, data),
+  removeMedication: (patientId, medicationId) =>
+    api.delete(`/caregivers/patients/${patientId}/health-profile/medication/${medicationId}`),
+  getSessions: (patientId) => api.get(`/caregivers/patients/${patientId}/chat/sessions`),
+  getSession: (patientId, sessionId) => api.get(`/caregivers/patients/${patientId}/chat/session/${sessionId}`),
+  createSession: (patientId, data) => api.post(`/caregivers/patients/${patientId}/chat/session`, data),
+  sendMessage: (patientId, sessionId, message) =>
+    api.post(`/caregivers/patients/${patientId}/chat/session/${sessionId}/message`, { message }),
+  streamMessage: (patientId, sessionId, message, handlers) =>
+    postEventStream(`/caregivers/patients/${patientId}/chat/session/${sessionId}/message/stream`, { message }, handlers),
+};
+
+// ======================
+// API Token APIs
+// ======================
+
+export const tokenAPI = {
+  getTokens: () => api.get('/tokens'),
+  createToken: (data) => api.post('/tokens', data),
+  revokeToken: (id) => api.delete(`/tokens/${id}`),
+};
+
+// ======================
+// Audit APIs
+// ======================
+
+export const auditAPI = {
+  getMyAccessLog: (params) => api.get('/audit/me', { params }),
+  getEvents: (params) => api.get('/audit', { params }),
+  verifyChain: () => api.get('/audit/verify'),
+};
+
+// ======================
+// Admin APIs
+// ======================
+
+export const adminAPI = {
+  getUsers: (params) => api.get('/users', { params }),
+  getUser: (id) => api.get(`/users/${id}`),
+  setStatus: (id, isActive, reason) => api.put(`/users/${id}/status`, { isActive, reason }),
+  setRole: (id, role) => api.put(`/users/${id}/role`, { role }),
+  forceLogout: (id) => api.post(`/users/${id}/logout`),
+  sendPasswordReset: (id) => api.post(`/users/${id}/password-reset`),
+};
+
 // ======================
 // Health Check
 // ======================